@@ -1,10 +1,12 @@
 import React from 'react';
 import MyRouter from './router';
+import WatchRunner from './components/WatchRunner';
 import './App.css';
 
 function App() {
   return (
     <div className="app">
+      <WatchRunner />
       <MyRouter />
     </div>
   );
@@ -1,8 +1,43 @@
 import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { MemoryRouter } from 'react-router-dom';
+import { store } from './redux/store';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Expected noise: there is no server to load the endpoint config and STAC API from,
+// and the app (like src/index.js) doesn't opt in to the React Router v7 flags
+const EXPECTED_MESSAGES = [
+  'React Router Future Flag Warning',
+  'STAC endpoint config not loaded',
+  'ECONNREFUSED',
+  'Network request failed',
+];
+
+const isExpected = (args) => args.some((arg) => (
+  EXPECTED_MESSAGES.some((message) => String(arg?.stack || arg).includes(message))
+));
+
+beforeEach(() => {
+  ['warn', 'error'].forEach((method) => {
+    const original = console[method];
+    jest.spyOn(console, method).mockImplementation((...args) => {
+      if (!isExpected(args)) original(...args);
+    });
+  });
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+  console.error.mockRestore();
+});
+
+test('renders the how-to-use page', async () => {
+  render(
+    <MemoryRouter initialEntries={['/how-to-use']}>
+      <Provider store={store}>
+        <App />
+      </Provider>
+    </MemoryRouter>
+  );
+  expect(await screen.findByRole('heading', { name: /how to use xyz tiles/i })).toBeInTheDocument();
 });
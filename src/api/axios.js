@@ -1,9 +1,91 @@
 import axios from "axios";
+import {
+  getAuthHeaders,
+  getValidCredentials,
+  isEndpointUrl,
+  notifyAuthRequired,
+  refreshCredentials,
+} from "../utils/auth";
+import {
+  MAX_RETRIES,
+  MAX_RETRY_AFTER,
+  REQUEST_TIMEOUT,
+  getRetryDelay,
+  isIdempotentRequest,
+  isTransientError,
+  wait,
+} from "./retry";
 
-export default axios.create({
-  baseURL: process.env.REACT_APP_STAC_API_URL || "https://spectra.brin.go.id/stac",
+// STAC API used when no endpoint is configured
+export const DEFAULT_STAC_API_URL = process.env.REACT_APP_STAC_API_URL || "https://spectra.brin.go.id/stac";
+
+const axiosInstance = axios.create({
+  baseURL: DEFAULT_STAC_API_URL,
+  timeout: REQUEST_TIMEOUT,
   headers: {
     "Content-Type": "application/json",
   },
 });
 
+// Attach the credentials of the STAC API, but not to links that lead to other hosts
+axiosInstance.interceptors.request.use(async (config) => {
+  if (!config.baseURL || !isEndpointUrl(axiosInstance.getUri(config), config.baseURL)) {
+    return config;
+  }
+  const credentials = await getValidCredentials(config.baseURL);
+  if (credentials) {
+    Object.entries(getAuthHeaders(credentials)).forEach(([name, value]) => {
+      config.headers.set(name, value);
+    });
+  }
+  return config;
+});
+
+// On 401 retry once with a refreshed token, otherwise ask the user to sign in
+axiosInstance.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  if (response?.status !== 401 || !config?.baseURL) {
+    throw error;
+  }
+  if (!config.authRetried) {
+    const credentials = await refreshCredentials(config.baseURL);
+    if (credentials) {
+      return axiosInstance({ ...config, authRetried: true });
+    }
+  }
+  notifyAuthRequired(config.baseURL);
+  throw error;
+});
+
+// Retry idempotent requests after transient failures (see api/retry.js);
+// `retries` in the request config overrides the default number
+axiosInstance.interceptors.response.use(undefined, async (error) => {
+  const { config } = error;
+  const attempt = config?.retryCount || 0;
+  if (!config || !isIdempotentRequest(config) || !isTransientError(error) || attempt >= (config.retries ?? MAX_RETRIES)) {
+    throw error;
+  }
+  const delay = getRetryDelay(error, attempt);
+  // Nothing to wait for while the browser is offline
+  if (delay > MAX_RETRY_AFTER || navigator.onLine === false) {
+    throw error;
+  }
+  await wait(delay, config.signal);
+  return axiosInstance({ ...config, retryCount: attempt + 1 });
+});
+
+/**
+ * Send further requests to another STAC API
+ * @param {string} url - STAC API root URL
+ */
+export const setStacApiUrl = (url) => {
+  axiosInstance.defaults.baseURL = url;
+};
+
+/**
+ * STAC API the requests are currently sent to
+ * @returns {string} STAC API root URL
+ */
+export const getStacApiUrl = () => axiosInstance.defaults.baseURL;
+
+export default axiosInstance;
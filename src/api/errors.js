@@ -0,0 +1,53 @@
+import axios from "axios";
+import { parseRetryAfter } from "./retry";
+
+/**
+ * STAC request errors
+ * Failed requests are turned into plain objects for the Redux state: what
+ * failed, the HTTP status, the STAC API's error code and description
+ * ({ "code": ..., "description": ... } per the STAC API spec), and whether
+ * trying again may help.
+ */
+
+const describeFailure = (error) => {
+  const data = error.response?.data;
+  const serverText = data && typeof data === "object"
+    ? data.description || (typeof data.detail === "string" ? data.detail : null) || data.message
+    : null;
+  if (serverText) {
+    return serverText;
+  }
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return "The STAC API did not answer in time";
+  }
+  if (!error.response) {
+    return "The STAC API could not be reached";
+  }
+  if (error.response.status === 429) {
+    return "Too many requests were sent to the STAC API";
+  }
+  return error.response.statusText || error.message;
+};
+
+/**
+ * Structured error of a failed STAC request
+ * @param {Error} error - Axios (or other) error
+ * @param {string} message - What failed, e.g. "Failed to search items"
+ * @returns {Object} { message, status, code, description, retryable, retryAfter, canceled }
+ *   retryAfter is in seconds (from a Retry-After header)
+ */
+export const toStacError = (error, message) => {
+  const status = error.response?.status ?? null;
+  const data = error.response?.data;
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  const timeout = error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+  return {
+    message,
+    status,
+    code: (data && typeof data === "object" && typeof data.code === "string") ? data.code : null,
+    description: describeFailure(error),
+    retryable: !status || timeout || status === 408 || status === 429 || status >= 500,
+    retryAfter: retryAfter === null ? null : Math.ceil(retryAfter / 1000),
+    canceled: axios.isCancel(error),
+  };
+};
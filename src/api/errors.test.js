@@ -0,0 +1,48 @@
+import axios from "axios";
+import { toStacError } from "./errors";
+
+describe("toStacError", () => {
+  test("keeps the STAC error code and description", () => {
+    expect(toStacError({
+      message: "Request failed with status code 400",
+      response: {
+        status: 400,
+        headers: {},
+        data: { code: "InvalidParameter", description: "Invalid datetime" },
+      },
+    }, "Failed to search items")).toEqual({
+      message: "Failed to search items",
+      status: 400,
+      code: "InvalidParameter",
+      description: "Invalid datetime",
+      retryable: false,
+      retryAfter: null,
+      canceled: false,
+    });
+  });
+
+  test("marks rate limits as retryable with the wait in seconds", () => {
+    expect(toStacError({
+      response: { status: 429, headers: { "retry-after": "1.5" }, data: "" },
+    }, "Failed to search items")).toMatchObject({
+      status: 429,
+      description: "Too many requests were sent to the STAC API",
+      retryable: true,
+      retryAfter: 2,
+    });
+  });
+
+  test("describes timeouts and unreachable servers", () => {
+    expect(toStacError({ code: "ECONNABORTED" }, "x")).toMatchObject({
+      status: null,
+      description: "The STAC API did not answer in time",
+      retryable: true,
+    });
+    expect(toStacError(new Error("Network Error"), "x").description)
+      .toBe("The STAC API could not be reached");
+  });
+
+  test("flags canceled requests", () => {
+    expect(toStacError(new axios.CanceledError(), "x").canceled).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+import axios from "axios";
+
+/**
+ * Retries of STAC requests
+ * Idempotent requests (GET/HEAD/OPTIONS and requests marked `idempotent`, such
+ * as POST /search) are retried with exponential backoff after network errors,
+ * timeouts, 429 and 5xx responses. A Retry-After header sets the wait instead.
+ */
+
+// Request timeout and number of retries, configurable per deployment
+export const REQUEST_TIMEOUT = Number(process.env.REACT_APP_STAC_TIMEOUT) || 30000;
+const configuredRetries = parseInt(process.env.REACT_APP_STAC_MAX_RETRIES, 10);
+export const MAX_RETRIES = configuredRetries >= 0 ? configuredRetries : 3;
+
+const BASE_DELAY = 500;
+const MAX_DELAY = 10000;
+// A longer Retry-After is not waited for; the error tells the user when to try again
+export const MAX_RETRY_AFTER = 60000;
+
+const IDEMPOTENT_METHODS = ["get", "head", "options"];
+
+/**
+ * Whether a request can be sent again without side effects
+ * @param {Object} config - Axios request config
+ * @returns {boolean}
+ */
+export const isIdempotentRequest = (config) => (
+  config.idempotent === true || IDEMPOTENT_METHODS.includes((config.method || "get").toLowerCase())
+);
+
+/**
+ * Whether a failure is transient (network error, timeout, 408, 429 or 5xx)
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export const isTransientError = (error) => {
+  if (axios.isCancel(error)) {
+    return false;
+  }
+  const status = error.response?.status;
+  if (!status) {
+    return true;
+  }
+  return status === 408 || status === 429 || (status >= 500 && status !== 501);
+};
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay or null when there is no valid header
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Wait before the next attempt: Retry-After, otherwise exponential backoff with jitter
+ * @param {Error} error - Axios error of the failed attempt
+ * @param {number} attempt - Number of retries so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (error, attempt) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const delay = Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Wait, unless the request is aborted meanwhile
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Signal of the request (optional)
+ * @returns {Promise} Rejects with a CanceledError when aborted
+ */
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
@@ -0,0 +1,55 @@
+import axios from "axios";
+import { getRetryDelay, isIdempotentRequest, isTransientError, parseRetryAfter } from "./retry";
+
+const httpError = (status, headers = {}) => ({ response: { status, headers } });
+
+describe("parseRetryAfter", () => {
+  test("reads seconds and HTTP dates", () => {
+    expect(parseRetryAfter("3")).toBe(3000);
+    expect(parseRetryAfter("-1")).toBe(0);
+
+    jest.spyOn(Date, "now").mockReturnValue(Date.parse("2024-01-01T00:00:00Z"));
+    expect(parseRetryAfter("Mon, 01 Jan 2024 00:00:10 GMT")).toBe(10000);
+    Date.now.mockRestore();
+  });
+
+  test("returns null without a valid header", () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter("")).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+describe("isTransientError", () => {
+  test("retries network errors, 408, 429 and 5xx other than 501", () => {
+    expect(isTransientError(new Error("Network Error"))).toBe(true);
+    expect(isTransientError(httpError(408))).toBe(true);
+    expect(isTransientError(httpError(429))).toBe(true);
+    expect(isTransientError(httpError(503))).toBe(true);
+    expect(isTransientError(httpError(501))).toBe(false);
+    expect(isTransientError(httpError(404))).toBe(false);
+  });
+
+  test("doesn't retry canceled requests", () => {
+    expect(isTransientError(new axios.CanceledError())).toBe(false);
+  });
+});
+
+describe("isIdempotentRequest", () => {
+  test("accepts safe methods and requests marked idempotent", () => {
+    expect(isIdempotentRequest({})).toBe(true);
+    expect(isIdempotentRequest({ method: "HEAD" })).toBe(true);
+    expect(isIdempotentRequest({ method: "post" })).toBe(false);
+    expect(isIdempotentRequest({ method: "post", idempotent: true })).toBe(true);
+  });
+});
+
+describe("getRetryDelay", () => {
+  test("uses Retry-After when present, otherwise backs off", () => {
+    expect(getRetryDelay(httpError(429, { "retry-after": "2" }), 0)).toBe(2000);
+
+    const delay = getRetryDelay(httpError(503), 2);
+    expect(delay).toBeGreaterThanOrEqual(1000);
+    expect(delay).toBeLessThanOrEqual(2000);
+  });
+});
@@ -0,0 +1,155 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  ANIMATION_SPEEDS,
+  ANIMATION_EXPORT_FORMATS,
+  exportAnimation,
+  formatFrameDate,
+  isWebmExportSupported,
+} from '../utils/animation';
+import { downloadFile } from '../utils/export';
+import { toDateInputValue } from '../utils/timeline';
+import './AnimationPlayer.scss';
+
+/**
+ * Time-series animation bar
+ * Steps through the frames (results ordered by date) with play/pause and speed
+ * controls, and exports the current map viewport as an animated GIF or WebM.
+ */
+const AnimationPlayer = ({ frames, index, onIndexChange, onClose, map, baseMapUrl }) => {
+  const [playing, setPlaying] = useState(false);
+  const [fps, setFps] = useState(1);
+  const [exportProgress, setExportProgress] = useState(null); // { done, total }
+  const [error, setError] = useState(null);
+  const cancelledRef = useRef(false);
+
+  // Advance one frame per tick, looping at the end
+  useEffect(() => {
+    if (!playing || frames.length < 2) return;
+    const timer = setInterval(() => {
+      onIndexChange((current) => (current + 1) % frames.length);
+    }, 1000 / fps);
+    return () => clearInterval(timer);
+  }, [playing, fps, frames.length, onIndexChange]);
+
+  // Stop rendering when unmounted
+  useEffect(() => () => {
+    cancelledRef.current = true;
+  }, []);
+
+  const step = (offset) => {
+    setPlaying(false);
+    onIndexChange((current) => (current + offset + frames.length) % frames.length);
+  };
+
+  const handleExport = async (format) => {
+    if (!map) return;
+    setPlaying(false);
+    setError(null);
+    setExportProgress({ done: 0, total: frames.length });
+    cancelledRef.current = false;
+
+    const size = map.getSize();
+    const origin = map.getPixelBounds().min;
+    try {
+      const blob = await exportAnimation(format.key, frames, {
+        viewport: { width: size.x, height: size.y, zoom: Math.round(map.getZoom()), x: origin.x, y: origin.y },
+        baseMapUrl,
+        fps,
+        onProgress: (done, total) => setExportProgress({ done, total }),
+        isCancelled: () => cancelledRef.current,
+      });
+      if (blob) {
+        const first = toDateInputValue(frames[0].date);
+        const last = toDateInputValue(frames[frames.length - 1].date);
+        downloadFile(blob, `animation-${first}-${last}.${format.extension}`, format.mimeType);
+      }
+    } catch (err) {
+      console.error('Animation export failed:', err);
+      setError(err.message || 'Export failed');
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  const frame = frames[index];
+  const webmSupported = isWebmExportSupported();
+
+  return (
+    <div className="animation-bar">
+      <div className="animation-controls">
+        <button onClick={() => step(-1)} title="Previous frame" disabled={!!exportProgress}>⏮</button>
+        <button
+          className="animation-play"
+          onClick={() => setPlaying(!playing)}
+          title={playing ? 'Pause' : 'Play'}
+          disabled={!!exportProgress}
+        >
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => step(1)} title="Next frame" disabled={!!exportProgress}>⏭</button>
+      </div>
+
+      <div className="animation-timeline">
+        <span className="animation-date" title={frame.item.id}>
+          {formatFrameDate(frame)}
+          <span className="animation-position"> {index + 1}/{frames.length}</span>
+        </span>
+        <input
+          type="range"
+          min={0}
+          max={frames.length - 1}
+          value={index}
+          onChange={(e) => {
+            setPlaying(false);
+            onIndexChange(Number(e.target.value));
+          }}
+          disabled={!!exportProgress}
+        />
+      </div>
+
+      <select
+        className="animation-speed"
+        value={fps}
+        onChange={(e) => setFps(Number(e.target.value))}
+        title="Frames per second"
+      >
+        {ANIMATION_SPEEDS.map((speed) => (
+          <option key={speed} value={speed}>{speed} fps</option>
+        ))}
+      </select>
+
+      <div className="animation-export">
+        {exportProgress ? (
+          <>
+            <span>Rendering {exportProgress.done}/{exportProgress.total}...</span>
+            <button
+              className="animation-cancel"
+              onClick={() => { cancelledRef.current = true; }}
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          ANIMATION_EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.key}
+              onClick={() => handleExport(format)}
+              disabled={format.key === 'webm' && !webmSupported}
+              title={format.key === 'webm' && !webmSupported
+                ? 'This browser cannot record WebM video'
+                : `Download the current view as ${format.label}`}
+            >
+              ⬇ {format.label}
+            </button>
+          ))
+        )}
+      </div>
+
+      <button className="animation-close" onClick={onClose} title="Close animation">✕</button>
+
+      {error && <p className="animation-error">{error}</p>}
+    </div>
+  );
+};
+
+export default AnimationPlayer;
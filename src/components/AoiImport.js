@@ -0,0 +1,158 @@
+import React, { useRef, useState } from 'react';
+import {
+  AOI_FILE_EXTENSIONS,
+  MAX_AOI_VERTICES,
+  combineGeometries,
+  countVertices,
+  parseAoiFile,
+  simplifyGeometry,
+} from '../utils/aoi';
+import './AoiImport.scss';
+
+/**
+ * AOI file import
+ * Parses GeoJSON, KML/KMZ, GPX or zipped Shapefile in the browser, lets the
+ * user pick one or more features and passes the (unioned, simplified)
+ * geometry to onApply.
+ */
+const AoiImport = ({ onApply }) => {
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState(null);
+  const [features, setFeatures] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [parsing, setParsing] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input so the same file can be chosen again
+    e.target.value = '';
+    if (!file) return;
+
+    setParsing(true);
+    setError(null);
+    setMessage(null);
+    setFileName(file.name);
+    try {
+      const parsed = await parseAoiFile(file);
+      setFeatures(parsed);
+      setSelectedIds(parsed.length === 1 ? [parsed[0].id] : []);
+    } catch (err) {
+      console.error('Failed to read AOI file:', err);
+      setFeatures([]);
+      setSelectedIds([]);
+      setError(err.message || 'Failed to read file');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const handleToggleFeature = (id, checked) => {
+    setSelectedIds(checked ? [...selectedIds, id] : selectedIds.filter((selected) => selected !== id));
+  };
+
+  const handleApply = () => {
+    const geometries = features
+      .filter((feature) => selectedIds.includes(feature.id))
+      .map((feature) => feature.geometry);
+
+    try {
+      const combined = combineGeometries(geometries);
+      if (!combined) {
+        setError('Could not combine the selected features');
+        return;
+      }
+      const { geometry, originalVertices, vertices } = simplifyGeometry(combined, MAX_AOI_VERTICES);
+      setError(null);
+      setMessage(vertices < originalVertices
+        ? `AOI applied (simplified from ${originalVertices} to ${vertices} vertices)`
+        : 'AOI applied');
+      onApply(geometry);
+    } catch (err) {
+      console.error('Failed to build AOI:', err);
+      setError(err.message || 'Failed to build AOI');
+    }
+  };
+
+  const handleReset = () => {
+    setFeatures([]);
+    setSelectedIds([]);
+    setFileName(null);
+    setError(null);
+    setMessage(null);
+  };
+
+  return (
+    <div className="aoi-import">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={AOI_FILE_EXTENSIONS.join(',')}
+        onChange={handleFileChange}
+        style={{ display: 'none' }}
+      />
+      <button
+        className="btn-upload-aoi"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={parsing}
+      >
+        {parsing ? 'Reading file...' : 'Upload AOI file'}
+      </button>
+      <p className="filter-description">
+        GeoJSON, KML/KMZ, GPX or zipped Shapefile
+      </p>
+
+      {error && <p className="aoi-error">{error}</p>}
+
+      {features.length > 0 && (
+        <div className="aoi-features">
+          <div className="aoi-features-header">
+            <span title={fileName}>{fileName} ({features.length})</span>
+            {features.length > 1 && (
+              <button
+                className="aoi-link-btn"
+                onClick={() => setSelectedIds(
+                  selectedIds.length === features.length ? [] : features.map((feature) => feature.id)
+                )}
+              >
+                {selectedIds.length === features.length ? 'None' : 'All'}
+              </button>
+            )}
+          </div>
+          <div className="aoi-feature-list">
+            {features.map((feature) => (
+              <label key={feature.id} className="aoi-feature">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(feature.id)}
+                  onChange={(e) => handleToggleFeature(feature.id, e.target.checked)}
+                />
+                <span className="aoi-feature-name" title={feature.name}>{feature.name}</span>
+                <span className="aoi-feature-info">
+                  {feature.converted ? 'extent' : `${countVertices(feature.geometry)} pts`}
+                </span>
+              </label>
+            ))}
+          </div>
+          <div className="aoi-actions">
+            <button
+              className="btn-apply-aoi"
+              onClick={handleApply}
+              disabled={selectedIds.length === 0}
+            >
+              {selectedIds.length > 1 ? `Use ${selectedIds.length} features as AOI` : 'Use as AOI'}
+            </button>
+            <button className="aoi-link-btn" onClick={handleReset}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && <p className="aoi-message">{message}</p>}
+    </div>
+  );
+};
+
+export default AoiImport;
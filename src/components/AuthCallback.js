@@ -0,0 +1,44 @@
+import React, { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { completeLoginAsync } from '../redux/slices/auth';
+import './AuthCallback.scss';
+
+/**
+ * OIDC redirect target
+ * Exchanges the authorization code for tokens and returns to the page the
+ * login was started from.
+ */
+const AuthCallback = () => {
+  const dispatch = useDispatch();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const error = useSelector((state) => state.auth.error);
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    // The code can only be exchanged once
+    if (startedRef.current) return;
+    startedRef.current = true;
+    dispatch(completeLoginAsync(location.search)).then((result) => {
+      if (completeLoginAsync.fulfilled.match(result)) {
+        navigate(result.payload.returnTo, { replace: true });
+      }
+    });
+  }, [dispatch, navigate, location.search]);
+
+  return (
+    <div className="auth-callback">
+      {error ? (
+        <>
+          <p className="auth-callback-error">{error}</p>
+          <Link to="/">Back to the catalog</Link>
+        </>
+      ) : (
+        <p>Completing sign-in...</p>
+      )}
+    </div>
+  );
+};
+
+export default AuthCallback;
@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useLocation } from 'react-router-dom';
+import {
+  clearAuthError,
+  signInWithTokenAsync,
+  signOutAsync,
+  startLoginAsync,
+} from '../redux/slices/auth';
+import useOutsideClick from '../hooks/useOutsideClick';
+import './AuthMenu.scss';
+
+const CREDENTIAL_LABELS = {
+  oidc: 'Single sign-on',
+  bearer: 'Bearer token',
+  apiKey: 'API key',
+};
+
+/**
+ * Sign-in menu (header)
+ * Signs in to the active STAC API, with its identity provider when the
+ * endpoint configures one, or with a bearer token / API key. Shows a warning
+ * when the API rejected a request for missing credentials.
+ */
+const AuthMenu = () => {
+  const dispatch = useDispatch();
+  const location = useLocation();
+  const { endpoints, activeEndpoint } = useSelector((state) => state.endpoints);
+  const { sessions, requiredUrl, pending, error } = useSelector((state) => state.auth);
+  const [open, setOpen] = useState(false);
+  const [type, setType] = useState('bearer');
+  const [token, setToken] = useState('');
+  const [header, setHeader] = useState('');
+  const menuRef = useRef(null);
+
+  // The listed entry carries the auth settings of stac-endpoints.json
+  const endpoint = endpoints.find((entry) => entry.id === activeEndpoint.id) || activeEndpoint;
+  const session = sessions[endpoint.url] || null;
+  const required = !session && requiredUrl === endpoint.url;
+  const oidc = endpoint.auth?.oidc;
+
+  // Close the menu on outside click
+  useOutsideClick(menuRef, open, () => setOpen(false));
+
+  const handleToggle = () => {
+    dispatch(clearAuthError());
+    setOpen(!open);
+  };
+
+  const handleLogin = () => {
+    dispatch(startLoginAsync({ endpoint, returnTo: `${location.pathname}${location.search}` }));
+  };
+
+  const handleTokenSubmit = async (e) => {
+    e.preventDefault();
+    const result = await dispatch(signInWithTokenAsync({ endpointUrl: endpoint.url, type, token, header }));
+    if (signInWithTokenAsync.fulfilled.match(result)) {
+      setToken('');
+      setOpen(false);
+    }
+  };
+
+  const describeSession = () => {
+    const parts = [CREDENTIAL_LABELS[session.type] || session.type];
+    if (session.user) {
+      parts.push(`as ${session.user}`);
+    }
+    if (session.expiresAt) {
+      parts.push(`(token valid until ${new Date(session.expiresAt).toLocaleTimeString()})`);
+    }
+    return parts.join(' ');
+  };
+
+  return (
+    <div className="auth-menu" ref={menuRef}>
+      <button
+        className={`auth-toggle ${session ? 'signed-in' : ''} ${required ? 'required' : ''}`}
+        onClick={handleToggle}
+        title={required ? `${endpoint.title} requires you to sign in` : `Sign-in for ${endpoint.title}`}
+      >
+        {required && <span className="auth-required-dot" aria-hidden="true" />}
+        <span className="auth-toggle-label">
+          {session ? session.user || 'Signed in' : 'Sign in'}
+        </span>
+      </button>
+
+      {open && (
+        <div className="auth-panel">
+          {session ? (
+            <>
+              <p className="auth-status">
+                Signed in to <strong>{endpoint.title}</strong>
+                <span className="auth-hint">{describeSession()}</span>
+              </p>
+              <button className="auth-link-btn" onClick={() => dispatch(signOutAsync(endpoint.url))}>
+                Sign out
+              </button>
+            </>
+          ) : (
+            <>
+              <p className="auth-status">
+                {required
+                  ? <><strong>{endpoint.title}</strong> rejected a request. Sign in to see restricted collections.</>
+                  : <>Sign in to <strong>{endpoint.title}</strong> to access restricted collections.</>}
+              </p>
+
+              {oidc && (
+                <button className="auth-primary-btn" onClick={handleLogin} disabled={pending}>
+                  {pending ? 'Redirecting...' : `Sign in with ${oidc.name || 'single sign-on'}`}
+                </button>
+              )}
+
+              <form className="auth-form" onSubmit={handleTokenSubmit}>
+                {oidc && <span className="auth-hint">or use a token</span>}
+                <select value={type} onChange={(e) => setType(e.target.value)}>
+                  <option value="bearer">Bearer token</option>
+                  <option value="apiKey">API key</option>
+                </select>
+                {type === 'apiKey' && (
+                  <input
+                    type="text"
+                    value={header}
+                    onChange={(e) => setHeader(e.target.value)}
+                    placeholder="Header (X-API-Key)"
+                  />
+                )}
+                <input
+                  type="password"
+                  value={token}
+                  onChange={(e) => setToken(e.target.value)}
+                  placeholder={type === 'apiKey' ? 'API key' : 'Token'}
+                  autoComplete="off"
+                />
+                <button type="submit" className="auth-primary-btn" disabled={!token.trim()}>
+                  Save
+                </button>
+                <span className="auth-hint">Kept for this browser tab only.</span>
+              </form>
+            </>
+          )}
+
+          {error && <p className="auth-error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthMenu;
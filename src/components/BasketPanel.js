@@ -0,0 +1,114 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  removeFromBasket,
+  clearBasket,
+  setBasketLayerVisibility,
+  setBasketLayerOpacity,
+  moveBasketLayer,
+} from '../redux/slices/basket';
+import { getTileAssetKeys } from '../utils/tileUrl';
+import './BasketPanel.scss';
+
+/**
+ * Basket layer list
+ * Items added to the basket are shown as stacked tile layers; the list controls
+ * their order (top first), visibility and opacity.
+ */
+const BasketPanel = ({ onZoomTo, onClose }) => {
+  const dispatch = useDispatch();
+  const layers = useSelector((state) => state.basket.layers);
+
+  return (
+    <div className="basket-panel">
+      <div className="basket-panel-header">
+        <span>Layers ({layers.length})</span>
+        <div className="basket-panel-actions">
+          {layers.length > 0 && (
+            <button className="basket-link-btn" onClick={() => dispatch(clearBasket())}>
+              Clear
+            </button>
+          )}
+          <button className="basket-panel-close" onClick={onClose} aria-label="Close layers">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {layers.length === 0 ? (
+        <p className="basket-empty">
+          Use "Add to layers" on search results to compare several items on the map.
+        </p>
+      ) : (
+        <ul className="basket-layers">
+          {layers.map(({ item, visible, opacity }, index) => (
+            <li key={item.id} className={`basket-layer ${visible ? '' : 'basket-layer-hidden'}`}>
+              <div className="basket-layer-row">
+                <input
+                  type="checkbox"
+                  checked={visible}
+                  onChange={(e) => dispatch(setBasketLayerVisibility({ itemId: item.id, visible: e.target.checked }))}
+                  title={visible ? 'Hide layer' : 'Show layer'}
+                />
+                <button
+                  className="basket-layer-name"
+                  onClick={() => onZoomTo(item)}
+                  title={`${item.id} - click to zoom`}
+                >
+                  {item.id}
+                </button>
+                <div className="basket-layer-order">
+                  <button
+                    onClick={() => dispatch(moveBasketLayer({ itemId: item.id, offset: -1 }))}
+                    disabled={index === 0}
+                    aria-label="Move up"
+                    title="Move up"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    onClick={() => dispatch(moveBasketLayer({ itemId: item.id, offset: 1 }))}
+                    disabled={index === layers.length - 1}
+                    aria-label="Move down"
+                    title="Move down"
+                  >
+                    ▼
+                  </button>
+                </div>
+                <button
+                  className="basket-layer-remove"
+                  onClick={() => dispatch(removeFromBasket(item.id))}
+                  aria-label="Remove layer"
+                  title="Remove layer"
+                >
+                  ✕
+                </button>
+              </div>
+              <div className="basket-layer-row basket-layer-details">
+                <span className="basket-layer-date">
+                  {item.properties?.datetime ? new Date(item.properties.datetime).toLocaleDateString() : 'Unknown date'}
+                </span>
+                {getTileAssetKeys(item).length > 0 ? (
+                  <label className="basket-layer-opacity" title="Opacity">
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={Math.round(opacity * 100)}
+                      onChange={(e) => dispatch(setBasketLayerOpacity({ itemId: item.id, opacity: Number(e.target.value) / 100 }))}
+                    />
+                    <span>{Math.round(opacity * 100)}%</span>
+                  </label>
+                ) : (
+                  <span className="basket-layer-no-tiles">No tiles</span>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BasketPanel;
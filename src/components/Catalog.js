@@ -1,19 +1,73 @@
-import React, { useEffect, useState, useRef } from 'react';
-import { MapContainer, TileLayer, useMap, GeoJSON } from 'react-leaflet';
-import { Link } from 'react-router-dom';
+import React, { useCallback, useEffect, useState, useRef, useMemo } from 'react';
+import { MapContainer, TileLayer, useMap, useMapEvents, GeoJSON } from 'react-leaflet';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import L from 'leaflet';
 import 'leaflet-draw';
-import { useDispatch, useSelector } from 'react-redux';
+import { useDispatch, useSelector, useStore } from 'react-redux';
 import {
+  fetchCapabilitiesAsync,
   fetchCollectionsAsync,
+  fetchQueryablesAsync,
   searchItemsAsync,
+  loadMoreItemsAsync,
   setDrawnGeometry,
   clearDrawnGeometry,
   setSelectedCollections,
+  setSearchParams,
   setDateRange,
   clearSearch,
+  setSelectedItemId,
+  setBaseMap,
+  setMapView,
 } from '../redux/slices/stacCatalog';
+import { addToBasket, removeFromBasket } from '../redux/slices/basket';
+import {
+  DEFAULT_MAP_VIEW,
+  DEFAULT_BASE_MAP,
+  buildCollectionLink,
+  isSameMapView,
+  parseSearchState,
+  serializeSearchState,
+} from '../utils/searchUrl';
+import {
+  isTileAsset,
+  isTmsTileUrl,
+  getTileAssetKeys,
+  getCogAssetKeys,
+  getTileZoomRange,
+  formatXYZUrl,
+  formatQGISArcGISUrl,
+} from '../utils/tileUrl';
+import { toQgisLayerDefinition } from '../utils/gisLayers';
+import { downloadFile, toXyzUrlCsv } from '../utils/export';
+import { getAnimationFrames } from '../utils/animation';
+import { openCogAssets, createCogLayer } from '../utils/cog';
+import { createAuthTileLayer } from '../utils/authTiles';
+import { clusterFootprints, getItemBounds } from '../utils/footprints';
+import { GROUP_OPTIONS, getGroupKey, groupItems } from '../utils/grouping';
+import { getMosaicCoverage, getMosaicItems } from '../utils/mosaic';
+import { createMosaicLayer } from '../utils/mosaicLayer';
 import Skeleton from './Skeleton';
+import FilterBuilder from './FilterBuilder';
+import AoiImport from './AoiImport';
+import ExportMenu from './ExportMenu';
+import BasketPanel from './BasketPanel';
+import CompareControls from './CompareControls';
+import TimelineHistogram from './TimelineHistogram';
+import AnimationPlayer from './AnimationPlayer';
+import CogControls from './CogControls';
+import PixelInspector from './PixelInspector';
+import MosaicControls from './MosaicControls';
+import SavedSearches from './SavedSearches';
+import WatchMenu from './WatchMenu';
+import EndpointSwitcher from './EndpointSwitcher';
+import AuthMenu from './AuthMenu';
+import OfflineMenu from './OfflineMenu';
+import ErrorMessage from './ErrorMessage';
+import VirtualList from './VirtualList';
+import ResultItemCard from './ResultItemCard';
+import ResultGroupHeader from './ResultGroupHeader';
+import useLinkEndpoint from '../hooks/useLinkEndpoint';
 import spectraLogo from '../assets/images/logo/spectra/spectra-merah.png';
 import './Catalog.scss';
 
@@ -25,6 +79,12 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
 });
 
+// Layers added by a group's "Show on map" without asking
+const MAX_GROUP_LAYERS = 20;
+
+// Rows of the results list: group headers and items
+const getRowKey = (row) => row.key;
+
 // Map Ref Setter Component
 const MapRefSetter = ({ mapRef, featureGroup }) => {
   const map = useMap();
@@ -75,31 +135,31 @@ const ZoomControlPosition = () => {
   return null;
 };
 
+// Base map configurations
+const BASE_MAPS = {
+  carto: {
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+  },
+  osm: {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  },
+  googleHybrid: {
+    url: 'https://mt1.google.com/vt/lyrs=y&x={x}&y={y}&z={z}',
+    attribution: '&copy; <a href="https://www.google.com/maps">Google Maps</a>',
+  },
+  terrain: {
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a>',
+  },
+};
+
 // Base Map Layer Component
 const BaseMapLayer = ({ baseMap }) => {
   const map = useMap();
   const tileLayerRef = useRef(null);
 
-  // Base map configurations
-  const baseMaps = {
-    carto: {
-      url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-    },
-    osm: {
-      url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    },
-    googleHybrid: {
-      url: 'https://mt1.google.com/vt/lyrs=y&x={x}&y={y}&z={z}',
-      attribution: '&copy; <a href="https://www.google.com/maps">Google Maps</a>',
-    },
-    terrain: {
-      url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a>',
-    },
-  };
-
   useEffect(() => {
     // Remove existing tile layer
     if (tileLayerRef.current && map.hasLayer(tileLayerRef.current)) {
@@ -108,7 +168,7 @@ const BaseMapLayer = ({ baseMap }) => {
     }
 
     // Get base map configuration
-    const baseMapConfig = baseMaps[baseMap];
+    const baseMapConfig = BASE_MAPS[baseMap];
     if (!baseMapConfig) {
       console.warn('Unknown base map:', baseMap);
       return;
@@ -135,6 +195,31 @@ const BaseMapLayer = ({ baseMap }) => {
   return null;
 };
 
+// Map View Sync Component (reports the viewport and applies restored viewports)
+const MapViewSync = ({ mapView, onViewChange }) => {
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      onViewChange({
+        center: [center.lat, center.lng],
+        zoom: map.getZoom(),
+      });
+    },
+  });
+
+  useEffect(() => {
+    if (!mapView) return;
+    const center = map.getCenter();
+    const currentView = { center: [center.lat, center.lng], zoom: map.getZoom() };
+    // Only move the map when the view comes from outside (e.g. browser back/forward)
+    if (!isSameMapView(currentView, mapView)) {
+      map.setView(mapView.center, mapView.zoom);
+    }
+  }, [map, mapView]);
+
+  return null;
+};
+
 // Hover Extent Layer Component (shows extent on hover)
 const HoverExtentLayer = ({ item }) => {
   const map = useMap();
@@ -174,113 +259,656 @@ const HoverExtentLayer = ({ item }) => {
   return null;
 };
 
+// Extent style for search result footprints
+// Highlighted footprints (e.g. the hovered timeline bucket) use the hover colour
+const getExtentStyle = (isSelected, isHighlighted = false) => {
+  if (isHighlighted && !isSelected) {
+    return { color: '#ff6600', weight: 3, fill: false, opacity: 1.0 };
+  }
+  return {
+    color: isSelected ? '#ff0000' : '#3388ff',
+    weight: isSelected ? 3 : 2,
+    fill: false,
+    opacity: isSelected ? 1.0 : 0.7,
+  };
+};
+
+// Popup of a result footprint with a button to show the item
+const createItemPopup = (item, onShowData) => {
+  const popupDiv = L.DomUtil.create('div', 'item-popup');
+  popupDiv.innerHTML = `
+    <div style="min-width: 200px;">
+      <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem;">${item.id}</h3>
+      <p style="margin: 0.25rem 0; font-size: 0.85rem;">
+        <strong>Collection:</strong> ${item.collection || 'N/A'}
+      </p>
+      <p style="margin: 0.25rem 0; font-size: 0.85rem;">
+        <strong>Date:</strong> ${item.properties?.datetime ? new Date(item.properties.datetime).toLocaleDateString() : 'N/A'}
+      </p>
+      ${item.properties?.description ? `<p style="margin: 0.5rem 0 0 0; font-size: 0.85rem;">${item.properties.description}</p>` : ''}
+      <button 
+        class="popup-show-data-btn"
+        style="margin-top: 0.5rem; padding: 0.4rem 0.8rem; background: #3388ff; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85rem; width: 100%;"
+      >
+        Show Data
+      </button>
+    </div>
+  `;
+  L.DomEvent.on(popupDiv.querySelector('.popup-show-data-btn'), 'click', (e) => {
+    L.DomEvent.stopPropagation(e);
+    onShowData();
+  });
+  return popupDiv;
+};
+
+// Items listed in the popup of a cluster that can't be zoomed into further
+const MAX_CLUSTER_POPUP_ITEMS = 20;
+
+// Popup of a cluster of overlapping footprints: one row per item
+const createClusterPopup = (items, onItemClick) => {
+  const popupDiv = L.DomUtil.create('div', 'cluster-popup');
+  const title = L.DomUtil.create('strong', 'cluster-popup-title', popupDiv);
+  title.textContent = `${items.length} items`;
+  const list = L.DomUtil.create('ul', '', popupDiv);
+  items.slice(0, MAX_CLUSTER_POPUP_ITEMS).forEach((item) => {
+    const button = L.DomUtil.create('button', 'cluster-popup-item', L.DomUtil.create('li', '', list));
+    const date = item.properties?.datetime ? ` · ${new Date(item.properties.datetime).toLocaleDateString()}` : '';
+    button.textContent = `${item.id}${date}`;
+    L.DomEvent.on(button, 'click', (e) => {
+      L.DomEvent.stopPropagation(e);
+      onItemClick(item);
+    });
+  });
+  if (items.length > MAX_CLUSTER_POPUP_ITEMS) {
+    L.DomUtil.create('p', 'cluster-popup-more', popupDiv).textContent = `and ${items.length - MAX_CLUSTER_POPUP_ITEMS} more`;
+  }
+  return popupDiv;
+};
+
+// Cluster marker sized by its item count
+const createClusterIcon = (count, highlighted) => {
+  const size = Math.round(28 + Math.min(16, Math.log10(count) * 8));
+  return L.divIcon({
+    className: `footprint-cluster ${highlighted ? 'footprint-cluster-highlighted' : ''}`,
+    html: `<span>${count}</span>`,
+    iconSize: [size, size],
+  });
+};
+
 // All Items Extent Layer Component (shows all search result extents)
-const AllItemsExtentLayer = ({ items, onItemClick, selectedItemId, visible = true }) => {
+// Footprints are drawn on one canvas; layers are created per item id on first
+// display, so appending a page of results or zooming doesn't rebuild them.
+// Footprints too small to see at the current zoom are aggregated into clusters.
+const AllItemsExtentLayer = ({ items, onItemClick, selectedItemId, highlightedItemIds = null, visible = true }) => {
   const map = useMap();
-  const layersRef = useRef([]);
-
+  const renderer = useMemo(() => L.canvas({ padding: 0.5, tolerance: 4 }), []);
+  const footprintGroup = useMemo(() => L.layerGroup(), []);
+  const clusterGroup = useMemo(() => L.layerGroup(), []);
+  const entriesRef = useRef(new Map()); // item id -> { item, bounds, layer }
+  const selectedItemIdRef = useRef(selectedItemId);
+  const highlightedItemIdsRef = useRef(null);
+  const onItemClickRef = useRef(onItemClick);
+
+  // Keep latest handler/selection available to layer event handlers without rebuilding layers
   useEffect(() => {
-    // Remove all existing layers
-    layersRef.current.forEach((layer) => {
-      if (layer && map.hasLayer(layer)) {
-        map.removeLayer(layer);
-      }
+    onItemClickRef.current = onItemClick;
+  }, [onItemClick]);
+
+  // Footprint layer of an item, created when it is first drawn
+  const getFootprintLayer = useCallback((entry) => {
+    if (entry.layer) {
+      return entry.layer;
+    }
+    const { item } = entry;
+    const geoJsonLayer = L.geoJSON(item.geometry, {
+      renderer,
+      style: getExtentStyle(
+        selectedItemIdRef.current === item.id,
+        highlightedItemIdsRef.current?.has(item.id)
+      ),
     });
-    layersRef.current = [];
 
-    if (!items || items.length === 0 || !visible) return;
+    // Popup content is built when the popup opens
+    geoJsonLayer.bindPopup(() => createItemPopup(item, () => {
+      if (onItemClickRef.current) {
+        onItemClickRef.current(item);
+      }
+      geoJsonLayer.closePopup();
+    }));
 
-    // Create extent layer for each item
-    items.forEach((item) => {
-      if (!item.geometry) return;
+    // Add click handler to select item and show data
+    geoJsonLayer.on('click', () => {
+      if (onItemClickRef.current) {
+        onItemClickRef.current(item);
+      }
+    });
 
-      const isSelected = selectedItemId === item.id;
+    // Add hover effect
+    geoJsonLayer.on('mouseover', (e) => {
+      if (selectedItemIdRef.current !== item.id) {
+        e.target.setStyle({ color: '#ff6600', weight: 3, opacity: 1.0 });
+      }
+    });
 
-      // Create GeoJSON layer for each item extent
-      const geoJsonLayer = L.geoJSON(item.geometry, {
-        style: {
-          color: isSelected ? '#ff0000' : '#3388ff',
-          weight: isSelected ? 3 : 2,
-          fill: false,
-          opacity: isSelected ? 1.0 : 0.7,
-        },
-      });
+    geoJsonLayer.on('mouseout', (e) => {
+      e.target.setStyle(getExtentStyle(
+        selectedItemIdRef.current === item.id,
+        highlightedItemIdsRef.current?.has(item.id)
+      ));
+    });
 
-      // Add popup with item info
-      const popupDiv = L.DomUtil.create('div', 'item-popup');
-      popupDiv.innerHTML = `
-        <div style="min-width: 200px;">
-          <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem;">${item.id}</h3>
-          <p style="margin: 0.25rem 0; font-size: 0.85rem;">
-            <strong>Collection:</strong> ${item.collection || 'N/A'}
-          </p>
-          <p style="margin: 0.25rem 0; font-size: 0.85rem;">
-            <strong>Date:</strong> ${item.properties?.datetime ? new Date(item.properties.datetime).toLocaleDateString() : 'N/A'}
-          </p>
-          ${item.properties?.description ? `<p style="margin: 0.5rem 0 0 0; font-size: 0.85rem;">${item.properties.description}</p>` : ''}
-          <button 
-            class="popup-show-data-btn"
-            style="margin-top: 0.5rem; padding: 0.4rem 0.8rem; background: #3388ff; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85rem; width: 100%;"
-          >
-            Show Data
-          </button>
-        </div>
-      `;
+    entry.layer = geoJsonLayer;
+    return geoJsonLayer;
+  }, [renderer]);
+
+  // Draw footprints and clusters for the current zoom level
+  const updateClusters = useCallback(() => {
+    const entries = entriesRef.current;
+    const zoom = map.getZoom();
+    const keepIds = new Set(selectedItemIdRef.current ? [selectedItemIdRef.current] : []);
+    const { footprints, clusters } = clusterFootprints(
+      [...entries.values()].map(({ item, bounds }) => ({ id: item.id, bounds })),
+      (lng, lat) => map.project([lat, lng], zoom),
+      { keepIds }
+    );
+
+    const shown = new Set(footprints);
+    entries.forEach((entry, id) => {
+      if (shown.has(id)) {
+        footprintGroup.addLayer(getFootprintLayer(entry));
+      } else if (entry.layer) {
+        footprintGroup.removeLayer(entry.layer);
+      }
+    });
+    highlightedItemIdsRef.current?.forEach((id) => {
+      if (shown.has(id)) entries.get(id)?.layer?.bringToFront();
+    });
 
-      // Add click handler to popup button
-      L.DomEvent.on(popupDiv.querySelector('.popup-show-data-btn'), 'click', function(e) {
-        L.DomEvent.stopPropagation(e);
-        if (onItemClick) {
-          onItemClick(item);
+    clusterGroup.clearLayers();
+    clusters.forEach((cluster) => {
+      const highlighted = cluster.ids.some((id) => highlightedItemIdsRef.current?.has(id));
+      const marker = L.marker([cluster.center[1], cluster.center[0]], {
+        icon: createClusterIcon(cluster.ids.length, highlighted),
+        title: `${cluster.ids.length} items`,
+      });
+      const [west, south, east, north] = cluster.bounds;
+      const bounds = L.latLngBounds([south, west], [north, east]);
+      marker.on('click', () => {
+        // Zoom in to split the cluster, or list its items when they overlap
+        if (map.getBoundsZoom(bounds) > map.getZoom()) {
+          map.fitBounds(bounds, { padding: [40, 40] });
+          return;
         }
-        // Close popup
-        geoJsonLayer.closePopup();
+        const clusterItems = cluster.ids.map((id) => entries.get(id)?.item).filter(Boolean);
+        marker.bindPopup(createClusterPopup(clusterItems, (item) => {
+          marker.closePopup();
+          if (onItemClickRef.current) {
+            onItemClickRef.current(item);
+          }
+        })).openPopup();
       });
+      clusterGroup.addLayer(marker);
+    });
+  }, [map, footprintGroup, clusterGroup, getFootprintLayer]);
 
-      geoJsonLayer.bindPopup(popupDiv);
+  // Sync the items with the layers
+  useEffect(() => {
+    const entries = entriesRef.current;
+
+    if (!items || items.length === 0 || !visible) {
+      footprintGroup.remove();
+      clusterGroup.remove();
+      footprintGroup.clearLayers();
+      clusterGroup.clearLayers();
+      entries.clear();
+      return;
+    }
 
-      // Add click handler to select item and show data
-      geoJsonLayer.on('click', function() {
-        if (onItemClick) {
-          onItemClick(item);
+    // Drop entries for items that are no longer part of the results
+    const currentItems = new Map(items.map((item) => [item.id, item]));
+    entries.forEach((entry, id) => {
+      if (currentItems.get(id) !== entry.item) {
+        if (entry.layer) {
+          footprintGroup.removeLayer(entry.layer);
         }
-      });
+        entries.delete(id);
+      }
+    });
 
-      // Add hover effect
-      geoJsonLayer.on('mouseover', function(e) {
-        const layer = e.target;
-        if (selectedItemId !== item.id) {
-          layer.setStyle({
-            color: '#ff6600',
-            weight: 3,
-            opacity: 1.0,
-          });
-        }
-      });
+    items.forEach((item) => {
+      if (!item.geometry || entries.has(item.id)) return;
+      const bounds = getItemBounds(item);
+      if (bounds) {
+        entries.set(item.id, { item, bounds, layer: null });
+      }
+    });
+
+    footprintGroup.addTo(map);
+    clusterGroup.addTo(map);
+    updateClusters();
+  }, [map, items, visible, footprintGroup, clusterGroup, updateClusters]);
+
+  // Re-cluster when the zoom level changes
+  useEffect(() => {
+    map.on('zoomend', updateClusters);
+    return () => {
+      map.off('zoomend', updateClusters);
+    };
+  }, [map, updateClusters]);
+
+  // Update styles when the selected or highlighted items change
+  useEffect(() => {
+    const highlighted = highlightedItemIds ? new Set(highlightedItemIds) : null;
+    selectedItemIdRef.current = selectedItemId;
+    highlightedItemIdsRef.current = highlighted;
+    entriesRef.current.forEach(({ layer }, id) => {
+      if (layer) {
+        layer.setStyle(getExtentStyle(id === selectedItemId, highlighted?.has(id)));
+      }
+    });
+    // The selected footprint is never clustered; highlights are shown on clusters too
+    if (visible && entriesRef.current.size > 0) {
+      updateClusters();
+    }
+  }, [selectedItemId, highlightedItemIds, visible, updateClusters]);
+
+  // Remove all layers on unmount
+  useEffect(() => {
+    const entries = entriesRef.current;
+    return () => {
+      footprintGroup.remove();
+      clusterGroup.remove();
+      footprintGroup.clearLayers();
+      clusterGroup.clearLayers();
+      entries.clear();
+      if (map.hasLayer(renderer)) {
+        map.removeLayer(renderer);
+      }
+    };
+  }, [map, renderer, footprintGroup, clusterGroup]);
 
-      geoJsonLayer.on('mouseout', function(e) {
-        const layer = e.target;
-        const isSelected = selectedItemId === item.id;
-        layer.setStyle({
-          color: isSelected ? '#ff0000' : '#3388ff',
-          weight: isSelected ? 3 : 2,
-          opacity: isSelected ? 1.0 : 0.7,
+  return null;
+};
+
+// Create a tile layer for a tiles asset of an item (handles TMS and CORS)
+const createItemTileLayer = (item, tilesAsset, options = {}) => {
+  const tileUrl = formatXYZUrl(tilesAsset.href);
+
+  // Check if tile URL is same origin (try-catch for URL parsing)
+  let isSameOrigin = false;
+  try {
+    // Try to parse URL by replacing template variables with sample values
+    const sampleUrl = tileUrl.replace('{z}/{x}/{y}.png', '0/0/0.png');
+    const tileUrlObj = new URL(sampleUrl);
+    isSameOrigin = tileUrlObj.origin === window.location.origin;
+  } catch (e) {
+    // If URL parsing fails, assume cross-origin
+    console.warn('Could not parse tile URL for origin check:', e);
+    isSameOrigin = false;
+  }
+
+  // gdal2tiles generates TMS format tiles (Y coordinate needs to be flipped)
+  const isTMS = isTmsTileUrl(tileUrl);
+
+  console.log('Creating tile layer:', {
+    url: tileUrl,
+    isTMS: isTMS,
+    isSameOrigin: isSameOrigin,
+    itemId: item.id
+  });
+
+  // Create new tile layer with CORS support (and credentials for protected tile servers)
+  // Match leaflet.html configuration: tms format, proper z-index
+  const { minZoom, maxZoom } = getTileZoomRange(tilesAsset);
+  return createAuthTileLayer(tileUrl, {
+    attribution: item.id || '',
+    opacity: 1.0, // Full opacity - tiles should completely cover base map
+    zIndex: 1000, // Higher z-index to ensure tiles are on top of base map
+    maxZoom,
+    minZoom,
+    crossOrigin: isSameOrigin ? false : 'anonymous', // Only use CORS for cross-origin requests
+    tms: isTMS, // Enable TMS format for gdal2tiles (flips Y coordinate) - matches leaflet.html
+    // Remove errorTileUrl to prevent showing any error tiles (let them be transparent)
+    // This matches leaflet.html behavior where missing tiles don't show anything
+    ...options,
+  });
+};
+
+// Basket Layers Component (one tile layer per basket item, in basket order)
+const BasketLayers = ({ layers }) => {
+  const map = useMap();
+  const tileLayersRef = useRef(new Map()); // item id -> L.TileLayer
+
+  useEffect(() => {
+    const tileLayers = tileLayersRef.current;
+    const ids = new Set(layers.map((layer) => layer.item.id));
+
+    // Remove layers no longer in the basket
+    tileLayers.forEach((tileLayer, id) => {
+      if (!ids.has(id)) {
+        map.removeLayer(tileLayer);
+        tileLayers.delete(id);
+      }
+    });
+
+    layers.forEach(({ item, visible, opacity }, index) => {
+      let tileLayer = tileLayers.get(item.id);
+      if (!tileLayer) {
+        const tilesAsset = Object.values(item.assets || {}).find(isTileAsset);
+        if (!tilesAsset || !tilesAsset.href) {
+          return;
+        }
+        tileLayer = createItemTileLayer(item, tilesAsset);
+        tileLayer.on('tileerror', (e) => {
+          // Hide error tiles so they don't cover layers below
+          if (e.tile) {
+            e.tile.style.display = 'none';
+          }
         });
-      });
+        tileLayers.set(item.id, tileLayer);
+      }
 
-      geoJsonLayer.addTo(map);
-      layersRef.current.push(geoJsonLayer);
+      // First basket layer is drawn on top; all stay below the selected item preview (1000)
+      tileLayer.setZIndex(900 - index);
+      tileLayer.setOpacity(opacity);
+      if (visible && !map.hasLayer(tileLayer)) {
+        tileLayer.addTo(map);
+      } else if (!visible && map.hasLayer(tileLayer)) {
+        map.removeLayer(tileLayer);
+      }
+    });
+  }, [map, layers]);
+
+  // Remove all layers on unmount
+  useEffect(() => {
+    const tileLayers = tileLayersRef.current;
+    return () => {
+      tileLayers.forEach((tileLayer) => map.removeLayer(tileLayer));
+      tileLayers.clear();
+    };
+  }, [map]);
+
+  return null;
+};
+
+// Compare Tile Layer Component (one side of a swipe / split comparison)
+// With a swipe position (0-1) the layer is clipped to its side of the divider.
+const CompareTileLayer = ({ item, side = null, swipePosition = null }) => {
+  const map = useMap();
+  const tileLayerRef = useRef(null);
+
+  useEffect(() => {
+    const tilesAsset = Object.values(item?.assets || {}).find(isTileAsset);
+    if (!tilesAsset || !tilesAsset.href) {
+      return;
+    }
+    const tileLayer = createItemTileLayer(item, tilesAsset, {
+      zIndex: side === 'right' ? 1101 : 1100,
     });
+    tileLayer.addTo(map);
+    tileLayerRef.current = tileLayer;
+
+    return () => {
+      map.removeLayer(tileLayer);
+      tileLayerRef.current = null;
+    };
+  }, [map, item, side]);
+
+  useEffect(() => {
+    const tileLayer = tileLayerRef.current;
+    if (!tileLayer || !side || swipePosition === null) {
+      return;
+    }
+
+    // Clip rect in layer coordinates so it follows panning (as leaflet-side-by-side does)
+    const updateClip = () => {
+      const container = tileLayer.getContainer();
+      if (!container) return;
+      const nw = map.containerPointToLayerPoint([0, 0]);
+      const se = map.containerPointToLayerPoint(map.getSize());
+      const clipX = nw.x + map.getSize().x * swipePosition;
+      container.style.clip = side === 'left'
+        ? `rect(${nw.y}px, ${clipX}px, ${se.y}px, ${nw.x}px)`
+        : `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${clipX}px)`;
+    };
 
+    updateClip();
+    map.on('move zoomend resize', updateClip);
     return () => {
-      layersRef.current.forEach((layer) => {
-        if (layer && map.hasLayer(layer)) {
-          map.removeLayer(layer);
+      map.off('move zoomend resize', updateClip);
+      const container = tileLayer.getContainer();
+      if (container) {
+        container.style.clip = '';
+      }
+    };
+  }, [map, item, side, swipePosition]);
+
+  return null;
+};
+
+// COG Asset Layer Component (GeoTIFF assets rendered in the browser)
+// The layer is created once per item; rendering changes only redraw its tiles.
+const CogAssetLayer = ({ item, assetKeys, rendering, onLoadingChange }) => {
+  const map = useMap();
+  const cogLayerRef = useRef(null);
+  const renderingRef = useRef(rendering);
+  const onLoadingChangeRef = useRef(onLoadingChange);
+
+  useEffect(() => {
+    onLoadingChangeRef.current = onLoadingChange;
+  }, [onLoadingChange]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let cogLayer = null;
+
+    openCogAssets(item, assetKeys)
+      .then((cogs) => {
+        if (cancelled) return;
+        const options = { zIndex: 1000 };
+        if (item.bbox && item.bbox.length === 4) {
+          const [minx, miny, maxx, maxy] = item.bbox;
+          options.bounds = L.latLngBounds([[miny, minx], [maxy, maxx]]);
         }
+        cogLayer = createCogLayer(item, cogs, renderingRef.current, options);
+        cogLayer.on('loading', () => onLoadingChangeRef.current?.(true));
+        cogLayer.on('load', () => onLoadingChangeRef.current?.(false));
+        cogLayer.addTo(map);
+        cogLayerRef.current = cogLayer;
+      })
+      .catch((err) => {
+        // CogControls reports the error
+        console.warn('COG layer not created:', err);
       });
-      layersRef.current = [];
+
+    return () => {
+      cancelled = true;
+      if (cogLayer) {
+        map.removeLayer(cogLayer);
+      }
+      cogLayerRef.current = null;
+      onLoadingChangeRef.current?.(false);
     };
-  }, [map, items, selectedItemId, onItemClick, visible]);
+  }, [map, item, assetKeys]);
+
+  useEffect(() => {
+    renderingRef.current = rendering;
+    if (cogLayerRef.current) {
+      cogLayerRef.current.setRendering(rendering);
+    }
+  }, [rendering]);
+
+  return null;
+};
+
+// Inspect Point Layer Component (pixel inspector)
+// Map clicks set the inspected point, except while an AOI is being drawn.
+const InspectPointLayer = ({ point, onPointChange }) => {
+  const drawingRef = useRef(false);
+  const map = useMapEvents({
+    click: (e) => {
+      if (!drawingRef.current) {
+        const { lng, lat } = e.latlng.wrap();
+        onPointChange([lng, lat]);
+      }
+    },
+    [L.Draw.Event.DRAWSTART]: () => {
+      drawingRef.current = true;
+    },
+    [L.Draw.Event.DRAWSTOP]: () => {
+      drawingRef.current = false;
+    },
+  });
+
+  useEffect(() => {
+    if (!point) return undefined;
+    const marker = L.circleMarker([point[1], point[0]], {
+      radius: 6,
+      color: '#ff6600',
+      weight: 2,
+      fillColor: '#fff',
+      fillOpacity: 1,
+      interactive: false,
+    }).addTo(map);
+    return () => {
+      map.removeLayer(marker);
+    };
+  }, [map, point]);
+
+  return null;
+};
+
+// Mosaic of the results: one composited tile layer (see utils/mosaicLayer.js)
+const MosaicTileLayer = ({ items, opacity }) => {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const opacityRef = useRef(opacity);
+
+  useEffect(() => {
+    const mosaicLayer = createMosaicLayer(items, { zIndex: 1000, opacity: opacityRef.current });
+    mosaicLayer.addTo(map);
+    layerRef.current = mosaicLayer;
+    return () => {
+      map.removeLayer(mosaicLayer);
+      layerRef.current = null;
+    };
+  }, [map, items]);
+
+  // Opacity changes don't rebuild the layer
+  useEffect(() => {
+    opacityRef.current = opacity;
+    if (layerRef.current) {
+      layerRef.current.setOpacity(opacity);
+    }
+  }, [opacity]);
+
+  return null;
+};
+
+// Mosaic footprint legend: the area each scene contributes, in its legend color
+const MosaicFootprintLayer = ({ coverage }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    const group = L.featureGroup();
+    coverage.forEach(({ item, color, geometry }) => {
+      if (!geometry) return;
+      L.geoJSON(geometry, {
+        style: { color, weight: 1.5, opacity: 0.9, fillColor: color, fillOpacity: 0.12 },
+      })
+        .bindTooltip(item.id, { sticky: true })
+        .addTo(group);
+    });
+    group.addTo(map);
+    return () => {
+      map.removeLayer(group);
+    };
+  }, [map, coverage]);
+
+  return null;
+};
+
+// Animation Tile Layer Component (time-series player)
+// The current frame is shown on top; the next frame loads underneath at zero opacity
+// so its tiles are ready when the player advances.
+const AnimationTileLayer = ({ frames, index }) => {
+  const map = useMap();
+  const tileLayersRef = useRef(new Map()); // item id -> L.TileLayer
+
+  useEffect(() => {
+    const tileLayers = tileLayersRef.current;
+    const current = frames[index];
+    const next = frames[(index + 1) % frames.length];
+    const wanted = new Set([current.item.id, next.item.id]);
+
+    tileLayers.forEach((tileLayer, id) => {
+      if (!wanted.has(id)) {
+        map.removeLayer(tileLayer);
+        tileLayers.delete(id);
+      }
+    });
+
+    [next, current].forEach((frame) => {
+      let tileLayer = tileLayers.get(frame.item.id);
+      if (!tileLayer) {
+        tileLayer = createItemTileLayer(frame.item, frame.item.assets[frame.assetKey]);
+        tileLayer.addTo(map);
+        tileLayers.set(frame.item.id, tileLayer);
+      }
+      const isCurrent = frame === current;
+      tileLayer.setOpacity(isCurrent ? 1 : 0);
+      tileLayer.setZIndex(isCurrent ? 1001 : 1000);
+    });
+  }, [map, frames, index]);
+
+  // Remove all layers on unmount
+  useEffect(() => {
+    const tileLayers = tileLayersRef.current;
+    return () => {
+      tileLayers.forEach((tileLayer) => map.removeLayer(tileLayer));
+      tileLayers.clear();
+    };
+  }, [map]);
+
+  return null;
+};
+
+// Map Sync Component (keeps this map's view in sync with another map, both ways)
+const MapSyncWith = ({ otherMap }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!otherMap) return;
+
+    let syncing = false;
+    const syncView = (source, target) => () => {
+      if (syncing) return;
+      syncing = true;
+      target.setView(source.getCenter(), source.getZoom(), { animate: false });
+      syncing = false;
+    };
+    const fromThis = syncView(map, otherMap);
+    const fromOther = syncView(otherMap, map);
+
+    fromOther();
+    map.on('move', fromThis);
+    otherMap.on('move', fromOther);
+    return () => {
+      map.off('move', fromThis);
+      otherMap.off('move', fromOther);
+    };
+  }, [map, otherMap]);
+
+  return null;
+};
+
+// Map Size Sync Component (re-measures the map when its container is resized by CSS)
+const MapSizeSync = ({ layoutKey }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    map.invalidateSize();
+  }, [map, layoutKey]);
 
   return null;
 };
@@ -310,12 +938,7 @@ const ItemAssetLayer = ({ item, selected, showGeometry = false, showTiles = true
     }
 
     // Find tiles asset
-    const tilesAsset = Object.values(item.assets || {}).find(
-      (asset) => {
-        const roles = asset.roles || [];
-        return roles.includes('tiles') || roles.includes('data');
-      }
-    );
+    const tilesAsset = Object.values(item.assets || {}).find(isTileAsset);
 
     // Reset loading state when item changes or no tiles
     if (!showTiles || !tilesAsset || !tilesAsset.href) {
@@ -326,62 +949,12 @@ const ItemAssetLayer = ({ item, selected, showGeometry = false, showTiles = true
 
     // Add tile layer if tiles asset exists and showTiles is true
     if (showTiles && tilesAsset && tilesAsset.href) {
-      let tileUrl = tilesAsset.href;
-      
-      // Fix HTTP to HTTPS if needed (for same domain)
-      if (tileUrl.startsWith('http://') && window.location.protocol === 'https:') {
-        tileUrl = tileUrl.replace('http://', 'https://');
-      }
-      
-      // Ensure URL has {z}/{x}/{y} template
-      if (!tileUrl.includes('{z}')) {
-        tileUrl = tileUrl.endsWith('/') ? tileUrl : tileUrl + '/';
-        tileUrl = `${tileUrl}{z}/{x}/{y}.png`;
-      }
-
       // Remove existing tile layer
       if (tileLayerRef.current && map.hasLayer(tileLayerRef.current)) {
         map.removeLayer(tileLayerRef.current);
       }
 
-      // Check if tile URL is same origin (try-catch for URL parsing)
-      let isSameOrigin = false;
-      try {
-        // Try to parse URL by replacing template variables with sample values
-        const sampleUrl = tileUrl.replace('{z}/{x}/{y}.png', '0/0/0.png');
-        const tileUrlObj = new URL(sampleUrl);
-        isSameOrigin = tileUrlObj.origin === window.location.origin;
-      } catch (e) {
-        // If URL parsing fails, assume cross-origin
-        console.warn('Could not parse tile URL for origin check:', e);
-        isSameOrigin = false;
-      }
-
-      // gdal2tiles generates TMS format tiles (Y coordinate needs to be flipped)
-      // Check if URL is from spectra.brin.go.id/tiles (gdal2tiles output)
-      const isTMS = tileUrl.includes('spectra.brin.go.id/tiles') || 
-                    (tileUrl.includes('/tiles/') && !tileUrl.includes('tms=false'));
-
-      console.log('Creating tile layer:', {
-        url: tileUrl,
-        isTMS: isTMS,
-        isSameOrigin: isSameOrigin,
-        itemId: item.id
-      });
-
-      // Create new tile layer with CORS support
-      // Match leaflet.html configuration: tms format, proper z-index
-      const tileLayer = L.tileLayer(tileUrl, {
-        attribution: item.id || '',
-        opacity: 1.0, // Full opacity - tiles should completely cover base map
-        zIndex: 1000, // Higher z-index to ensure tiles are on top of base map
-        maxZoom: tilesAsset['tiles:max_zoom'] || 18,
-        minZoom: tilesAsset['tiles:min_zoom'] || 0,
-        crossOrigin: isSameOrigin ? false : 'anonymous', // Only use CORS for cross-origin requests
-        tms: isTMS, // Enable TMS format for gdal2tiles (flips Y coordinate) - matches leaflet.html
-        // Remove errorTileUrl to prevent showing any error tiles (let them be transparent)
-        // This matches leaflet.html behavior where missing tiles don't show anything
-      });
+      const tileLayer = createItemTileLayer(item, tilesAsset);
 
       // Track tile loading state
       let loadingTiles = 0;
@@ -423,9 +996,9 @@ const ItemAssetLayer = ({ item, selected, showGeometry = false, showTiles = true
       // Add error handling for tile loading - hide error tiles completely
       tileLayer.on('tileerror', function(error, tile) {
         console.warn('Tile loading error for:', {
-          url: tile?.src || tileUrl,
+          url: tile?.src || tilesAsset.href,
           error: error,
-          isTMS: isTMS
+          isTMS: tileLayer.options.tms
         });
         // Remove the error tile element to prevent showing base map through it
         if (tile && tile.el) {
@@ -600,83 +1173,343 @@ const DrawControl = ({ onDrawCreated, onDrawDeleted, onDrawEdited, featureGroup
   return null;
 };
 
+// Build searchItemsAsync parameters from filter values
+const buildSearchRequest = ({ collections, startDate, endDate, geometry, filters, sortBy }) => {
+  const params = {};
+
+  // Add collections if any selected
+  if (collections && collections.length > 0) {
+    params.collections = collections;
+  }
+
+  // Add date range - support single date or range
+  if (startDate) {
+    params.startDate = new Date(startDate);
+  }
+  if (endDate) {
+    params.endDate = new Date(endDate);
+  }
+
+  // Add geometry (polygon/rectangle) if drawn
+  if (geometry) {
+    params.geoJson = geometry;
+  }
+
+  // Add property conditions (sent as CQL2 filter) and sort order
+  if (filters && filters.length > 0) {
+    params.filters = filters;
+  }
+  if (sortBy) {
+    params.sortBy = sortBy;
+  }
+
+  return params;
+};
+
 // Main Catalog Component
 const Catalog = () => {
   const dispatch = useDispatch();
+  const store = useStore();
+  const location = useLocation();
+  const navigate = useNavigate();
   const {
     collections,
     items,
     loading,
+    loadingMore,
     error,
     searchParams,
+    queryables,
+    queryablesLoading,
+    pagination,
     drawnGeometry,
+    activeSearch,
+    selectedItemId,
+    baseMap,
+    mapView,
+    capabilities,
   } = useSelector((state) => state.stacCatalog);
+  const basketLayers = useSelector((state) => state.basket.layers);
+  const activeEndpointId = useSelector((state) => state.endpoints.activeEndpoint.id);
+  const activeEndpointUrl = useSelector((state) => state.endpoints.activeEndpoint.url);
+  const signedIn = useSelector((state) => Boolean(state.auth.sessions[state.endpoints.activeEndpoint.url]));
+  const basketItemIds = useMemo(
+    () => new Set(basketLayers.map((layer) => layer.item.id)),
+    [basketLayers]
+  );
+
+  // Items that can be compared: results and basket items with tile assets
+  const compareCandidates = useMemo(() => {
+    const seen = new Set();
+    return [...items, ...basketLayers.map((layer) => layer.item)].filter((item) => {
+      if (seen.has(item.id) || getTileAssetKeys(item).length === 0) {
+        return false;
+      }
+      seen.add(item.id);
+      return true;
+    });
+  }, [items, basketLayers]);
 
   const [selectedCollections, setSelectedCollectionsLocal] = useState([]);
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
-  const [drawnLayer, setDrawnLayer] = useState(null);
-  const [selectedItem, setSelectedItem] = useState(null);
+  const [propertyFilters, setPropertyFilters] = useState([]);
+  const [sortBy, setSortBy] = useState(null);
   const [hoveredItem, setHoveredItem] = useState(null);
   const [showExtentOnly, setShowExtentOnly] = useState(false);
   const [showAllExtents, setShowAllExtents] = useState(true);
+  const [groupBy, setGroupBy] = useState('none');
+  const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
   const [tilesLoading, setTilesLoading] = useState(false);
   const [showInfoPanel, setShowInfoPanel] = useState(false);
   const [filtersPanelOpen, setFiltersPanelOpen] = useState(false);
-  const [baseMap, setBaseMap] = useState('carto'); // Default: Carto
   const [showBaseMapMenu, setShowBaseMapMenu] = useState(false);
+  const [showBasketPanel, setShowBasketPanel] = useState(false);
+  const [compareMode, setCompareMode] = useState(null); // null, 'swipe' or 'split'
+  const [compareLeftId, setCompareLeftId] = useState(null);
+  const [compareRightId, setCompareRightId] = useState(null);
+  const [swipePosition, setSwipePosition] = useState(0.5);
+  const [timelineHighlightIds, setTimelineHighlightIds] = useState(null);
+  const [animationIndex, setAnimationIndex] = useState(null); // null when the player is closed
+  const [cogRendering, setCogRendering] = useState(null); // Rendering of the selected item's GeoTIFFs
+  const [inspecting, setInspecting] = useState(false);
+  const [inspectPoint, setInspectPoint] = useState(null); // [lng, lat] clicked while inspecting
+  const [mosaicOrder, setMosaicOrder] = useState(null); // null when the mosaic is off, else a MOSAIC_ORDERS key
+  const [mosaicOpacity, setMosaicOpacity] = useState(1);
+  const [showMosaicFootprints, setShowMosaicFootprints] = useState(true);
   const mapRef = useRef(null);
-  const itemRefs = useRef({});
+  const mapContainerRef = useRef(null);
+  const cardHandlersRef = useRef({});
   const resultsPanelRef = useRef(null);
+  const loadMoreSentinelRef = useRef(null);
   const featureGroupRef = useRef(new L.FeatureGroup());
+  const drawnLayerRef = useRef(null);
   const hasInitialSearchRef = useRef(false);
+  const lastUrlSearchRef = useRef(null); // Last query string read from or written to the URL
+  const endpointIdRef = useRef(activeEndpointId);
+  const signedInRef = useRef(signedIn);
+  const runSearchRef = useRef(null);
+  // Links made on another STAC API are restored once it is active
+  const linkEndpointUrl = useMemo(() => parseSearchState(location.search).endpointUrl, [location.search]);
+  const linkEndpointReady = useLinkEndpoint(linkEndpointUrl, location.key);
+  const [initialMapView] = useState(
+    () => parseSearchState(location.search).mapView || DEFAULT_MAP_VIEW
+  );
 
-  // Fetch collections on mount
+  const selectedItem = useMemo(
+    () => items.find((item) => item.id === selectedItemId) || null,
+    [items, selectedItemId]
+  );
+  const compareLeft = compareCandidates.find((item) => item.id === compareLeftId) || null;
+  const compareRight = compareCandidates.find((item) => item.id === compareRightId) || null;
+
+  // Results with tiles in acquisition order, for the animation player
+  const animationFrames = useMemo(() => getAnimationFrames(items), [items]);
+  const animating = animationIndex !== null && animationFrames.length > 0;
+  const animationFrameIndex = animating ? Math.min(animationIndex, animationFrames.length - 1) : null;
+
+  // Results with tiles and a footprint composited into one layer, top-ranked first
+  const mosaicCandidateCount = useMemo(
+    () => items.filter((item) => item.geometry && getTileAssetKeys(item).length > 0).length,
+    [items]
+  );
+  const mosaicking = mosaicOrder !== null && mosaicCandidateCount > 0;
+  const mosaicItems = useMemo(
+    () => (mosaicking ? getMosaicItems(items, mosaicOrder) : []),
+    [items, mosaicking, mosaicOrder]
+  );
+  const mosaicCoverage = useMemo(() => getMosaicCoverage(mosaicItems), [mosaicItems]);
+
+  // GeoTIFF assets of the selected item, rendered in the browser when it has no XYZ tiles
+  const selectedCogAssetKeys = useMemo(
+    () => (selectedItem && getTileAssetKeys(selectedItem).length === 0 ? getCogAssetKeys(selectedItem) : []),
+    [selectedItem]
+  );
+  const showCog = selectedCogAssetKeys.length > 0 && !showExtentOnly && !compareMode && !animating && !mosaicking;
+
+  // Raw values can be read from any GeoTIFF asset, also when the item has XYZ tiles
+  const inspectAssetKeys = useMemo(() => (selectedItem ? getCogAssetKeys(selectedItem) : []), [selectedItem]);
+  const showInspector = inspecting && inspectAssetKeys.length > 0;
+
+  // Each selected item starts from the default rendering of its GeoTIFFs
   useEffect(() => {
+    setCogRendering(null);
+  }, [selectedItem]);
+
+  // Fetch capabilities and collections on mount, after switching STAC endpoint
+  // and after signing in or out (restricted collections appear or disappear)
+  useEffect(() => {
+    const { activeSearch: search } = store.getState().stacCatalog;
+    if (endpointIdRef.current !== activeEndpointId) {
+      endpointIdRef.current = activeEndpointId;
+      // An endpoint without a search of its own starts with the auto-search
+      hasInitialSearchRef.current = !!search;
+    } else if (signedInRef.current !== signedIn && search) {
+      dispatch(searchItemsAsync(buildSearchRequest(search)));
+    }
+    signedInRef.current = signedIn;
+    dispatch(fetchCapabilitiesAsync());
     dispatch(fetchCollectionsAsync());
-  }, [dispatch]);
+  }, [dispatch, store, activeEndpointId, signedIn]);
 
   // Auto-search on first load to show available data
   useEffect(() => {
     // Only run once when collections are loaded and we haven't searched yet
-    if (!hasInitialSearchRef.current && collections.length > 0 && !loading) {
+    if (!hasInitialSearchRef.current && linkEndpointReady && collections.length > 0 && !loading) {
       hasInitialSearchRef.current = true;
       // Trigger search with no filters to show all available data
       dispatch(searchItemsAsync({}));
     }
-  }, [collections, loading, dispatch]);
+  }, [collections, loading, linkEndpointReady, dispatch]);
 
   // Sync local state with Redux
+  // (one effect per field so e.g. toggling a collection doesn't reset unsaved dates)
   useEffect(() => {
     setSelectedCollectionsLocal(searchParams.collections || []);
-    if (searchParams.startDate) {
-      setStartDate(new Date(searchParams.startDate).toISOString().split('T')[0]);
+  }, [searchParams.collections]);
+
+  useEffect(() => {
+    setStartDate(searchParams.startDate ? new Date(searchParams.startDate).toISOString().split('T')[0] : '');
+    setEndDate(searchParams.endDate ? new Date(searchParams.endDate).toISOString().split('T')[0] : '');
+  }, [searchParams.startDate, searchParams.endDate]);
+
+  useEffect(() => {
+    setPropertyFilters(searchParams.filters || []);
+  }, [searchParams.filters]);
+
+  useEffect(() => {
+    setSortBy(searchParams.sortBy || null);
+  }, [searchParams.sortBy]);
+
+  // Load filterable properties for the selected collections
+  const selectedCollectionsKey = selectedCollections.join(',');
+  useEffect(() => {
+    const request = dispatch(fetchQueryablesAsync(selectedCollectionsKey ? selectedCollectionsKey.split(',') : []));
+    return () => request.abort();
+  }, [dispatch, selectedCollectionsKey, activeEndpointId]);
+
+  // Remove the current AOI layer from the map and the draw FeatureGroup
+  const removeDrawnLayer = () => {
+    const drawnLayer = drawnLayerRef.current;
+    if (drawnLayer) {
+      if (featureGroupRef.current.hasLayer(drawnLayer)) {
+        featureGroupRef.current.removeLayer(drawnLayer);
+      }
+      if (mapRef.current && mapRef.current.hasLayer(drawnLayer)) {
+        mapRef.current.removeLayer(drawnLayer);
+      }
+      drawnLayerRef.current = null;
     }
-    if (searchParams.endDate) {
-      setEndDate(new Date(searchParams.endDate).toISOString().split('T')[0]);
+  };
+
+  // Show a geometry as the (editable) AOI layer and store it as the drawn geometry
+  const showDrawnGeometry = (geometry) => {
+    removeDrawnLayer();
+    if (!geometry) {
+      dispatch(clearDrawnGeometry());
+      return;
     }
-  }, [searchParams]);
+
+    const [layer] = L.geoJSON(geometry, {
+      style: {
+        color: '#3388ff',
+        weight: 2,
+        fill: false,
+        opacity: 0.8,
+      },
+    }).getLayers();
+    if (layer) {
+      featureGroupRef.current.addLayer(layer);
+      drawnLayerRef.current = layer;
+    }
+    dispatch(setDrawnGeometry(geometry));
+  };
+
+  // Set all filters (collections, dates, AOI, property filters, sort) and search
+  const runSearch = (search) => {
+    dispatch(setSearchParams({
+      collections: search.collections,
+      startDate: search.startDate,
+      endDate: search.endDate,
+      filters: search.filters,
+      sortBy: search.sortBy,
+    }));
+    showDrawnGeometry(search.geometry);
+    dispatch(searchItemsAsync(buildSearchRequest(search)));
+  };
+
+  // Latest runSearch for the URL effect below, which must only re-run when the URL changes
+  useEffect(() => {
+    runSearchRef.current = runSearch;
+  });
+
+  // Restore search state from the URL on load and on browser back/forward
+  useEffect(() => {
+    if (!linkEndpointReady || location.search === lastUrlSearchRef.current) {
+      return; // Switching to the link's STAC API, or written by this component
+    }
+    const isInitialLoad = lastUrlSearchRef.current === null;
+    lastUrlSearchRef.current = location.search;
+
+    const urlState = parseSearchState(location.search);
+    dispatch(setBaseMap(BASE_MAPS[urlState.baseMap] ? urlState.baseMap : DEFAULT_BASE_MAP));
+    dispatch(setSelectedItemId(urlState.selectedItemId));
+    if (urlState.mapView || !isInitialLoad) {
+      dispatch(setMapView(urlState.mapView || DEFAULT_MAP_VIEW));
+    }
+
+    // On first load without search parameters the auto-search below takes over
+    if (urlState.search || !isInitialLoad) {
+      const search = urlState.search || {
+        collections: [],
+        startDate: null,
+        endDate: null,
+        geometry: null,
+        filters: [],
+        sortBy: null,
+      };
+      hasInitialSearchRef.current = true;
+      runSearchRef.current(search);
+    }
+  }, [dispatch, location.search, linkEndpointReady]);
+
+  // Keep the URL in sync with the search state
+  // A new search adds a history entry; selection and viewport changes replace the current one
+  useEffect(() => {
+    // Keep a link to another STAC API until it has been restored there
+    if (!linkEndpointReady) {
+      return;
+    }
+    // Read from the store so state restored in the same commit is not overwritten with stale values
+    const state = store.getState().stacCatalog;
+    const nextSearch = serializeSearchState({
+      search: state.activeSearch,
+      selectedItemId: state.selectedItemId,
+      baseMap: state.baseMap,
+      mapView: state.mapView,
+      endpointUrl: activeEndpointUrl,
+    });
+    if (nextSearch === location.search) {
+      return;
+    }
+
+    const currentFilters = serializeSearchState({ search: parseSearchState(location.search).search });
+    const nextFilters = serializeSearchState({ search: state.activeSearch });
+    lastUrlSearchRef.current = nextSearch;
+    navigate({ search: nextSearch }, { replace: currentFilters === nextFilters });
+  }, [store, activeSearch, selectedItemId, baseMap, mapView, activeEndpointUrl, linkEndpointReady, location.search, navigate]);
 
   const handleDrawCreated = (geoJson, layer) => {
     dispatch(setDrawnGeometry(geoJson));
     
     // Remove existing layer if any (clean up previous drawing)
-    if (drawnLayer && mapRef.current) {
-      // Only remove if it's not the same layer
-      if (drawnLayer !== layer) {
-        // Remove from map and featureGroup
-        if (mapRef.current.hasLayer(drawnLayer)) {
-          mapRef.current.removeLayer(drawnLayer);
-        }
-        if (featureGroupRef.current.hasLayer(drawnLayer)) {
-          featureGroupRef.current.removeLayer(drawnLayer);
-        }
-      }
+    if (drawnLayerRef.current !== layer) {
+      removeDrawnLayer();
     }
     
     // Store reference to the layer created by Leaflet Draw
     // This layer is already added to map by Leaflet Draw and to featureGroup in DrawControl
-    setDrawnLayer(layer);
+    drawnLayerRef.current = layer;
   };
 
   const handleDrawEdited = (geoJson) => {
@@ -688,12 +1521,15 @@ const Catalog = () => {
 
   const handleDrawDeleted = () => {
     dispatch(clearDrawnGeometry());
-    if (drawnLayer && mapRef.current) {
-      // Layer is already removed by Leaflet Draw, just clean up references
-      if (featureGroupRef.current.hasLayer(drawnLayer)) {
-        featureGroupRef.current.removeLayer(drawnLayer);
-      }
-      setDrawnLayer(null);
+    // Layer is already removed by Leaflet Draw, just clean up references
+    removeDrawnLayer();
+  };
+
+  const handleImportAoi = (geometry) => {
+    // Added to the draw FeatureGroup so it can be edited or deleted like a drawn AOI
+    showDrawnGeometry(geometry);
+    if (mapRef.current && drawnLayerRef.current) {
+      mapRef.current.fitBounds(drawnLayerRef.current.getBounds(), { padding: [50, 50] });
     }
   };
 
@@ -721,27 +1557,20 @@ const Catalog = () => {
     dispatch(setSelectedCollections([]));
   };
 
-  const handleSearch = () => {
-    const params = {};
-
-    // Add collections if any selected
-    if (selectedCollections.length > 0) {
-      params.collections = selectedCollections;
-    }
-
-    // Add date range - support single date or range
-    if (startDate || endDate) {
-      if (startDate) {
-        params.startDate = new Date(startDate);
-      }
-      if (endDate) {
-        params.endDate = new Date(endDate);
-      }
-    }
+  // Overrides (e.g. a date range brushed on the timeline) apply before the local state updates
+  const handleSearch = (overrides = {}) => {
+    const searchStartDate = overrides.startDate ?? startDate;
+    const searchEndDate = overrides.endDate ?? endDate;
+    const params = buildSearchRequest({
+      collections: selectedCollections,
+      startDate: searchStartDate,
+      endDate: searchEndDate,
+      geometry: drawnGeometry,
+      filters: propertyFilters,
+      sortBy,
+    });
 
-    // Add geometry (polygon/rectangle) if drawn
     if (drawnGeometry) {
-      params.geoJson = drawnGeometry;
       console.log('Drawn geometry:', {
         type: drawnGeometry.type,
         coordinates: drawnGeometry.coordinates ? 'present' : 'missing',
@@ -755,36 +1584,48 @@ const Catalog = () => {
       endDate: params.endDate,
       hasGeometry: !!params.geoJson,
       geometryType: params.geoJson?.type,
+      filters: params.filters,
+      sortBy: params.sortBy,
     });
 
+    dispatch(setDateRange({ startDate: searchStartDate || null, endDate: searchEndDate || null }));
+    dispatch(setSearchParams({ filters: propertyFilters, sortBy }));
     dispatch(searchItemsAsync(params));
   };
 
+  // Narrow the date filter to the range brushed on the timeline and search again
+  const handleTimelineBrush = (brushStartDate, brushEndDate) => {
+    setStartDate(brushStartDate);
+    setEndDate(brushEndDate);
+    setTimelineHighlightIds(null);
+    handleSearch({ startDate: brushStartDate, endDate: brushEndDate });
+  };
+
   const handleClear = () => {
     dispatch(clearSearch());
     setSelectedCollectionsLocal([]);
     setStartDate('');
     setEndDate('');
-    setSelectedItem(null);
+    setPropertyFilters([]);
+    setSortBy(null);
     // Clear drawn geometry and remove layer
-    if (drawnLayer && mapRef.current) {
-      // Remove from featureGroup first
-      if (featureGroupRef.current.hasLayer(drawnLayer)) {
-        featureGroupRef.current.removeLayer(drawnLayer);
-      }
-      // Remove from map if still there
-      if (mapRef.current.hasLayer(drawnLayer)) {
-        mapRef.current.removeLayer(drawnLayer);
-      }
-      setDrawnLayer(null);
-    }
+    removeDrawnLayer();
     // Also clear drawn geometry from Redux
     dispatch(clearDrawnGeometry());
   };
 
-  const handleItemClick = (item) => {
-    setSelectedItem(item);
-    // Zoom to item when clicked
+  // Repeat the request that failed
+  const handleRetry = () => {
+    if (error.operation === 'collections') {
+      dispatch(fetchCollectionsAsync());
+    } else if (error.operation === 'loadMore') {
+      dispatch(loadMoreItemsAsync());
+    } else if (activeSearch) {
+      dispatch(searchItemsAsync(buildSearchRequest(activeSearch)));
+    }
+  };
+
+  const zoomToItem = (item) => {
     if (mapRef.current && item) {
       if (item.bbox && Array.isArray(item.bbox) && item.bbox.length === 4) {
         const [minx, miny, maxx, maxy] = item.bbox;
@@ -797,71 +1638,199 @@ const Catalog = () => {
         }
       }
     }
-    // Scroll to selected item in results list
-    if (itemRefs.current[item.id] && resultsPanelRef.current) {
-      setTimeout(() => {
-        itemRefs.current[item.id].scrollIntoView({
-          behavior: 'smooth',
-          block: 'center',
-        });
-      }, 100);
-    }
   };
 
-  // Auto-scroll to selected item when it changes
+  // The results list scrolls to the selected item (VirtualList activeKey)
+  const handleItemClick = (item) => {
+    dispatch(setSelectedItemId(item.id));
+    // Zoom to item when clicked
+    zoomToItem(item);
+  };
+
+  // Infinite scroll: load the next page when the end of the results list comes into view
   useEffect(() => {
-    if (selectedItem && itemRefs.current[selectedItem.id] && resultsPanelRef.current) {
-      setTimeout(() => {
-        itemRefs.current[selectedItem.id].scrollIntoView({
-          behavior: 'smooth',
-          block: 'center',
-        });
-      }, 300);
+    const sentinel = loadMoreSentinelRef.current;
+    if (!sentinel || !pagination.hasMore || typeof IntersectionObserver === 'undefined') {
+      return;
     }
-  }, [selectedItem]);
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          dispatch(loadMoreItemsAsync());
+        }
+      },
+      {
+        root: resultsPanelRef.current,
+        rootMargin: '200px',
+      }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [dispatch, pagination.hasMore, items.length, loading]);
+
+  const handleLoadMore = () => {
+    dispatch(loadMoreItemsAsync());
+  };
 
   const handleAssetClick = (e, item) => {
     e.stopPropagation(); // Prevent card click
     handleItemClick(item); // Zoom to item
   };
 
-  // Helper function to format URL to XYZ template
-  const formatXYZUrl = (assetHref) => {
-    let xyzUrl = assetHref;
-    
-    // Fix HTTP to HTTPS if needed
-    if (xyzUrl.startsWith('http://') && window.location.protocol === 'https:') {
-      xyzUrl = xyzUrl.replace('http://', 'https://');
+  const handleToggleCompare = () => {
+    if (compareMode) {
+      setCompareMode(null);
+      return;
     }
-    
-    // Ensure URL has {z}/{x}/{y} template
-    if (!xyzUrl.includes('{z}')) {
-      xyzUrl = xyzUrl.endsWith('/') ? xyzUrl : xyzUrl + '/';
-      xyzUrl = `${xyzUrl}{z}/{x}/{y}.png`;
+    // Start with the selected item on the left and the next candidate on the right
+    const leftId = (selectedItem && compareCandidates.some((item) => item.id === selectedItem.id))
+      ? selectedItem.id
+      : compareCandidates[0]?.id || null;
+    setCompareLeftId(leftId);
+    setCompareRightId(compareCandidates.find((item) => item.id !== leftId)?.id || null);
+    setSwipePosition(0.5);
+    setShowBasketPanel(false);
+    setAnimationIndex(null);
+    setInspecting(false);
+    setMosaicOrder(null);
+    setCompareMode('swipe');
+  };
+
+  const handleToggleAnimation = () => {
+    if (animationIndex !== null) {
+      setAnimationIndex(null);
+      return;
     }
-    
-    return xyzUrl;
+    setShowBasketPanel(false);
+    setCompareMode(null);
+    setInspecting(false);
+    setMosaicOrder(null);
+    setAnimationIndex(0);
   };
 
-  // Helper function to format URL to QGIS/ArcGIS TMS template (uses {-y})
-  const formatQGISArcGISUrl = (assetHref) => {
-    let xyzUrl = assetHref;
-    
-    // Fix HTTP to HTTPS if needed
-    if (xyzUrl.startsWith('http://') && window.location.protocol === 'https:') {
-      xyzUrl = xyzUrl.replace('http://', 'https://');
+  const handleToggleInspect = () => {
+    if (showInspector) {
+      setInspecting(false);
+      return;
     }
-    
-    // Ensure URL has {z}/{x}/{-y} template for QGIS/ArcGIS (TMS format)
-    if (!xyzUrl.includes('{z}')) {
-      xyzUrl = xyzUrl.endsWith('/') ? xyzUrl : xyzUrl + '/';
-      xyzUrl = `${xyzUrl}{z}/{x}/{-y}.png`;
+    setShowBasketPanel(false);
+    setCompareMode(null);
+    setAnimationIndex(null);
+    setMosaicOrder(null);
+    setInspectPoint(null);
+    setInspecting(true);
+  };
+
+  const handleToggleMosaic = () => {
+    if (mosaicking) {
+      setMosaicOrder(null);
+      return;
+    }
+    setShowBasketPanel(false);
+    setCompareMode(null);
+    setAnimationIndex(null);
+    setInspecting(false);
+    setMosaicOrder('newest');
+  };
+
+  const handleSwipePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handleSwipePointerMove = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId) || !mapContainerRef.current) {
+      return;
+    }
+    const rect = mapContainerRef.current.getBoundingClientRect();
+    setSwipePosition(Math.min(0.98, Math.max(0.02, (e.clientX - rect.left) / rect.width)));
+  };
+
+  const resultGroups = useMemo(() => groupItems(items, groupBy), [items, groupBy]);
+
+  // Flat rows for the virtualized list; collapsed groups only show their header
+  const resultRows = useMemo(() => {
+    if (resultGroups.length === 0) {
+      return items.map((item) => ({ key: item.id, item }));
+    }
+    return resultGroups.flatMap((group) => [
+      { key: `group:${group.key}`, group },
+      ...(collapsedGroups.has(group.key) ? [] : group.items.map((item) => ({ key: item.id, item }))),
+    ]);
+  }, [items, resultGroups, collapsedGroups]);
+
+  const allGroupsCollapsed = resultGroups.length > 0
+    && resultGroups.every((group) => collapsedGroups.has(group.key));
+
+  const handleGroupByChange = (e) => {
+    setGroupBy(e.target.value);
+    setCollapsedGroups(new Set());
+  };
+
+  // Open the group of an item selected on the map
+  useEffect(() => {
+    if (!selectedItem || groupBy === 'none') return;
+    const key = getGroupKey(selectedItem, groupBy);
+    setCollapsedGroups((current) => {
+      if (!current.has(key)) return current;
+      const next = new Set(current);
+      next.delete(key);
+      return next;
+    });
+  }, [selectedItem, groupBy]);
+
+  const handleToggleGroup = (key) => {
+    setCollapsedGroups((current) => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  // Show the imagery of a group as basket layers and zoom to its footprints
+  const handleShowGroup = (group) => {
+    const tileItems = group.items.filter((item) => getTileAssetKeys(item).length > 0);
+    if (tileItems.length > MAX_GROUP_LAYERS
+      && !window.confirm(`Add ${tileItems.length} layers to the map? Many layers can make the map slow.`)) {
+      return;
+    }
+    // Layers are added on top: add in reverse to keep the group's order
+    [...tileItems].reverse().forEach((item) => dispatch(addToBasket(item)));
+
+    const bounds = L.latLngBounds([]);
+    group.items.forEach((item) => {
+      const itemBounds = getItemBounds(item);
+      if (itemBounds) {
+        bounds.extend([[itemBounds[1], itemBounds[0]], [itemBounds[3], itemBounds[2]]]);
+      }
+    });
+    if (mapRef.current && bounds.isValid()) {
+      mapRef.current.fitBounds(bounds, { padding: [50, 50] });
+    }
+  };
+
+  const handleExportGroup = (group) => {
+    const name = group.label.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'group';
+    downloadFile(toXyzUrlCsv(group.items), `${name}-xyz.csv`, 'text/csv');
+  };
+
+  const handleToggleBasket = (e, item) => {
+    e.stopPropagation(); // Prevent card click
+    if (basketItemIds.has(item.id)) {
+      dispatch(removeFromBasket(item.id));
     } else {
-      // Replace {y} with {-y} for TMS format
-      xyzUrl = xyzUrl.replace('{y}', '{-y}');
+      dispatch(addToBasket(item));
     }
-    
-    return xyzUrl;
+  };
+
+  const handleDownloadLayerFile = (e, item) => {
+    e.stopPropagation(); // Prevent card click
+    downloadFile(toQgisLayerDefinition([item], item.id), `${item.id}.qlr`, 'application/xml');
   };
 
   const handleCopyXYZ = async (e, assetHref) => {
@@ -952,6 +1921,31 @@ const Catalog = () => {
     }
   };
 
+  // Result cards are memoized: they get stable actions that call the latest handlers
+  useEffect(() => {
+    cardHandlersRef.current = {
+      select: handleItemClick,
+      zoom: handleAssetClick,
+      copyXYZ: handleCopyXYZ,
+      copyQGISArcGIS: handleCopyQGISArcGIS,
+      toggleBasket: handleToggleBasket,
+      downloadLayerFile: handleDownloadLayerFile,
+      toggleGroup: handleToggleGroup,
+      showGroup: handleShowGroup,
+      exportGroup: handleExportGroup,
+    };
+  });
+  const cardActions = useMemo(() => ({
+    hover: setHoveredItem,
+    ...Object.fromEntries(
+      [
+        'select', 'zoom', 'copyXYZ', 'copyQGISArcGIS', 'toggleBasket', 'downloadLayerFile',
+        'toggleGroup', 'showGroup', 'exportGroup',
+      ]
+        .map((name) => [name, (...args) => cardHandlersRef.current[name](...args)])
+    ),
+  }), []);
+
   return (
     <div className="catalog-container">
       <div className="catalog-header">
@@ -967,6 +1961,23 @@ const Catalog = () => {
           </div>
         </div>
         <div className="header-menu">
+          <EndpointSwitcher />
+          <AuthMenu />
+          <WatchMenu
+            current={{ collections: selectedCollections, geometry: drawnGeometry, filters: propertyFilters }}
+            onShowWatch={(watch) => runSearch({
+              collections: watch.collections,
+              startDate: null,
+              endDate: null,
+              geometry: watch.geometry,
+              filters: watch.filters,
+              sortBy: null,
+            })}
+          />
+          <OfflineMenu item={selectedItem} geometry={drawnGeometry} />
+          <Link to="/collections" className="menu-link">
+            Collections
+          </Link>
           <Link to="/how-to-use" className="menu-link">
             How to Use XYZ
           </Link>
@@ -995,6 +2006,22 @@ const Catalog = () => {
             </button>
           </div>
 
+          {/* Saved Searches */}
+          <div className="filter-section">
+            <h3>Saved Searches</h3>
+            <SavedSearches
+              current={{
+                collections: selectedCollections,
+                startDate,
+                endDate,
+                geometry: drawnGeometry,
+                filters: propertyFilters,
+                sortBy,
+              }}
+              onApply={runSearch}
+            />
+          </div>
+
           {/* Collection Filter */}
           <div className="filter-section">
             <div className="collection-header">
@@ -1030,12 +2057,30 @@ const Catalog = () => {
                       onChange={(e) => handleCollectionChange(collection.id, e.target.checked)}
                     />
                     <span>{collection.title || collection.id}</span>
+                    <Link
+                      to={buildCollectionLink(collection.id, activeEndpointUrl)}
+                      className="collection-info-link"
+                      title="Collection details"
+                      onClick={(e) => e.stopPropagation()}
+                    >
+                      ⓘ
+                    </Link>
                   </label>
                 ))
               )}
             </div>
           </div>
 
+          {/* Area of Interest Upload */}
+          <div className="filter-section">
+            <h3>Area of Interest</h3>
+            <p className="filter-description">
+              Draw on the map or upload a file
+              {capabilities.browseOnly && ' (this STAC API has no item search: items are listed per collection and the AOI is matched by its bounding box)'}
+            </p>
+            <AoiImport onApply={handleImportAoi} />
+          </div>
+
           {/* Date Range Filter */}
           <div className="filter-section">
             <h3>Date Range</h3>
@@ -1062,6 +2107,28 @@ const Catalog = () => {
             </div>
           </div>
 
+          {/* Property Filter (CQL2) and Sort, when the STAC API supports them */}
+          {(capabilities.filter || capabilities.query || capabilities.sort) && (
+            <div className="filter-section">
+              <h3>{capabilities.filter || capabilities.query ? 'Property Filters' : 'Sort'}</h3>
+              {(capabilities.filter || capabilities.query) && (
+                <p className="filter-description">
+                  e.g. cloud cover, platform or off-nadir angle
+                </p>
+              )}
+              <FilterBuilder
+                queryables={queryables}
+                loading={queryablesLoading}
+                filters={propertyFilters}
+                onFiltersChange={setPropertyFilters}
+                sortBy={sortBy}
+                onSortChange={setSortBy}
+                showFilters={capabilities.filter || capabilities.query}
+                showSort={capabilities.sort}
+              />
+            </div>
+          )}
+
           {/* Display Mode Filter */}
           <div className="filter-section">
             <h3>Display Mode</h3>
@@ -1077,7 +2144,7 @@ const Catalog = () => {
 
           {/* Action Buttons */}
           <div className="filter-actions">
-            <button onClick={handleSearch} className="btn-search" disabled={loading}>
+            <button onClick={() => handleSearch()} className="btn-search" disabled={loading}>
               {loading ? 'Searching...' : 'Search'}
             </button>
             <button onClick={handleClear} className="btn-clear">
@@ -1086,11 +2153,7 @@ const Catalog = () => {
           </div>
 
           {/* Error Display */}
-          {error && (
-            <div className="error-message">
-              <p>Error: {error}</p>
-            </div>
-          )}
+          {error && <ErrorMessage error={error} onRetry={handleRetry} />}
         </div>
 
         {/* Map and Results */}
@@ -1105,16 +2168,24 @@ const Catalog = () => {
           </button>
           
           {/* Map */}
-          <div className="map-container">
+          <div
+            className={`map-container ${compareMode === 'split' ? 'compare-split' : ''} ${showInspector ? 'inspecting' : ''}`}
+            ref={mapContainerRef}
+          >
             <MapContainer
-              center={[-2.5, 118]}
-              zoom={5}
+              center={initialMapView.center}
+              zoom={initialMapView.zoom}
               style={{ height: '100%', width: '100%' }}
               zoomControl={false}
             >
               <MapRefSetter mapRef={mapRef} featureGroup={featureGroupRef.current} />
+              <MapSizeSync layoutKey={compareMode} />
               <ZoomControlPosition />
               <BaseMapLayer baseMap={baseMap} />
+              <MapViewSync
+                mapView={mapView}
+                onViewChange={(view) => dispatch(setMapView(view))}
+              />
               <DrawControl
                 onDrawCreated={handleDrawCreated}
                 onDrawEdited={handleDrawEdited}
@@ -1127,22 +2198,206 @@ const Catalog = () => {
                   items={items}
                   onItemClick={handleItemClick}
                   selectedItemId={selectedItem?.id}
-                  visible={showAllExtents}
+                  highlightedItemIds={timelineHighlightIds}
+                  // The footprint legend replaces the result footprints
+                  visible={showAllExtents && !(mosaicking && showMosaicFootprints)}
                 />
               )}
               {hoveredItem && hoveredItem.id !== selectedItem?.id && (
                 <HoverExtentLayer item={hoveredItem} />
               )}
+              {!showExtentOnly && !compareMode && !animating && !mosaicking && <BasketLayers layers={basketLayers} />}
               {selectedItem && (
                 <ItemAssetLayer 
                   item={selectedItem} 
                   selected={true} 
                   showGeometry={showExtentOnly}
-                  showTiles={!showExtentOnly}
+                  // Items in the basket are already drawn by BasketLayers
+                  showTiles={!showExtentOnly && !compareMode && !animating && !mosaicking && !basketItemIds.has(selectedItem.id)}
                   onLoadingChange={setTilesLoading}
                 />
               )}
+              {/* Comparison: both sides on this map (swipe) or the left side only (split) */}
+              {compareMode && compareLeft && (
+                <CompareTileLayer
+                  item={compareLeft}
+                  side={compareMode === 'swipe' ? 'left' : null}
+                  swipePosition={compareMode === 'swipe' ? swipePosition : null}
+                />
+              )}
+              {compareMode === 'swipe' && compareRight && (
+                <CompareTileLayer item={compareRight} side="right" swipePosition={swipePosition} />
+              )}
+              {animating && (
+                <AnimationTileLayer frames={animationFrames} index={animationFrameIndex} />
+              )}
+              {mosaicking && (
+                <MosaicTileLayer items={mosaicItems} opacity={mosaicOpacity} />
+              )}
+              {mosaicking && showMosaicFootprints && (
+                <MosaicFootprintLayer coverage={mosaicCoverage} />
+              )}
+              {showCog && cogRendering && (
+                <CogAssetLayer
+                  item={selectedItem}
+                  assetKeys={selectedCogAssetKeys}
+                  rendering={cogRendering}
+                  onLoadingChange={setTilesLoading}
+                />
+              )}
+              {showInspector && (
+                <InspectPointLayer point={inspectPoint} onPointChange={setInspectPoint} />
+              )}
             </MapContainer>
+            {compareMode === 'split' && (
+              <div className="compare-split-map">
+                <MapContainer
+                  center={mapRef.current ? mapRef.current.getCenter() : initialMapView.center}
+                  zoom={mapRef.current ? mapRef.current.getZoom() : initialMapView.zoom}
+                  style={{ height: '100%', width: '100%' }}
+                  zoomControl={false}
+                  attributionControl={false}
+                >
+                  <BaseMapLayer baseMap={baseMap} />
+                  <MapSyncWith otherMap={mapRef.current} />
+                  {compareRight && <CompareTileLayer item={compareRight} />}
+                </MapContainer>
+              </div>
+            )}
+            {compareMode === 'swipe' && (
+              <div className="compare-swipe-divider" style={{ left: `${swipePosition * 100}%` }}>
+                <div
+                  className="compare-swipe-handle"
+                  onPointerDown={handleSwipePointerDown}
+                  onPointerMove={handleSwipePointerMove}
+                  title="Drag to compare"
+                >
+                  ⇔
+                </div>
+              </div>
+            )}
+            {compareMode && (
+              <>
+                <CompareControls
+                  items={compareCandidates}
+                  mode={compareMode}
+                  leftId={compareLeftId}
+                  rightId={compareRightId}
+                  onModeChange={setCompareMode}
+                  onLeftChange={setCompareLeftId}
+                  onRightChange={setCompareRightId}
+                  onSwap={() => {
+                    setCompareLeftId(compareRightId);
+                    setCompareRightId(compareLeftId);
+                  }}
+                  onClose={() => setCompareMode(null)}
+                />
+                {compareLeft && <span className="compare-side-label left">{compareLeft.id}</span>}
+                {compareRight && <span className="compare-side-label right">{compareRight.id}</span>}
+              </>
+            )}
+            {showCog && (
+              <CogControls
+                key={selectedItem.id}
+                item={selectedItem}
+                assetKeys={selectedCogAssetKeys}
+                value={cogRendering}
+                onChange={setCogRendering}
+              />
+            )}
+            {showInspector && (
+              <PixelInspector
+                item={selectedItem}
+                assetKeys={inspectAssetKeys}
+                point={inspectPoint}
+                geometry={drawnGeometry?.type === 'Feature' ? drawnGeometry.geometry : drawnGeometry}
+                items={items}
+                // Keep the map on the inspected point
+                onItemClick={(item) => dispatch(setSelectedItemId(item.id))}
+                onClose={() => setInspecting(false)}
+              />
+            )}
+            {animating && (
+              <AnimationPlayer
+                frames={animationFrames}
+                index={animationFrameIndex}
+                onIndexChange={setAnimationIndex}
+                onClose={() => setAnimationIndex(null)}
+                map={mapRef.current}
+                baseMapUrl={BASE_MAPS[baseMap]?.url || null}
+              />
+            )}
+            {mosaicking && (
+              <MosaicControls
+                coverage={mosaicCoverage}
+                candidateCount={mosaicCandidateCount}
+                order={mosaicOrder}
+                onOrderChange={setMosaicOrder}
+                opacity={mosaicOpacity}
+                onOpacityChange={setMosaicOpacity}
+                showFootprints={showMosaicFootprints}
+                onShowFootprintsChange={setShowMosaicFootprints}
+                onSceneClick={zoomToItem}
+                onClose={() => setMosaicOrder(null)}
+              />
+            )}
+            <div className="map-top-actions">
+              {/* Pixel inspector */}
+              <button
+                className={`compare-toggle-btn ${showInspector ? 'active' : ''}`}
+                onClick={handleToggleInspect}
+                disabled={!showInspector && inspectAssetKeys.length === 0}
+                title="Read band values and AOI statistics from the selected item's GeoTIFF assets"
+              >
+                {showInspector ? 'Exit inspect' : 'Inspect'}
+              </button>
+              {/* Time-series animation */}
+              <button
+                className={`compare-toggle-btn ${animating ? 'active' : ''}`}
+                onClick={handleToggleAnimation}
+                disabled={!animating && animationFrames.length < 2}
+                title="Play the results with tiles as a time-series animation"
+              >
+                {animating ? 'Exit animation' : 'Animate'}
+              </button>
+              {/* Best-pixel mosaic */}
+              <button
+                className={`compare-toggle-btn ${mosaicking ? 'active' : ''}`}
+                onClick={handleToggleMosaic}
+                disabled={!mosaicking && mosaicCandidateCount < 2}
+                title="Composite the results with tiles into one mosaic layer"
+              >
+                {mosaicking ? 'Exit mosaic' : 'Mosaic'}
+              </button>
+              {/* Comparison mode */}
+              <button
+                className={`compare-toggle-btn ${compareMode ? 'active' : ''}`}
+                onClick={handleToggleCompare}
+                disabled={!compareMode && compareCandidates.length < 2}
+                title="Compare two acquisitions with a swipe divider or side by side"
+              >
+                {compareMode ? 'Exit compare' : 'Compare'}
+              </button>
+              {/* Basket (multi-item layers) */}
+              <button
+                className="basket-toggle-btn"
+                onClick={() => {
+                  setShowBasketPanel(!showBasketPanel);
+                  setInspecting(false);
+                  setMosaicOrder(null);
+                }}
+                aria-label="Toggle layers"
+                title="Compare several items as map layers"
+              >
+                Layers ({basketLayers.length})
+              </button>
+            </div>
+            {showBasketPanel && (
+              <BasketPanel
+                onZoomTo={zoomToItem}
+                onClose={() => setShowBasketPanel(false)}
+              />
+            )}
             {tilesLoading && (
               <div className="map-loading-overlay">
                 <div className="map-loading-spinner">
@@ -1178,7 +2433,7 @@ const Catalog = () => {
                   <button
                     className={`base-map-option ${baseMap === 'carto' ? 'active' : ''}`}
                     onClick={() => {
-                      setBaseMap('carto');
+                      dispatch(setBaseMap('carto'));
                       setShowBaseMapMenu(false);
                     }}
                   >
@@ -1187,7 +2442,7 @@ const Catalog = () => {
                   <button
                     className={`base-map-option ${baseMap === 'osm' ? 'active' : ''}`}
                     onClick={() => {
-                      setBaseMap('osm');
+                      dispatch(setBaseMap('osm'));
                       setShowBaseMapMenu(false);
                     }}
                   >
@@ -1196,7 +2451,7 @@ const Catalog = () => {
                   <button
                     className={`base-map-option ${baseMap === 'googleHybrid' ? 'active' : ''}`}
                     onClick={() => {
-                      setBaseMap('googleHybrid');
+                      dispatch(setBaseMap('googleHybrid'));
                       setShowBaseMapMenu(false);
                     }}
                   >
@@ -1205,7 +2460,7 @@ const Catalog = () => {
                   <button
                     className={`base-map-option ${baseMap === 'terrain' ? 'active' : ''}`}
                     onClick={() => {
-                      setBaseMap('terrain');
+                      dispatch(setBaseMap('terrain'));
                       setShowBaseMapMenu(false);
                     }}
                   >
@@ -1253,13 +2508,67 @@ const Catalog = () => {
             </div>
           </div>
 
+          {/* Timeline of result acquisition dates */}
+          {items.length > 0 && (
+            <TimelineHistogram
+              items={items}
+              hasMore={pagination.hasMore}
+              matched={pagination.matched}
+              searchBody={pagination.searchBody}
+              endpointUrl={activeEndpointUrl}
+              onHoverItems={setTimelineHighlightIds}
+              onBrush={handleTimelineBrush}
+            />
+          )}
+
           {/* Results */}
           <div className="results-panel" ref={resultsPanelRef}>
             <div style={{ marginBottom: '0.75rem' }}>
-              <h2 style={{ margin: '0 0 0.5rem 0' }}>Search Results ({items.length})</h2>
+              <div className="results-header">
+                <h2 style={{ margin: '0 0 0.5rem 0' }}>
+                  Search Results ({items.length}
+                  {pagination.matched !== null && pagination.matched > items.length
+                    ? ` of ${pagination.matched}`
+                    : ''})
+                </h2>
+                <ExportMenu items={items} pagination={pagination} />
+              </div>
+              {items.length > 0 && (
+                <div className="results-group-by">
+                  <label>
+                    Group by
+                    <select value={groupBy} onChange={handleGroupByChange}>
+                      {GROUP_OPTIONS.map((option) => (
+                        <option key={option.key} value={option.key}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {resultGroups.length > 0 && (
+                    <span className="results-group-summary">
+                      {resultGroups.length} group{resultGroups.length > 1 ? 's' : ''}
+                      <button
+                        className="results-group-link"
+                        onClick={() => setCollapsedGroups(
+                          allGroupsCollapsed ? new Set() : new Set(resultGroups.map((group) => group.key))
+                        )}
+                      >
+                        {allGroupsCollapsed ? 'Expand all' : 'Collapse all'}
+                      </button>
+                    </span>
+                  )}
+                </div>
+              )}
               <p className="filter-description" style={{ margin: 0 }}>
                 Click on items in the list or on extent borders on the map to select data
               </p>
+              {pagination.cachedAt && !loading && (
+                <p
+                  className="results-cached"
+                  title="Shown from the offline cache; refreshed automatically when the API responds"
+                >
+                  Cached results from {new Date(pagination.cachedAt).toLocaleString()}
+                </p>
+              )}
             </div>
             {loading ? (
               <div className="loading-results">
@@ -1273,111 +2582,37 @@ const Catalog = () => {
               </div>
             ) : (
               <div className="items-list">
-                {items.map((item) => {
-                  const thumbnail = item.assets?.thumbnail?.href || item.assets?.visual?.href;
-                  const date = item.properties?.datetime || item.properties?.created || 'Unknown';
-                  
-                  const isSelected = selectedItem?.id === item.id;
-                  
-                  return (
-                    <div 
-                      key={item.id} 
-                      ref={(el) => (itemRefs.current[item.id] = el)}
-                      className={`item-card ${isSelected ? 'item-card-selected' : ''}`}
-                      onClick={() => handleItemClick(item)}
-                      style={{ cursor: 'pointer' }}
+                <VirtualList
+                  items={resultRows}
+                  getKey={getRowKey}
+                  scrollRef={resultsPanelRef}
+                  activeKey={selectedItem?.id ?? null}
+                  renderItem={(row) => (row.group ? (
+                    <ResultGroupHeader
+                      group={row.group}
+                      collapsed={collapsedGroups.has(row.group.key)}
+                      actions={cardActions}
+                    />
+                  ) : (
+                    <ResultItemCard
+                      item={row.item}
+                      selected={selectedItem?.id === row.item.id}
+                      inBasket={basketItemIds.has(row.item.id)}
+                      actions={cardActions}
+                    />
+                  ))}
+                />
+                {pagination.hasMore && (
+                  <div className="load-more" ref={loadMoreSentinelRef}>
+                    <button
+                      className="btn-load-more"
+                      onClick={handleLoadMore}
+                      disabled={loadingMore}
                     >
-                      {thumbnail && (
-                        <div className="item-thumbnail">
-                          <img src={thumbnail} alt={item.id} />
-                        </div>
-                      )}
-                      <div className="item-content">
-                        <h3>{item.id}</h3>
-                        <p className="item-date">{new Date(date).toLocaleDateString()}</p>
-                        {item.collection && (
-                          <p className="item-collection" style={{ margin: '0.25rem 0', fontSize: '0.9rem', color: '#666' }}>
-                            <strong>Collection:</strong> {item.collection}
-                          </p>
-                        )}
-                        {item.properties?.description && (
-                          <p className="item-description">{item.properties.description}</p>
-                        )}
-                        <div className="item-assets">
-                          <strong>XYZ Address:</strong>
-                          <ul>
-                            {Object.keys(item.assets || {})
-                              .filter((assetKey) => {
-                                const asset = item.assets[assetKey];
-                                const roles = asset?.roles || [];
-                                return roles.includes('tiles') || roles.includes('data');
-                              })
-                              .map((assetKey) => {
-                                const asset = item.assets[assetKey];
-                                const xyzUrl = formatXYZUrl(asset.href);
-                                const qgisUrl = formatQGISArcGISUrl(asset.href);
-                                return (
-                                  <li 
-                                    key={assetKey}
-                                    className="asset-item"
-                                    onMouseEnter={() => setHoveredItem(item)}
-                                    onMouseLeave={() => setHoveredItem(null)}
-                                  >
-                                    <div className="asset-content">
-                                      <span 
-                                        className="asset-name"
-                                        onClick={(e) => handleAssetClick(e, item)}
-                                        title="Click to zoom | Hover to show extent"
-                                      >
-                                        {assetKey}
-                                      </span>
-                                      <div className="xyz-address">
-                                        <span className="xyz-label">Address XYZ:</span>
-                                        <span className="xyz-url" title={xyzUrl}>{xyzUrl}</span>
-                                      </div>
-                                      <div className="xyz-address" style={{ marginTop: '0.5rem' }}>
-                                        <span className="xyz-label">Address XYZ (QGIS/ArcGIS):</span>
-                                        <span className="xyz-url" title={qgisUrl}>{qgisUrl}</span>
-                                      </div>
-                                    </div>
-                                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-                                      <button
-                                        className="copy-xyz-btn"
-                                        onClick={(e) => handleCopyXYZ(e, asset.href)}
-                                        title="Copy XYZ URL to clipboard"
-                                      >
-                                        Copy XYZ
-                                      </button>
-                                      <button
-                                        className="copy-xyz-btn"
-                                        onClick={(e) => handleCopyQGISArcGIS(e, asset.href)}
-                                        title="Copy QGIS/ArcGIS TMS URL to clipboard"
-                                        style={{ background: '#28a745' }}
-                                      >
-                                        Copy QGIS/ArcGIS
-                                      </button>
-                                    </div>
-                                  </li>
-                                );
-                              })}
-                            {Object.keys(item.assets || {}).filter((assetKey) => {
-                              const asset = item.assets[assetKey];
-                              const roles = asset?.roles || [];
-                              return roles.includes('tiles') || roles.includes('data');
-                            }).length === 0 && (
-                              <li className="no-tiles">No XYZ address available</li>
-                            )}
-                          </ul>
-                        </div>
-                        {isSelected && (
-                          <div className="item-selected-indicator">
-                            ✓ Displayed on map
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                  );
-                })}
+                      {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -0,0 +1,283 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { openCogAssets, getDefaultRendering, getStretch } from '../utils/cog';
+import {
+  BAND_PRESETS,
+  SPECTRAL_INDICES,
+  getItemBands,
+  getRampGradient,
+  resolveBands,
+} from '../utils/spectral';
+import './CogControls.scss';
+
+const RGB_CHANNELS = ['R', 'G', 'B'];
+
+const RENDERING_MODES = [
+  { key: 'bands', label: 'Bands' },
+  { key: 'index', label: 'Index' },
+];
+
+/**
+ * Rendering panel for GeoTIFF assets drawn in the browser
+ * Opens the item's COGs, reports their default rendering, and lets the user
+ * pick band combinations (with stretch, gamma and contrast) or a spectral
+ * index with its color ramp legend.
+ * value: rendering settings (see utils/cog.js) or null while loading
+ */
+const CogControls = ({ item, assetKeys, value, onChange }) => {
+  const [cogs, setCogs] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Open the COGs and apply their default rendering
+  useEffect(() => {
+    let cancelled = false;
+    setCogs(null);
+    setError(null);
+    setLoading(true);
+
+    openCogAssets(item, assetKeys)
+      .then(async (opened) => {
+        const rendering = await getDefaultRendering(item, opened);
+        if (!cancelled) {
+          setCogs(opened);
+          onChange(rendering);
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to open GeoTIFF:', err);
+        if (!cancelled) {
+          setError(err.message || 'Failed to read GeoTIFF');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [item, assetKeys, onChange]);
+
+  const itemBands = useMemo(() => (cogs
+    ? getItemBands(item, Object.fromEntries(Object.entries(cogs).map(([key, cog]) => [key, cog.bandCount])))
+    : []), [item, cogs]);
+
+  const presets = useMemo(
+    () => BAND_PRESETS
+      .map((preset) => ({ ...preset, refs: resolveBands(itemBands, preset.bands) }))
+      .filter((preset) => preset.refs),
+    [itemBands]
+  );
+
+  const rendering = value;
+
+  // Functional updates so async stretches don't overwrite newer changes
+  const update = (changes) => {
+    onChange((current) => ({ ...current, ...changes }));
+  };
+
+  const applyStretch = async (bands) => {
+    try {
+      update(await getStretch(item, cogs, bands));
+    } catch (err) {
+      console.error('Failed to compute stretch:', err);
+    }
+  };
+
+  const handlePresetChange = (key) => {
+    const preset = presets.find((candidate) => candidate.key === key);
+    if (!preset) return;
+    update({ bands: preset.refs });
+    applyStretch(preset.refs);
+  };
+
+  const handleChannelsChange = (channels) => {
+    const bands = channels === 3
+      ? [0, 1, 2].map((channel) => rendering.bands[channel] || rendering.bands[0])
+      : [rendering.bands[0]];
+    update({ bands });
+  };
+
+  const setBand = (key, channel, ref) => {
+    const bands = [...rendering[key]];
+    bands[channel] = ref;
+    update({ [key]: bands });
+  };
+
+  const handleIndexChange = (key) => {
+    const index = SPECTRAL_INDICES.find((candidate) => candidate.key === key);
+    update({ index: key, indexBands: resolveBands(itemBands, index.bands) || rendering.indexBands });
+  };
+
+  const renderBandSelect = (key, channel, label) => (
+    <label key={`${key}-${channel}`} className="cog-band">
+      {label}
+      <select value={rendering[key][channel]} onChange={(e) => setBand(key, channel, e.target.value)}>
+        {itemBands.map((band) => (
+          <option key={band.ref} value={band.ref}>{band.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const activePreset = rendering && presets.find(
+    (preset) => preset.refs.join() === rendering.bands.join()
+  );
+  const activeIndex = rendering && (
+    SPECTRAL_INDICES.find((index) => index.key === rendering.index) || SPECTRAL_INDICES[0]
+  );
+
+  return (
+    <div className="cog-controls">
+      <div className="cog-controls-header">
+        <span title="Cloud-Optimized GeoTIFF read with range requests and rendered in the browser">
+          GeoTIFF rendering
+        </span>
+        {cogs && rendering && (
+          <div className="cog-modes">
+            {RENDERING_MODES.map((mode) => (
+              <button
+                key={mode.key}
+                className={rendering.mode === mode.key ? 'active' : ''}
+                onClick={() => update({ mode: mode.key })}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {loading && <p className="cog-status">Reading GeoTIFF...</p>}
+      {error && <p className="cog-status cog-error">{error}</p>}
+
+      {cogs && rendering && rendering.mode === 'bands' && (
+        <>
+          <div className="cog-row">
+            {presets.length > 0 && (
+              <select
+                value={activePreset?.key || 'custom'}
+                onChange={(e) => handlePresetChange(e.target.value)}
+                title="Band combination"
+              >
+                {!activePreset && <option value="custom">Custom</option>}
+                {presets.map((preset) => (
+                  <option key={preset.key} value={preset.key}>{preset.label}</option>
+                ))}
+              </select>
+            )}
+            {itemBands.length > 1 && (
+              <select
+                value={rendering.bands.length}
+                onChange={(e) => handleChannelsChange(Number(e.target.value))}
+              >
+                <option value={3}>RGB</option>
+                <option value={1}>Single band</option>
+              </select>
+            )}
+          </div>
+          <div className="cog-row">
+            {rendering.bands.map((_, channel) => renderBandSelect(
+              'bands',
+              channel,
+              rendering.bands.length === 3 ? RGB_CHANNELS[channel] : 'Band'
+            ))}
+          </div>
+          <div className="cog-row">
+            <label>
+              Min
+              <input
+                type="number"
+                value={rendering.min}
+                onChange={(e) => update({ min: Number(e.target.value) })}
+              />
+            </label>
+            <label>
+              Max
+              <input
+                type="number"
+                value={rendering.max}
+                onChange={(e) => update({ max: Number(e.target.value) })}
+              />
+            </label>
+            <button onClick={() => applyStretch(rendering.bands)} title="Reset the stretch to the data range">
+              Auto
+            </button>
+          </div>
+          <div className="cog-row">
+            <label className="cog-slider">
+              Gamma
+              <input
+                type="range"
+                min={0.2}
+                max={3}
+                step={0.1}
+                value={rendering.gamma}
+                onChange={(e) => update({ gamma: Number(e.target.value) })}
+              />
+              <span>{rendering.gamma.toFixed(1)}</span>
+            </label>
+            <label className="cog-slider">
+              Contrast
+              <input
+                type="range"
+                min={0.5}
+                max={3}
+                step={0.1}
+                value={rendering.contrast}
+                onChange={(e) => update({ contrast: Number(e.target.value) })}
+              />
+              <span>{rendering.contrast.toFixed(1)}</span>
+            </label>
+          </div>
+        </>
+      )}
+
+      {cogs && rendering && rendering.mode === 'index' && (
+        <>
+          <div className="cog-row">
+            <select
+              value={activeIndex.key}
+              onChange={(e) => handleIndexChange(e.target.value)}
+              title={activeIndex.title}
+            >
+              {SPECTRAL_INDICES.map((index) => (
+                <option key={index.key} value={index.key}>{index.label} – {index.title}</option>
+              ))}
+            </select>
+          </div>
+          <div className="cog-row">
+            {activeIndex.bands.map((role, channel) => renderBandSelect(
+              'indexBands',
+              channel,
+              role.toUpperCase()
+            ))}
+          </div>
+          <div className="cog-legend">
+            <input
+              type="number"
+              step={0.1}
+              value={rendering.indexMin}
+              onChange={(e) => update({ indexMin: Number(e.target.value) })}
+              title="Value at the left end of the color ramp"
+            />
+            <div
+              className="cog-legend-ramp"
+              style={{ background: getRampGradient(activeIndex.ramp) }}
+              title={`(${activeIndex.bands.join(' - ')}) / (${activeIndex.bands.join(' + ')})`}
+            />
+            <input
+              type="number"
+              step={0.1}
+              value={rendering.indexMax}
+              onChange={(e) => update({ indexMax: Number(e.target.value) })}
+              title="Value at the right end of the color ramp"
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CogControls;
@@ -0,0 +1,359 @@
+import React, { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Rectangle, useMap } from 'react-leaflet';
+import { Link, useLocation, useParams, useNavigate } from 'react-router-dom';
+import L from 'leaflet';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchCollectionAsync } from '../redux/slices/stacCatalog';
+import { buildCatalogLink, parseSearchState } from '../utils/searchUrl';
+import { formatInterval } from '../utils/format';
+import Skeleton from './Skeleton';
+import ErrorMessage from './ErrorMessage';
+import useLinkEndpoint from '../hooks/useLinkEndpoint';
+import spectraLogo from '../assets/images/logo/spectra/spectra-merah.png';
+import './CollectionDetail.scss';
+
+/**
+ * Convert a STAC bbox (2D or 3D) to Leaflet bounds [[south, west], [north, east]]
+ */
+const bboxToBounds = (bbox) => {
+  if (!Array.isArray(bbox)) {
+    return null;
+  }
+  if (bbox.length === 4) {
+    const [minx, miny, maxx, maxy] = bbox;
+    return [[miny, minx], [maxy, maxx]];
+  }
+  if (bbox.length === 6) {
+    const [minx, miny, , maxx, maxy] = bbox;
+    return [[miny, minx], [maxy, maxx]];
+  }
+  return null;
+};
+
+// Render a summary value: ranges as "min – max", lists inline, schemas/objects as JSON
+const SummaryValue = ({ value }) => {
+  if (value === null || value === undefined) {
+    return <span className="property-empty">-</span>;
+  }
+  if (typeof value === 'object' && !Array.isArray(value) && ('minimum' in value || 'maximum' in value)) {
+    return <span>{value.minimum ?? '…'} – {value.maximum ?? '…'}</span>;
+  }
+  if (Array.isArray(value) && value.every((v) => v === null || typeof v !== 'object')) {
+    return <span>{value.join(', ')}</span>;
+  }
+  if (typeof value === 'object') {
+    return <pre className="property-json">{JSON.stringify(value, null, 2)}</pre>;
+  }
+  return <span>{String(value)}</span>;
+};
+
+// Fit the extent map to all bboxes
+const FitToBounds = ({ bounds }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!bounds || bounds.length === 0) return;
+    const latLngBounds = L.latLngBounds(bounds.flat());
+    if (latLngBounds.isValid()) {
+      map.fitBounds(latLngBounds, { padding: [20, 20] });
+    }
+  }, [map, bounds]);
+
+  return null;
+};
+
+// Temporal extent as bars on a shared time axis (open ends run to today)
+const TemporalTimeline = ({ intervals }) => {
+  const now = Date.now();
+  const ranges = intervals
+    .map(([start, end]) => ({
+      interval: [start, end],
+      start: start ? new Date(start).getTime() : null,
+      end: end ? new Date(end).getTime() : now,
+      openStart: !start,
+      openEnd: !end,
+    }))
+    .filter((range) => range.start !== null || !range.openEnd);
+
+  if (ranges.length === 0) {
+    return <p className="property-empty">No temporal extent defined.</p>;
+  }
+
+  const min = Math.min(...ranges.map((range) => range.start ?? range.end));
+  const max = Math.max(...ranges.map((range) => range.end));
+  const span = Math.max(max - min, 1);
+  const toPercent = (time) => ((time - min) / span) * 100;
+
+  // Year ticks along the axis (at most ~10)
+  const firstYear = new Date(min).getFullYear();
+  const lastYear = new Date(max).getFullYear();
+  const step = Math.max(1, Math.ceil((lastYear - firstYear + 1) / 10));
+  const ticks = [];
+  for (let year = firstYear + 1; year <= lastYear; year += step) {
+    ticks.push({ year, left: toPercent(new Date(year, 0, 1).getTime()) });
+  }
+
+  return (
+    <div className="temporal-timeline">
+      <div className="timeline-track">
+        {ranges.map((range, index) => {
+          const left = toPercent(range.start ?? min);
+          const width = Math.max(toPercent(range.end) - left, 0.5);
+          return (
+            <div
+              key={index}
+              className={`timeline-bar ${index === 0 ? 'timeline-bar-overall' : ''} ${range.openEnd ? 'timeline-bar-open' : ''}`}
+              style={{ left: `${left}%`, width: `${width}%` }}
+              title={formatInterval(range.interval)}
+            />
+          );
+        })}
+        {ticks.map((tick) => (
+          <div key={tick.year} className="timeline-tick" style={{ left: `${tick.left}%` }}>
+            <span>{tick.year}</span>
+          </div>
+        ))}
+      </div>
+      <div className="timeline-labels">
+        <span>{new Date(min).toLocaleDateString()}</span>
+        <span>{ranges.some((range) => range.openEnd) ? 'present' : new Date(max).toLocaleDateString()}</span>
+      </div>
+    </div>
+  );
+};
+
+const CollectionDetail = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { collectionId } = useParams();
+  const { selectedCollection, loading, error } = useSelector((state) => state.stacCatalog);
+  const endpointUrl = useSelector((state) => state.endpoints.activeEndpoint.url);
+  const collection = selectedCollection?.id === collectionId ? selectedCollection : null;
+  const endpointReady = useLinkEndpoint(parseSearchState(location.search).endpointUrl, location.key);
+
+  useEffect(() => {
+    if (endpointReady) {
+      dispatch(fetchCollectionAsync(collectionId));
+    }
+  }, [dispatch, collectionId, endpointReady, endpointUrl]);
+
+  const bounds = useMemo(
+    () => (collection?.extent?.spatial?.bbox || []).map(bboxToBounds).filter(Boolean),
+    [collection]
+  );
+  const intervals = collection?.extent?.temporal?.interval || [];
+
+  const handleSearchCollection = () => {
+    // The catalog restores its filters from the URL and runs the search
+    navigate(buildCatalogLink({ collections: [collectionId] }, null, endpointUrl));
+  };
+
+  return (
+    <div className="collection-detail-container">
+      <div className="collection-detail-header">
+        <div className="header-content">
+          <img
+            src={spectraLogo}
+            alt="SPECTRA Logo"
+            className="header-logo"
+          />
+          <div className="header-text">
+            <h1>{collection?.title || collectionId}</h1>
+            <p>Collection: {collectionId}</p>
+          </div>
+        </div>
+        <div className="header-actions">
+          <Link to="/collections" className="back-button">
+            ← All Collections
+          </Link>
+          <Link to="/" className="back-button">
+            Catalog
+          </Link>
+        </div>
+      </div>
+
+      <div className="collection-detail-content">
+        {(loading || !endpointReady) && !collection ? (
+          <div className="detail-section">
+            <Skeleton variant="text" width="60%" height={24} />
+            <Skeleton variant="text" width="100%" height={200} />
+          </div>
+        ) : error && !collection ? (
+          <ErrorMessage
+            className="detail-section"
+            error={error}
+            onRetry={() => dispatch(fetchCollectionAsync(collectionId))}
+          />
+        ) : collection && (
+          <>
+            <div className="detail-section">
+              <div className="section-header">
+                <h2>Overview</h2>
+                <button className="btn-search-collection" onClick={handleSearchCollection}>
+                  Search this collection
+                </button>
+              </div>
+              {collection.description && (
+                <p className="collection-description">{collection.description}</p>
+              )}
+              <table className="detail-table">
+                <tbody>
+                  <tr>
+                    <th>ID</th>
+                    <td>{collection.id}</td>
+                  </tr>
+                  <tr>
+                    <th>License</th>
+                    <td>
+                      {collection.license || '-'}
+                      {(collection.links || [])
+                        .filter((link) => link.rel === 'license')
+                        .map((link) => (
+                          <a
+                            key={link.href}
+                            href={link.href}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="license-link"
+                          >
+                            {link.title || 'License text'}
+                          </a>
+                        ))}
+                    </td>
+                  </tr>
+                  {collection.providers && collection.providers.length > 0 && (
+                    <tr>
+                      <th>Providers</th>
+                      <td>
+                        <ul className="provider-list">
+                          {collection.providers.map((provider) => (
+                            <li key={provider.name}>
+                              {provider.url ? (
+                                <a href={provider.url} target="_blank" rel="noopener noreferrer">
+                                  {provider.name}
+                                </a>
+                              ) : provider.name}
+                              {provider.roles && provider.roles.length > 0 && (
+                                <span className="provider-roles"> ({provider.roles.join(', ')})</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                  {collection.keywords && collection.keywords.length > 0 && (
+                    <tr>
+                      <th>Keywords</th>
+                      <td>
+                        {collection.keywords.map((keyword) => (
+                          <span key={keyword} className="keyword-badge">{keyword}</span>
+                        ))}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="detail-overview">
+              <div className="detail-section">
+                <h2>Spatial Extent</h2>
+                {bounds.length > 0 ? (
+                  <div className="extent-map">
+                    <MapContainer
+                      center={[-2.5, 118]}
+                      zoom={3}
+                      style={{ height: '100%', width: '100%' }}
+                      scrollWheelZoom={false}
+                    >
+                      <TileLayer
+                        url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
+                        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+                      />
+                      {bounds.map((rectangle, index) => (
+                        <Rectangle
+                          key={index}
+                          bounds={rectangle}
+                          pathOptions={index === 0
+                            ? { color: '#3388ff', weight: 2, fillOpacity: 0.1 }
+                            : { color: '#ff6600', weight: 1, dashArray: '4, 4', fillOpacity: 0.05 }}
+                        />
+                      ))}
+                      <FitToBounds bounds={bounds} />
+                    </MapContainer>
+                  </div>
+                ) : (
+                  <p className="property-empty">No spatial extent defined.</p>
+                )}
+              </div>
+
+              <div className="detail-section">
+                <h2>Temporal Extent</h2>
+                <TemporalTimeline intervals={intervals} />
+                <ul className="interval-list">
+                  {intervals.map((interval, index) => (
+                    <li key={index}>{formatInterval(interval)}</li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+
+            {collection.summaries && Object.keys(collection.summaries).length > 0 && (
+              <div className="detail-section">
+                <h2>Summaries</h2>
+                <table className="detail-table">
+                  <tbody>
+                    {Object.entries(collection.summaries).map(([key, value]) => (
+                      <tr key={key}>
+                        <th>{key}</th>
+                        <td><SummaryValue value={value} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {collection.item_assets && Object.keys(collection.item_assets).length > 0 && (
+              <div className="detail-section">
+                <h2>Item Assets</h2>
+                <div className="table-scroll">
+                  <table className="detail-table">
+                    <thead>
+                      <tr>
+                        <th>Key</th>
+                        <th>Title</th>
+                        <th>Type</th>
+                        <th>Roles</th>
+                        <th>Description</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(collection.item_assets).map(([key, asset]) => (
+                        <tr key={key}>
+                          <td><strong>{key}</strong></td>
+                          <td>{asset.title || '-'}</td>
+                          <td className="asset-type">{asset.type || '-'}</td>
+                          <td>
+                            {(asset.roles || []).map((role) => (
+                              <span key={role} className="asset-badge">{role}</span>
+                            ))}
+                          </td>
+                          <td>{asset.description || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollectionDetail;
@@ -0,0 +1,129 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchCollectionsAsync } from '../redux/slices/stacCatalog';
+import { buildCatalogLink, buildCollectionLink } from '../utils/searchUrl';
+import { formatInterval } from '../utils/format';
+import Skeleton from './Skeleton';
+import ErrorMessage from './ErrorMessage';
+import spectraLogo from '../assets/images/logo/spectra/spectra-merah.png';
+import './Collections.scss';
+
+const Collections = () => {
+  const dispatch = useDispatch();
+  const { collections, loading, error } = useSelector((state) => state.stacCatalog);
+  const endpointUrl = useSelector((state) => state.endpoints.activeEndpoint.url);
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    if (collections.length === 0) {
+      dispatch(fetchCollectionsAsync());
+    }
+  }, [dispatch, collections.length]);
+
+  const filteredCollections = useMemo(() => {
+    const text = query.trim().toLowerCase();
+    if (!text) {
+      return collections;
+    }
+    return collections.filter((collection) => (
+      [collection.id, collection.title, collection.description, ...(collection.keywords || [])]
+        .filter(Boolean)
+        .some((value) => value.toLowerCase().includes(text))
+    ));
+  }, [collections, query]);
+
+  return (
+    <div className="collections-container">
+      <div className="collections-header">
+        <div className="header-content">
+          <img
+            src={spectraLogo}
+            alt="SPECTRA Logo"
+            className="header-logo"
+          />
+          <div className="header-text">
+            <h1>Collections</h1>
+            <p>Satellite data collections available in the catalog</p>
+          </div>
+        </div>
+        <Link to="/" className="back-button">
+          ← Back to Catalog
+        </Link>
+      </div>
+
+      <div className="collections-content">
+        <div className="collections-toolbar">
+          <input
+            type="search"
+            placeholder="Filter by id, title, description or keyword"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <span className="collections-count">
+            {filteredCollections.length} of {collections.length} collections
+          </span>
+        </div>
+
+        {error && collections.length === 0 && (
+          <ErrorMessage error={error} onRetry={() => dispatch(fetchCollectionsAsync())} />
+        )}
+
+        {loading && collections.length === 0 ? (
+          <div className="collections-grid">
+            <Skeleton variant="text" width="100%" height={160} />
+            <Skeleton variant="text" width="100%" height={160} />
+            <Skeleton variant="text" width="100%" height={160} />
+          </div>
+        ) : (
+          <div className="collections-grid">
+            {filteredCollections.map((collection) => {
+              const interval = collection.extent?.temporal?.interval?.[0];
+              return (
+                <div key={collection.id} className="collection-card">
+                  <h2>
+                    <Link to={buildCollectionLink(collection.id, endpointUrl)}>
+                      {collection.title || collection.id}
+                    </Link>
+                  </h2>
+                  {collection.title && <p className="collection-id">{collection.id}</p>}
+                  {collection.description && (
+                    <p className="collection-description">{collection.description}</p>
+                  )}
+                  <div className="collection-meta">
+                    {interval && (
+                      <span><strong>Time:</strong> {formatInterval(interval)}</span>
+                    )}
+                    {collection.license && (
+                      <span><strong>License:</strong> {collection.license}</span>
+                    )}
+                  </div>
+                  {collection.keywords && collection.keywords.length > 0 && (
+                    <div className="keyword-list">
+                      {collection.keywords.slice(0, 6).map((keyword) => (
+                        <span key={keyword} className="keyword-badge">{keyword}</span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="collection-card-actions">
+                    <Link
+                      to={buildCollectionLink(collection.id, endpointUrl)}
+                      className="btn-outline"
+                    >
+                      Details
+                    </Link>
+                    <Link to={buildCatalogLink({ collections: [collection.id] }, null, endpointUrl)} className="btn-primary">
+                      Search this collection
+                    </Link>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Collections;
@@ -0,0 +1,74 @@
+import React from 'react';
+import './CompareControls.scss';
+
+export const COMPARE_MODES = [
+  { key: 'swipe', label: 'Swipe' },
+  { key: 'split', label: 'Side by side' },
+];
+
+const formatOption = (item) => {
+  const date = item.properties?.datetime
+    ? new Date(item.properties.datetime).toLocaleDateString()
+    : 'Unknown date';
+  return `${date} - ${item.id}`;
+};
+
+/**
+ * Comparison bar
+ * Picks the left (before) and right (after) items and the comparison mode.
+ */
+const CompareControls = ({
+  items,
+  mode,
+  leftId,
+  rightId,
+  onModeChange,
+  onLeftChange,
+  onRightChange,
+  onSwap,
+  onClose,
+}) => (
+  <div className="compare-bar">
+    <div className="compare-modes">
+      {COMPARE_MODES.map((option) => (
+        <button
+          key={option.key}
+          className={`compare-mode ${mode === option.key ? 'active' : ''}`}
+          onClick={() => onModeChange(option.key)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+    <div className="compare-pickers">
+      <select
+        value={leftId || ''}
+        onChange={(e) => onLeftChange(e.target.value || null)}
+        title="Left (before)"
+      >
+        <option value="">Left: select item…</option>
+        {items.map((item) => (
+          <option key={item.id} value={item.id}>{formatOption(item)}</option>
+        ))}
+      </select>
+      <button className="compare-swap" onClick={onSwap} title="Swap left and right" aria-label="Swap left and right">
+        ⇄
+      </button>
+      <select
+        value={rightId || ''}
+        onChange={(e) => onRightChange(e.target.value || null)}
+        title="Right (after)"
+      >
+        <option value="">Right: select item…</option>
+        {items.map((item) => (
+          <option key={item.id} value={item.id}>{formatOption(item)}</option>
+        ))}
+      </select>
+    </div>
+    <button className="compare-close" onClick={onClose} aria-label="Exit comparison" title="Exit comparison">
+      ✕
+    </button>
+  </div>
+);
+
+export default CompareControls;
@@ -0,0 +1,134 @@
+import React, { useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  addEndpointAsync,
+  clearEndpointError,
+  removeEndpoint,
+  switchEndpointAsync,
+} from '../redux/slices/endpoints';
+import useOutsideClick from '../hooks/useOutsideClick';
+import './EndpointSwitcher.scss';
+
+/**
+ * STAC endpoint switcher (header)
+ * Lists the configured and user-added STAC APIs, switches between them and
+ * adds new ones. Each endpoint keeps its own search state.
+ */
+const EndpointSwitcher = () => {
+  const dispatch = useDispatch();
+  const { endpoints, activeEndpoint, adding, error } = useSelector((state) => state.endpoints);
+  const [open, setOpen] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [url, setUrl] = useState('');
+  const [title, setTitle] = useState('');
+  const menuRef = useRef(null);
+
+  // Close the menu on outside click
+  useOutsideClick(menuRef, open, () => setOpen(false));
+
+  const handleSelect = (endpoint) => {
+    setOpen(false);
+    dispatch(switchEndpointAsync(endpoint));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const result = await dispatch(addEndpointAsync({ title, url }));
+    if (addEndpointAsync.fulfilled.match(result)) {
+      setShowForm(false);
+      setUrl('');
+      setTitle('');
+      handleSelect(result.payload);
+    }
+  };
+
+  const handleRemove = (endpoint) => {
+    if (window.confirm(`Remove "${endpoint.title}" from the list?`)) {
+      dispatch(removeEndpoint(endpoint.id));
+    }
+  };
+
+  return (
+    <div className="endpoint-switcher" ref={menuRef}>
+      <button
+        className="endpoint-toggle"
+        onClick={() => setOpen(!open)}
+        title={`STAC API: ${activeEndpoint.url}`}
+      >
+        <span className="endpoint-toggle-title">{activeEndpoint.title}</span>
+        <span className="endpoint-toggle-arrow">{open ? '▲' : '▼'}</span>
+      </button>
+
+      {open && (
+        <div className="endpoint-panel">
+          <ul className="endpoint-list">
+            {endpoints.map((endpoint) => (
+              <li
+                key={endpoint.id}
+                className={`endpoint ${endpoint.id === activeEndpoint.id ? 'active' : ''}`}
+              >
+                <button
+                  className="endpoint-select"
+                  onClick={() => handleSelect(endpoint)}
+                  disabled={endpoint.id === activeEndpoint.id}
+                >
+                  <span className="endpoint-title">{endpoint.title}</span>
+                  <span className="endpoint-url">{endpoint.url}</span>
+                </button>
+                {endpoint.source === 'user' && endpoint.id !== activeEndpoint.id && (
+                  <button
+                    className="endpoint-remove"
+                    onClick={() => handleRemove(endpoint)}
+                    aria-label={`Remove ${endpoint.title}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {showForm ? (
+            <form className="endpoint-form" onSubmit={handleAdd}>
+              <input
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="https://example.com/stac"
+                autoFocus
+              />
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="Name (optional, from the API otherwise)"
+              />
+              <div className="endpoint-form-actions">
+                <button type="submit" className="endpoint-add-btn" disabled={!url.trim() || adding}>
+                  {adding ? 'Checking...' : 'Add'}
+                </button>
+                <button type="button" className="endpoint-link-btn" onClick={() => setShowForm(false)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button
+              className="endpoint-link-btn"
+              onClick={() => {
+                dispatch(clearEndpointError());
+                setShowForm(true);
+              }}
+            >
+              + Add STAC API
+            </button>
+          )}
+
+          {error && <p className="endpoint-error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EndpointSwitcher;
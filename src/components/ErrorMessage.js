@@ -0,0 +1,34 @@
+import React from 'react';
+import './ErrorMessage.scss';
+
+/**
+ * Error of a failed STAC request (see api/errors)
+ * Shows the HTTP status, the STAC error code and the server's description,
+ * with a retry button when trying again may help.
+ * @param {Object} props.error - Structured error { message, status, code, description, retryable, retryAfter }
+ * @param {Function} props.onRetry - Repeats the failed request (optional)
+ * @param {string} props.className - Extra class of the container
+ */
+const ErrorMessage = ({ error, onRetry, className = '' }) => {
+  const source = [error.status && `HTTP ${error.status}`, error.code].filter(Boolean).join(' · ');
+  const details = [source, error.description].filter(Boolean).join(': ');
+
+  return (
+    <div className={`error-message ${className}`} role="alert">
+      <p>Error: {error.message}</p>
+      {details && <p className="error-details">{details}</p>}
+      {error.retryable && onRetry && (
+        <div className="error-actions">
+          <button className="error-retry-btn" onClick={onRetry}>
+            Retry
+          </button>
+          {error.retryAfter > 0 && (
+            <span className="error-hint">The server asks to wait {error.retryAfter} s</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ErrorMessage;
@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { fetchRemainingPages } from '../services/stac.service';
+import { EXPORT_FORMATS, buildExport, downloadFile } from '../utils/export';
+import { getTileLayers } from '../utils/gisLayers';
+import useOutsideClick from '../hooks/useOutsideClick';
+import './ExportMenu.scss';
+
+// Upper bound on items fetched for a single export
+const MAX_EXPORT_ITEMS = 10000;
+
+const EXPORT_GROUPS = [
+  { key: 'data', title: 'Footprints & metadata' },
+  { key: 'layers', title: 'GIS layer files (tile assets)' },
+];
+
+/**
+ * Export menu for search results
+ * Fetches the pages not loaded yet (following "next" links) and downloads
+ * all results in the chosen format.
+ */
+const ExportMenu = ({ items, pagination }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [fetchedCount, setFetchedCount] = useState(0);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const cancelledRef = useRef(false);
+  const menuRef = useRef(null);
+
+  // Close the menu on outside click
+  useOutsideClick(menuRef, open, () => setOpen(false));
+
+  // Stop fetching pages when unmounted
+  useEffect(() => () => {
+    cancelledRef.current = true;
+  }, []);
+
+  const collectAllItems = async () => {
+    if (!pagination.hasMore || !pagination.next) {
+      return items;
+    }
+
+    setFetchedCount(items.length);
+    const remaining = await fetchRemainingPages(pagination.next, pagination.searchBody || {}, {
+      maxItems: MAX_EXPORT_ITEMS - items.length,
+      onPage: (features) => setFetchedCount((count) => count + features.length),
+      isCancelled: () => cancelledRef.current,
+    });
+
+    const seen = new Set(items.map((item) => item.id));
+    return [...items, ...remaining.filter((item) => !seen.has(item.id))];
+  };
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    setError(null);
+    setNotice(null);
+    cancelledRef.current = false;
+
+    try {
+      const allItems = await collectAllItems();
+      if (cancelledRef.current) {
+        return;
+      }
+      const timestamp = new Date().toISOString().slice(0, 10);
+      const { content, notice: exportNotice } = buildExport(format.key, allItems);
+      downloadFile(content, `stac-search-${timestamp}.${format.extension}`, format.mimeType);
+      setNotice(exportNotice);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(err.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const total = pagination.matched !== null ? Math.min(pagination.matched, MAX_EXPORT_ITEMS) : null;
+
+  // WMTS can't describe TMS tiles, so there is nothing to write when all results only have those
+  const wmtsUnavailable = open && !pagination.hasMore && !getTileLayers(items).some((layer) => !layer.tms);
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      {exporting ? (
+        <div className="export-progress">
+          <span>
+            Fetching {fetchedCount}{total ? ` of ${total}` : ''} items...
+          </span>
+          <button
+            className="export-cancel"
+            onClick={() => { cancelledRef.current = true; }}
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button
+          className="export-toggle"
+          onClick={() => setOpen(!open)}
+          disabled={items.length === 0}
+          title="Download all search results"
+        >
+          Export ▾
+        </button>
+      )}
+
+      {open && (
+        <div className="export-options">
+          {EXPORT_GROUPS.map((group) => (
+            <div key={group.key} className="export-group">
+              <span className="export-group-title">{group.title}</span>
+              {EXPORT_FORMATS.filter((format) => format.group === group.key).map((format) => (
+                <button
+                  key={format.key}
+                  className="export-option"
+                  onClick={() => handleExport(format)}
+                  disabled={format.key === 'wmts' && wmtsUnavailable}
+                  title={format.key === 'wmts' && wmtsUnavailable
+                    ? 'The results have no XYZ tile assets; use the tile overlay KML'
+                    : undefined}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          ))}
+          <p className="export-note">
+            WMTS can't describe TMS tiles; the tile overlay KML and the QGIS layer file include them
+          </p>
+          {pagination.hasMore && (
+            <p className="export-note">
+              Includes all {total ?? ''} results, not only the loaded pages
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && <p className="export-error">{error}</p>}
+      {notice && !error && <p className="export-notice">{notice}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,224 @@
+import React from 'react';
+import { DEFAULT_QUERYABLES } from '../services/stac.service';
+import './FilterBuilder.scss';
+
+// CQL2 comparison operators available per field type
+const OPERATORS = {
+  number: ['<', '<=', '>', '>=', '=', '<>'],
+  string: ['=', '<>', 'like', 'in'],
+  boolean: ['='],
+  datetime: ['>=', '<=', '>', '<'],
+};
+
+const OPERATOR_LABELS = {
+  '=': '=',
+  '<>': '≠',
+  '<': '<',
+  '<=': '≤',
+  '>': '>',
+  '>=': '≥',
+  like: 'like',
+  in: 'in',
+};
+
+// Value input matching the field type
+const ConditionValue = ({ field, condition, onChange }) => {
+  if (field.enum && condition.operator !== 'in') {
+    return (
+      <select value={condition.value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Select…</option>
+        {field.enum.map((option) => (
+          <option key={String(option)} value={option}>{String(option)}</option>
+        ))}
+      </select>
+    );
+  }
+  if (field.type === 'boolean') {
+    return (
+      <select value={String(condition.value)} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Select…</option>
+        <option value="true">true</option>
+        <option value="false">false</option>
+      </select>
+    );
+  }
+  if (field.type === 'number') {
+    return (
+      <input
+        type="number"
+        value={condition.value}
+        min={field.minimum ?? undefined}
+        max={field.maximum ?? undefined}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+  if (field.type === 'datetime') {
+    return (
+      <input
+        type="date"
+        value={condition.value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+  return (
+    <input
+      type="text"
+      value={condition.value}
+      placeholder={condition.operator === 'in' ? 'a, b, c' : condition.operator === 'like' ? 'text%' : ''}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  );
+};
+
+/**
+ * Property filter builder and sort control
+ * Conditions are combined with "and" and sent as a CQL2-JSON filter.
+ * showFilters / showSort hide the parts the STAC API doesn't support.
+ */
+const FilterBuilder = ({
+  queryables,
+  loading = false,
+  filters,
+  onFiltersChange,
+  sortBy,
+  onSortChange,
+  showFilters = true,
+  showSort = true,
+}) => {
+  const fields = queryables && queryables.length > 0 ? queryables : DEFAULT_QUERYABLES;
+
+  const getField = (name) => (
+    fields.find((field) => field.name === name)
+      // Keep conditions for properties not in the current queryables (e.g. restored from a URL)
+      || { name, title: name, type: 'string', enum: null, minimum: null, maximum: null }
+  );
+
+  const sortFields = [
+    { name: 'datetime', title: 'Date' },
+    ...fields.filter((field) => field.type === 'number' || field.type === 'datetime'),
+  ];
+
+  const handleAddCondition = () => {
+    const field = fields[0];
+    onFiltersChange([
+      ...filters,
+      {
+        property: field.name,
+        operator: OPERATORS[field.type][0],
+        value: '',
+        type: field.type,
+      },
+    ]);
+  };
+
+  const handleUpdateCondition = (index, changes) => {
+    onFiltersChange(filters.map((condition, i) => (i === index ? { ...condition, ...changes } : condition)));
+  };
+
+  const handlePropertyChange = (index, name) => {
+    const field = getField(name);
+    handleUpdateCondition(index, {
+      property: field.name,
+      operator: OPERATORS[field.type][0],
+      value: '',
+      type: field.type,
+    });
+  };
+
+  const handleRemoveCondition = (index) => {
+    onFiltersChange(filters.filter((_, i) => i !== index));
+  };
+
+  const handleSortFieldChange = (field) => {
+    onSortChange(field ? { field, direction: sortBy?.direction || 'desc' } : null);
+  };
+
+  return (
+    <div className="filter-builder">
+      {showFilters && filters.length === 0 && (
+        <p className="filter-description">
+          No property filters{loading ? ' (loading fields…)' : ''}
+        </p>
+      )}
+      {showFilters && filters.map((condition, index) => {
+        const field = getField(condition.property);
+        const operators = OPERATORS[field.type] || OPERATORS.string;
+        return (
+          <div key={index} className="filter-condition">
+            <select
+              className="condition-property"
+              value={condition.property}
+              onChange={(e) => handlePropertyChange(index, e.target.value)}
+              title={condition.property}
+            >
+              {!fields.some((f) => f.name === condition.property) && (
+                <option value={condition.property}>{condition.property}</option>
+              )}
+              {fields.map((f) => (
+                <option key={f.name} value={f.name}>{f.title}</option>
+              ))}
+            </select>
+            <div className="condition-row">
+              <select
+                className="condition-operator"
+                value={condition.operator}
+                onChange={(e) => handleUpdateCondition(index, { operator: e.target.value })}
+              >
+                {operators.map((operator) => (
+                  <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+                ))}
+              </select>
+              <ConditionValue
+                field={field}
+                condition={condition}
+                onChange={(value) => handleUpdateCondition(index, { value })}
+              />
+              <button
+                className="condition-remove"
+                onClick={() => handleRemoveCondition(index)}
+                aria-label="Remove filter"
+                title="Remove filter"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        );
+      })}
+      {showFilters && (
+        <button className="btn-add-condition" onClick={handleAddCondition}>
+          + Add filter
+        </button>
+      )}
+
+      {showSort && (
+        <div className="sort-control">
+          <label>Sort by:</label>
+          <div className="condition-row">
+            <select
+              value={sortBy?.field || ''}
+              onChange={(e) => handleSortFieldChange(e.target.value)}
+            >
+              <option value="">Server default</option>
+              {sortFields.map((field) => (
+                <option key={field.name} value={field.name}>{field.title}</option>
+              ))}
+            </select>
+            <select
+              value={sortBy?.direction || 'desc'}
+              disabled={!sortBy}
+              onChange={(e) => onSortChange({ ...sortBy, direction: e.target.value })}
+            >
+              <option value="desc">Descending</option>
+              <option value="asc">Ascending</option>
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterBuilder;
@@ -24,6 +24,26 @@ const HowToUse = () => {
       </div>
 
       <div className="how-to-use-content">
+        <div className="tutorial-section">
+          <h2>Quick Start: Layer Files</h2>
+
+          <div className="step">
+            <h3>QGIS layer file (.qlr)</h3>
+            <p>Instead of copying URLs one by one, download a layer file:</p>
+            <ul>
+              <li>For one item: click <strong>"QGIS layer file (.qlr)"</strong> on the item in the results list</li>
+              <li>For all results: click <strong>"Export"</strong> → <strong>"QGIS layer file (.qlr)"</strong></li>
+            </ul>
+            <p>Drag the <code>.qlr</code> file onto the QGIS map (or use <strong>Layer</strong> → <strong>Add from Layer Definition File...</strong>). Every tile asset is added as an XYZ layer with the TMS <code>{'{'}-y{'}'}</code> setting and zoom limits already filled in.</p>
+          </div>
+
+          <div className="step">
+            <h3>WMTS capabilities (ArcGIS)</h3>
+            <p>Click <strong>"Export"</strong> → <strong>"WMTS capabilities (ArcGIS)"</strong> to download a WMTS capabilities document for the results.</p>
+            <p className="note">Note: WMTS always counts tile rows from the top, so TMS tiles (<code>{'{'}-y{'}'}</code>) are left out of this file. Add those with the manual steps below.</p>
+          </div>
+        </div>
+
         <div className="tutorial-section">
           <h2>Using XYZ Tiles in QGIS</h2>
           
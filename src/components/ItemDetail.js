@@ -0,0 +1,338 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import L from 'leaflet';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchItemAsync } from '../redux/slices/stacCatalog';
+import { buildCatalogLink, parseSearchState } from '../utils/searchUrl';
+import { formatBytes } from '../utils/format';
+import Skeleton from './Skeleton';
+import ErrorMessage from './ErrorMessage';
+import useLinkEndpoint from '../hooks/useLinkEndpoint';
+import spectraLogo from '../assets/images/logo/spectra/spectra-merah.png';
+import './ItemDetail.scss';
+
+// STAC extensions shown as their own property groups (in this order)
+const EXTENSION_GROUPS = [
+  { prefix: 'eo', title: 'Electro-Optical (eo)' },
+  { prefix: 'sar', title: 'SAR (sar)' },
+  { prefix: 'view', title: 'View Geometry (view)' },
+  { prefix: 'proj', title: 'Projection (proj)' },
+  { prefix: 'sat', title: 'Satellite (sat)' },
+];
+
+const DATE_PROPERTIES = ['datetime', 'start_datetime', 'end_datetime', 'created', 'updated'];
+
+/**
+ * Group item properties by STAC extension prefix ("eo:cloud_cover" -> "eo")
+ * Properties without a prefix go to "General", unknown prefixes get their own group.
+ */
+const groupProperties = (properties = {}) => {
+  const groups = new Map();
+  groups.set('', { title: 'General', entries: [] });
+  EXTENSION_GROUPS.forEach(({ prefix, title }) => {
+    groups.set(prefix, { title, entries: [] });
+  });
+
+  Object.keys(properties).sort().forEach((key) => {
+    const prefix = key.includes(':') ? key.split(':')[0] : '';
+    if (!groups.has(prefix)) {
+      groups.set(prefix, { title: prefix, entries: [] });
+    }
+    groups.get(prefix).entries.push([key, properties[key]]);
+  });
+
+  return Array.from(groups.values()).filter((group) => group.entries.length > 0);
+};
+
+// Render a property value (primitives inline, objects/arrays of objects as JSON)
+const PropertyValue = ({ name, value }) => {
+  if (value === null || value === undefined) {
+    return <span className="property-empty">-</span>;
+  }
+  if (DATE_PROPERTIES.includes(name) && typeof value === 'string') {
+    const date = new Date(value);
+    return (
+      <span title={value}>
+        {Number.isNaN(date.getTime()) ? value : date.toLocaleString()}
+      </span>
+    );
+  }
+  if (typeof value === 'boolean') {
+    return <span>{value ? 'true' : 'false'}</span>;
+  }
+  if (Array.isArray(value) && value.every((v) => v === null || typeof v !== 'object')) {
+    return <span>{value.join(', ')}</span>;
+  }
+  if (typeof value === 'object') {
+    return <pre className="property-json">{JSON.stringify(value, null, 2)}</pre>;
+  }
+  return <span>{String(value)}</span>;
+};
+
+// Fit the mini map to the item footprint
+const FitToGeometry = ({ geometry }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!geometry) return;
+    const bounds = L.geoJSON(geometry).getBounds();
+    if (bounds.isValid()) {
+      map.fitBounds(bounds, { padding: [20, 20] });
+    }
+  }, [map, geometry]);
+
+  return null;
+};
+
+const ItemDetail = () => {
+  const dispatch = useDispatch();
+  const location = useLocation();
+  const { collectionId, itemId } = useParams();
+  const { currentItem: item, loading, error } = useSelector((state) => state.stacCatalog);
+  const endpointUrl = useSelector((state) => state.endpoints.activeEndpoint.url);
+  const [showRawJson, setShowRawJson] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const endpointReady = useLinkEndpoint(parseSearchState(location.search).endpointUrl, location.key);
+
+  useEffect(() => {
+    if (endpointReady) {
+      dispatch(fetchItemAsync({ collectionId, itemId }));
+    }
+  }, [dispatch, collectionId, itemId, endpointReady, endpointUrl]);
+
+  const propertyGroups = useMemo(() => groupProperties(item?.properties), [item]);
+  const rawJson = useMemo(() => (item ? JSON.stringify(item, null, 2) : ''), [item]);
+
+  const handleCopyJson = async () => {
+    try {
+      await navigator.clipboard.writeText(rawJson);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  // Link back to the catalog with this item selected
+  const catalogLink = buildCatalogLink({ collections: [collectionId] }, itemId, endpointUrl);
+
+  return (
+    <div className="item-detail-container">
+      <div className="item-detail-header">
+        <div className="header-content">
+          <img
+            src={spectraLogo}
+            alt="SPECTRA Logo"
+            className="header-logo"
+          />
+          <div className="header-text">
+            <h1>{itemId}</h1>
+            <p>Collection: {collectionId}</p>
+          </div>
+        </div>
+        <div className="header-actions">
+          <Link to={catalogLink} className="back-button">
+            Show on Map
+          </Link>
+          <Link to="/" className="back-button">
+            ← Back to Catalog
+          </Link>
+        </div>
+      </div>
+
+      <div className="item-detail-content">
+        {(loading || !endpointReady) && !item ? (
+          <div className="detail-section">
+            <Skeleton variant="text" width="60%" height={24} />
+            <Skeleton variant="text" width="100%" height={200} />
+          </div>
+        ) : error && !item ? (
+          <ErrorMessage
+            className="detail-section"
+            error={error}
+            onRetry={() => dispatch(fetchItemAsync({ collectionId, itemId }))}
+          />
+        ) : item && (
+          <>
+            <div className="detail-overview">
+              <div className="detail-section detail-summary">
+                <h2>Overview</h2>
+                <table className="detail-table">
+                  <tbody>
+                    <tr>
+                      <th>ID</th>
+                      <td>{item.id}</td>
+                    </tr>
+                    <tr>
+                      <th>Collection</th>
+                      <td>{item.collection || collectionId}</td>
+                    </tr>
+                    <tr>
+                      <th>Date</th>
+                      <td>
+                        <PropertyValue
+                          name="datetime"
+                          value={item.properties?.datetime || item.properties?.start_datetime}
+                        />
+                      </td>
+                    </tr>
+                    {item.bbox && (
+                      <tr>
+                        <th>BBox</th>
+                        <td>{item.bbox.map((v) => Number(v).toFixed(5)).join(', ')}</td>
+                      </tr>
+                    )}
+                    {item.stac_extensions && item.stac_extensions.length > 0 && (
+                      <tr>
+                        <th>Extensions</th>
+                        <td>
+                          <ul className="extension-list">
+                            {item.stac_extensions.map((extension) => (
+                              <li key={extension}>{extension}</li>
+                            ))}
+                          </ul>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="detail-section detail-footprint">
+                <h2>Footprint</h2>
+                {item.geometry ? (
+                  <div className="footprint-map">
+                    <MapContainer
+                      center={[-2.5, 118]}
+                      zoom={4}
+                      style={{ height: '100%', width: '100%' }}
+                      scrollWheelZoom={false}
+                    >
+                      <TileLayer
+                        url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
+                        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+                      />
+                      <GeoJSON
+                        key={item.id}
+                        data={item.geometry}
+                        style={{ color: '#ff0000', weight: 2, fillOpacity: 0.1 }}
+                      />
+                      <FitToGeometry geometry={item.geometry} />
+                    </MapContainer>
+                  </div>
+                ) : (
+                  <p className="property-empty">This item has no geometry.</p>
+                )}
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h2>Properties</h2>
+              {propertyGroups.map((group) => (
+                <div key={group.title} className="property-group">
+                  <h3>{group.title}</h3>
+                  <table className="detail-table">
+                    <tbody>
+                      {group.entries.map(([key, value]) => (
+                        <tr key={key}>
+                          <th>{key}</th>
+                          <td><PropertyValue name={key} value={value} /></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+
+            <div className="detail-section">
+              <h2>Assets ({Object.keys(item.assets || {}).length})</h2>
+              <div className="table-scroll">
+                <table className="detail-table asset-table">
+                  <thead>
+                    <tr>
+                      <th>Key</th>
+                      <th>Title</th>
+                      <th>Type</th>
+                      <th>Roles</th>
+                      <th>Size</th>
+                      <th>Link</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(item.assets || {}).map(([key, asset]) => (
+                      <tr key={key}>
+                        <td><strong>{key}</strong></td>
+                        <td>{asset.title || '-'}</td>
+                        <td className="asset-type">{asset.type || '-'}</td>
+                        <td>
+                          {(asset.roles || []).map((role) => (
+                            <span key={role} className="asset-badge">{role}</span>
+                          ))}
+                        </td>
+                        <td>{formatBytes(asset['file:size'])}</td>
+                        <td>
+                          <a href={asset.href} target="_blank" rel="noopener noreferrer" title={asset.href}>
+                            Open
+                          </a>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h2>Links ({(item.links || []).length})</h2>
+              <div className="table-scroll">
+                <table className="detail-table">
+                  <thead>
+                    <tr>
+                      <th>Rel</th>
+                      <th>Title</th>
+                      <th>Type</th>
+                      <th>Href</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(item.links || []).map((link, index) => (
+                      <tr key={`${link.rel}-${index}`}>
+                        <td><strong>{link.rel}</strong></td>
+                        <td>{link.title || '-'}</td>
+                        <td className="asset-type">{link.type || '-'}</td>
+                        <td className="link-href">
+                          <a href={link.href} target="_blank" rel="noopener noreferrer">
+                            {link.href}
+                          </a>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <div className="raw-json-header">
+                <h2>Raw JSON</h2>
+                <div className="raw-json-actions">
+                  <button className="btn-secondary" onClick={() => setShowRawJson(!showRawJson)}>
+                    {showRawJson ? 'Hide' : 'Show'}
+                  </button>
+                  <button className="btn-secondary" onClick={handleCopyJson}>
+                    {copied ? '✓ Copied!' : 'Copy'}
+                  </button>
+                </div>
+              </div>
+              {showRawJson && <pre className="raw-json">{rawJson}</pre>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ItemDetail;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { MAX_MOSAIC_SCENES, MOSAIC_ORDERS } from '../utils/mosaic';
+import './MosaicControls.scss';
+
+const describeScene = (item) => [
+  item.properties?.datetime ? new Date(item.properties.datetime).toLocaleDateString() : 'Unknown date',
+  typeof item.properties?.['eo:cloud_cover'] === 'number'
+    ? `${Math.round(item.properties['eo:cloud_cover'])}% cloud`
+    : null,
+].filter(Boolean).join(' · ');
+
+/**
+ * Mosaic panel
+ * Chooses the order scenes are stacked in (the first scene wins where
+ * footprints overlap), the mosaic opacity and the footprint legend, and lists
+ * the scenes with the color of the area each contributes.
+ * coverage: [{ item, color, geometry }] top-ranked first (see utils/mosaic.js)
+ */
+const MosaicControls = ({
+  coverage,
+  candidateCount,
+  order,
+  onOrderChange,
+  opacity,
+  onOpacityChange,
+  showFootprints,
+  onShowFootprintsChange,
+  onSceneClick,
+  onClose,
+}) => {
+  const contributing = coverage.filter((scene) => scene.geometry).length;
+
+  return (
+    <div className="mosaic-controls">
+      <div className="mosaic-header">
+        <span>Mosaic</span>
+        <button className="mosaic-close" onClick={onClose} aria-label="Close mosaic">
+          ✕
+        </button>
+      </div>
+
+      <div className="mosaic-settings">
+        <label>
+          Order
+          <select value={order} onChange={(e) => onOrderChange(e.target.value)}>
+            {MOSAIC_ORDERS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Opacity
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={opacity}
+            onChange={(e) => onOpacityChange(Number(e.target.value))}
+          />
+        </label>
+        <label className="mosaic-checkbox">
+          <input
+            type="checkbox"
+            checked={showFootprints}
+            onChange={(e) => onShowFootprintsChange(e.target.checked)}
+          />
+          Footprint legend
+        </label>
+      </div>
+
+      <p className="mosaic-hint">
+        {contributing} of {coverage.length} scenes visible
+        {candidateCount > coverage.length && ` (first ${MAX_MOSAIC_SCENES} of ${candidateCount} with tiles)`}.
+        Load more results to fill gaps.
+      </p>
+
+      <ul className="mosaic-scenes">
+        {coverage.map(({ item, color, geometry }) => (
+          <li key={item.id} className={`mosaic-scene ${geometry ? '' : 'hidden'}`}>
+            <button
+              className="mosaic-scene-btn"
+              onClick={() => onSceneClick(item)}
+              title={geometry ? `Zoom to ${item.id}` : `${item.id} is covered by scenes ranked above it`}
+            >
+              <span className="mosaic-swatch" style={{ background: geometry ? color : 'transparent', borderColor: color }} />
+              <span className="mosaic-scene-text">
+                <span className="mosaic-scene-id">{item.id}</span>
+                <span className="mosaic-scene-details">
+                  {describeScene(item)}
+                  {!geometry && ' · covered'}
+                </span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MosaicControls;
@@ -0,0 +1,300 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import L from 'leaflet';
+import {
+  MAX_AREA_TILES,
+  countAreaTiles,
+  deleteOfflineArea,
+  downloadOfflineArea,
+  getStorageEstimate,
+  isOfflineSupported,
+  listOfflineAreas,
+} from '../utils/offline';
+import { clearResponseCache, countCachedResponses } from '../utils/responseCache';
+import { getTileZoomRange, isTileAsset } from '../utils/tileUrl';
+import { formatBytes } from '../utils/format';
+import useOutsideClick from '../hooks/useOutsideClick';
+import './OfflineMenu.scss';
+
+// Zoom levels offered by default (a few streets to a city at typical AOI sizes)
+const DEFAULT_MIN_ZOOM = 10;
+const DEFAULT_MAX_ZOOM = 15;
+
+// Area to download: the AOI clipped to the item footprint, or the footprint
+const getDownloadBbox = (item, geometry) => {
+  const [west, south, east, north] = item.bbox || [];
+  if (!geometry) {
+    return item.bbox || null;
+  }
+  const bounds = L.geoJSON(geometry).getBounds();
+  if (!bounds.isValid()) {
+    return null;
+  }
+  const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+  if (!item.bbox) {
+    return bbox;
+  }
+  const clipped = [Math.max(bbox[0], west), Math.max(bbox[1], south), Math.min(bbox[2], east), Math.min(bbox[3], north)];
+  return clipped[0] < clipped[2] && clipped[1] < clipped[3] ? clipped : null;
+};
+
+const describeArea = (area) => [
+  `z${area.minZoom}–${area.maxZoom}`,
+  `${area.urls.length} tiles`,
+  formatBytes(area.bytes),
+  area.complete ? null : 'incomplete',
+].filter(Boolean).join(' · ');
+
+/**
+ * Offline menu (header)
+ * Downloads the map tiles of the selected item over the AOI for a zoom range,
+ * lists the downloaded areas with their size, and reports the storage used by
+ * downloaded tiles and cached STAC responses.
+ */
+const OfflineMenu = ({ item, geometry }) => {
+  const [open, setOpen] = useState(false);
+  const [areas, setAreas] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [cachedResponses, setCachedResponses] = useState(0);
+  const [minZoom, setMinZoom] = useState(DEFAULT_MIN_ZOOM);
+  const [maxZoom, setMaxZoom] = useState(DEFAULT_MAX_ZOOM);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [online, setOnline] = useState(navigator.onLine);
+  const menuRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const tilesAsset = item ? Object.values(item.assets || {}).find(isTileAsset) : null;
+  const zoomRange = useMemo(() => getTileZoomRange(tilesAsset), [tilesAsset]);
+  const bbox = useMemo(() => (item ? getDownloadBbox(item, geometry) : null), [item, geometry]);
+  const tileCount = bbox && minZoom <= maxZoom ? countAreaTiles(bbox, minZoom, maxZoom) : 0;
+
+  // Close the menu on outside click
+  useOutsideClick(menuRef, open, () => setOpen(false));
+
+  // Offline indicator
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Keep the zoom selection within the levels the tile server has
+  useEffect(() => {
+    setMinZoom(Math.min(Math.max(DEFAULT_MIN_ZOOM, zoomRange.minZoom), zoomRange.maxZoom));
+    setMaxZoom(Math.max(Math.min(DEFAULT_MAX_ZOOM, zoomRange.maxZoom), zoomRange.minZoom));
+  }, [zoomRange]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [list, estimate, count] = await Promise.all([
+        listOfflineAreas(),
+        getStorageEstimate(),
+        countCachedResponses(),
+      ]);
+      setAreas(list);
+      setStorage(estimate);
+      setCachedResponses(count);
+    } catch (err) {
+      console.warn('Failed to read offline storage:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open && isOfflineSupported()) {
+      refresh();
+    }
+  }, [open, refresh]);
+
+  // Stop a running download when the menu goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleDownload = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setNotice(null);
+    setProgress({ done: 0, total: tileCount });
+    try {
+      const area = await downloadOfflineArea({
+        item,
+        bbox,
+        minZoom,
+        maxZoom,
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      if (!area.complete) {
+        setNotice(`Download cancelled; ${area.urls.length} tiles were kept`);
+      } else if (area.missing + area.failed > 0) {
+        setNotice(`Downloaded ${area.urls.length} tiles; ${area.missing + area.failed} were not available`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      refresh();
+    }
+  };
+
+  const handleDelete = async (area) => {
+    if (!window.confirm(`Delete the offline tiles of "${area.title}"?`)) {
+      return;
+    }
+    setError(null);
+    try {
+      await deleteOfflineArea(area);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      refresh();
+    }
+  };
+
+  const handleClearResponses = async () => {
+    setError(null);
+    try {
+      await clearResponseCache();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      refresh();
+    }
+  };
+
+  const areaBytes = areas.reduce((sum, area) => sum + area.bytes, 0);
+  const zoomOptions = [];
+  for (let z = zoomRange.minZoom; z <= zoomRange.maxZoom; z += 1) {
+    zoomOptions.push(z);
+  }
+
+  const renderDownload = () => {
+    if (!item) {
+      return <p className="offline-hint">Select an item to download its map tiles</p>;
+    }
+    if (!tilesAsset) {
+      return <p className="offline-hint">The selected item has no map tiles</p>;
+    }
+    if (!bbox) {
+      return <p className="offline-hint">The AOI does not overlap the selected item</p>;
+    }
+    return (
+      <div className="offline-form">
+        <span className="offline-item" title={item.id}>{item.id}</span>
+        <div className="offline-zoom">
+          <label>
+            Zoom
+            <select value={minZoom} onChange={(e) => setMinZoom(Number(e.target.value))} disabled={Boolean(progress)}>
+              {zoomOptions.map((z) => <option key={z} value={z}>{z}</option>)}
+            </select>
+          </label>
+          <label>
+            to
+            <select value={maxZoom} onChange={(e) => setMaxZoom(Number(e.target.value))} disabled={Boolean(progress)}>
+              {zoomOptions.map((z) => <option key={z} value={z}>{z}</option>)}
+            </select>
+          </label>
+        </div>
+        <p className={`offline-hint ${tileCount > MAX_AREA_TILES ? 'offline-over' : ''}`}>
+          {minZoom > maxZoom
+            ? 'The first zoom level must not be above the last'
+            : `${tileCount} tiles over ${geometry ? 'the AOI' : 'the item footprint'}${
+              tileCount > MAX_AREA_TILES ? ` (at most ${MAX_AREA_TILES}; narrow the zoom range or the AOI)` : ''}`}
+        </p>
+        {progress ? (
+          <div className="offline-progress">
+            <progress value={progress.done} max={progress.total} />
+            <span>{progress.done} / {progress.total}</span>
+            <button className="offline-link-btn" onClick={() => abortRef.current?.abort()}>
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <button
+            className="offline-primary-btn"
+            onClick={handleDownload}
+            disabled={!online || tileCount === 0 || tileCount > MAX_AREA_TILES}
+          >
+            Download area for offline
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="offline-menu" ref={menuRef}>
+      <button
+        className={`offline-toggle ${online ? '' : 'offline'}`}
+        onClick={() => setOpen(!open)}
+        title={online ? 'Offline map areas' : 'You are offline; cached results and downloaded areas are shown'}
+      >
+        {online ? 'Offline' : 'Offline mode'}
+      </button>
+
+      {open && (
+        <div className="offline-panel">
+          {isOfflineSupported() ? (
+            <>
+              <div className="offline-panel-header">Download map tiles</div>
+              {renderDownload()}
+
+              <div className="offline-panel-header">Downloaded areas ({areas.length})</div>
+              {areas.length === 0 ? (
+                <p className="offline-hint">No areas downloaded</p>
+              ) : (
+                <ul className="offline-areas">
+                  {areas.map((area) => (
+                    <li key={area.id} className="offline-area">
+                      <div className="offline-area-row">
+                        <span className="offline-area-title" title={area.title}>{area.title}</span>
+                        <button
+                          className="offline-remove"
+                          onClick={() => handleDelete(area)}
+                          aria-label={`Delete ${area.title}`}
+                          disabled={Boolean(progress)}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                      <span className="offline-hint">{describeArea(area)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="offline-panel-header">Storage</div>
+              <p className="offline-storage">
+                Downloaded tiles: {formatBytes(areaBytes)}
+                {storage && (
+                  <span className="offline-hint">
+                    {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used by this site
+                    {storage.persisted ? '' : ' · may be cleared by the browser when space runs low'}
+                  </span>
+                )}
+              </p>
+              <div className="offline-area-row">
+                <span className="offline-hint">{cachedResponses} cached collection and search responses</span>
+                <button className="offline-link-btn" onClick={handleClearResponses} disabled={cachedResponses === 0}>
+                  Clear
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="offline-hint">This browser does not support offline storage</p>
+          )}
+
+          {error && <p className="offline-error">{error}</p>}
+          {notice && <p className="offline-hint">{notice}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineMenu;
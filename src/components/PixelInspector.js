@@ -0,0 +1,358 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { openCogAssets, readAreaValues, readPointValues } from '../utils/cog';
+import { getItemBands } from '../utils/spectral';
+import { getBandStatistics, getSeriesMeasures, readPointSeries } from '../utils/inspect';
+import './PixelInspector.scss';
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 110;
+const CHART_PADDING = 6;
+
+const formatValue = (value) => {
+  if (value === null || Number.isNaN(value)) return 'no data';
+  return Number.isInteger(value) ? String(value) : value.toFixed(4);
+};
+
+const isPolygon = (geometry) => geometry && ['Polygon', 'MultiPolygon'].includes(geometry.type);
+
+// Small bar chart of a band histogram
+const HistogramBars = ({ histogram }) => {
+  const peak = Math.max(...histogram);
+  const barWidth = 100 / histogram.length;
+  return (
+    <svg className="inspector-histogram" viewBox="0 0 100 20" preserveAspectRatio="none">
+      {histogram.map((count, index) => (
+        <rect
+          key={index}
+          x={index * barWidth}
+          y={20 - (count / peak) * 20}
+          width={barWidth}
+          height={(count / peak) * 20}
+        />
+      ))}
+    </svg>
+  );
+};
+
+// Line chart of a measure over time; points select their item
+const SeriesChart = ({ series, selectedItemId, onItemClick }) => {
+  const points = series.filter((entry) => entry.value !== null);
+  if (points.length === 0) {
+    return <p className="inspector-hint">No values at this point.</p>;
+  }
+
+  const minTime = points[0].date.getTime();
+  const maxTime = points[points.length - 1].date.getTime();
+  const values = points.map((entry) => entry.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const toX = (date) => CHART_PADDING + (maxTime > minTime
+    ? ((date.getTime() - minTime) / (maxTime - minTime)) * (CHART_WIDTH - 2 * CHART_PADDING)
+    : (CHART_WIDTH - 2 * CHART_PADDING) / 2);
+  const toY = (value) => CHART_HEIGHT - CHART_PADDING - (maxValue > minValue
+    ? ((value - minValue) / (maxValue - minValue)) * (CHART_HEIGHT - 2 * CHART_PADDING)
+    : (CHART_HEIGHT - 2 * CHART_PADDING) / 2);
+
+  return (
+    <div className="inspector-series">
+      <div className="inspector-series-axis">
+        <span>{formatValue(maxValue)}</span>
+        <span>{formatValue(minValue)}</span>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}>
+        <polyline
+          className="inspector-series-line"
+          points={points.map((entry) => `${toX(entry.date)},${toY(entry.value)}`).join(' ')}
+        />
+        {points.map((entry) => (
+          <circle
+            key={entry.item.id}
+            className={`inspector-series-point ${entry.item.id === selectedItemId ? 'selected' : ''}`}
+            cx={toX(entry.date)}
+            cy={toY(entry.value)}
+            r={entry.item.id === selectedItemId ? 4 : 3}
+            onClick={() => onItemClick(entry.item)}
+          >
+            <title>{`${entry.date.toLocaleDateString()}: ${formatValue(entry.value)}\n${entry.item.id}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="inspector-series-dates">
+        <span>{points[0].date.toLocaleDateString()}</span>
+        <span>{points[points.length - 1].date.toLocaleDateString()}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pixel inspector panel for the displayed item's GeoTIFF assets
+ * Shows the raw band values at the clicked point, per-band statistics and
+ * histograms inside the drawn AOI, and a band or index time series at the
+ * point across the search results that cover it.
+ */
+const PixelInspector = ({ item, assetKeys, point, geometry, items, onItemClick, onClose }) => {
+  const [cogs, setCogs] = useState(null);
+  const [error, setError] = useState(null);
+  const [pointValues, setPointValues] = useState(null); // [{ ref, label, value }]
+  const [pointLoading, setPointLoading] = useState(false);
+  const [areaStatistics, setAreaStatistics] = useState(null); // { scale, bands: [{ ref, label, stats }] }
+  const [areaLoading, setAreaLoading] = useState(false);
+  const [measureKey, setMeasureKey] = useState(null);
+  const [series, setSeries] = useState(null);
+  const [seriesProgress, setSeriesProgress] = useState(null); // { done, total }
+  const areaControllerRef = useRef(null);
+  const seriesControllerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setCogs(null);
+    setError(null);
+    openCogAssets(item, assetKeys)
+      .then((opened) => {
+        if (!cancelled) setCogs(opened);
+      })
+      .catch((err) => {
+        console.error('Failed to open GeoTIFF:', err);
+        if (!cancelled) setError(err.message || 'Failed to read GeoTIFF');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [item, assetKeys]);
+
+  const itemBands = useMemo(() => (cogs
+    ? getItemBands(item, Object.fromEntries(Object.entries(cogs).map(([key, cog]) => [key, cog.bandCount])))
+    : []), [item, cogs]);
+  const measures = useMemo(() => getSeriesMeasures(itemBands), [itemBands]);
+  const measure = measures.find((candidate) => candidate.key === measureKey) || measures[0] || null;
+
+  // Band values at the clicked point
+  useEffect(() => {
+    setPointValues(null);
+    setPointLoading(false);
+    if (!cogs || !point) return undefined;
+
+    const controller = new AbortController();
+    setPointLoading(true);
+    Promise.all(Object.values(cogs).map((cog) => readPointValues(cog, point, controller.signal)))
+      .then((results) => {
+        const byAsset = Object.fromEntries(Object.keys(cogs).map((key, index) => [key, results[index]]));
+        setPointValues(itemBands.map((band) => ({
+          ...band,
+          value: byAsset[band.assetKey] ? byAsset[band.assetKey][band.band] : null,
+        })));
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to read pixel values:', err);
+          setError(err.message || 'Failed to read pixel values');
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setPointLoading(false);
+      });
+    return () => controller.abort();
+  }, [cogs, itemBands, point]);
+
+  // Results are only valid for the inputs they were computed from
+  useEffect(() => {
+    areaControllerRef.current?.abort();
+    setAreaStatistics(null);
+    setAreaLoading(false);
+  }, [cogs, geometry]);
+
+  // The series is kept when another item is displayed (e.g. by clicking a point of the chart)
+  useEffect(() => {
+    seriesControllerRef.current?.abort();
+    setSeries(null);
+    setSeriesProgress(null);
+  }, [point, items]);
+
+  useEffect(() => () => {
+    areaControllerRef.current?.abort();
+    seriesControllerRef.current?.abort();
+  }, []);
+
+  const handleComputeArea = async () => {
+    const controller = new AbortController();
+    areaControllerRef.current = controller;
+    setAreaLoading(true);
+    setError(null);
+    try {
+      const keys = Object.keys(cogs);
+      const results = await Promise.all(keys.map((key) => readAreaValues(cogs[key], geometry, controller.signal)));
+      const byAsset = Object.fromEntries(keys.map((key, index) => [key, results[index]]));
+      if (!controller.signal.aborted) {
+        setAreaStatistics({
+          scale: Math.max(...results.map((result) => result?.scale || 1)),
+          bands: itemBands.map((band) => ({
+            ...band,
+            stats: getBandStatistics(byAsset[band.assetKey]?.bands[band.band] || []),
+          })),
+        });
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Failed to compute AOI statistics:', err);
+        setError(err.message || 'Failed to compute AOI statistics');
+      }
+    } finally {
+      if (!controller.signal.aborted) setAreaLoading(false);
+    }
+  };
+
+  const handlePlotSeries = async () => {
+    const controller = new AbortController();
+    seriesControllerRef.current = controller;
+    setMeasureKey(measure.key);
+    setSeries(null);
+    const result = await readPointSeries(items, point, measure, {
+      signal: controller.signal,
+      onProgress: (done, total) => setSeriesProgress({ done, total }),
+    });
+    if (!controller.signal.aborted) {
+      setSeries(result);
+      setSeriesProgress(null);
+    }
+  };
+
+  const handleMeasureChange = (key) => {
+    seriesControllerRef.current?.abort();
+    setSeries(null);
+    setSeriesProgress(null);
+    setMeasureKey(key);
+  };
+
+  const handleCancelSeries = () => {
+    seriesControllerRef.current?.abort();
+    setSeriesProgress(null);
+  };
+
+  return (
+    <div className="pixel-inspector">
+      <div className="pixel-inspector-header">
+        <span title={item.id}>Inspect {item.id}</span>
+        <button className="pixel-inspector-close" onClick={onClose} aria-label="Close inspector">
+          ✕
+        </button>
+      </div>
+
+      <div className="pixel-inspector-body">
+        {!cogs && !error && <p className="inspector-hint">Reading GeoTIFF...</p>}
+        {error && <p className="inspector-hint inspector-error">{error}</p>}
+
+        {cogs && (
+          <section>
+            <h4>Point</h4>
+            {!point && <p className="inspector-hint">Click the map to read the band values.</p>}
+            {point && (
+              <p className="inspector-hint">
+                {point[1].toFixed(5)}, {point[0].toFixed(5)}
+                {pointLoading && ' – reading...'}
+              </p>
+            )}
+            {pointValues && pointValues.every((band) => band.value === null) && (
+              <p className="inspector-hint">The point is outside the image.</p>
+            )}
+            {pointValues && pointValues.some((band) => band.value !== null) && (
+              <table className="inspector-table">
+                <tbody>
+                  {pointValues.map((band) => (
+                    <tr key={band.ref}>
+                      <td>{band.label}</td>
+                      <td>{formatValue(band.value)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        )}
+
+        {cogs && (
+          <section>
+            <h4>AOI statistics</h4>
+            {!isPolygon(geometry) && <p className="inspector-hint">Draw or import an AOI to compute band statistics.</p>}
+            {isPolygon(geometry) && !areaStatistics && (
+              <button onClick={handleComputeArea} disabled={areaLoading}>
+                {areaLoading ? 'Computing...' : 'Compute statistics'}
+              </button>
+            )}
+            {areaStatistics && areaStatistics.bands.every((band) => !band.stats) && (
+              <p className="inspector-hint">The AOI doesn't overlap the image.</p>
+            )}
+            {areaStatistics && areaStatistics.bands.some((band) => band.stats) && (
+              <>
+                <table className="inspector-table">
+                  <thead>
+                    <tr>
+                      <th>Band</th>
+                      <th>Min</th>
+                      <th>Max</th>
+                      <th>Mean</th>
+                      <th>Histogram</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {areaStatistics.bands.map((band) => (
+                      <tr key={band.ref}>
+                        <td>{band.label}</td>
+                        {band.stats ? (
+                          <>
+                            <td>{formatValue(band.stats.min)}</td>
+                            <td>{formatValue(band.stats.max)}</td>
+                            <td>{formatValue(band.stats.mean)}</td>
+                            <td><HistogramBars histogram={band.stats.histogram} /></td>
+                          </>
+                        ) : (
+                          <td colSpan={4}>no data</td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {areaStatistics.scale > 1 && (
+                  <p className="inspector-hint">Computed from a 1:{Math.round(areaStatistics.scale)} overview.</p>
+                )}
+              </>
+            )}
+          </section>
+        )}
+
+        {cogs && measure && (
+          <section>
+            <h4>Time series</h4>
+            <div className="inspector-row">
+              <select value={measure.key} onChange={(e) => handleMeasureChange(e.target.value)}>
+                {measures.map((candidate) => (
+                  <option key={candidate.key} value={candidate.key}>{candidate.label}</option>
+                ))}
+              </select>
+              {seriesProgress ? (
+                <>
+                  <span className="inspector-hint">Reading {seriesProgress.done}/{seriesProgress.total}...</span>
+                  <button onClick={handleCancelSeries}>Cancel</button>
+                </>
+              ) : (
+                <button
+                  onClick={handlePlotSeries}
+                  disabled={!point}
+                  title="Read the value at the point from every result covering it"
+                >
+                  Plot
+                </button>
+              )}
+            </div>
+            {!point && <p className="inspector-hint">Click the map to choose the point.</p>}
+            {series && (
+              <SeriesChart series={series} selectedItemId={item.id} onItemClick={onItemClick} />
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PixelInspector;
@@ -0,0 +1,48 @@
+import React, { memo } from 'react';
+import { getTileAssetKeys } from '../utils/tileUrl';
+
+/**
+ * Header of a group of search results
+ * Collapses the group, shows its item count, shows the group's imagery on the
+ * map (as basket layers) and exports its XYZ URLs. Memoized like the result
+ * cards; actions must be a stable object of handlers { toggleGroup, showGroup, exportGroup }.
+ */
+const ResultGroupHeader = ({ group, collapsed, actions }) => {
+  const tileItemCount = group.items.filter((item) => getTileAssetKeys(item).length > 0).length;
+
+  return (
+    <div className={`result-group-header ${collapsed ? 'collapsed' : ''}`}>
+      <button
+        className="result-group-toggle"
+        onClick={() => actions.toggleGroup(group.key)}
+        aria-expanded={!collapsed}
+        title={collapsed ? 'Show the items of this group' : 'Hide the items of this group'}
+      >
+        <span className="result-group-arrow" aria-hidden="true">{collapsed ? '▸' : '▾'}</span>
+        <span className="result-group-label" title={group.label}>{group.label}</span>
+        <span className="result-group-count">{group.items.length}</span>
+      </button>
+      <div className="result-group-actions">
+        <button
+          className="result-group-btn"
+          onClick={() => actions.showGroup(group)}
+          title={tileItemCount > 0
+            ? `Show the imagery of ${tileItemCount} item${tileItemCount > 1 ? 's' : ''} as map layers`
+            : 'Zoom to the footprints of this group'}
+        >
+          Show on map
+        </button>
+        <button
+          className="result-group-btn"
+          onClick={() => actions.exportGroup(group)}
+          disabled={tileItemCount === 0}
+          title="Download the XYZ URLs of this group as CSV"
+        >
+          ⬇ XYZ URLs
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default memo(ResultGroupHeader);
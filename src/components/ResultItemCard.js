@@ -0,0 +1,145 @@
+import React, { memo } from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import {
+  getTileAssetKeys,
+  getCogAssetKeys,
+  formatXYZUrl,
+  formatQGISArcGISUrl,
+} from '../utils/tileUrl';
+import { buildItemLink } from '../utils/searchUrl';
+
+/**
+ * Search result card
+ * Memoized: a card only re-renders when its item, selection or basket state
+ * changes, so long result lists stay fast. actions must be a stable object of
+ * handlers { select, hover, zoom, copyXYZ, copyQGISArcGIS, toggleBasket, downloadLayerFile }.
+ */
+const ResultItemCard = ({ item, selected, inBasket, actions }) => {
+  const endpointUrl = useSelector((state) => state.endpoints.activeEndpoint.url);
+  const thumbnail = item.assets?.thumbnail?.href || item.assets?.visual?.href;
+  const date = item.properties?.datetime || item.properties?.created || 'Unknown';
+  const tileAssetKeys = getTileAssetKeys(item);
+  const cogAssetKeys = tileAssetKeys.length === 0 ? getCogAssetKeys(item) : [];
+
+  return (
+    <div
+      className={`item-card ${selected ? 'item-card-selected' : ''}`}
+      onClick={() => actions.select(item)}
+      style={{ cursor: 'pointer' }}
+    >
+      {thumbnail && (
+        <div className="item-thumbnail">
+          <img src={thumbnail} alt={item.id} loading="lazy" />
+        </div>
+      )}
+      <div className="item-content">
+        <h3>{item.id}</h3>
+        <p className="item-date">{new Date(date).toLocaleDateString()}</p>
+        {item.collection && (
+          <p className="item-collection" style={{ margin: '0.25rem 0', fontSize: '0.9rem', color: '#666' }}>
+            <strong>Collection:</strong> {item.collection}
+          </p>
+        )}
+        {item.properties?.description && (
+          <p className="item-description">{item.properties.description}</p>
+        )}
+        <div className="item-assets">
+          <strong>XYZ Address:</strong>
+          <ul>
+            {tileAssetKeys.map((assetKey) => {
+              const asset = item.assets[assetKey];
+              const xyzUrl = formatXYZUrl(asset.href);
+              const qgisUrl = formatQGISArcGISUrl(asset.href);
+              return (
+                <li
+                  key={assetKey}
+                  className="asset-item"
+                  onMouseEnter={() => actions.hover(item)}
+                  onMouseLeave={() => actions.hover(null)}
+                >
+                  <div className="asset-content">
+                    <span
+                      className="asset-name"
+                      onClick={(e) => actions.zoom(e, item)}
+                      title="Click to zoom | Hover to show extent"
+                    >
+                      {assetKey}
+                    </span>
+                    <div className="xyz-address">
+                      <span className="xyz-label">Address XYZ:</span>
+                      <span className="xyz-url" title={xyzUrl}>{xyzUrl}</span>
+                    </div>
+                    <div className="xyz-address" style={{ marginTop: '0.5rem' }}>
+                      <span className="xyz-label">Address XYZ (QGIS/ArcGIS):</span>
+                      <span className="xyz-url" title={qgisUrl}>{qgisUrl}</span>
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                    <button
+                      className="copy-xyz-btn"
+                      onClick={(e) => actions.copyXYZ(e, asset.href)}
+                      title="Copy XYZ URL to clipboard"
+                    >
+                      Copy XYZ
+                    </button>
+                    <button
+                      className="copy-xyz-btn"
+                      onClick={(e) => actions.copyQGISArcGIS(e, asset.href)}
+                      title="Copy QGIS/ArcGIS TMS URL to clipboard"
+                      style={{ background: '#28a745' }}
+                    >
+                      Copy QGIS/ArcGIS
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+            {tileAssetKeys.length === 0 && (
+              <li className="no-tiles">
+                No XYZ address available
+                {cogAssetKeys.length > 0 && (
+                  <> – GeoTIFF ({cogAssetKeys.join(', ')}) is rendered in the browser when selected</>
+                )}
+              </li>
+            )}
+          </ul>
+          {tileAssetKeys.length > 0 && (
+            <button
+              className={`btn-basket ${inBasket ? 'in-basket' : ''}`}
+              onClick={(e) => actions.toggleBasket(e, item)}
+              title="Show this item as a map layer together with other items"
+            >
+              {inBasket ? '✓ In layers' : '+ Add to layers'}
+            </button>
+          )}
+          {tileAssetKeys.length > 0 && (
+            <button
+              className="btn-layer-file"
+              onClick={(e) => actions.downloadLayerFile(e, item)}
+              title="Download a QGIS layer file with the tile assets of this item"
+            >
+              ⬇ QGIS layer file (.qlr)
+            </button>
+          )}
+        </div>
+        {selected && (
+          <div className="item-selected-indicator">
+            ✓ Displayed on map
+          </div>
+        )}
+        {item.collection && (
+          <Link
+            to={buildItemLink(item.collection, item.id, endpointUrl)}
+            className="item-details-link"
+            onClick={(e) => e.stopPropagation()}
+          >
+            View details →
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default memo(ResultItemCard);
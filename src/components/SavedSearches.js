@@ -0,0 +1,229 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  RELATIVE_DATE_WINDOWS,
+  deleteSavedSearch,
+  exportSavedSearches,
+  formatSavedSearchDates,
+  importSavedSearches,
+  loadSavedSearches,
+  resolveSavedSearch,
+  saveSearch,
+} from '../utils/savedSearches';
+import { downloadFile } from '../utils/export';
+import './SavedSearches.scss';
+
+const describeSearch = (search) => [
+  search.collections.length > 0
+    ? `${search.collections.length} collection${search.collections.length > 1 ? 's' : ''}`
+    : 'All collections',
+  formatSavedSearchDates(search),
+  search.geometry ? 'AOI' : null,
+  search.filters.length > 0 ? `${search.filters.length} filter${search.filters.length > 1 ? 's' : ''}` : null,
+].filter(Boolean).join(' · ');
+
+/**
+ * Saved search manager
+ * Stores the current filters (collections, dates, AOI, property filters and
+ * sort) under a name in the browser, runs saved searches, and exports or
+ * imports them as a JSON file.
+ * current: filter values { collections, startDate, endDate, geometry, filters, sortBy }
+ */
+const SavedSearches = ({ current, onApply }) => {
+  const fileInputRef = useRef(null);
+  const [searches, setSearches] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [dateWindow, setDateWindow] = useState('fixed'); // 'fixed' or number of days
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const refresh = async () => {
+    try {
+      setSearches(await loadSavedSearches());
+    } catch (err) {
+      console.error('Failed to load saved searches:', err);
+      setError(err.message || 'Failed to load saved searches');
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSavedSearches()
+      .then((loaded) => {
+        if (!cancelled) setSearches(loaded);
+      })
+      .catch((err) => {
+        console.error('Failed to load saved searches:', err);
+        if (!cancelled) setError(err.message || 'Failed to load saved searches');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    if (
+      searches.some((search) => search.name === name.trim())
+      && !window.confirm(`Replace the saved search "${name.trim()}"?`)
+    ) {
+      return;
+    }
+    setError(null);
+    try {
+      await saveSearch({
+        ...current,
+        name,
+        relativeDays: dateWindow === 'fixed' ? null : Number(dateWindow),
+      }, searches);
+      setMessage(`Saved "${name.trim()}"`);
+      setSaving(false);
+      setName('');
+      await refresh();
+    } catch (err) {
+      console.error('Failed to save search:', err);
+      setError(err.message || 'Failed to save search');
+    }
+  };
+
+  const handleDelete = async (search) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    setError(null);
+    setMessage(null);
+    try {
+      await deleteSavedSearch(search.id);
+      await refresh();
+    } catch (err) {
+      console.error('Failed to delete saved search:', err);
+      setError(err.message || 'Failed to delete saved search');
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(exportSavedSearches(searches), 'saved-searches.json', 'application/json');
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input so the same file can be chosen again
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setMessage(null);
+    try {
+      const count = await importSavedSearches(await file.text(), searches);
+      setMessage(`Imported ${count} saved search${count > 1 ? 'es' : ''}`);
+      await refresh();
+    } catch (err) {
+      console.error('Failed to import saved searches:', err);
+      setError(err.message || 'Failed to import saved searches');
+    }
+  };
+
+  return (
+    <div className="saved-searches">
+      {searches.length === 0 ? (
+        <p className="filter-description">No saved searches yet</p>
+      ) : (
+        <ul className="saved-search-list">
+          {searches.map((search) => (
+            <li key={search.id} className="saved-search">
+              <button
+                className="saved-search-apply"
+                onClick={() => {
+                  setMessage(null);
+                  onApply(resolveSavedSearch(search));
+                }}
+                title="Run this search"
+              >
+                <span className="saved-search-name">{search.name}</span>
+                <span className="saved-search-details">{describeSearch(search)}</span>
+              </button>
+              <button
+                className="saved-search-delete"
+                onClick={() => handleDelete(search)}
+                aria-label={`Delete ${search.name}`}
+                title="Delete"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {saving ? (
+        <form className="saved-search-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name"
+            autoFocus
+          />
+          <select
+            value={dateWindow}
+            onChange={(e) => setDateWindow(e.target.value)}
+            title="Keep the dates, or search a window ending on the day the search is run"
+          >
+            <option value="fixed">
+              {current.startDate || current.endDate ? 'Fixed dates' : 'Any date'}
+            </option>
+            {RELATIVE_DATE_WINDOWS.map((days) => (
+              <option key={days} value={days}>Last {days} days</option>
+            ))}
+          </select>
+          <div className="saved-search-actions">
+            <button type="submit" className="btn-save-search" disabled={!name.trim()}>
+              Save
+            </button>
+            <button type="button" className="saved-search-link-btn" onClick={() => setSaving(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="saved-search-actions">
+          <button
+            className="btn-save-search"
+            onClick={() => {
+              setMessage(null);
+              setSaving(true);
+            }}
+          >
+            Save current search
+          </button>
+          <button
+            className="saved-search-link-btn"
+            onClick={handleExport}
+            disabled={searches.length === 0}
+            title="Download the saved searches as JSON"
+          >
+            Export
+          </button>
+          <button
+            className="saved-search-link-btn"
+            onClick={() => fileInputRef.current?.click()}
+            title="Add saved searches from a JSON file"
+          >
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportFile}
+            style={{ display: 'none' }}
+          />
+        </div>
+      )}
+
+      {error && <p className="saved-search-error">{error}</p>}
+      {message && <p className="saved-search-message">{message}</p>}
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -0,0 +1,196 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { fetchDatetimeFrequency } from '../services/stac.service';
+import {
+  TIMELINE_INTERVALS,
+  buildHistogram,
+  buildHistogramFromAggregation,
+  formatBucketLabel,
+  getItemIdsInRange,
+  toDateInputValue,
+} from '../utils/timeline';
+import './TimelineHistogram.scss';
+
+/**
+ * Timeline histogram of search results
+ * Counts per day/month/year come from the STAC aggregation endpoint when not
+ * all pages are loaded (and the API supports it), otherwise from the loaded items.
+ * An API that can't aggregate a search isn't asked again.
+ * Hovering a bar reports the matching items; dragging across bars (or clicking
+ * one) selects a date range.
+ */
+const TimelineHistogram = ({ items, hasMore, matched, searchBody, endpointUrl, onHoverItems, onBrush }) => {
+  const [preferredInterval, setPreferredInterval] = useState('auto');
+  const [aggregation, setAggregation] = useState(null); // { searchBody, histogram }
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [brush, setBrush] = useState(null); // { anchor, current } bucket indices
+  const aggregationUnsupportedRef = useRef(new Set()); // URLs of APIs without (usable) aggregation
+  const chartRef = useRef(null);
+
+  const localHistogram = useMemo(
+    () => buildHistogram(items, preferredInterval),
+    [items, preferredInterval]
+  );
+  const localInterval = localHistogram.interval;
+
+  // Server-side counts for the whole search when only some pages are loaded
+  // Only a new search or interval refetches them, not further pages; the
+  // previous counts stay until the new ones arrive.
+  useEffect(() => {
+    if (!hasMore || !searchBody || !localInterval || aggregationUnsupportedRef.current.has(endpointUrl)) {
+      return;
+    }
+
+    let cancelled = false;
+    fetchDatetimeFrequency(searchBody, localInterval, endpointUrl)
+      .then((buckets) => {
+        if (!buckets) {
+          aggregationUnsupportedRef.current.add(endpointUrl);
+        } else if (!cancelled) {
+          setAggregation({ searchBody, histogram: buildHistogramFromAggregation(buckets, localInterval) });
+        }
+      })
+      .catch((err) => {
+        console.warn('Failed to load datetime aggregation:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hasMore, searchBody, localInterval, endpointUrl]);
+
+  // Counts of another search are never shown
+  const aggregated = hasMore && aggregation?.searchBody === searchBody ? aggregation.histogram : null;
+  const histogram = aggregated && aggregated.buckets.length > 0 ? aggregated : localHistogram;
+  const { buckets, interval } = histogram;
+  const maxCount = Math.max(1, ...buckets.map((bucket) => bucket.count));
+
+  if (buckets.length === 0) {
+    return null;
+  }
+
+  const getIndex = (e) => {
+    const rect = chartRef.current.getBoundingClientRect();
+    const index = Math.floor(((e.clientX - rect.left) / rect.width) * buckets.length);
+    return Math.min(buckets.length - 1, Math.max(0, index));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const index = getIndex(e);
+    setBrush({ anchor: index, current: index });
+  };
+
+  const handlePointerMove = (e) => {
+    const index = getIndex(e);
+    if (brush) {
+      setBrush({ ...brush, current: index });
+      return;
+    }
+    if (index !== hoverIndex) {
+      setHoverIndex(index);
+      const bucket = buckets[index];
+      onHoverItems(getItemIdsInRange(items, bucket.start, bucket.end));
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!brush) return;
+    const from = buckets[Math.min(brush.anchor, brush.current)];
+    const to = buckets[Math.max(brush.anchor, brush.current)];
+    setBrush(null);
+    // Bucket ends are exclusive; the date inputs are inclusive
+    onBrush(toDateInputValue(from.start), toDateInputValue(new Date(to.end.getTime() - 1)));
+  };
+
+  const handlePointerLeave = () => {
+    if (brush) return;
+    setHoverIndex(null);
+    onHoverItems(null);
+  };
+
+  const brushRange = brush
+    ? [Math.min(brush.anchor, brush.current), Math.max(brush.anchor, brush.current)]
+    : null;
+  const hovered = hoverIndex !== null ? buckets[hoverIndex] : null;
+
+  return (
+    <div className="timeline-histogram">
+      <div className="timeline-header">
+        <span className="timeline-title">
+          Acquisitions per {interval}
+          <span className="timeline-source">
+            {histogram === aggregated
+              ? ` (all ${matched ?? ''} results)`
+              : hasMore ? ` (${items.length} loaded results)` : ''}
+          </span>
+        </span>
+        {hovered && !brush && (
+          <span className="timeline-hover">
+            {formatBucketLabel(hovered.start, interval)}: {hovered.count}
+          </span>
+        )}
+        {brushRange && (
+          <span className="timeline-hover">
+            {formatBucketLabel(buckets[brushRange[0]].start, interval)} – {formatBucketLabel(buckets[brushRange[1]].start, interval)}
+          </span>
+        )}
+        <div className="timeline-intervals">
+          {['auto', ...TIMELINE_INTERVALS].map((option) => (
+            <button
+              key={option}
+              className={preferredInterval === option ? 'active' : ''}
+              onClick={() => setPreferredInterval(option)}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div
+        className="timeline-chart"
+        ref={chartRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerLeave}
+        title="Drag across bars (or click one) to set the date filter"
+      >
+        <svg viewBox={`0 0 ${buckets.length} 100`} preserveAspectRatio="none">
+          {brushRange && (
+            <rect
+              className="timeline-brush"
+              x={brushRange[0]}
+              width={brushRange[1] - brushRange[0] + 1}
+              y={0}
+              height={100}
+            />
+          )}
+          {buckets.map((bucket, index) => {
+            const height = bucket.count > 0 ? Math.max(3, (bucket.count / maxCount) * 100) : 0;
+            return (
+              <rect
+                key={bucket.start.getTime()}
+                className={`timeline-bar ${index === hoverIndex ? 'hovered' : ''}`}
+                x={index + 0.1}
+                width={0.8}
+                y={100 - height}
+                height={height}
+              />
+            );
+          })}
+        </svg>
+      </div>
+      <div className="timeline-axis">
+        <span>{formatBucketLabel(buckets[0].start, interval)}</span>
+        {buckets.length > 2 && (
+          <span>{formatBucketLabel(buckets[Math.floor(buckets.length / 2)].start, interval)}</span>
+        )}
+        {buckets.length > 1 && (
+          <span>{formatBucketLabel(buckets[buckets.length - 1].start, interval)}</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TimelineHistogram;
@@ -0,0 +1,176 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+// Index of the last row starting at or above a position (offsets are ascending)
+const findRow = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return Math.max(0, low);
+};
+
+/**
+ * Virtualized list of variable-height rows
+ * Only the rows in (and near) the visible part of the scroll container are
+ * rendered; the others are replaced by padding of their measured height (or
+ * estimatedHeight until they have been shown once).
+ * items: rows; getKey(item): stable row key; renderItem(item, index): row content
+ * scrollRef: ref of the scrolling ancestor (the list may sit below other content in it)
+ * activeKey: key of a row to scroll into view (centered) whenever it changes
+ */
+const VirtualList = ({
+  items,
+  getKey,
+  renderItem,
+  scrollRef,
+  activeKey = null,
+  estimatedHeight = 250,
+  overscan = 3,
+  className = '',
+}) => {
+  const listRef = useRef(null);
+  const observerRef = useRef(null);
+  const [heights, setHeights] = useState(() => new Map()); // row key -> measured height
+  const [viewport, setViewport] = useState({ top: 0, height: 800 });
+
+  // Start offset of every row, plus the total height at the end
+  const offsets = useMemo(() => {
+    const result = new Array(items.length + 1);
+    result[0] = 0;
+    items.forEach((item, index) => {
+      result[index + 1] = result[index] + (heights.get(getKey(item)) ?? estimatedHeight);
+    });
+    return result;
+  }, [items, getKey, estimatedHeight, heights]);
+
+  // Visible part of the list, relative to its top
+  const updateViewport = useCallback(() => {
+    const scroller = scrollRef.current;
+    const list = listRef.current;
+    if (!scroller || !list) return;
+    const listTop = list.getBoundingClientRect().top - scroller.getBoundingClientRect().top;
+    setViewport((current) => {
+      const next = { top: -listTop, height: scroller.clientHeight };
+      return current.top === next.top && current.height === next.height ? current : next;
+    });
+  }, [scrollRef]);
+
+  useLayoutEffect(() => {
+    updateViewport();
+  }, [updateViewport, items.length]);
+
+  useEffect(() => {
+    const scroller = scrollRef.current;
+    if (!scroller) return;
+    let frame = null;
+    const handleScroll = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          updateViewport();
+        });
+      }
+    };
+    scroller.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      scroller.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+    };
+  }, [scrollRef, updateViewport]);
+
+  // Rows report their height when rendered and whenever it changes (images, fonts)
+  const storeHeights = useCallback((elements) => {
+    setHeights((current) => {
+      let next = null;
+      elements.forEach((element) => {
+        const key = element.dataset.rowKey;
+        const height = element.getBoundingClientRect().height;
+        if (height > 0 && current.get(key) !== height) {
+          next = next || new Map(current);
+          next.set(key, height);
+        }
+      });
+      return next || current;
+    });
+  }, []);
+
+  const measureRow = useCallback((element) => {
+    if (!element) return undefined;
+    storeHeights([element]);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver((entries) => storeHeights(entries.map((entry) => entry.target)));
+    }
+    const observer = observerRef.current;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, [storeHeights]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // Forget heights of rows that left the list
+  useEffect(() => {
+    const keys = new Set(items.map(getKey));
+    setHeights((current) => {
+      const stale = [...current.keys()].filter((key) => !keys.has(key));
+      if (stale.length === 0) return current;
+      const next = new Map(current);
+      stale.forEach((key) => next.delete(key));
+      return next;
+    });
+  }, [items, getKey]);
+
+  // Center the active row (also once it arrives with a page of results)
+  const activeIndex = activeKey === null ? -1 : items.findIndex((item) => getKey(item) === activeKey);
+  const activeLoaded = activeIndex !== -1;
+  // Latest layout, read when the active row changes but not re-run when heights are measured
+  const layoutRef = useRef({ offsets, activeIndex });
+  useEffect(() => {
+    layoutRef.current = { offsets, activeIndex };
+  });
+  useEffect(() => {
+    const scroller = scrollRef.current;
+    const list = listRef.current;
+    const { offsets: rowOffsets, activeIndex: index } = layoutRef.current;
+    if (!scroller || !list || index === -1) return;
+    const listTop = list.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+    const rowHeight = rowOffsets[index + 1] - rowOffsets[index];
+    scroller.scrollTo({
+      top: Math.max(0, listTop + rowOffsets[index] - (scroller.clientHeight - rowHeight) / 2),
+      behavior: 'smooth',
+    });
+  }, [scrollRef, activeKey, activeLoaded]);
+
+  const total = offsets[items.length];
+  const start = items.length > 0 ? Math.max(0, findRow(offsets, viewport.top) - overscan) : 0;
+  const end = items.length > 0
+    ? Math.min(items.length - 1, findRow(offsets, viewport.top + viewport.height) + overscan)
+    : -1;
+
+  return (
+    <div
+      ref={listRef}
+      className={`virtual-list ${className}`}
+      style={{ paddingTop: offsets[start], paddingBottom: total - offsets[end + 1] }}
+    >
+      {items.slice(start, end + 1).map((item, i) => {
+        const key = getKey(item);
+        return (
+          <div key={key} ref={measureRow} className="virtual-list-row" data-row-key={key}>
+            {renderItem(item, start + i)}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,307 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  addWatchAsync,
+  checkWatchesAsync,
+  clearWatchError,
+  removeWatchAsync,
+  updateWatchAsync,
+} from '../redux/slices/watches';
+import { switchEndpointAsync } from '../redux/slices/endpoints';
+import {
+  WATCH_INTERVALS,
+  WATCH_WINDOW_DAYS,
+  getWatchEndpointUrl,
+  isNotificationSupported,
+  requestNotificationPermission,
+} from '../utils/watches';
+import { buildItemLink } from '../utils/searchUrl';
+import useOutsideClick from '../hooks/useOutsideClick';
+import './WatchMenu.scss';
+
+// Unread items listed in the menu
+const MAX_LISTED_ITEMS = 50;
+
+const getItemPath = (item) => buildItemLink(item.collection, item.id, getWatchEndpointUrl(item.watch));
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : 'never');
+
+const describeWatch = (watch, endpointTitle) => [
+  endpointTitle,
+  watch.collections.length > 0
+    ? `${watch.collections.length} collection${watch.collections.length > 1 ? 's' : ''}`
+    : 'All collections',
+  (WATCH_INTERVALS.find((interval) => interval.minutes === watch.intervalMinutes)?.label || '').toLowerCase(),
+  `checked ${formatTime(watch.lastChecked)}`,
+].filter(Boolean).join(' · ');
+
+/**
+ * New-imagery watches menu (header)
+ * Shows a badge with the number of unread new items, lists them, and lets the
+ * user watch the current AOI + collections (+ property filters) search.
+ * current: filter values { collections, geometry, filters }
+ */
+const WatchMenu = ({ current, onShowWatch }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { watches, checking, error } = useSelector((state) => state.watches);
+  const { endpoints, activeEndpoint } = useSelector((state) => state.endpoints);
+  const [open, setOpen] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [intervalMinutes, setIntervalMinutes] = useState(WATCH_INTERVALS[1].minutes);
+  const [notify, setNotify] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close the menu on outside click
+  useOutsideClick(menuRef, open, () => setOpen(false));
+
+  const newItems = useMemo(() => watches
+    .flatMap((watch) => watch.newItems.map((item) => ({ ...item, watch })))
+    .sort((a, b) => b.foundAt.localeCompare(a.foundAt)), [watches]);
+
+  // Notification permission is asked for when notifications are switched on (needs a click)
+  const enableNotifications = async () => {
+    const permission = await requestNotificationPermission();
+    if (permission !== 'granted') {
+      setNotice(permission === 'unsupported'
+        ? 'This browser does not support notifications'
+        : 'Notifications are blocked for this site; new items are still listed here');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setNotice(null);
+    if (notify) {
+      await enableNotifications();
+    }
+    setSaving(true);
+    const result = await dispatch(addWatchAsync({
+      name,
+      collections: current.collections,
+      geometry: current.geometry,
+      filters: current.filters,
+      intervalMinutes,
+      notify,
+    }));
+    setSaving(false);
+    if (addWatchAsync.fulfilled.match(result)) {
+      setAdding(false);
+      setName('');
+    }
+  };
+
+  const handleToggleNotify = async (watch) => {
+    if (!watch.notify) {
+      await enableNotifications();
+    }
+    dispatch(updateWatchAsync({ id: watch.id, changes: { notify: !watch.notify } }));
+  };
+
+  const handleMarkAllRead = () => {
+    watches
+      .filter((watch) => watch.newItems.length > 0)
+      .forEach((watch) => dispatch(updateWatchAsync({ id: watch.id, changes: { newItems: [] } })));
+  };
+
+  // Endpoint of a watch when it isn't the active one (null otherwise)
+  const getOtherEndpoint = (watch) => {
+    const url = getWatchEndpointUrl(watch);
+    if (url === activeEndpoint.url) {
+      return null;
+    }
+    return endpoints.find((endpoint) => endpoint.url === url) || { id: url, title: url, url, source: 'user' };
+  };
+
+  // Items and searches of a watch are opened on the watch's endpoint
+  const openOnWatchEndpoint = async (watch, show) => {
+    setOpen(false);
+    const endpoint = getOtherEndpoint(watch);
+    if (endpoint) {
+      await dispatch(switchEndpointAsync(endpoint));
+    }
+    show();
+  };
+
+  const handleRemove = (watch) => {
+    if (window.confirm(`Stop watching "${watch.name}"?`)) {
+      dispatch(removeWatchAsync(watch.id));
+    }
+  };
+
+  return (
+    <div className="watch-menu" ref={menuRef}>
+      <button
+        className="watch-toggle"
+        onClick={() => setOpen(!open)}
+        title="New imagery over watched areas"
+        aria-label={`Watches, ${newItems.length} new items`}
+      >
+        🔔
+        {newItems.length > 0 && <span className="watch-badge">{newItems.length}</span>}
+      </button>
+
+      {open && (
+        <div className="watch-panel">
+          <div className="watch-panel-header">
+            <span>New imagery</span>
+            {newItems.length > 0 && (
+              <button className="watch-link-btn" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {newItems.length === 0 ? (
+            <p className="watch-empty">No new items</p>
+          ) : (
+            <ul className="watch-items">
+              {newItems.slice(0, MAX_LISTED_ITEMS).map((item) => (
+                <li key={`${item.watch.id}-${item.id}`} className="watch-item">
+                  {item.collection ? (
+                    <Link
+                      to={getItemPath(item)}
+                      className="watch-item-id"
+                      title={item.id}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        openOnWatchEndpoint(item.watch, () => navigate(getItemPath(item)));
+                      }}
+                    >
+                      {item.id}
+                    </Link>
+                  ) : (
+                    <span className="watch-item-id" title={item.id}>{item.id}</span>
+                  )}
+                  <span className="watch-item-details">
+                    {item.watch.name}
+                    {item.datetime && ` · ${new Date(item.datetime).toLocaleDateString()}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="watch-panel-header">
+            <span>Watches ({watches.length})</span>
+            {watches.length > 0 && (
+              <button
+                className="watch-link-btn"
+                onClick={() => dispatch(checkWatchesAsync({ ids: watches.map((watch) => watch.id) }))}
+                disabled={checking}
+              >
+                {checking ? 'Checking...' : 'Check all now'}
+              </button>
+            )}
+          </div>
+
+          {watches.length > 0 && (
+            <ul className="watch-list">
+              {watches.map((watch) => (
+                <li key={watch.id} className="watch">
+                  <div className="watch-row">
+                    <span className="watch-name" title={watch.name}>
+                      {watch.name}
+                      {watch.newItems.length > 0 && <span className="watch-count">{watch.newItems.length}</span>}
+                    </span>
+                    {isNotificationSupported() && (
+                      <label className="watch-notify" title="Show a browser notification for new items">
+                        <input
+                          type="checkbox"
+                          checked={watch.notify}
+                          onChange={() => handleToggleNotify(watch)}
+                        />
+                        Notify
+                      </label>
+                    )}
+                    <button className="watch-remove" onClick={() => handleRemove(watch)} aria-label={`Remove ${watch.name}`}>
+                      ✕
+                    </button>
+                  </div>
+                  <div className="watch-details">{describeWatch(watch, getOtherEndpoint(watch)?.title)}</div>
+                  {watch.lastError && <div className="watch-error">{watch.lastError}</div>}
+                  <div className="watch-row">
+                    <button
+                      className="watch-link-btn"
+                      onClick={() => openOnWatchEndpoint(watch, () => onShowWatch(watch))}
+                      title="Search the watched area on the map"
+                    >
+                      Show on map
+                    </button>
+                    {watch.newItems.length > 0 && (
+                      <button
+                        className="watch-link-btn"
+                        onClick={() => dispatch(updateWatchAsync({ id: watch.id, changes: { newItems: [] } }))}
+                      >
+                        Mark read
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {adding ? (
+            <form className="watch-form" onSubmit={handleAdd}>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Name, e.g. site"
+                autoFocus
+              />
+              <select value={intervalMinutes} onChange={(e) => setIntervalMinutes(Number(e.target.value))}>
+                {WATCH_INTERVALS.map((interval) => (
+                  <option key={interval.minutes} value={interval.minutes}>{interval.label}</option>
+                ))}
+              </select>
+              {isNotificationSupported() && (
+                <label className="watch-notify">
+                  <input type="checkbox" checked={notify} onChange={(e) => setNotify(e.target.checked)} />
+                  Browser notifications
+                </label>
+              )}
+              <div className="watch-form-actions">
+                <button type="submit" className="watch-add-btn" disabled={!name.trim() || saving}>
+                  {saving ? 'Saving...' : 'Watch'}
+                </button>
+                <button type="button" className="watch-link-btn" onClick={() => setAdding(false)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="watch-form">
+              <button
+                className="watch-add-btn"
+                onClick={() => {
+                  dispatch(clearWatchError());
+                  setNotice(null);
+                  setAdding(true);
+                }}
+                disabled={!current.geometry}
+              >
+                Watch current AOI
+              </button>
+              <p className="watch-hint">
+                {current.geometry
+                  ? `Uses the AOI, selected collections and property filters; acquisitions from the last ${WATCH_WINDOW_DAYS} days are checked`
+                  : 'Draw or import an AOI to watch it for new imagery'}
+              </p>
+            </div>
+          )}
+
+          {error && <p className="watch-error watch-message">{error}</p>}
+          {notice && <p className="watch-hint watch-message">{notice}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchMenu;
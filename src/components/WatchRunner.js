@@ -0,0 +1,23 @@
+import { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { checkWatchesAsync, loadWatchesAsync } from '../redux/slices/watches';
+
+// How often due watches are looked for (each watch has its own interval)
+const CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Loads the new-imagery watches and re-runs them while the app is open
+ */
+const WatchRunner = () => {
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(loadWatchesAsync()).then(() => dispatch(checkWatchesAsync()));
+    const timer = setInterval(() => dispatch(checkWatchesAsync()), CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [dispatch]);
+
+  return null;
+};
+
+export default WatchRunner;
@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { addEndpointAsync, switchEndpointAsync } from '../redux/slices/endpoints';
+
+/**
+ * Open a link on the STAC API it was made on (the "stac" URL parameter)
+ * A listed API is switched to; for another one the user is asked whether to
+ * add it. Declining (or an API that can't be reached) keeps the active API.
+ * Each navigation is handled once, so switching APIs afterwards from the
+ * header doesn't switch back.
+ * @param {string|null} endpointUrl - STAC API root URL of the link (null when it names none)
+ * @param {string} linkKey - Key of the navigation (location.key)
+ * @returns {boolean} Whether the page can load its data from the active API
+ */
+const useLinkEndpoint = (endpointUrl, linkKey) => {
+  const dispatch = useDispatch();
+  const { activeEndpoint, endpoints, loaded } = useSelector((state) => state.endpoints);
+  const [handledKey, setHandledKey] = useState(null);
+  const requestedKeyRef = useRef(null);
+  const matches = !endpointUrl || endpointUrl === activeEndpoint.url;
+
+  useEffect(() => {
+    if (matches) {
+      setHandledKey(linkKey);
+      return;
+    }
+    // The configured APIs are only known once stac-endpoints.json is loaded
+    if (handledKey === linkKey || !loaded || requestedKeyRef.current === linkKey) {
+      return;
+    }
+    requestedKeyRef.current = linkKey;
+
+    const listed = endpoints.find((endpoint) => endpoint.url === endpointUrl);
+    if (listed) {
+      dispatch(switchEndpointAsync(listed));
+      return;
+    }
+    if (!window.confirm(`This link belongs to the STAC API ${endpointUrl}, which isn't in your list. Add it and open the link there?`)) {
+      setHandledKey(linkKey);
+      return;
+    }
+    dispatch(addEndpointAsync({ url: endpointUrl }))
+      .unwrap()
+      .then((endpoint) => dispatch(switchEndpointAsync(endpoint)))
+      .catch((message) => {
+        window.alert(`The STAC API of this link couldn't be added: ${message}`);
+        setHandledKey(linkKey);
+      });
+  }, [dispatch, endpointUrl, linkKey, matches, handledKey, loaded, endpoints]);
+
+  return matches || handledKey === linkKey;
+};
+
+export default useLinkEndpoint;
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Call a handler on a mouse press outside an element (closes dropdown menus)
+ * @param {Object} ref - Ref of the element
+ * @param {boolean} active - Listen only while true (e.g. while the menu is open)
+ * @param {Function} onOutsideClick - Handler
+ */
+const useOutsideClick = (ref, active, onOutsideClick) => {
+  const handlerRef = useRef(onOutsideClick);
+
+  useEffect(() => {
+    handlerRef.current = onOutsideClick;
+  }, [onOutsideClick]);
+
+  useEffect(() => {
+    if (!active) return;
+    const handleClick = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) {
+        handlerRef.current();
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [ref, active]);
+};
+
+export default useOutsideClick;
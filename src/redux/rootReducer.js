@@ -1,9 +1,17 @@
 // ** Reducers Imports
 import { combineReducers } from '@reduxjs/toolkit';
 import stacCatalog from './slices/stacCatalog';
+import basket from './slices/basket';
+import watches from './slices/watches';
+import endpoints from './slices/endpoints';
+import auth from './slices/auth';
 
 const rootReducer = combineReducers({
   stacCatalog,
+  basket,
+  watches,
+  endpoints,
+  auth,
 });
 
 export default rootReducer;
@@ -0,0 +1,134 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  clearCredentials,
+  completeOidcLogin,
+  getAuthSessions,
+  setCredentials,
+  startOidcLogin,
+} from '../../utils/auth';
+
+/**
+ * Sign in to a STAC API with a bearer token or an API key
+ * @param {Object} values - { endpointUrl, type: 'bearer' | 'apiKey', token, header }
+ */
+export const signInWithTokenAsync = createAsyncThunk(
+  'auth/signInWithToken',
+  async ({ endpointUrl, type, token = '', header = '' }, { rejectWithValue }) => {
+    if (!token.trim()) {
+      return rejectWithValue('Enter a token');
+    }
+    setCredentials(endpointUrl, {
+      type,
+      token: token.trim(),
+      ...(type === 'apiKey' && header.trim() ? { header: header.trim() } : {}),
+    });
+    return endpointUrl;
+  }
+);
+
+/**
+ * Leave for the identity provider of a STAC API
+ * @param {Object} values - { endpoint, returnTo }
+ */
+export const startLoginAsync = createAsyncThunk(
+  'auth/startLogin',
+  async ({ endpoint, returnTo }, { rejectWithValue }) => {
+    try {
+      await startOidcLogin(endpoint, returnTo);
+      return endpoint.url;
+    } catch (error) {
+      return rejectWithValue(`Failed to start the login: ${error.message}`);
+    }
+  }
+);
+
+/**
+ * Finish the login on the callback route
+ * @param {string} search - Query string of the callback URL
+ */
+export const completeLoginAsync = createAsyncThunk(
+  'auth/completeLogin',
+  async (search, { rejectWithValue }) => {
+    try {
+      return await completeOidcLogin(search);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error_description || `Login failed: ${error.message}`
+      );
+    }
+  }
+);
+
+/**
+ * Forget the credentials of a STAC API
+ * @param {string} endpointUrl - STAC API root URL
+ */
+export const signOutAsync = createAsyncThunk(
+  'auth/signOut',
+  async (endpointUrl) => {
+    clearCredentials(endpointUrl);
+    return endpointUrl;
+  }
+);
+
+const initialState = {
+  // { [endpointUrl]: { type, user, expiresAt } }, without the tokens
+  sessions: getAuthSessions(),
+  // STAC API that rejected a request for missing credentials
+  requiredUrl: null,
+  pending: false,
+  error: null,
+};
+
+const authSlice = createSlice({
+  name: 'auth',
+  initialState,
+  reducers: {
+    sessionsChanged: (state, action) => {
+      state.sessions = action.payload;
+      if (state.sessions[state.requiredUrl]) {
+        state.requiredUrl = null;
+      }
+    },
+    authRequired: (state, action) => {
+      state.requiredUrl = action.payload;
+    },
+    clearAuthError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(signInWithTokenAsync.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(signOutAsync.fulfilled, (state, action) => {
+        if (state.requiredUrl === action.payload) {
+          state.requiredUrl = null;
+        }
+      })
+      .addCase(startLoginAsync.pending, (state) => {
+        state.pending = true;
+        state.error = null;
+      })
+      .addCase(startLoginAsync.rejected, (state, action) => {
+        state.pending = false;
+        state.error = action.payload;
+      })
+      .addCase(completeLoginAsync.pending, (state) => {
+        state.pending = true;
+        state.error = null;
+      })
+      .addCase(completeLoginAsync.fulfilled, (state) => {
+        state.pending = false;
+      })
+      .addCase(completeLoginAsync.rejected, (state, action) => {
+        state.pending = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { sessionsChanged, authRequired, clearAuthError } = authSlice.actions;
+
+export default authSlice.reducer;
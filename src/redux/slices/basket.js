@@ -0,0 +1,95 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+// localStorage key of the persisted basket
+export const BASKET_STORAGE_KEY = 'spectra-catalog-basket';
+
+/**
+ * Read the persisted basket layers (empty when missing or unreadable)
+ */
+const loadBasketLayers = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(BASKET_STORAGE_KEY));
+    return Array.isArray(stored)
+      ? stored.filter((layer) => layer && layer.item && layer.item.id)
+      : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Persist the basket layers
+ * @param {Array} layers - Basket layers
+ */
+export const saveBasketLayers = (layers) => {
+  try {
+    window.localStorage.setItem(BASKET_STORAGE_KEY, JSON.stringify(layers));
+  } catch (e) {
+    // Storage full or disabled - the basket just won't survive a reload
+    console.warn('Failed to save basket:', e);
+  }
+};
+
+const initialState = {
+  // Ordered top to bottom: [{ item, visible, opacity }]
+  layers: loadBasketLayers(),
+};
+
+const findIndex = (state, itemId) => state.layers.findIndex((layer) => layer.item.id === itemId);
+
+const basketSlice = createSlice({
+  name: 'basket',
+  initialState,
+  reducers: {
+    addToBasket: (state, action) => {
+      // Links aren't needed to display the item and can be large
+      const { links, ...item } = action.payload;
+      if (findIndex(state, item.id) === -1) {
+        // New layers go on top
+        state.layers.unshift({ item, visible: true, opacity: 1 });
+      }
+    },
+    removeFromBasket: (state, action) => {
+      state.layers = state.layers.filter((layer) => layer.item.id !== action.payload);
+    },
+    clearBasket: (state) => {
+      state.layers = [];
+    },
+    setBasketLayerVisibility: (state, action) => {
+      const { itemId, visible } = action.payload;
+      const index = findIndex(state, itemId);
+      if (index !== -1) {
+        state.layers[index].visible = visible;
+      }
+    },
+    setBasketLayerOpacity: (state, action) => {
+      const { itemId, opacity } = action.payload;
+      const index = findIndex(state, itemId);
+      if (index !== -1) {
+        state.layers[index].opacity = Math.min(1, Math.max(0, opacity));
+      }
+    },
+    // Move a layer up (offset -1) or down (offset 1) in the drawing order
+    moveBasketLayer: (state, action) => {
+      const { itemId, offset } = action.payload;
+      const index = findIndex(state, itemId);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= state.layers.length) {
+        return;
+      }
+      const [layer] = state.layers.splice(index, 1);
+      state.layers.splice(target, 0, layer);
+    },
+  },
+});
+
+export const {
+  addToBasket,
+  removeFromBasket,
+  clearBasket,
+  setBasketLayerVisibility,
+  setBasketLayerOpacity,
+  moveBasketLayer,
+} = basketSlice.actions;
+
+export default basketSlice.reducer;
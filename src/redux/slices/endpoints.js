@@ -0,0 +1,141 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { fetchCatalog } from '../../services/stac.service';
+import {
+  FALLBACK_ENDPOINT,
+  createUserEndpoint,
+  loadEndpointConfig,
+  loadEndpointSettings,
+  normalizeEndpointUrl,
+} from '../../utils/endpoints';
+
+/**
+ * Make another endpoint the active one
+ * The catalog state of the previous endpoint is kept (see stacCatalog) and
+ * restored when switching back.
+ * @param {Object} endpoint - Endpoint { id, title, url, source }
+ */
+export const switchEndpointAsync = createAsyncThunk(
+  'endpoints/switch',
+  async (endpoint, { getState }) => ({
+    previousId: getState().endpoints.activeEndpoint.id,
+    endpoint,
+  }),
+  {
+    condition: (endpoint, { getState }) => {
+      const { activeEndpoint } = getState().endpoints;
+      return endpoint.id !== activeEndpoint.id || endpoint.url !== activeEndpoint.url;
+    },
+  }
+);
+
+/**
+ * Load the configured endpoints (stac-endpoints.json)
+ * Switches to the configured default when the active endpoint is no longer listed.
+ */
+export const loadEndpointsAsync = createAsyncThunk(
+  'endpoints/load',
+  async (_, { getState, dispatch }) => {
+    const { endpoints: configEndpoints, defaultId } = await loadEndpointConfig();
+    const { endpoints, activeEndpoint } = getState().endpoints;
+    const configUrls = new Set(configEndpoints.map((endpoint) => endpoint.url));
+    const userEndpoints = endpoints.filter((endpoint) => endpoint.source === 'user' && !configUrls.has(endpoint.url));
+    const merged = [...configEndpoints, ...userEndpoints];
+
+    const active = merged.find((endpoint) => endpoint.id === activeEndpoint.id)
+      || merged.find((endpoint) => endpoint.id === defaultId);
+    dispatch(switchEndpointAsync(active));
+    return { endpoints: merged, defaultId };
+  }
+);
+
+/**
+ * Add a user endpoint after checking that it answers like a STAC API
+ * @param {Object} values - { title, url }
+ */
+export const addEndpointAsync = createAsyncThunk(
+  'endpoints/add',
+  async ({ title = '', url }, { getState, rejectWithValue }) => {
+    const normalizedUrl = normalizeEndpointUrl(url);
+    if (!normalizedUrl) {
+      return rejectWithValue('Enter the http(s) URL of a STAC API');
+    }
+    if (getState().endpoints.endpoints.some((endpoint) => endpoint.url === normalizedUrl)) {
+      return rejectWithValue('This STAC API is already listed');
+    }
+    try {
+      const landingPage = await fetchCatalog(normalizedUrl);
+      if (!landingPage || !Array.isArray(landingPage.links)) {
+        return rejectWithValue('The URL does not return a STAC landing page');
+      }
+      return createUserEndpoint({
+        title: title.trim() || landingPage.title || '',
+        url: normalizedUrl,
+      });
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || `Failed to reach the STAC API: ${error.message}`
+      );
+    }
+  }
+);
+
+const settings = loadEndpointSettings();
+const initialEndpoint = settings.activeEndpoint || FALLBACK_ENDPOINT;
+
+const initialState = {
+  // Until the config is loaded only the active and the user endpoints are known
+  endpoints: [
+    initialEndpoint,
+    ...settings.userEndpoints.filter((endpoint) => endpoint.id !== initialEndpoint.id),
+  ],
+  activeEndpoint: initialEndpoint,
+  defaultId: FALLBACK_ENDPOINT.id,
+  loaded: false,
+  adding: false,
+  error: null,
+};
+
+const endpointsSlice = createSlice({
+  name: 'endpoints',
+  initialState,
+  reducers: {
+    removeEndpoint: (state, action) => {
+      // Only user endpoints other than the active one can be removed
+      state.endpoints = state.endpoints.filter((endpoint) => (
+        endpoint.id !== action.payload
+        || endpoint.source !== 'user'
+        || endpoint.id === state.activeEndpoint.id
+      ));
+    },
+    clearEndpointError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(switchEndpointAsync.fulfilled, (state, action) => {
+        state.activeEndpoint = action.payload.endpoint;
+      })
+      .addCase(loadEndpointsAsync.fulfilled, (state, action) => {
+        state.endpoints = action.payload.endpoints;
+        state.defaultId = action.payload.defaultId;
+        state.loaded = true;
+      })
+      .addCase(addEndpointAsync.pending, (state) => {
+        state.adding = true;
+        state.error = null;
+      })
+      .addCase(addEndpointAsync.fulfilled, (state, action) => {
+        state.adding = false;
+        state.endpoints.push(action.payload);
+      })
+      .addCase(addEndpointAsync.rejected, (state, action) => {
+        state.adding = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { removeEndpoint, clearEndpointError } = endpointsSlice.actions;
+
+export default endpointsSlice.reducer;
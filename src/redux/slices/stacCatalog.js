@@ -1,27 +1,76 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import {
-  fetchCatalog,
+  createSlice,
+  createAsyncThunk,
+  current,
+  isAnyOf,
+  isFulfilled,
+  isPending,
+  isRejected,
+} from '@reduxjs/toolkit';
+import {
+  fetchCapabilities,
   fetchCollections,
   fetchCollection,
+  fetchItem,
+  fetchQueryables,
+  normalizeQueryables,
+  buildCql2Filter,
   searchItems,
+  buildSearchBody,
+  fetchNextPage,
+  getNextLink,
+  getNumberMatched,
   boundsToBbox,
   geoJsonToGeometry,
   formatDateRange,
 } from '../../services/stac.service';
+import { toStacError } from '../../api/errors';
+import { DEFAULT_BASE_MAP } from '../../utils/searchUrl';
+import { DEFAULT_CAPABILITIES } from '../../utils/conformance';
+import { switchEndpointAsync } from './endpoints';
+
+/**
+ * Reject a catalog request with a structured error (see api/errors)
+ * @param {Function} rejectWithValue - From the thunk API
+ * @param {Error} error - Request error
+ * @param {string} operation - What failed, so it can be retried ("collections", "search", ...)
+ * @param {string} message - Error message
+ */
+const rejectRequest = (rejectWithValue, error, operation, message) => (
+  rejectWithValue({ ...toStacError(error, message), operation })
+);
+
+// Aborts the requests of the current search (first page and "load more") when a new search starts
+let searchController = new AbortController();
+
+/**
+ * Detect the capabilities of the active STAC API (conformance classes)
+ */
+export const fetchCapabilitiesAsync = createAsyncThunk(
+  'stacCatalog/fetchCapabilities',
+  async () => fetchCapabilities()
+);
 
 /**
  * Fetch STAC Collections
  */
 export const fetchCollectionsAsync = createAsyncThunk(
   'stacCatalog/fetchCollections',
-  async (_, { rejectWithValue }) => {
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    const { url } = getState().endpoints.activeEndpoint;
     try {
-      const response = await fetchCollections();
+      // A cached list is shown first and replaced when the API answers
+      const response = await fetchCollections(null, {
+        cache: true,
+        onUpdate: (fresh) => {
+          if (getState().endpoints.activeEndpoint.url === url) {
+            dispatch(collectionsRevalidated(fresh.collections || []));
+          }
+        },
+      });
       return response.collections || [];
     } catch (error) {
-      return rejectWithValue(
-        error.response?.data?.message || 'Failed to fetch collections'
-      );
+      return rejectRequest(rejectWithValue, error, 'collections', 'Failed to fetch collections');
     }
   }
 );
@@ -36,19 +85,53 @@ export const fetchCollectionAsync = createAsyncThunk(
       const response = await fetchCollection(collectionId);
       return response;
     } catch (error) {
-      return rejectWithValue(
-        error.response?.data?.message || 'Failed to fetch collection'
-      );
+      return rejectRequest(rejectWithValue, error, 'collection', 'Failed to fetch collection');
+    }
+  }
+);
+
+/**
+ * Fetch a single STAC Item
+ */
+export const fetchItemAsync = createAsyncThunk(
+  'stacCatalog/fetchItem',
+  async ({ collectionId, itemId }, { rejectWithValue }) => {
+    try {
+      const response = await fetchItem(collectionId, itemId);
+      return response;
+    } catch (error) {
+      return rejectRequest(rejectWithValue, error, 'item', 'Failed to fetch item');
+    }
+  }
+);
+
+/**
+ * Fetch filterable properties (queryables) for the selected collections
+ */
+export const fetchQueryablesAsync = createAsyncThunk(
+  'stacCatalog/fetchQueryables',
+  async (collectionIds = [], { signal, rejectWithValue }) => {
+    try {
+      // Collection-level queryables are more specific when a single collection is selected
+      const collectionId = collectionIds.length === 1 ? collectionIds[0] : null;
+      const response = await fetchQueryables(collectionId, { signal });
+      return normalizeQueryables(response);
+    } catch (error) {
+      return rejectRequest(rejectWithValue, error, 'queryables', 'Failed to fetch queryables');
     }
   }
 );
 
 /**
  * Search STAC Items
+ * A new search aborts the one still in flight (and its "load more" request).
  */
 export const searchItemsAsync = createAsyncThunk(
   'stacCatalog/searchItems',
-  async (searchParams, { rejectWithValue }) => {
+  async (searchParams, { dispatch, getState, requestId, rejectWithValue }) => {
+    searchController.abort();
+    searchController = new AbortController();
+    const { signal } = searchController;
     try {
       const params = { ...searchParams };
 
@@ -85,22 +168,119 @@ export const searchItemsAsync = createAsyncThunk(
         delete params.endDate;
       }
 
-      const response = await searchItems(params);
-      return response;
+      // Convert property conditions to a CQL2-JSON filter
+      if (params.filters) {
+        const filter = buildCql2Filter(params.filters);
+        if (filter) {
+          params.filter = filter;
+          params['filter-lang'] = 'cql2-json';
+        }
+        delete params.filters;
+      }
+
+      // Convert sort option to STAC sortby
+      if (params.sortBy) {
+        params.sortby = [{
+          field: params.sortBy.field,
+          direction: params.sortBy.direction || 'desc',
+        }];
+        delete params.sortBy;
+      }
+
+      // Results of the same search are shown from the cache first and replaced when the API answers
+      const response = await searchItems(params, null, {
+        signal,
+        cache: true,
+        onUpdate: (fresh) => {
+          if (getState().stacCatalog.pagination.searchId === requestId) {
+            dispatch(searchRevalidated(fresh));
+          }
+        },
+      });
+      return {
+        ...response,
+        searchBody: buildSearchBody(params),
+      };
     } catch (error) {
-      return rejectWithValue(
-        error.response?.data?.message || 'Failed to search items'
-      );
+      return rejectRequest(rejectWithValue, error, 'search', 'Failed to search items');
     }
   }
 );
 
+/**
+ * Load the next page of STAC Items for the current search
+ * Follows the stored "next" link and appends the results
+ */
+export const loadMoreItemsAsync = createAsyncThunk(
+  'stacCatalog/loadMoreItems',
+  async (_, { getState, rejectWithValue }) => {
+    const { pagination } = getState().stacCatalog;
+    try {
+      const response = await fetchNextPage(pagination.next, pagination.searchBody, null, {
+        signal: searchController.signal,
+      });
+      return {
+        ...response,
+        searchId: pagination.searchId,
+      };
+    } catch (error) {
+      return rejectRequest(rejectWithValue, error, 'loadMore', 'Failed to load more items');
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { pagination, loading, loadingMore } = getState().stacCatalog;
+      // Skip when there is no next page or a request is already in flight
+      return !!pagination.next && !loading && !loadingMore;
+    },
+  }
+);
+
+/**
+ * Convert a date (Date or string) to YYYY-MM-DD
+ */
+const toDateString = (date) => {
+  if (!date) {
+    return null;
+  }
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+};
+
+/**
+ * Describe the filters of a search request in a serializable form
+ * (used for shareable URLs and search history)
+ */
+const toActiveSearch = (params = {}) => {
+  const geoJson = params.geoJson || null;
+  return {
+    collections: params.collections || [],
+    startDate: toDateString(params.startDate),
+    endDate: toDateString(params.endDate),
+    geometry: geoJson && geoJson.type === 'Feature' ? geoJson.geometry : geoJson,
+    filters: params.filters || [],
+    sortBy: params.sortBy || null,
+  };
+};
+
+/**
+ * Append items to a list, skipping ids that are already present
+ * (some servers repeat boundary items across pages)
+ */
+const appendUniqueItems = (existing, incoming) => {
+  const seen = new Set(existing.map((item) => item.id));
+  return [...existing, ...incoming.filter((item) => !seen.has(item.id))];
+};
+
 const initialState = {
+  capabilities: DEFAULT_CAPABILITIES, // What the STAC API supports (see utils/conformance)
   collections: [],
   selectedCollection: null,
+  currentItem: null, // Item shown on the item detail page
   items: [],
   features: [], // GeoJSON features from items
   loading: false,
+  loadingMore: false,
   error: null,
   searchParams: {
     collections: [],
@@ -108,14 +288,68 @@ const initialState = {
     endDate: null,
     bbox: null,
     geometry: null,
+    filters: [], // Property conditions [{ property, operator, value, type }]
+    sortBy: null, // { field, direction }
   },
+  queryables: [], // Filterable fields [{ name, title, type, enum }]
+  queryablesLoading: false,
   pagination: {
-    next: null,
+    next: null, // STAC Link object with rel "next"
     hasMore: false,
+    matched: null, // Total matched items, if reported by the server
+    searchBody: null, // Body of the last POST /search (for links with "merge")
+    searchId: null, // Request id of the search the pages belong to
+    pagesLoaded: 0,
+    cachedAt: null, // Storage time when the results come from the offline cache
   },
   drawnGeometry: null, // Leaflet drawn geometry
+  activeSearch: null, // Filters of the last executed search
+  selectedItemId: null,
+  baseMap: DEFAULT_BASE_MAP,
+  mapView: null, // { center: [lat, lng], zoom }
+  endpointStates: {}, // State of the other STAC endpoints by endpoint id
+  requestIds: [], // Requests in flight
+  staleRequestIds: [], // Requests sent to a previous endpoint (their results are dropped)
 };
 
+// Kept when switching endpoints: the AOI and the map don't depend on the STAC API
+const SHARED_STATE_KEYS = ['drawnGeometry', 'baseMap', 'mapView'];
+
+/**
+ * Store the state of the previous endpoint and restore the one of the next
+ * @param {Object} state - Current state (plain object)
+ * @param {string} previousId - Previous endpoint id
+ * @param {string} nextId - Next endpoint id
+ * @returns {Object} New state
+ */
+const switchEndpointState = (state, previousId, nextId) => {
+  const { endpointStates, requestIds, staleRequestIds, ...endpointState } = state;
+  const { [nextId]: savedState, ...otherStates } = endpointStates;
+  const shared = Object.fromEntries(SHARED_STATE_KEYS.map((key) => [key, state[key]]));
+  return {
+    ...initialState,
+    ...savedState,
+    ...shared,
+    endpointStates: {
+      ...otherStates,
+      // Requests in flight are dropped, so nothing is loading when switching back
+      [previousId]: { ...endpointState, loading: false, loadingMore: false, queryablesLoading: false },
+    },
+    requestIds: [],
+    staleRequestIds: [...staleRequestIds, ...requestIds],
+  };
+};
+
+const catalogThunks = [
+  fetchCapabilitiesAsync,
+  fetchCollectionsAsync,
+  fetchCollectionAsync,
+  fetchItemAsync,
+  fetchQueryablesAsync,
+  searchItemsAsync,
+  loadMoreItemsAsync,
+];
+
 const stacCatalogSlice = createSlice({
   name: 'stacCatalog',
   initialState,
@@ -145,19 +379,57 @@ const stacCatalogSlice = createSlice({
         endDate: null,
         bbox: null,
         geometry: null,
+        filters: [],
+        sortBy: null,
       };
       state.drawnGeometry = null;
+      state.activeSearch = null;
+      state.selectedItemId = null;
       state.pagination = {
         next: null,
         hasMore: false,
+        matched: null,
+        searchBody: null,
+        searchId: null,
+        pagesLoaded: 0,
+        cachedAt: null,
       };
     },
+    setSelectedItemId: (state, action) => {
+      state.selectedItemId = action.payload;
+    },
+    setBaseMap: (state, action) => {
+      state.baseMap = action.payload;
+    },
+    setMapView: (state, action) => {
+      state.mapView = action.payload;
+    },
     clearError: (state) => {
       state.error = null;
     },
+    collectionsRevalidated: (state, action) => {
+      state.collections = action.payload;
+    },
+    searchRevalidated: (state, action) => {
+      // Pages loaded after the cached first page would no longer line up
+      if (state.pagination.pagesLoaded !== 1 || state.loadingMore) {
+        return;
+      }
+      const next = getNextLink(action.payload);
+      state.items = action.payload.features || [];
+      state.features = action.payload.features || [];
+      state.pagination.next = next;
+      state.pagination.hasMore = !!next;
+      state.pagination.matched = getNumberMatched(action.payload);
+      state.pagination.cachedAt = null;
+    },
   },
   extraReducers: (builder) => {
     builder
+      // Fetch Capabilities
+      .addCase(fetchCapabilitiesAsync.fulfilled, (state, action) => {
+        state.capabilities = action.payload;
+      })
       // Fetch Collections
       .addCase(fetchCollectionsAsync.pending, (state) => {
         state.loading = true;
@@ -188,28 +460,138 @@ const stacCatalogSlice = createSlice({
         state.error = action.payload;
         state.selectedCollection = null;
       })
+      // Fetch Item
+      .addCase(fetchItemAsync.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.currentItem = null;
+      })
+      .addCase(fetchItemAsync.fulfilled, (state, action) => {
+        state.loading = false;
+        state.currentItem = action.payload;
+        state.error = null;
+      })
+      .addCase(fetchItemAsync.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+        state.currentItem = null;
+      })
+      // Fetch Queryables
+      // Does not touch the shared loading flag: queryables load in the background
+      .addCase(fetchQueryablesAsync.pending, (state) => {
+        state.queryablesLoading = true;
+      })
+      .addCase(fetchQueryablesAsync.fulfilled, (state, action) => {
+        state.queryablesLoading = false;
+        state.queryables = action.payload;
+      })
+      .addCase(fetchQueryablesAsync.rejected, (state, action) => {
+        // Superseded requests are aborted by the caller
+        if (action.meta.aborted) {
+          return;
+        }
+        state.queryablesLoading = false;
+        state.queryables = [];
+      })
       // Search Items
-      .addCase(searchItemsAsync.pending, (state) => {
+      .addCase(searchItemsAsync.pending, (state, action) => {
         state.loading = true;
+        state.loadingMore = false;
         state.error = null;
+        state.pagination.searchId = action.meta.requestId;
+        state.activeSearch = toActiveSearch(action.meta.arg);
       })
       .addCase(searchItemsAsync.fulfilled, (state, action) => {
+        // Results of a superseded search
+        if (action.meta.requestId !== state.pagination.searchId) {
+          return;
+        }
+        const next = getNextLink(action.payload);
         state.loading = false;
         state.items = action.payload.features || [];
         state.features = action.payload.features || [];
-        state.pagination.next = action.payload.next || null;
-        state.pagination.hasMore = !!action.payload.next;
+        state.pagination.next = next;
+        state.pagination.hasMore = !!next;
+        state.pagination.matched = getNumberMatched(action.payload);
+        state.pagination.searchBody = action.payload.searchBody;
+        state.pagination.pagesLoaded = 1;
+        state.pagination.cachedAt = action.payload.cachedAt || null;
         state.error = null;
       })
       .addCase(searchItemsAsync.rejected, (state, action) => {
+        // Superseded searches are aborted
+        if (action.meta.requestId !== state.pagination.searchId) {
+          return;
+        }
         state.loading = false;
         state.error = action.payload;
         state.items = [];
         state.features = [];
+        state.pagination.next = null;
+        state.pagination.hasMore = false;
+        state.pagination.matched = null;
+        state.pagination.pagesLoaded = 0;
+        state.pagination.cachedAt = null;
+      })
+      // Load More Items
+      .addCase(loadMoreItemsAsync.pending, (state) => {
+        state.loadingMore = true;
+        state.error = null;
+      })
+      .addCase(loadMoreItemsAsync.fulfilled, (state, action) => {
+        // Ignore pages that belong to a search which has since been replaced
+        if (action.payload.searchId !== state.pagination.searchId) {
+          return;
+        }
+        const next = getNextLink(action.payload);
+        const features = action.payload.features || [];
+        state.loadingMore = false;
+        state.items = appendUniqueItems(state.items, features);
+        state.features = appendUniqueItems(state.features, features);
+        state.pagination.next = next;
+        state.pagination.hasMore = !!next;
+        state.pagination.pagesLoaded += 1;
+        state.error = null;
+      })
+      .addCase(loadMoreItemsAsync.rejected, (state, action) => {
+        // Aborted by a new search, which has reset the loading state
+        if (action.payload?.canceled) {
+          return;
+        }
+        state.loadingMore = false;
+        state.error = action.payload;
+      })
+      // Switch STAC endpoint
+      .addCase(switchEndpointAsync.fulfilled, (state, action) => {
+        const { previousId, endpoint } = action.payload;
+        if (endpoint.id === previousId) {
+          return;
+        }
+        return switchEndpointState(current(state), previousId, endpoint.id);
+      })
+      .addMatcher(isPending(...catalogThunks), (state, action) => {
+        state.requestIds.push(action.meta.requestId);
+      })
+      .addMatcher(isAnyOf(isFulfilled(...catalogThunks), isRejected(...catalogThunks)), (state, action) => {
+        state.requestIds = state.requestIds.filter((id) => id !== action.meta.requestId);
       });
   },
 });
 
+/**
+ * Catalog reducer that drops the results of requests sent to a previous endpoint
+ */
+const stacCatalogReducer = (state, action) => {
+  const requestId = action.meta?.requestId;
+  if (state && requestId && action.meta.requestStatus !== 'pending' && state.staleRequestIds.includes(requestId)) {
+    return {
+      ...state,
+      staleRequestIds: state.staleRequestIds.filter((id) => id !== requestId),
+    };
+  }
+  return stacCatalogSlice.reducer(state, action);
+};
+
 export const {
   setSearchParams,
   setDrawnGeometry,
@@ -217,8 +599,13 @@ export const {
   setSelectedCollections,
   setDateRange,
   clearSearch,
+  setSelectedItemId,
+  setBaseMap,
+  setMapView,
   clearError,
+  collectionsRevalidated,
+  searchRevalidated,
 } = stacCatalogSlice.actions;
 
-export default stacCatalogSlice.reducer;
+export default stacCatalogReducer;
 
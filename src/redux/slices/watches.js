@@ -0,0 +1,203 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { deleteRecord, getAllRecords, putRecord } from '../../utils/db';
+import {
+  applyWatchResults,
+  createWatch,
+  fetchWatchItems,
+  isWatchDue,
+  showWatchNotification,
+} from '../../utils/watches';
+
+// IndexedDB object store of the watches
+const STORE_NAME = 'watches';
+
+const getErrorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+/**
+ * Load the stored watches
+ */
+export const loadWatchesAsync = createAsyncThunk(
+  'watches/load',
+  async (_, { rejectWithValue }) => {
+    try {
+      const watches = await getAllRecords(STORE_NAME);
+      return watches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to load watches'));
+    }
+  }
+);
+
+/**
+ * Register a watch on the active STAC endpoint
+ * Its current results are recorded right away so only later acquisitions are reported.
+ */
+export const addWatchAsync = createAsyncThunk(
+  'watches/add',
+  async (values, { getState, rejectWithValue }) => {
+    try {
+      const watch = createWatch({ ...values, endpointUrl: getState().endpoints.activeEndpoint.url });
+      const { watch: checked } = applyWatchResults(watch, await fetchWatchItems(watch), new Date().toISOString());
+      await putRecord(STORE_NAME, checked);
+      return checked;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to create watch'));
+    }
+  }
+);
+
+/**
+ * Change fields of a watch (e.g. notify, or newItems to mark them read)
+ */
+export const updateWatchAsync = createAsyncThunk(
+  'watches/update',
+  async ({ id, changes }, { getState, rejectWithValue }) => {
+    const watch = getState().watches.watches.find((candidate) => candidate.id === id);
+    if (!watch) {
+      return rejectWithValue('Watch not found');
+    }
+    try {
+      const updated = { ...watch, ...changes };
+      await putRecord(STORE_NAME, updated);
+      return updated;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update watch'));
+    }
+  }
+);
+
+export const removeWatchAsync = createAsyncThunk(
+  'watches/remove',
+  async (id, { rejectWithValue }) => {
+    try {
+      await deleteRecord(STORE_NAME, id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to remove watch'));
+    }
+  }
+);
+
+/**
+ * Re-run the watches that are due (or the given ones) and record new items
+ * Each watch is updated as soon as its search returns.
+ * @param {Object} options - { ids: watch IDs to check now regardless of their interval }
+ */
+export const checkWatchesAsync = createAsyncThunk(
+  'watches/check',
+  async ({ ids = null } = {}, { getState, dispatch }) => {
+    const due = getState().watches.watches.filter((watch) => (ids ? ids.includes(watch.id) : isWatchDue(watch)));
+
+    for (const { id } of due) {
+      const watch = getState().watches.watches.find((candidate) => candidate.id === id);
+      if (!watch) continue;
+      const checkedAt = new Date().toISOString();
+      let items = null;
+      let errorMessage = null;
+      try {
+        items = await fetchWatchItems(watch);
+      } catch (error) {
+        console.warn(`Watch "${watch.name}" failed:`, error);
+        errorMessage = getErrorMessage(error, 'Search failed');
+      }
+
+      // Apply to the latest state: the watch may have been changed or removed during the search
+      const latest = getState().watches.watches.find((candidate) => candidate.id === id);
+      if (!latest) continue;
+      let updated;
+      if (items) {
+        const result = applyWatchResults(latest, items, checkedAt);
+        updated = result.watch;
+        if (result.newItems.length > 0 && latest.notify) {
+          showWatchNotification(latest, result.newItems);
+        }
+      } else {
+        updated = { ...latest, lastChecked: checkedAt, lastError: errorMessage };
+      }
+      dispatch(watchChecked(updated));
+      try {
+        await putRecord(STORE_NAME, updated);
+      } catch (error) {
+        console.warn('Failed to save watch:', error);
+      }
+    }
+  },
+  {
+    // One check at a time
+    condition: (_, { getState }) => !getState().watches.checking,
+  }
+);
+
+const initialState = {
+  watches: [],
+  loaded: false,
+  checking: false,
+  error: null,
+};
+
+const replaceWatch = (state, watch) => {
+  const index = state.watches.findIndex((candidate) => candidate.id === watch.id);
+  if (index !== -1) {
+    state.watches[index] = watch;
+  }
+};
+
+const watchesSlice = createSlice({
+  name: 'watches',
+  initialState,
+  reducers: {
+    watchChecked: (state, action) => {
+      replaceWatch(state, action.payload);
+    },
+    clearWatchError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadWatchesAsync.fulfilled, (state, action) => {
+        state.watches = action.payload;
+        state.loaded = true;
+      })
+      .addCase(loadWatchesAsync.rejected, (state, action) => {
+        state.loaded = true;
+        state.error = action.payload;
+      })
+      .addCase(addWatchAsync.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(addWatchAsync.fulfilled, (state, action) => {
+        state.watches.push(action.payload);
+      })
+      .addCase(addWatchAsync.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateWatchAsync.fulfilled, (state, action) => {
+        replaceWatch(state, action.payload);
+      })
+      .addCase(updateWatchAsync.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(removeWatchAsync.fulfilled, (state, action) => {
+        state.watches = state.watches.filter((watch) => watch.id !== action.payload);
+      })
+      .addCase(removeWatchAsync.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(checkWatchesAsync.pending, (state) => {
+        state.checking = true;
+      })
+      .addCase(checkWatchesAsync.fulfilled, (state) => {
+        state.checking = false;
+      })
+      .addCase(checkWatchesAsync.rejected, (state) => {
+        state.checking = false;
+      });
+  },
+});
+
+const { watchChecked } = watchesSlice.actions;
+
+export const { clearWatchError } = watchesSlice.actions;
+
+export default watchesSlice.reducer;
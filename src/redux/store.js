@@ -1,5 +1,11 @@
 import rootReducer from './rootReducer';
 import { configureStore } from '@reduxjs/toolkit';
+import { saveBasketLayers } from './slices/basket';
+import { loadEndpointsAsync } from './slices/endpoints';
+import { authRequired, sessionsChanged } from './slices/auth';
+import { setStacApiUrl } from '../api/axios';
+import { saveEndpointSettings } from '../utils/endpoints';
+import { getAuthSessions, registerEndpoints, subscribeAuth } from '../utils/auth';
 
 const store = configureStore({
   reducer: rootReducer,
@@ -11,5 +17,46 @@ const store = configureStore({
   },
 });
 
+// Persist the basket so it survives page reloads
+let savedBasketLayers = store.getState().basket.layers;
+store.subscribe(() => {
+  const { layers } = store.getState().basket;
+  if (layers !== savedBasketLayers) {
+    savedBasketLayers = layers;
+    saveBasketLayers(layers);
+  }
+});
+
+// Send STAC requests to the active endpoint and persist the endpoint choice
+let savedEndpoints = store.getState().endpoints;
+setStacApiUrl(savedEndpoints.activeEndpoint.url);
+registerEndpoints(savedEndpoints.endpoints);
+store.subscribe(() => {
+  const { endpoints } = store.getState();
+  if (endpoints.activeEndpoint !== savedEndpoints.activeEndpoint) {
+    setStacApiUrl(endpoints.activeEndpoint.url);
+  }
+  if (endpoints.endpoints !== savedEndpoints.endpoints) {
+    registerEndpoints(endpoints.endpoints);
+  }
+  if (endpoints.activeEndpoint !== savedEndpoints.activeEndpoint || endpoints.endpoints !== savedEndpoints.endpoints) {
+    saveEndpointSettings({
+      userEndpoints: endpoints.endpoints.filter((endpoint) => endpoint.source === 'user'),
+      activeEndpoint: endpoints.activeEndpoint,
+    });
+  }
+  savedEndpoints = endpoints;
+});
+store.dispatch(loadEndpointsAsync());
+
+// Mirror sign-ins (also refreshes and sign-outs after failed refreshes) and rejected requests
+subscribeAuth((event) => {
+  if (event.type === 'change') {
+    store.dispatch(sessionsChanged(getAuthSessions()));
+  } else if (event.type === 'required') {
+    store.dispatch(authRequired(event.endpointUrl));
+  }
+});
+
 export { store };
 
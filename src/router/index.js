@@ -1,10 +1,15 @@
 import React, { Suspense, lazy } from 'react';
 import { Routes, Route } from 'react-router-dom';
 import Skeleton from '../components/Skeleton';
+import { AUTH_CALLBACK_PATH } from '../utils/auth';
 
 // Use lazy for importing your components
 const Catalog = lazy(() => import('../components/Catalog'));
 const HowToUse = lazy(() => import('../components/HowToUse'));
+const ItemDetail = lazy(() => import('../components/ItemDetail'));
+const Collections = lazy(() => import('../components/Collections'));
+const CollectionDetail = lazy(() => import('../components/CollectionDetail'));
+const AuthCallback = lazy(() => import('../components/AuthCallback'));
 
 // Loading component with skeleton
 const LoadingFallback = () => (
@@ -27,6 +32,10 @@ function MyRouter() {
       <Routes>
         <Route path="/" element={<Catalog />} />
         <Route path="/how-to-use" element={<HowToUse />} />
+        <Route path="/items/:collectionId/:itemId" element={<ItemDetail />} />
+        <Route path="/collections" element={<Collections />} />
+        <Route path="/collections/:collectionId" element={<CollectionDetail />} />
+        <Route path={AUTH_CALLBACK_PATH} element={<AuthCallback />} />
       </Routes>
     </Suspense>
   );
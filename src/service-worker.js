@@ -0,0 +1,97 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Service worker
+ * Built by react-scripts (Workbox InjectManifest) and registered in
+ * production (see serviceWorkerRegistration.js). Precaches the app shell so
+ * the catalog opens offline, serves map tiles downloaded for offline use
+ * (utils/offline.js) and keeps recently viewed tiles in a runtime cache
+ * (except tiles requested with credentials or signatures, see utils/tileCache.js).
+ * STAC API responses are cached by the app itself (utils/responseCache.js).
+ */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { RUNTIME_TILE_CACHE, getConfiguredTileParams, hasCredentialParams } from './utils/tileCache';
+
+// OFFLINE_TILE_CACHE of utils/offline.js (not imported: it depends on window APIs)
+const OFFLINE_TILE_CACHE = 'spectra-offline-tiles';
+const CONFIG_CACHE = 'spectra-config';
+const ENDPOINTS_CONFIG_URL = `${process.env.PUBLIC_URL}/stac-endpoints.json`;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Single-page app: navigations are answered with index.html
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => (
+    request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.match(fileExtensionRegexp)
+  ),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Token parameters of the configured tile servers, read from the cached endpoint registry
+let configuredTileParams = null;
+const loadConfiguredTileParams = () => {
+  if (!configuredTileParams) {
+    configuredTileParams = caches.open(CONFIG_CACHE)
+      .then((cache) => cache.match(ENDPOINTS_CONFIG_URL, { ignoreSearch: true }))
+      .then((response) => (response ? response.json() : null))
+      .then(getConfiguredTileParams)
+      .catch(() => []);
+  }
+  return configuredTileParams;
+};
+
+// Endpoint registry: fresh when online, the last copy when offline
+const configStrategy = new NetworkFirst({ cacheName: CONFIG_CACHE });
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('/stac-endpoints.json'),
+  (options) => {
+    const [responseDone, handlerDone] = configStrategy.handleAll(options);
+    // Read the token parameters again once the new copy is stored
+    handlerDone.then(() => {
+      configuredTileParams = null;
+    });
+    return responseDone;
+  }
+);
+
+// Recently viewed tiles (only CORS responses; opaque ones take up too much quota)
+const tileStrategy = new CacheFirst({
+  cacheName: RUNTIME_TILE_CACHE,
+  plugins: [
+    new CacheableResponsePlugin({ statuses: [200] }),
+    new ExpirationPlugin({ maxEntries: 2000, maxAgeSeconds: 7 * 24 * 60 * 60, purgeOnQuotaError: true }),
+  ],
+});
+
+// Map tiles: downloaded areas first, then the runtime cache and the network
+// Tiles with credentials or signatures in the URL go to the network only.
+registerRoute(
+  ({ request, url }) => request.destination === 'image' && url.origin !== self.location.origin,
+  async (options) => {
+    const offlineCache = await caches.open(OFFLINE_TILE_CACHE);
+    const downloaded = await offlineCache.match(options.request);
+    if (downloaded) {
+      return downloaded;
+    }
+    if (hasCredentialParams(options.request.url, await loadConfiguredTileParams())) {
+      return fetch(options.request);
+    }
+    return tileStrategy.handle(options);
+  }
+);
+
+// Lets the app activate an updated worker right away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
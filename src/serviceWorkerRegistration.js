@@ -0,0 +1,54 @@
+/**
+ * Service worker registration
+ * Registers src/service-worker.js in production builds so the app shell and
+ * downloaded map tiles are available offline. Development builds don't
+ * register it (the worker would serve stale bundles).
+ */
+
+/**
+ * Register the service worker once the page has loaded
+ * @param {Object} config - { onUpdate, onSuccess } callbacks with the registration (optional)
+ */
+export const register = (config = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  // The worker can't control pages of another origin (e.g. a CDN PUBLIC_URL)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state !== 'installed') return;
+            // A previous worker controls the page: new content on the next visit
+            const callback = navigator.serviceWorker.controller ? config.onUpdate : config.onSuccess;
+            if (callback) {
+              callback(registration);
+            }
+          };
+        };
+      })
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+/**
+ * Remove the service worker (e.g. to opt out of offline support)
+ */
+export const unregister = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+};
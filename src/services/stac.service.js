@@ -1,26 +1,101 @@
-import axiosInstance from '../api/axios';
+import axiosInstance, { getStacApiUrl } from '../api/axios';
+import {
+  DEFAULT_CAPABILITIES,
+  cql2ToQuery,
+  cql2ToText,
+  getCapabilities,
+} from '../utils/conformance';
+import { getCacheKey, staleWhileRevalidate } from '../utils/responseCache';
+import { getCredentials } from '../utils/auth';
 
 /**
  * STAC Service
  * Handles all STAC API calls
  */
 
+/**
+ * Request config for a STAC API other than the active one
+ * @param {string|null} apiUrl - STAC API root URL (null for the active endpoint)
+ * @returns {Object} Axios request config
+ */
+const apiUrlConfig = (apiUrl) => (apiUrl ? { baseURL: apiUrl } : {});
+
+/**
+ * Serve a request from the response cache (stale-while-revalidate, see utils/responseCache)
+ * Only anonymous responses are cached: signed-in responses may hold restricted
+ * data, which must not outlive the credentials in sessionStorage.
+ * @param {string} kind - "capabilities", "collections" or "search"
+ * @param {string} apiUrl - STAC API root URL
+ * @param {*} key - What identifies the request
+ * @param {Function} request - Sends the request
+ * @param {Function} onUpdate - Called with the fresh response after a cached one was served
+ * @returns {Promise<Object>} Response data; cachedAt is set on data from the cache
+ */
+const fetchCached = async (kind, apiUrl, key, request, onUpdate) => {
+  if (getCredentials(apiUrl)) {
+    return request();
+  }
+  const cacheKey = getCacheKey(kind, apiUrl, key);
+  const { data, cachedAt } = await staleWhileRevalidate(cacheKey, kind, request, onUpdate);
+  return cachedAt ? { ...data, cachedAt } : data;
+};
+
 /**
  * Fetch STAC Catalog root
+ * @param {string|null} apiUrl - STAC API root URL (defaults to the active endpoint)
  * @returns {Promise} STAC Catalog JSON
  */
-export const fetchCatalog = async () => {
-  const response = await axiosInstance.get('/');
+export const fetchCatalog = async (apiUrl = null) => {
+  const response = await axiosInstance.get('/', apiUrlConfig(apiUrl));
   return response.data;
 };
 
+// Capabilities per STAC API root URL (promises, so concurrent callers share one request)
+const capabilitiesCache = new Map();
+
+/**
+ * Detect what a STAC API supports (once per API)
+ * Reads conformsTo from the landing page, or from /conformance when the landing page has none.
+ * @param {string|null} apiUrl - STAC API root URL (defaults to the active endpoint)
+ * @returns {Promise<Object>} Capabilities (see utils/conformance); a full STAC API is assumed when unknown
+ */
+export const fetchCapabilities = (apiUrl = null) => {
+  const url = apiUrl || getStacApiUrl();
+  if (!capabilitiesCache.has(url)) {
+    const detect = async () => {
+      const landingPage = await fetchCatalog(url);
+      if (Array.isArray(landingPage.conformsTo)) {
+        return getCapabilities(landingPage);
+      }
+      const conformance = await axiosInstance.get('/conformance', apiUrlConfig(url)).catch(() => null);
+      return getCapabilities({ ...landingPage, conformsTo: conformance?.data?.conformsTo });
+    };
+    // Cached as well, so searches are sent the same way offline
+    const request = fetchCached('capabilities', url, null, detect, (fresh) => {
+      capabilitiesCache.set(url, Promise.resolve(fresh));
+    }).then(({ cachedAt, ...capabilities }) => capabilities).catch((error) => {
+      // Not cached, so the next request tries again
+      capabilitiesCache.delete(url);
+      console.warn('STAC API capabilities not detected:', error);
+      return DEFAULT_CAPABILITIES;
+    });
+    capabilitiesCache.set(url, request);
+  }
+  return capabilitiesCache.get(url);
+};
+
 /**
  * Fetch STAC Collections
- * @returns {Promise} STAC Collections JSON
+ * @param {string|null} apiUrl - STAC API root URL (defaults to the active endpoint)
+ * @param {Object} options - { cache, onUpdate(collections) } cache serves the last response first (stale-while-revalidate)
+ * @returns {Promise} STAC Collections JSON (with cachedAt when served from the cache)
  */
-export const fetchCollections = async () => {
-  const response = await axiosInstance.get('/collections');
-  return response.data;
+export const fetchCollections = async (apiUrl = null, { cache = false, onUpdate } = {}) => {
+  const request = async () => {
+    const response = await axiosInstance.get('/collections', apiUrlConfig(apiUrl));
+    return response.data;
+  };
+  return cache ? fetchCached('collections', apiUrl || getStacApiUrl(), null, request, onUpdate) : request();
 };
 
 /**
@@ -34,17 +109,189 @@ export const fetchCollection = async (collectionId) => {
 };
 
 /**
- * Search STAC Items
- * @param {Object} params - Search parameters
- * @param {Array} params.bbox - Bounding box [minx, miny, maxx, maxy]
- * @param {Object} params.intersects - GeoJSON geometry object for spatial filtering (STAC API uses "intersects")
- * @param {string} params.datetime - ISO 8601 datetime range (e.g., "2020-01-01T00:00:00Z/2020-12-31T23:59:59Z")
- * @param {Array} params.collections - Array of collection IDs
- * @param {number} params.limit - Maximum number of results
- * @param {string} params.next - Pagination token
- * @returns {Promise} STAC Search response
+ * Fetch a single STAC Item
+ * @param {string} collectionId - Collection ID
+ * @param {string} itemId - Item ID
+ * @returns {Promise} STAC Item JSON
+ */
+export const fetchItem = async (collectionId, itemId) => {
+  const response = await axiosInstance.get(
+    `/collections/${encodeURIComponent(collectionId)}/items/${encodeURIComponent(itemId)}`
+  );
+  return response.data;
+};
+
+/**
+ * Fetch queryable properties (JSON Schema) for filtering
+ * Uses the collection-level endpoint when a single collection is given,
+ * otherwise the global /queryables endpoint.
+ * @param {string|null} collectionId - Collection ID (optional)
+ * @param {Object} options - { signal } to abort the request
+ * @returns {Promise} Queryables JSON Schema
+ */
+export const fetchQueryables = async (collectionId = null, { signal } = {}) => {
+  const path = collectionId
+    ? `/collections/${encodeURIComponent(collectionId)}/queryables`
+    : '/queryables';
+  const response = await axiosInstance.get(path, {
+    signal,
+    headers: {
+      Accept: 'application/schema+json, application/json',
+    },
+  });
+  return response.data;
+};
+
+// Queryables handled by dedicated controls (or not filterable by value)
+const EXCLUDED_QUERYABLES = ['geometry', 'datetime', 'collection', 'bbox'];
+
+// Fields offered when the API doesn't expose /queryables
+export const DEFAULT_QUERYABLES = [
+  { name: 'eo:cloud_cover', title: 'Cloud Cover (%)', type: 'number', enum: null, minimum: 0, maximum: 100 },
+  { name: 'view:off_nadir', title: 'Off-nadir Angle (°)', type: 'number', enum: null, minimum: 0, maximum: 90 },
+  { name: 'gsd', title: 'GSD (m)', type: 'number', enum: null, minimum: 0, maximum: null },
+  { name: 'platform', title: 'Platform', type: 'string', enum: null, minimum: null, maximum: null },
+  { name: 'constellation', title: 'Constellation', type: 'string', enum: null, minimum: null, maximum: null },
+];
+
+// Types of common STAC properties, for queryables that only reference an
+// extension schema (e.g. { "$ref": "https://stac-extensions.github.io/eo/..." })
+const KNOWN_PROPERTY_TYPES = {
+  'eo:snow_cover': 'number',
+  'view:incidence_angle': 'number',
+  'view:azimuth': 'number',
+  'view:sun_azimuth': 'number',
+  'view:sun_elevation': 'number',
+  'sat:relative_orbit': 'number',
+  'sat:absolute_orbit': 'number',
+  'proj:epsg': 'number',
+  created: 'datetime',
+  updated: 'datetime',
+  start_datetime: 'datetime',
+  end_datetime: 'datetime',
+  ...Object.fromEntries(DEFAULT_QUERYABLES.map((field) => [field.name, field.type])),
+};
+
+/**
+ * Resolve a "$ref" to a definition within the same schema ("#/$defs/...")
+ * Keywords next to the reference take precedence over the referenced definition.
+ * @param {Object} schema - Queryables JSON Schema
+ * @param {Object} definition - Property definition
+ * @param {number} depth - Number of references followed so far
+ * @returns {Object} Definition (unchanged when the reference points elsewhere)
  */
-export const searchItems = async (params = {}) => {
+const resolveLocalRef = (schema, definition, depth = 0) => {
+  const ref = definition?.$ref;
+  if (typeof ref !== 'string' || !ref.startsWith('#/') || depth > 10) {
+    return definition || {};
+  }
+  const target = ref.slice(2).split('/')
+    .map((key) => decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => node?.[key], schema);
+  if (!target || typeof target !== 'object') {
+    return definition;
+  }
+  const { $ref, ...overrides } = definition;
+  return { ...resolveLocalRef(schema, target, depth + 1), ...overrides };
+};
+
+const getQueryableType = (name, definition) => {
+  const types = Array.isArray(definition.type) ? definition.type : [definition.type];
+  if (types.includes('number') || types.includes('integer')) {
+    return 'number';
+  }
+  if (types.includes('boolean')) {
+    return 'boolean';
+  }
+  if (definition.format === 'date-time' || definition.format === 'date') {
+    return 'datetime';
+  }
+  if (types.includes('string')) {
+    return 'string';
+  }
+  // Without a type (e.g. only a reference to an extension schema) go by the property name
+  return KNOWN_PROPERTY_TYPES[name] || 'string';
+};
+
+/**
+ * Convert a queryables JSON Schema into a flat list of filterable fields
+ * @param {Object} schema - Queryables JSON Schema
+ * @returns {Array} [{ name, title, type, enum, minimum, maximum }]
+ *   type is one of "number", "string", "boolean", "datetime"
+ */
+export const normalizeQueryables = (schema) => {
+  const properties = schema?.properties || {};
+  return Object.keys(properties)
+    .filter((name) => !EXCLUDED_QUERYABLES.includes(name))
+    .map((name) => {
+      const definition = resolveLocalRef(schema, properties[name]);
+      const fallback = DEFAULT_QUERYABLES.find((field) => field.name === name);
+      return {
+        name,
+        title: definition.title || fallback?.title || name,
+        type: getQueryableType(name, definition),
+        enum: Array.isArray(definition.enum) ? definition.enum : null,
+        minimum: definition.minimum ?? fallback?.minimum ?? null,
+        maximum: definition.maximum ?? fallback?.maximum ?? null,
+      };
+    })
+    .sort((a, b) => a.title.localeCompare(b.title));
+};
+
+/**
+ * Convert a filter value from the UI to the type expected by the property
+ * @param {string} value - Raw input value
+ * @param {string} type - Field type ("number", "string", "boolean", "datetime")
+ * @returns {*} Typed value
+ */
+const toFilterValue = (value, type) => {
+  if (type === 'number') {
+    return Number(value);
+  }
+  if (type === 'boolean') {
+    return value === true || value === 'true';
+  }
+  if (type === 'datetime') {
+    return { timestamp: new Date(value).toISOString() };
+  }
+  return value;
+};
+
+/**
+ * Build a CQL2-JSON filter from a list of property conditions (combined with "and")
+ * @param {Array} conditions - [{ property, operator, value, type }]
+ *   operator is one of "=", "<>", "<", "<=", ">", ">=", "like", "in"
+ * @returns {Object|null} CQL2-JSON expression or null when there are no complete conditions
+ */
+export const buildCql2Filter = (conditions = []) => {
+  const args = conditions
+    .filter((condition) => condition.property && condition.operator
+      && condition.value !== '' && condition.value !== null && condition.value !== undefined)
+    .map(({ property, operator, value, type }) => {
+      const propertyRef = { property };
+      if (operator === 'in') {
+        const values = String(value).split(',').map((v) => v.trim()).filter(Boolean);
+        return { op: 'in', args: [propertyRef, values.map((v) => toFilterValue(v, type))] };
+      }
+      if (type === 'number' && Number.isNaN(Number(value))) {
+        return null;
+      }
+      return { op: operator, args: [propertyRef, toFilterValue(value, type)] };
+    })
+    .filter(Boolean);
+
+  if (args.length === 0) {
+    return null;
+  }
+  return args.length === 1 ? args[0] : { op: 'and', args };
+};
+
+/**
+ * Build the JSON body for a STAC POST /search request
+ * @param {Object} params - Search parameters (see searchItems)
+ * @returns {Object} STAC search request body
+ */
+export const buildSearchBody = (params = {}) => {
   const searchParams = {
     limit: params.limit || 100,
   };
@@ -57,10 +304,6 @@ export const searchItems = async (params = {}) => {
   // Add intersects (geometry) if provided - STAC API uses "intersects" for spatial filtering
   if (params.intersects) {
     searchParams.intersects = params.intersects;
-    console.log('Sending intersects to STAC API:', {
-      type: params.intersects.type,
-      hasCoordinates: !!params.intersects.coordinates
-    });
   }
 
   // Add datetime if provided
@@ -73,12 +316,199 @@ export const searchItems = async (params = {}) => {
     searchParams.collections = params.collections;
   }
 
+  // Add CQL2 filter if provided
+  if (params.filter) {
+    searchParams.filter = params.filter;
+    searchParams['filter-lang'] = params['filter-lang'] || 'cql2-json';
+  }
+
+  // Add sort order if provided ([{ field, direction }])
+  if (params.sortby && Array.isArray(params.sortby) && params.sortby.length > 0) {
+    searchParams.sortby = params.sortby;
+  }
+
   // Add pagination token if provided
   if (params.next) {
     searchParams.next = params.next;
   }
 
+  return searchParams;
+};
+
+/**
+ * Drop or convert the search parameters a STAC API doesn't support
+ * Property filters fall back to the Query extension, otherwise they are left out like the sort order.
+ * @param {Object} body - Search request body
+ * @param {Object} capabilities - Capabilities of the STAC API
+ * @returns {Object} Search request body
+ */
+const adaptSearchBody = (body, capabilities) => {
+  const { filter, 'filter-lang': filterLang, sortby, ...adapted } = body;
+  if (filter) {
+    const query = capabilities.filter ? null : capabilities.query && cql2ToQuery(filter);
+    if (capabilities.filter) {
+      adapted.filter = filter;
+      adapted['filter-lang'] = filterLang;
+    } else if (query) {
+      adapted.query = query;
+    } else {
+      console.warn('Property filters are not supported by this STAC API and were left out');
+    }
+  }
+  if (sortby) {
+    if (capabilities.sort) {
+      adapted.sortby = sortby;
+    } else {
+      console.warn('Sorting is not supported by this STAC API and was left out');
+    }
+  }
+  return adapted;
+};
+
+/**
+ * Query parameters of a GET /search request
+ * @param {Object} body - Search request body
+ * @param {Object} capabilities - Capabilities of the STAC API
+ * @returns {Object} Query parameters
+ */
+const toSearchQuery = (body, capabilities) => {
+  const { bbox, intersects, collections, filter, 'filter-lang': filterLang, query, sortby, ...params } = body;
+  if (bbox) {
+    params.bbox = bbox.join(',');
+  }
+  if (intersects) {
+    params.intersects = JSON.stringify(intersects);
+  }
+  if (collections) {
+    params.collections = collections.join(',');
+  }
+  // CQL2 text is the encoding servers have to support in GET requests
+  if (filter) {
+    const asText = capabilities.cql2Text || !capabilities.cql2Json;
+    params.filter = asText ? cql2ToText(filter) : JSON.stringify(filter);
+    params['filter-lang'] = asText ? 'cql2-text' : 'cql2-json';
+  }
+  if (query) {
+    params.query = JSON.stringify(query);
+  }
+  if (sortby) {
+    params.sortby = sortby.map(({ field, direction }) => `${direction === 'asc' ? '+' : '-'}${field}`).join(',');
+  }
+  return params;
+};
+
+// Collections browsed when none are selected on a server without item search
+const MAX_BROWSE_COLLECTIONS = 10;
+
+/**
+ * Bounding box [minx, miny, maxx, maxy] of a GeoJSON geometry
+ */
+const getGeometryBbox = (geometry) => {
+  const flatten = (coordinates) => (
+    typeof coordinates[0] === 'number' ? [coordinates] : coordinates.flatMap(flatten)
+  );
+  const positions = flatten(geometry.coordinates || []);
+  const lngs = positions.map((p) => p[0]);
+  const lats = positions.map((p) => p[1]);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+const getItemTime = (item) => item.properties?.datetime || item.properties?.start_datetime || '';
+
+/**
+ * Search a server without item search by browsing /collections/{id}/items
+ * The AOI is matched by its bounding box. Results of several collections are
+ * combined into a single page (newest first) that can't be continued.
+ * @param {Object} body - Search request body
+ * @param {Object} capabilities - Capabilities of the STAC API
+ * @param {string|null} apiUrl - STAC API root URL
+ * @param {AbortSignal} signal - Aborts the requests (optional)
+ * @returns {Promise} STAC ItemCollection
+ */
+const browseCollectionItems = async (body, capabilities, apiUrl, signal) => {
+  const collectionIds = body.collections && body.collections.length > 0
+    ? body.collections
+    : ((await fetchCollections(apiUrl)).collections || [])
+      .map((collection) => collection.id)
+      .slice(0, MAX_BROWSE_COLLECTIONS);
+
+  const params = {
+    limit: collectionIds.length > 1 ? Math.max(10, Math.ceil(body.limit / collectionIds.length)) : body.limit,
+  };
+  const bbox = body.bbox || (body.intersects ? getGeometryBbox(body.intersects) : null);
+  if (bbox) {
+    params.bbox = bbox.join(',');
+  }
+  if (body.datetime) {
+    params.datetime = body.datetime;
+  }
+  if (body.filter && capabilities.filter) {
+    params.filter = cql2ToText(body.filter);
+    params['filter-lang'] = 'cql2-text';
+  }
+
+  const pages = [];
+  for (const collectionId of collectionIds) {
+    const response = await axiosInstance.get(`/collections/${encodeURIComponent(collectionId)}/items`, {
+      ...apiUrlConfig(apiUrl),
+      params,
+      signal,
+    });
+    pages.push(response.data);
+  }
+  if (pages.length === 1) {
+    return pages[0];
+  }
+
+  const matched = pages.map(getNumberMatched);
+  return {
+    type: 'FeatureCollection',
+    features: pages
+      .flatMap((page) => page.features || [])
+      .sort((a, b) => getItemTime(b).localeCompare(getItemTime(a))),
+    links: [],
+    numberMatched: matched.every((count) => count !== null)
+      ? matched.reduce((sum, count) => sum + count, 0)
+      : undefined,
+  };
+};
+
+/**
+ * Send a search the way the STAC API supports
+ * @param {Object} body - Search request body
+ * @param {string|null} apiUrl - STAC API root URL
+ * @param {AbortSignal} signal - Aborts the search
+ * @returns {Promise} STAC Search response
+ */
+const sendSearch = async (body, apiUrl, signal) => {
+  const capabilities = await fetchCapabilities(apiUrl);
+  const searchParams = adaptSearchBody(body, capabilities);
+
+  if (searchParams.intersects) {
+    console.log('Sending intersects to STAC API:', {
+      type: searchParams.intersects.type,
+      hasCoordinates: !!searchParams.intersects.coordinates
+    });
+  }
+
+  if (capabilities.browseOnly) {
+    return browseCollectionItems(searchParams, capabilities, apiUrl, signal);
+  }
+
+  if (!capabilities.searchPost && capabilities.searchGet) {
+    const response = await axiosInstance.get('/search', {
+      ...apiUrlConfig(apiUrl),
+      params: toSearchQuery(searchParams, capabilities),
+      signal,
+    });
+    return response.data;
+  }
+
+  // Searching has no side effects, so a failed POST can be retried
   const response = await axiosInstance.post('/search', searchParams, {
+    ...apiUrlConfig(apiUrl),
+    idempotent: true,
+    signal,
     headers: {
       'Content-Type': 'application/json',
     },
@@ -87,6 +517,202 @@ export const searchItems = async (params = {}) => {
   return response.data;
 };
 
+/**
+ * Search STAC Items
+ * Uses POST /search, or GET /search or collection browsing depending on what
+ * the server supports (see fetchCapabilities).
+ * @param {Object} params - Search parameters
+ * @param {Array} params.bbox - Bounding box [minx, miny, maxx, maxy]
+ * @param {Object} params.intersects - GeoJSON geometry object for spatial filtering (STAC API uses "intersects")
+ * @param {string} params.datetime - ISO 8601 datetime range (e.g., "2020-01-01T00:00:00Z/2020-12-31T23:59:59Z")
+ * @param {Array} params.collections - Array of collection IDs
+ * @param {number} params.limit - Maximum number of results
+ * @param {Object} params.filter - CQL2-JSON filter expression
+ * @param {Array} params.sortby - Sort order [{ field, direction: "asc"|"desc" }]
+ * @param {string} params.next - Pagination token
+ * @param {string|null} apiUrl - STAC API root URL (defaults to the active endpoint)
+ * @param {Object} options - { signal, cache, onUpdate(response) } signal aborts the search; cache serves
+ *   the last response to the same first-page search first (stale-while-revalidate)
+ * @returns {Promise} STAC Search response (with cachedAt when served from the cache)
+ */
+export const searchItems = async (params = {}, apiUrl = null, { signal, cache = false, onUpdate } = {}) => {
+  const body = buildSearchBody(params);
+  const request = () => sendSearch(body, apiUrl, signal);
+  return cache && !body.next
+    ? fetchCached('search', apiUrl || getStacApiUrl(), body, request, onUpdate)
+    : request();
+};
+
+// Client errors of /aggregate that won't go away by asking again (unknown endpoint or body)
+const isAggregationUnsupported = (error) => {
+  const status = error.response?.status;
+  return status === 501 || (status >= 400 && status < 500 && ![401, 403, 408, 429].includes(status));
+};
+
+/**
+ * Count items per datetime bucket (STAC API Aggregation Extension)
+ * Only asked of APIs that declare the extension; the search is adapted like
+ * sendSearch does (Query extension instead of CQL2, GET instead of POST).
+ * @param {Object} searchBody - Body of the POST /search request to aggregate
+ * @param {string} interval - Bucket interval ("day", "month" or "year")
+ * @param {string|null} apiUrl - STAC API root URL (defaults to the active endpoint)
+ * @returns {Promise<Array|null>} datetime_frequency buckets [{ key, frequency }], or null
+ *   when the API can't aggregate the search
+ */
+export const fetchDatetimeFrequency = async (searchBody, interval, apiUrl = null) => {
+  const capabilities = await fetchCapabilities(apiUrl);
+  if (!capabilities.aggregation) {
+    return null;
+  }
+
+  // Paging and sorting don't apply to aggregations
+  const { limit, sortby, next, ...search } = searchBody || {};
+  const body = adaptSearchBody(search, capabilities);
+  const aggregationParams = {
+    aggregations: 'datetime_frequency',
+    datetime_frequency_interval: interval,
+  };
+
+  let response;
+  try {
+    response = !capabilities.searchPost && capabilities.searchGet
+      ? await axiosInstance.get('/aggregate', {
+        ...apiUrlConfig(apiUrl),
+        params: { ...toSearchQuery(body, capabilities), ...aggregationParams },
+      })
+      : await axiosInstance.post('/aggregate', {
+        ...body,
+        ...aggregationParams,
+        aggregations: [aggregationParams.aggregations],
+      }, {
+        ...apiUrlConfig(apiUrl),
+        idempotent: true,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+  } catch (error) {
+    if (isAggregationUnsupported(error)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const aggregation = (response.data?.aggregations || [])
+    .find((entry) => entry.name === 'datetime_frequency');
+  return aggregation ? aggregation.buckets || [] : null;
+};
+
+/**
+ * Get the "next" pagination link from a STAC search response
+ * Older servers return a bare `next` token instead of a link, which is
+ * converted to an equivalent POST link so both can be followed the same way.
+ * @param {Object} response - STAC ItemCollection response
+ * @returns {Object|null} STAC Link object with rel "next" or null
+ */
+export const getNextLink = (response) => {
+  if (!response) {
+    return null;
+  }
+
+  const nextLink = (response.links || []).find((link) => link.rel === 'next');
+  if (nextLink && nextLink.href) {
+    return nextLink;
+  }
+
+  if (response.next) {
+    return {
+      rel: 'next',
+      href: '/search',
+      method: 'POST',
+      body: { next: response.next },
+      merge: true,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Get the total number of items matching a search, if the server reports it
+ * @param {Object} response - STAC ItemCollection response
+ * @returns {number|null} Number of matched items or null
+ */
+export const getNumberMatched = (response) => {
+  if (typeof response?.numberMatched === 'number') {
+    return response.numberMatched;
+  }
+  if (typeof response?.context?.matched === 'number') {
+    return response.context.matched;
+  }
+  return null;
+};
+
+/**
+ * Fetch the next page of STAC search results by following a "next" link
+ * Supports both GET links (token in the href) and POST links (token in the body).
+ * @param {Object} link - STAC Link object with rel "next"
+ * @param {Object} previousBody - Body of the previous POST /search request (used when link.merge is true)
+ * @param {string|null} apiUrl - STAC API root URL for relative links (defaults to the active endpoint)
+ * @param {Object} options - { signal } to abort the request
+ * @returns {Promise} STAC Search response
+ */
+export const fetchNextPage = async (link, previousBody = {}, apiUrl = null, { signal } = {}) => {
+  const method = (link.method || 'GET').toUpperCase();
+
+  if (method === 'POST') {
+    const body = link.merge
+      ? { ...previousBody, ...(link.body || {}) }
+      : (link.body || {});
+    const response = await axiosInstance.post(link.href, body, {
+      ...apiUrlConfig(apiUrl),
+      idempotent: true,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(link.headers || {}),
+      },
+    });
+    return response.data;
+  }
+
+  const response = await axiosInstance.get(link.href, {
+    ...apiUrlConfig(apiUrl),
+    signal,
+    headers: link.headers || {},
+  });
+  return response.data;
+};
+
+/**
+ * Follow "next" links until all remaining pages of a search are fetched
+ * @param {Object} link - STAC Link object with rel "next"
+ * @param {Object} previousBody - Body of the original POST /search request
+ * @param {Object} options - { maxItems, onPage(features), isCancelled(), apiUrl, signal }
+ * @returns {Promise<Array>} Features of the remaining pages
+ */
+export const fetchRemainingPages = async (link, previousBody = {}, options = {}) => {
+  const { maxItems = Infinity, onPage, isCancelled, apiUrl = null, signal } = options;
+  const features = [];
+  let nextLink = link;
+
+  while (nextLink && features.length < maxItems) {
+    if (isCancelled && isCancelled()) {
+      break;
+    }
+    const page = await fetchNextPage(nextLink, previousBody, apiUrl, { signal });
+    const pageFeatures = page.features || [];
+    features.push(...pageFeatures);
+    if (onPage) {
+      onPage(pageFeatures);
+    }
+    // Stop on an empty page so a misbehaving API can't loop forever
+    nextLink = pageFeatures.length > 0 ? getNextLink(page) : null;
+  }
+
+  return features.slice(0, maxItems);
+};
+
 /**
  * Convert Leaflet bounds to STAC bbox format [minx, miny, maxx, maxy]
  * @param {L.LatLngBounds} bounds - Leaflet bounds
@@ -0,0 +1,200 @@
+import axiosInstance from '../api/axios';
+import { buildCql2Filter, fetchDatetimeFrequency, normalizeQueryables } from './stac.service';
+
+jest.mock('../api/axios', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn() },
+  getStacApiUrl: () => 'https://stac.example.org',
+}));
+
+// No IndexedDB here: nothing is cached
+jest.mock('../utils/db', () => ({
+  clearRecords: () => Promise.resolve(),
+  countRecords: () => Promise.resolve(0),
+  deleteRecord: () => Promise.resolve(),
+  getAllRecords: () => Promise.resolve([]),
+  getRecord: () => Promise.resolve(undefined),
+  putRecord: () => Promise.resolve(),
+}));
+
+describe('buildCql2Filter', () => {
+  test('returns null without complete conditions', () => {
+    expect(buildCql2Filter()).toBeNull();
+    expect(buildCql2Filter([
+      { property: 'platform', operator: '=', value: '', type: 'string' },
+      { property: '', operator: '=', value: 'x', type: 'string' },
+    ])).toBeNull();
+  });
+
+  test('builds a single comparison with a typed value', () => {
+    expect(buildCql2Filter([
+      { property: 'eo:cloud_cover', operator: '<=', value: '20', type: 'number' },
+    ])).toEqual({ op: '<=', args: [{ property: 'eo:cloud_cover' }, 20] });
+  });
+
+  test('combines conditions with "and"', () => {
+    expect(buildCql2Filter([
+      { property: 'platform', operator: 'in', value: 'sentinel-2a, sentinel-2b,', type: 'string' },
+      { property: 'created', operator: '>', value: '2024-01-01T00:00:00Z', type: 'datetime' },
+      { property: 'sar:observation', operator: '=', value: 'true', type: 'boolean' },
+    ])).toEqual({
+      op: 'and',
+      args: [
+        { op: 'in', args: [{ property: 'platform' }, ['sentinel-2a', 'sentinel-2b']] },
+        { op: '>', args: [{ property: 'created' }, { timestamp: '2024-01-01T00:00:00.000Z' }] },
+        { op: '=', args: [{ property: 'sar:observation' }, true] },
+      ],
+    });
+  });
+
+  test('drops numeric conditions that are not numbers', () => {
+    expect(buildCql2Filter([
+      { property: 'gsd', operator: '<', value: 'ten', type: 'number' },
+    ])).toBeNull();
+  });
+});
+
+describe('normalizeQueryables', () => {
+  test('types properties that only reference an extension schema by their name', () => {
+    const fields = normalizeQueryables({
+      properties: {
+        datetime: { type: 'string', format: 'date-time' },
+        'eo:cloud_cover': { $ref: 'https://stac-extensions.github.io/eo/v1.1.0/schema.json#/definitions/eo:cloud_cover' },
+        gsd: { $ref: 'https://stac-extensions.github.io/eo/v1.1.0/schema.json#/definitions/gsd', title: 'Ground sample distance' },
+        's2:mgrs_tile': { $ref: 'https://stac-extensions.github.io/sentinel-2/v1.0.0/schema.json#/definitions/s2:mgrs_tile' },
+      },
+    });
+
+    expect(fields).toEqual([
+      { name: 'eo:cloud_cover', title: 'Cloud Cover (%)', type: 'number', enum: null, minimum: 0, maximum: 100 },
+      { name: 'gsd', title: 'Ground sample distance', type: 'number', enum: null, minimum: 0, maximum: null },
+      { name: 's2:mgrs_tile', title: 's2:mgrs_tile', type: 'string', enum: null, minimum: null, maximum: null },
+    ]);
+  });
+
+  test('resolves references to definitions of the schema', () => {
+    const [field] = normalizeQueryables({
+      $defs: {
+        orbit: { type: 'integer', minimum: 1, maximum: 175 },
+      },
+      properties: {
+        'sat:relative_orbit': { $ref: '#/$defs/orbit', title: 'Relative orbit' },
+      },
+    });
+
+    expect(field).toEqual({
+      name: 'sat:relative_orbit',
+      title: 'Relative orbit',
+      type: 'number',
+      enum: null,
+      minimum: 1,
+      maximum: 175,
+    });
+  });
+
+  test('reads types, formats and enums', () => {
+    expect(normalizeQueryables({
+      properties: {
+        platform: { type: 'string', enum: ['sentinel-2a', 'sentinel-2b'] },
+        created: { type: 'string', format: 'date-time' },
+        'sar:observation': { type: 'boolean' },
+      },
+    }).map(({ name, type, enum: values }) => [name, type, values])).toEqual([
+      ['created', 'datetime', null],
+      ['platform', 'string', ['sentinel-2a', 'sentinel-2b']],
+      ['sar:observation', 'boolean', null],
+    ]);
+  });
+});
+
+describe('fetchDatetimeFrequency', () => {
+  const ITEM_SEARCH = 'https://api.stacspec.org/v1.0.0/item-search';
+  const AGGREGATION = 'https://api.stacspec.org/v0.3.0/aggregation';
+  const QUERY = 'https://api.stacspec.org/v1.0.0/item-search#query';
+
+  const searchBody = {
+    limit: 100,
+    collections: ['sentinel-2'],
+    filter: { op: '<', args: [{ property: 'eo:cloud_cover' }, 20] },
+    'filter-lang': 'cql2-json',
+    sortby: [{ field: 'datetime', direction: 'desc' }],
+  };
+
+  // Each test uses its own API, as capabilities are detected once per API
+  const mockLandingPage = (landingPage) => {
+    axiosInstance.get.mockImplementation((path) => (
+      path === '/' ? Promise.resolve({ data: landingPage }) : Promise.reject(new Error(`Unexpected GET ${path}`))
+    ));
+  };
+
+  const aggregateResponse = {
+    data: { aggregations: [{ name: 'datetime_frequency', buckets: [{ key: '2024-01-01T00:00:00Z', frequency: 3 }] }] },
+  };
+
+  beforeEach(() => {
+    axiosInstance.get.mockReset();
+    axiosInstance.post.mockReset();
+    // Filters an API can't take are left out with a warning
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('is not requested from APIs without the Aggregation extension', async () => {
+    mockLandingPage({ conformsTo: [ITEM_SEARCH], links: [] });
+
+    await expect(fetchDatetimeFrequency(searchBody, 'month', 'https://plain.example.org')).resolves.toBeNull();
+    expect(axiosInstance.post).not.toHaveBeenCalled();
+  });
+
+  test('sends the adapted search to the API of the search', async () => {
+    mockLandingPage({ conformsTo: [ITEM_SEARCH, AGGREGATION, QUERY], links: [] });
+    axiosInstance.post.mockResolvedValue(aggregateResponse);
+
+    await expect(fetchDatetimeFrequency(searchBody, 'month', 'https://query.example.org'))
+      .resolves.toEqual([{ key: '2024-01-01T00:00:00Z', frequency: 3 }]);
+    expect(axiosInstance.post).toHaveBeenCalledWith('/aggregate', {
+      collections: ['sentinel-2'],
+      query: { 'eo:cloud_cover': { lt: 20 } },
+      aggregations: ['datetime_frequency'],
+      datetime_frequency_interval: 'month',
+    }, expect.objectContaining({ baseURL: 'https://query.example.org' }));
+  });
+
+  test('uses GET when the API only searches with GET', async () => {
+    mockLandingPage({
+      conformsTo: [ITEM_SEARCH],
+      links: [{ rel: 'search', href: '/search', method: 'GET' }, { rel: 'aggregate', href: '/aggregate' }],
+    });
+    const landingPageGet = axiosInstance.get.getMockImplementation();
+    axiosInstance.get.mockImplementation((path, config) => (
+      path === '/aggregate' ? Promise.resolve(aggregateResponse) : landingPageGet(path, config)
+    ));
+
+    await fetchDatetimeFrequency(searchBody, 'day', 'https://get.example.org');
+    expect(axiosInstance.get).toHaveBeenCalledWith('/aggregate', expect.objectContaining({
+      baseURL: 'https://get.example.org',
+      params: {
+        collections: 'sentinel-2',
+        aggregations: 'datetime_frequency',
+        datetime_frequency_interval: 'day',
+      },
+    }));
+  });
+
+  test('reports rejected searches and missing aggregations as unsupported', async () => {
+    mockLandingPage({ conformsTo: [ITEM_SEARCH, AGGREGATION], links: [] });
+
+    axiosInstance.post.mockRejectedValueOnce({ response: { status: 422 } });
+    await expect(fetchDatetimeFrequency(searchBody, 'month', 'https://rejects.example.org')).resolves.toBeNull();
+
+    axiosInstance.post.mockResolvedValueOnce({ data: { aggregations: [{ name: 'total_count', value: 5 }] } });
+    await expect(fetchDatetimeFrequency(searchBody, 'month', 'https://rejects.example.org')).resolves.toBeNull();
+
+    const unavailable = { response: { status: 503 } };
+    axiosInstance.post.mockRejectedValueOnce(unavailable);
+    await expect(fetchDatetimeFrequency(searchBody, 'month', 'https://rejects.example.org')).rejects.toBe(unavailable);
+  });
+});
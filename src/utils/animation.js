@@ -0,0 +1,278 @@
+/**
+ * Time-series animation helpers
+ * Order results into animation frames and render the current map viewport
+ * for each frame into an animated GIF or WebM video.
+ */
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { notifyAuthRequired, resolveAuthRequest } from './auth';
+import { getItemDate } from './timeline';
+import {
+  getTileAssetKeys,
+  formatXYZUrl,
+  isTmsTileUrl,
+  getTileZoomRange,
+  fillTileUrl,
+} from './tileUrl';
+
+// Playback speeds in frames per second
+export const ANIMATION_SPEEDS = [0.5, 1, 2, 4];
+
+export const ANIMATION_EXPORT_FORMATS = [
+  { key: 'gif', label: 'GIF', extension: 'gif', mimeType: 'image/gif' },
+  { key: 'webm', label: 'WebM', extension: 'webm', mimeType: 'video/webm' },
+];
+
+const TILE_SIZE = 256;
+// Exports wider than this are scaled down
+const MAX_EXPORT_WIDTH = 960;
+// Tiles that haven't loaded by then are left out of the frame
+const TILE_TIMEOUT = 15000;
+
+/**
+ * Animation frames: items with a tile asset, oldest first
+ * @param {Array} items - STAC Items
+ * @returns {Array} [{ item, assetKey, date }]
+ */
+export const getAnimationFrames = (items) => items
+  .map((item) => ({ item, assetKey: getTileAssetKeys(item)[0], date: getItemDate(item) }))
+  .filter((frame) => frame.assetKey && frame.date)
+  .sort((a, b) => a.date - b.date);
+
+/**
+ * Date label of a frame
+ * @param {Object} frame - Animation frame
+ * @returns {string}
+ */
+export const formatFrameDate = (frame) => frame.date.toLocaleDateString();
+
+/**
+ * Whether the browser can record WebM video from a canvas
+ * @returns {boolean}
+ */
+export const isWebmExportSupported = () => (
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+  MediaRecorder.isTypeSupported('video/webm')
+);
+
+const getFrameTileSource = (frame) => {
+  const asset = frame.item.assets[frame.assetKey];
+  const url = formatXYZUrl(asset.href);
+  return { url, tms: isTmsTileUrl(url), ...getTileZoomRange(asset) };
+};
+
+const loadTileImage = (url) => new Promise((resolve) => {
+  const image = new Image();
+  const timer = setTimeout(() => resolve(null), TILE_TIMEOUT);
+  image.crossOrigin = 'anonymous';
+  image.onload = () => {
+    clearTimeout(timer);
+    resolve(image);
+  };
+  image.onerror = () => {
+    clearTimeout(timer);
+    resolve(null);
+  };
+  image.src = url;
+});
+
+// Tiles of servers that want credentials in headers are fetched into blob URLs
+const fetchTileImage = async (url, auth) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TILE_TIMEOUT);
+  try {
+    const response = await fetch(url, { headers: auth.headers, signal: controller.signal });
+    if (response.status === 401) {
+      notifyAuthRequired(auth.endpointUrl);
+    }
+    if (!response.ok) {
+      return null;
+    }
+    const objectUrl = URL.createObjectURL(await response.blob());
+    const image = await loadTileImage(objectUrl);
+    URL.revokeObjectURL(objectUrl);
+    return image;
+  } catch (e) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Load the tiles of a source covering the viewport
+ * Protected tile servers are requested with the credentials of their STAC API.
+ * Tiles that fail to load (or don't allow cross-origin access) are skipped.
+ * @param {Object} viewport - { width, height, zoom, x, y } (x/y: pixel origin)
+ * @param {Object} source - { url, tms, minZoom, maxZoom }
+ * @returns {Promise<Array>} [{ image, left, top }]
+ */
+const loadViewportTiles = async (viewport, source) => {
+  const { width, height, zoom, x, y } = viewport;
+  if (zoom < (source.minZoom ?? 0) || zoom > (source.maxZoom ?? Infinity)) {
+    return [];
+  }
+
+  const auth = await resolveAuthRequest(source.url).catch(() => null);
+  const template = auth ? auth.url : source.url;
+  const useHeaders = Boolean(auth) && Object.keys(auth.headers).length > 0;
+  const tileCount = 2 ** zoom;
+  const tiles = [];
+  for (let row = Math.floor(y / TILE_SIZE); row <= Math.floor((y + height - 1) / TILE_SIZE); row += 1) {
+    if (row < 0 || row >= tileCount) continue;
+    for (let col = Math.floor(x / TILE_SIZE); col <= Math.floor((x + width - 1) / TILE_SIZE); col += 1) {
+      const wrappedCol = ((col % tileCount) + tileCount) % tileCount;
+      tiles.push({
+        url: fillTileUrl(template, { x: wrappedCol, y: row, z: zoom }, source.tms),
+        left: col * TILE_SIZE - x,
+        top: row * TILE_SIZE - y,
+      });
+    }
+  }
+
+  const images = await Promise.all(tiles.map((tile) => (
+    useHeaders ? fetchTileImage(tile.url, auth) : loadTileImage(tile.url)
+  )));
+  return tiles
+    .map((tile, index) => ({ image: images[index], left: tile.left, top: tile.top }))
+    .filter((tile) => tile.image);
+};
+
+const drawTiles = (ctx, tiles) => {
+  tiles.forEach(({ image, left, top }) => {
+    ctx.drawImage(image, left, top, TILE_SIZE, TILE_SIZE);
+  });
+};
+
+const drawDateLabel = (ctx, text) => {
+  ctx.font = 'bold 18px sans-serif';
+  const width = ctx.measureText(text).width;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(10, 10, width + 20, 32);
+  ctx.fillStyle = '#fff';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 20, 26);
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Render every frame over the base map for the given viewport
+ * @param {Array} frames - Animation frames
+ * @param {Object} viewport - { width, height, zoom, x, y }
+ * @param {string|null} baseMapUrl - Base map tile URL template
+ * @param {Object} options - { onFrame(canvas, index), isCancelled }
+ * @returns {Promise<boolean>} false when cancelled
+ */
+const renderFrames = async (frames, viewport, baseMapUrl, { onFrame, isCancelled }) => {
+  const scale = Math.min(1, MAX_EXPORT_WIDTH / viewport.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(viewport.width * scale);
+  canvas.height = Math.round(viewport.height * scale);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.scale(scale, scale);
+
+  // The base map is the same in every frame
+  const baseTiles = baseMapUrl ? await loadViewportTiles(viewport, { url: baseMapUrl, tms: false }) : [];
+
+  for (let index = 0; index < frames.length; index += 1) {
+    if (isCancelled()) {
+      return false;
+    }
+    const tiles = await loadViewportTiles(viewport, getFrameTileSource(frames[index]));
+    ctx.fillStyle = '#e0e0e0';
+    ctx.fillRect(0, 0, viewport.width, viewport.height);
+    drawTiles(ctx, baseTiles);
+    drawTiles(ctx, tiles);
+    drawDateLabel(ctx, formatFrameDate(frames[index]));
+    await onFrame(canvas, index);
+  }
+  return true;
+};
+
+/**
+ * Render the frames for the current viewport as an animated GIF or WebM video
+ * @param {string} formatKey - 'gif' or 'webm'
+ * @param {Array} frames - Animation frames
+ * @param {Object} options - { viewport, baseMapUrl, fps, onProgress(done, total), isCancelled }
+ * @returns {Promise<Blob|null>} null when cancelled
+ */
+export const exportAnimation = async (formatKey, frames, {
+  viewport,
+  baseMapUrl,
+  fps,
+  onProgress = () => {},
+  isCancelled = () => false,
+}) => {
+  const delay = Math.round(1000 / fps);
+
+  if (formatKey === 'gif') {
+    const gif = GIFEncoder();
+    const completed = await renderFrames(frames, viewport, baseMapUrl, {
+      isCancelled,
+      onFrame: (canvas, index) => {
+        const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const palette = quantize(data, 256);
+        gif.writeFrame(applyPalette(data, palette), canvas.width, canvas.height, { palette, delay });
+        onProgress(index + 1, frames.length);
+      },
+    });
+    if (!completed) {
+      return null;
+    }
+    gif.finish();
+    return new Blob([gif.bytes()], { type: 'image/gif' });
+  }
+
+  if (formatKey === 'webm') {
+    // Render all frames first so tile loading doesn't stretch the video timing
+    const bitmaps = [];
+    let size = null;
+    const completed = await renderFrames(frames, viewport, baseMapUrl, {
+      isCancelled,
+      onFrame: async (canvas, index) => {
+        size = { width: canvas.width, height: canvas.height };
+        bitmaps.push(await createImageBitmap(canvas));
+        onProgress(index + 1, frames.length);
+      },
+    });
+    if (!completed) {
+      bitmaps.forEach((bitmap) => bitmap.close());
+      return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmaps[0], 0, 0);
+
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise((resolve) => {
+      recorder.onstop = resolve;
+    });
+
+    recorder.start();
+    for (const bitmap of bitmaps) {
+      if (isCancelled()) break;
+      ctx.drawImage(bitmap, 0, 0);
+      if (track.requestFrame) track.requestFrame();
+      await wait(delay);
+    }
+    recorder.stop();
+    await stopped;
+    bitmaps.forEach((bitmap) => bitmap.close());
+    track.stop();
+
+    return isCancelled() ? null : new Blob(chunks, { type: 'video/webm' });
+  }
+
+  throw new Error(`Unknown animation format: ${formatKey}`);
+};
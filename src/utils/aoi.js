@@ -0,0 +1,221 @@
+/**
+ * AOI import helpers
+ * Parse uploaded vector files (GeoJSON, KML/KMZ, GPX, zipped Shapefile) into
+ * polygon features, combine selected features and simplify the result so it
+ * can be sent as the STAC "intersects" geometry.
+ */
+import { kml, gpx } from '@tmcw/togeojson';
+import JSZip from 'jszip';
+import shp from 'shpjs';
+import union from '@turf/union';
+import simplify from '@turf/simplify';
+import { featureCollection } from '@turf/helpers';
+
+export const AOI_FILE_EXTENSIONS = ['.geojson', '.json', '.kml', '.kmz', '.gpx', '.zip'];
+
+// Geometries above this many vertices are simplified before searching
+export const MAX_AOI_VERTICES = 500;
+
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+const getExtension = (fileName) => {
+  const index = fileName.lastIndexOf('.');
+  return index >= 0 ? fileName.slice(index).toLowerCase() : '';
+};
+
+/**
+ * Drop Z/M values so coordinates are plain [lng, lat]
+ */
+const to2D = (coordinates) => (
+  typeof coordinates[0] === 'number'
+    ? [coordinates[0], coordinates[1]]
+    : coordinates.map(to2D)
+);
+
+/**
+ * Collect all [lng, lat] positions of a geometry
+ */
+const getPositions = (geometry) => {
+  if (!geometry) {
+    return [];
+  }
+  if (geometry.type === 'GeometryCollection') {
+    return geometry.geometries.flatMap(getPositions);
+  }
+  const flatten = (coordinates) => (
+    typeof coordinates[0] === 'number' ? [coordinates] : coordinates.flatMap(flatten)
+  );
+  return flatten(geometry.coordinates || []);
+};
+
+/**
+ * Count the vertices of a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Number of positions
+ */
+export const countVertices = (geometry) => getPositions(geometry).length;
+
+/**
+ * Bounding box polygon of a geometry (used for points and lines)
+ */
+const toEnvelope = (geometry) => {
+  const positions = getPositions(geometry);
+  const lngs = positions.map((p) => p[0]);
+  const lats = positions.map((p) => p[1]);
+  const minx = Math.min(...lngs);
+  const miny = Math.min(...lats);
+  const maxx = Math.max(...lngs);
+  const maxy = Math.max(...lats);
+  // Give single points a small extent (~100 m) so they can be searched
+  const pad = minx === maxx && miny === maxy ? 0.001 : 0;
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minx - pad, miny - pad],
+      [maxx + pad, miny - pad],
+      [maxx + pad, maxy + pad],
+      [minx - pad, maxy + pad],
+      [minx - pad, miny - pad],
+    ]],
+  };
+};
+
+/**
+ * Pick a readable name for a feature from common attribute names
+ */
+const getFeatureName = (feature, index) => {
+  const properties = feature.properties || {};
+  const key = ['name', 'Name', 'NAME', 'title', 'id', 'ID', 'NAMOBJ', 'WADMKK', 'WADMPR']
+    .find((k) => properties[k] !== undefined && properties[k] !== null && properties[k] !== '');
+  return key ? String(properties[key]) : `Feature ${index + 1}`;
+};
+
+/**
+ * Normalize any GeoJSON object to a list of features
+ */
+const toFeatures = (geoJson) => {
+  if (!geoJson) {
+    return [];
+  }
+  if (Array.isArray(geoJson)) {
+    return geoJson.flatMap(toFeatures);
+  }
+  if (geoJson.type === 'FeatureCollection') {
+    return geoJson.features || [];
+  }
+  if (geoJson.type === 'Feature') {
+    return [geoJson];
+  }
+  if (geoJson.type) {
+    return [{ type: 'Feature', properties: {}, geometry: geoJson }];
+  }
+  return [];
+};
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML');
+  }
+  return doc;
+};
+
+/**
+ * Read an uploaded file into GeoJSON according to its extension
+ */
+const readFileAsGeoJson = async (file) => {
+  const extension = getExtension(file.name);
+
+  switch (extension) {
+    case '.geojson':
+    case '.json':
+      return JSON.parse(await file.text());
+    case '.kml':
+      return kml(parseXml(await file.text()));
+    case '.kmz': {
+      const zip = await JSZip.loadAsync(await file.arrayBuffer());
+      const kmlFile = Object.values(zip.files).find((entry) => getExtension(entry.name) === '.kml');
+      if (!kmlFile) {
+        throw new Error('No KML document found in the KMZ file');
+      }
+      return kml(parseXml(await kmlFile.async('string')));
+    }
+    case '.gpx':
+      return gpx(parseXml(await file.text()));
+    case '.zip':
+      // shpjs reprojects to WGS84 using the .prj file when present
+      return shp(await file.arrayBuffer());
+    default:
+      throw new Error(`Unsupported file type "${extension}". Use ${AOI_FILE_EXTENSIONS.join(', ')}`);
+  }
+};
+
+/**
+ * Parse an uploaded AOI file into polygon features
+ * Point and line features are converted to their bounding box.
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array>} [{ id, name, geometry, converted }]
+ */
+export const parseAoiFile = async (file) => {
+  const geoJson = await readFileAsGeoJson(file);
+
+  const features = toFeatures(geoJson)
+    .filter((feature) => feature.geometry && getPositions(feature.geometry).length > 0)
+    .map((feature, index) => {
+      const isPolygon = POLYGON_TYPES.includes(feature.geometry.type);
+      const geometry = isPolygon
+        ? { type: feature.geometry.type, coordinates: to2D(feature.geometry.coordinates) }
+        : toEnvelope(feature.geometry);
+      return {
+        id: index,
+        name: getFeatureName(feature, index),
+        geometry,
+        converted: !isPolygon,
+      };
+    });
+
+  if (features.length === 0) {
+    throw new Error('No usable geometries found in the file');
+  }
+  return features;
+};
+
+/**
+ * Combine one or more polygon geometries into a single geometry (union)
+ * @param {Array} geometries - Polygon/MultiPolygon geometries
+ * @returns {Object|null} Combined geometry
+ */
+export const combineGeometries = (geometries) => {
+  if (!geometries || geometries.length === 0) {
+    return null;
+  }
+  if (geometries.length === 1) {
+    return geometries[0];
+  }
+  const merged = union(featureCollection(
+    geometries.map((geometry) => ({ type: 'Feature', properties: {}, geometry }))
+  ));
+  return merged ? merged.geometry : null;
+};
+
+/**
+ * Simplify a geometry until it has at most maxVertices vertices
+ * The tolerance (in degrees) is increased step by step so small AOIs keep their detail.
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} maxVertices - Vertex budget
+ * @returns {Object} { geometry, originalVertices, vertices }
+ */
+export const simplifyGeometry = (geometry, maxVertices = MAX_AOI_VERTICES) => {
+  const originalVertices = countVertices(geometry);
+  let simplified = geometry;
+  let vertices = originalVertices;
+  let tolerance = 0.00001;
+
+  while (vertices > maxVertices && tolerance < 1) {
+    simplified = simplify(geometry, { tolerance, highQuality: false, mutate: false });
+    vertices = countVertices(simplified);
+    tolerance *= 2;
+  }
+
+  return { geometry: simplified, originalVertices, vertices };
+};
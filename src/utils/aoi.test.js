@@ -0,0 +1,105 @@
+import { parseAoiFile } from './aoi';
+
+// Zipped Shapefiles aren't covered here (shpjs is an ES module jest can't load)
+jest.mock('shpjs', () => jest.fn());
+
+// The File parts parseAoiFile reads (jsdom's File has no text())
+const textFile = (name, content) => ({ name, text: async () => content });
+
+describe('parseAoiFile', () => {
+  test('reads the features of a GeoJSON FeatureCollection', async () => {
+    const features = await parseAoiFile(textFile('areas.geojson', JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { WADMKK: 'Kota Bandung' },
+          geometry: {
+            type: 'Polygon',
+            coordinates: [[[107.5, -7, 700], [107.7, -7, 700], [107.7, -6.8, 700], [107.5, -7, 700]]],
+          },
+        },
+        {
+          type: 'Feature',
+          properties: { name: 'Road' },
+          geometry: { type: 'LineString', coordinates: [[106.8, -6.3], [106.9, -6.1]] },
+        },
+        { type: 'Feature', properties: { name: 'No geometry' }, geometry: null },
+        { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [110, -7] } },
+      ],
+    })));
+
+    expect(features).toEqual([
+      {
+        id: 0,
+        name: 'Kota Bandung',
+        // Elevations are dropped
+        geometry: { type: 'Polygon', coordinates: [[[107.5, -7], [107.7, -7], [107.7, -6.8], [107.5, -7]]] },
+        converted: false,
+      },
+      {
+        id: 1,
+        name: 'Road',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[106.8, -6.3], [106.9, -6.3], [106.9, -6.1], [106.8, -6.1], [106.8, -6.3]]],
+        },
+        converted: true,
+      },
+      expect.objectContaining({ id: 2, name: 'Feature 3', converted: true }),
+    ]);
+    // Points get a small extent
+    const [[southWest, , northEast]] = features[2].geometry.coordinates;
+    expect(southWest[0]).toBeCloseTo(109.999);
+    expect(northEast[1]).toBeCloseTo(-6.999);
+  });
+
+  test('reads a bare GeoJSON geometry', async () => {
+    const features = await parseAoiFile(textFile('area.json', JSON.stringify({
+      type: 'MultiPolygon',
+      coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]]],
+    })));
+
+    expect(features).toEqual([{
+      id: 0,
+      name: 'Feature 1',
+      geometry: { type: 'MultiPolygon', coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]]] },
+      converted: false,
+    }]);
+  });
+
+  test('reads KML placemarks', async () => {
+    const features = await parseAoiFile(textFile('areas.KML', `<?xml version="1.0" encoding="UTF-8"?>
+      <kml xmlns="http://www.opengis.net/kml/2.2">
+        <Document>
+          <Placemark>
+            <name>Kebun Raya</name>
+            <Polygon>
+              <outerBoundaryIs>
+                <LinearRing>
+                  <coordinates>106.79,-6.6,0 106.81,-6.6,0 106.81,-6.59,0 106.79,-6.6,0</coordinates>
+                </LinearRing>
+              </outerBoundaryIs>
+            </Polygon>
+          </Placemark>
+          <Placemark>
+            <name>Gate</name>
+            <Point><coordinates>106.8,-6.6</coordinates></Point>
+          </Placemark>
+        </Document>
+      </kml>`));
+
+    expect(features.map(({ name, converted }) => [name, converted])).toEqual([['Kebun Raya', false], ['Gate', true]]);
+    expect(features[0].geometry).toEqual({
+      type: 'Polygon',
+      coordinates: [[[106.79, -6.6], [106.81, -6.6], [106.81, -6.59], [106.79, -6.6]]],
+    });
+  });
+
+  test('rejects invalid XML, unsupported files and files without geometries', async () => {
+    await expect(parseAoiFile(textFile('broken.kml', '<kml><Placemark></kml>'))).rejects.toThrow('The file is not valid XML');
+    await expect(parseAoiFile(textFile('area.csv', 'lng,lat'))).rejects.toThrow('Unsupported file type ".csv"');
+    await expect(parseAoiFile(textFile('empty.geojson', '{"type":"FeatureCollection","features":[]}')))
+      .rejects.toThrow('No usable geometries found in the file');
+  });
+});
@@ -0,0 +1,427 @@
+/**
+ * Authentication for STAC APIs
+ * Credentials are kept per STAC API in sessionStorage (gone when the tab is
+ * closed): a bearer token or API key entered by the user, or the tokens of an
+ * OIDC authorization code login with PKCE. They are only attached to requests
+ * for the API itself and the tile/asset origins its configuration trusts.
+ *
+ * Endpoints may configure auth in stac-endpoints.json:
+ * {
+ *   "oidc": { "issuer": "...", "clientId": "...", "scope": "openid profile" },
+ *   "tiles": { "mode": "header" | "query" | "sign" | "none", "param": "access_token",
+ *              "signUrl": "https://.../sign?href={href}", "origins": ["https://*.tiles.example.org"] }
+ * }
+ */
+import axios from 'axios';
+import { deleteCachedResponses } from './responseCache';
+import { RUNTIME_TILE_CACHE } from './tileCache';
+
+const CREDENTIALS_STORAGE_KEY = 'spectra-catalog-auth';
+const LOGIN_STORAGE_KEY = 'spectra-catalog-oidc-login';
+
+// Route the identity provider redirects back to
+export const AUTH_CALLBACK_PATH = '/auth/callback';
+
+// Access tokens are refreshed this long before they expire
+const EXPIRY_MARGIN = 30 * 1000;
+
+// Signed URLs without an expiry are reused this long
+const SIGNED_URL_LIFETIME = 30 * 60 * 1000;
+
+const DEFAULT_API_KEY_HEADER = 'X-API-Key';
+
+let endpointSettings = [];
+const listeners = new Set();
+const refreshing = new Map();
+const discoveries = new Map();
+const signedUrls = new Map();
+
+/**
+ * Listen for credential changes ({ type: 'change' }) and rejected requests
+ * ({ type: 'required', endpointUrl })
+ * @param {Function} listener - Called with the event
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = (event) => listeners.forEach((listener) => listener(event));
+
+/**
+ * Report that a STAC API rejected a request for missing or expired credentials
+ * @param {string} endpointUrl - STAC API root URL
+ */
+export const notifyAuthRequired = (endpointUrl) => notify({ type: 'required', endpointUrl });
+
+/**
+ * Make the auth settings of the configured endpoints known
+ * @param {Array} endpoints - Endpoints { url, auth }
+ */
+export const registerEndpoints = (endpoints) => {
+  endpointSettings = endpoints.map(({ url, auth }) => ({ url, auth: auth || {} }));
+};
+
+const getOrigin = (url) => {
+  try {
+    return new URL(url, window.location.href).origin;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Whether a URL belongs to a STAC API (below its root URL)
+ * @param {string} url - Request URL
+ * @param {string} endpointUrl - STAC API root URL
+ * @returns {boolean}
+ */
+export const isEndpointUrl = (url, endpointUrl) => (
+  url === endpointUrl || url.startsWith(`${endpointUrl}/`) || url.startsWith(`${endpointUrl}?`)
+);
+
+// Trusted origins may use a wildcard subdomain, e.g. https://*.blob.core.windows.net
+const matchesOrigin = (origin, pattern) => {
+  const wildcard = pattern.match(/^(https?:\/\/)\*\.(.+)$/);
+  if (wildcard) {
+    return origin.startsWith(wildcard[1]) && origin.endsWith(`.${wildcard[2]}`);
+  }
+  return origin === pattern;
+};
+
+// The API a tile or asset URL is served for: below the API root, or on the trusted
+// origins of its tile settings (the API's own host when none are listed)
+const findEndpointSettings = (url) => {
+  const origin = getOrigin(url);
+  const isTrusted = (settings) => {
+    const origins = settings.auth.tiles?.origins;
+    return origins?.length
+      ? origins.some((pattern) => matchesOrigin(origin, pattern))
+      : getOrigin(settings.url) === origin;
+  };
+  return endpointSettings.find((settings) => isEndpointUrl(url, settings.url))
+    || (origin && endpointSettings.find(isTrusted))
+    || null;
+};
+
+const loadAllCredentials = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(CREDENTIALS_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const saveAllCredentials = (credentials) => {
+  try {
+    sessionStorage.setItem(CREDENTIALS_STORAGE_KEY, JSON.stringify(credentials));
+  } catch (e) {
+    console.warn('Failed to save credentials:', e);
+  }
+  notify({ type: 'change' });
+};
+
+// Nothing cached for the API while another user (or nobody) was signed in is kept
+// (the runtime tile cache isn't split by API, so it is cleared as a whole)
+const purgeCaches = (endpointUrl) => {
+  deleteCachedResponses(endpointUrl).catch((e) => console.warn('Failed to clear cached responses:', e));
+  if (typeof caches !== 'undefined') {
+    caches.delete(RUNTIME_TILE_CACHE).catch((e) => console.warn('Failed to clear cached tiles:', e));
+  }
+};
+
+/**
+ * Credentials stored for a STAC API
+ * @param {string} endpointUrl - STAC API root URL
+ * @returns {Object|null} { type: 'bearer' | 'apiKey' | 'oidc', token, ... }
+ */
+export const getCredentials = (endpointUrl) => loadAllCredentials()[endpointUrl] || null;
+
+/**
+ * Store credentials for a STAC API
+ * @param {string} endpointUrl - STAC API root URL
+ * @param {Object} credentials - { type, token, header?, refreshToken?, expiresAt?, ... }
+ */
+export const setCredentials = (endpointUrl, credentials) => {
+  signedUrls.clear();
+  purgeCaches(endpointUrl);
+  saveAllCredentials({ ...loadAllCredentials(), [endpointUrl]: { ...credentials, endpointUrl } });
+};
+
+/**
+ * Forget the credentials of a STAC API
+ * @param {string} endpointUrl - STAC API root URL
+ */
+export const clearCredentials = (endpointUrl) => {
+  const { [endpointUrl]: removed, ...rest } = loadAllCredentials();
+  if (removed) {
+    signedUrls.clear();
+    purgeCaches(endpointUrl);
+    saveAllCredentials(rest);
+  }
+};
+
+/**
+ * Who is signed in where, without the tokens (for the UI)
+ * @returns {Object} { [endpointUrl]: { type, user, expiresAt } }
+ */
+export const getAuthSessions = () => Object.fromEntries(
+  Object.entries(loadAllCredentials()).map(([endpointUrl, { type, user = null, expiresAt = null }]) => [
+    endpointUrl,
+    { type, user, expiresAt },
+  ])
+);
+
+/**
+ * Request headers carrying the credentials
+ * @param {Object} credentials - Stored credentials
+ * @returns {Object} Headers
+ */
+export const getAuthHeaders = (credentials) => {
+  if (credentials.type === 'apiKey') {
+    return { [credentials.header || DEFAULT_API_KEY_HEADER]: credentials.token };
+  }
+  return { Authorization: `Bearer ${credentials.token}` };
+};
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomString = (size) => base64Url(crypto.getRandomValues(new Uint8Array(size)));
+
+// Display name from the claims of a JWT (ID or access token)
+const getTokenUser = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), (c) => c.charCodeAt(0))));
+    return claims.preferred_username || claims.name || claims.email || claims.sub || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const discover = (issuer) => {
+  const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+  if (!discoveries.has(url)) {
+    const discovery = axios.get(url).then((response) => response.data);
+    discovery.catch(() => discoveries.delete(url));
+    discoveries.set(url, discovery);
+  }
+  return discoveries.get(url);
+};
+
+const requestTokens = async (tokenEndpoint, params) => {
+  const response = await axios.post(tokenEndpoint, new URLSearchParams(params), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  });
+  return response.data;
+};
+
+const toOidcCredentials = (tokens, previous = {}) => ({
+  ...previous,
+  type: 'oidc',
+  token: tokens.access_token,
+  refreshToken: tokens.refresh_token || previous.refreshToken || null,
+  expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+  user: getTokenUser(tokens.id_token || tokens.access_token) || previous.user || null,
+});
+
+/**
+ * Redirect URI registered with the identity provider
+ * @returns {string} Absolute URL of the callback route
+ */
+export const getRedirectUri = () => `${window.location.origin}${process.env.PUBLIC_URL}${AUTH_CALLBACK_PATH}`;
+
+/**
+ * Start an OIDC authorization code login with PKCE (leaves the page)
+ * @param {Object} endpoint - Endpoint with auth.oidc { issuer, clientId, scope }
+ * @param {string} returnTo - App path to come back to after the login
+ */
+export const startOidcLogin = async (endpoint, returnTo = '/') => {
+  const { issuer, clientId, scope = 'openid profile' } = endpoint.auth?.oidc || {};
+  if (!issuer || !clientId) {
+    throw new Error('No login is configured for this STAC API');
+  }
+  const configuration = await discover(issuer);
+  const verifier = randomString(48);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  const state = randomString(16);
+
+  sessionStorage.setItem(LOGIN_STORAGE_KEY, JSON.stringify({
+    state,
+    verifier,
+    endpointUrl: endpoint.url,
+    issuer,
+    clientId,
+    returnTo,
+  }));
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: getRedirectUri(),
+    scope,
+    state,
+    code_challenge: base64Url(new Uint8Array(digest)),
+    code_challenge_method: 'S256',
+  });
+  window.location.assign(`${configuration.authorization_endpoint}?${params}`);
+};
+
+/**
+ * Finish an OIDC login on the callback route: exchange the code for tokens
+ * @param {string} search - Query string of the callback URL
+ * @returns {Promise<Object>} { endpointUrl, returnTo }
+ */
+export const completeOidcLogin = async (search) => {
+  const params = new URLSearchParams(search);
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(LOGIN_STORAGE_KEY));
+  } catch (e) {
+    // Handled below like a missing login
+  }
+  sessionStorage.removeItem(LOGIN_STORAGE_KEY);
+
+  if (params.get('error')) {
+    throw new Error(params.get('error_description') || params.get('error'));
+  }
+  if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+    throw new Error('This login was not started here or has already been completed');
+  }
+
+  const configuration = await discover(pending.issuer);
+  const tokens = await requestTokens(configuration.token_endpoint, {
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    redirect_uri: getRedirectUri(),
+    client_id: pending.clientId,
+    code_verifier: pending.verifier,
+  });
+  setCredentials(pending.endpointUrl, toOidcCredentials(tokens, {
+    tokenEndpoint: configuration.token_endpoint,
+    clientId: pending.clientId,
+  }));
+  return { endpointUrl: pending.endpointUrl, returnTo: pending.returnTo || '/' };
+};
+
+/**
+ * Get a new access token with the refresh token of an OIDC login
+ * Concurrent calls for one API share the request. The credentials are dropped
+ * when the refresh fails.
+ * @param {string} endpointUrl - STAC API root URL
+ * @returns {Promise<Object|null>} Refreshed credentials, null when they can't be refreshed
+ */
+export const refreshCredentials = (endpointUrl) => {
+  if (!refreshing.has(endpointUrl)) {
+    const refresh = (async () => {
+      const credentials = getCredentials(endpointUrl);
+      if (credentials?.type !== 'oidc' || !credentials.refreshToken) {
+        return null;
+      }
+      try {
+        const tokens = await requestTokens(credentials.tokenEndpoint, {
+          grant_type: 'refresh_token',
+          refresh_token: credentials.refreshToken,
+          client_id: credentials.clientId,
+        });
+        const refreshed = toOidcCredentials(tokens, credentials);
+        setCredentials(endpointUrl, refreshed);
+        return refreshed;
+      } catch (error) {
+        console.warn('Failed to refresh the access token:', error);
+        clearCredentials(endpointUrl);
+        return null;
+      }
+    })();
+    refreshing.set(endpointUrl, refresh);
+    refresh.finally(() => refreshing.delete(endpointUrl));
+  }
+  return refreshing.get(endpointUrl);
+};
+
+/**
+ * Credentials of a STAC API, refreshed first when the access token is about to expire
+ * @param {string} endpointUrl - STAC API root URL
+ * @returns {Promise<Object|null>} Credentials or null
+ */
+export const getValidCredentials = async (endpointUrl) => {
+  const credentials = getCredentials(endpointUrl);
+  if (credentials?.type === 'oidc' && credentials.expiresAt && credentials.expiresAt - EXPIRY_MARGIN < Date.now()) {
+    return refreshCredentials(endpointUrl);
+  }
+  return credentials;
+};
+
+const appendQueryParam = (url, name, value) => {
+  const [base, hash = ''] = url.split('#');
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}${encodeURIComponent(name)}=${encodeURIComponent(value)}${hash && `#${hash}`}`;
+};
+
+// Signing services encode the {z}/{x}/{y} placeholders of tile templates
+const restorePlaceholders = (url) => url.replace(/%7B(\w+)%7D/gi, '{$1}');
+
+const signHref = async (href, signUrl, credentials) => {
+  const cached = signedUrls.get(href);
+  if (cached && cached.expiresAt - EXPIRY_MARGIN > Date.now()) {
+    return cached.href;
+  }
+  const response = await axios.get(signUrl.replace('{href}', encodeURIComponent(href)), {
+    headers: credentials ? getAuthHeaders(credentials) : {},
+  });
+  const expiry = Date.parse(response.data?.['msft:expiry'] || response.data?.expiry);
+  const signed = {
+    href: restorePlaceholders(response.data?.href || href),
+    expiresAt: Number.isNaN(expiry) ? Date.now() + SIGNED_URL_LIFETIME : expiry,
+  };
+  signedUrls.set(href, signed);
+  return signed.href;
+};
+
+/**
+ * Whether tile or asset requests to a URL need credentials or signing
+ * @param {string} url - Tile URL template or asset URL
+ * @returns {boolean}
+ */
+export const needsRequestAuth = (url) => {
+  const settings = findEndpointSettings(url);
+  const mode = settings?.auth.tiles?.mode || 'header';
+  if (!settings || mode === 'none') {
+    return false;
+  }
+  return mode === 'sign' || Boolean(getCredentials(settings.url));
+};
+
+/**
+ * How to request a tile or asset URL with the credentials of its STAC API
+ * Depending on the endpoint's tile settings the credentials go in headers or
+ * a query parameter, or the URL is signed by the configured signing service.
+ * @param {string} url - Tile URL template or asset URL
+ * @returns {Promise<Object|null>} { url, headers, endpointUrl } to request, null when the URL needs no credentials
+ */
+export const resolveAuthRequest = async (url) => {
+  if (!needsRequestAuth(url)) {
+    return null;
+  }
+  const settings = findEndpointSettings(url);
+  const { mode = 'header', param = 'access_token', signUrl } = settings.auth.tiles || {};
+  const credentials = await getValidCredentials(settings.url);
+
+  const endpointUrl = settings.url;
+
+  if (mode === 'sign' && signUrl) {
+    return { url: await signHref(url, signUrl, credentials), headers: {}, endpointUrl };
+  }
+  if (!credentials) {
+    return null;
+  }
+  if (mode === 'query') {
+    return { url: appendQueryParam(url, param, credentials.token), headers: {}, endpointUrl };
+  }
+  return { url, headers: getAuthHeaders(credentials), endpointUrl };
+};
@@ -0,0 +1,155 @@
+import axios from 'axios';
+import {
+  clearCredentials,
+  isEndpointUrl,
+  needsRequestAuth,
+  registerEndpoints,
+  resolveAuthRequest,
+  setCredentials,
+} from './auth';
+import { deleteCachedResponses } from './responseCache';
+
+// No IndexedDB here: cached responses are only purged
+jest.mock('./responseCache', () => ({ deleteCachedResponses: jest.fn() }));
+
+const STAC_API = 'https://stac.example.org/api';
+const QUERY_API = 'https://query.example.org';
+const SIGNED_API = 'https://signed.example.org';
+const OPEN_API = 'https://open.example.org';
+
+beforeEach(() => {
+  sessionStorage.clear();
+  deleteCachedResponses.mockResolvedValue();
+  registerEndpoints([
+    // Tiles of the API's own host get the credentials in headers
+    { url: STAC_API },
+    { url: QUERY_API, auth: { tiles: { mode: 'query', param: 'token', origins: ['https://*.tiles.example.org'] } } },
+    {
+      url: SIGNED_API,
+      auth: { tiles: { mode: 'sign', signUrl: `${SIGNED_API}/sign?href={href}`, origins: ['https://*.blob.core.windows.net'] } },
+    },
+    { url: OPEN_API, auth: { tiles: { mode: 'none' } } },
+  ]);
+});
+
+describe('isEndpointUrl', () => {
+  test('matches the root URL and the URLs below it', () => {
+    expect(isEndpointUrl(STAC_API, STAC_API)).toBe(true);
+    expect(isEndpointUrl(`${STAC_API}/collections`, STAC_API)).toBe(true);
+    expect(isEndpointUrl(`${STAC_API}?f=json`, STAC_API)).toBe(true);
+  });
+
+  test('doesn\'t match APIs whose root URL starts with the same text', () => {
+    expect(isEndpointUrl('https://stac.example.org/api2/collections', STAC_API)).toBe(false);
+    expect(isEndpointUrl('https://stac.example.org', STAC_API)).toBe(false);
+  });
+});
+
+describe('needsRequestAuth', () => {
+  test('is false without credentials, unless URLs are signed', () => {
+    expect(needsRequestAuth(`${STAC_API}/collections`)).toBe(false);
+    expect(needsRequestAuth('https://account.blob.core.windows.net/scene/B04.tif')).toBe(true);
+  });
+
+  test('covers the API and the tiles of its own origin', () => {
+    setCredentials(STAC_API, { type: 'bearer', token: 'secret' });
+
+    expect(needsRequestAuth(`${STAC_API}/collections`)).toBe(true);
+    expect(needsRequestAuth('https://stac.example.org/tiles/1/2/3.png')).toBe(true);
+  });
+
+  test('never covers other origins', () => {
+    setCredentials(STAC_API, { type: 'bearer', token: 'secret' });
+    setCredentials(QUERY_API, { type: 'bearer', token: 'secret' });
+
+    expect(needsRequestAuth('http://stac.example.org/tiles/1/2/3.png')).toBe(false);
+    expect(needsRequestAuth('https://stac.example.org.evil.example.net/tiles/1/2/3.png')).toBe(false);
+    expect(needsRequestAuth('https://other.example.org/api/collections')).toBe(false);
+    // Wildcards only match subdomains of the trusted domain
+    expect(needsRequestAuth('https://tiles.example.org/1/2/3.png')).toBe(false);
+    expect(needsRequestAuth('https://eviltiles.example.org/1/2/3.png')).toBe(false);
+    expect(needsRequestAuth('https://a.tiles.example.org.evil.example.net/1/2/3.png')).toBe(false);
+    expect(needsRequestAuth('http://a.tiles.example.org/1/2/3.png')).toBe(false);
+  });
+
+  test('trusts the listed origins instead of the API\'s own', () => {
+    setCredentials(QUERY_API, { type: 'bearer', token: 'secret' });
+
+    expect(needsRequestAuth('https://eu.tiles.example.org/1/2/3.png')).toBe(true);
+    expect(needsRequestAuth('https://a.b.tiles.example.org/1/2/3.png')).toBe(true);
+    expect(needsRequestAuth(`${QUERY_API}/collections`)).toBe(true);
+    expect(needsRequestAuth('https://query.example.org.evil.example.net/tiles/1/2/3.png')).toBe(false);
+  });
+
+  test('is false for APIs whose tiles need no credentials', () => {
+    setCredentials(OPEN_API, { type: 'bearer', token: 'secret' });
+    expect(needsRequestAuth(`${OPEN_API}/tiles/1/2/3.png`)).toBe(false);
+  });
+
+  test('is false again after signing out', () => {
+    setCredentials(STAC_API, { type: 'bearer', token: 'secret' });
+    clearCredentials(STAC_API);
+    expect(needsRequestAuth(`${STAC_API}/collections`)).toBe(false);
+  });
+});
+
+describe('resolveAuthRequest', () => {
+  test('sends the credentials of the matching API in headers', async () => {
+    setCredentials(STAC_API, { type: 'bearer', token: 'secret' });
+    setCredentials(QUERY_API, { type: 'apiKey', token: 'other', header: 'X-Token' });
+
+    await expect(resolveAuthRequest('https://stac.example.org/tiles/{z}/{x}/{y}.png')).resolves.toEqual({
+      url: 'https://stac.example.org/tiles/{z}/{x}/{y}.png',
+      headers: { Authorization: 'Bearer secret' },
+      endpointUrl: STAC_API,
+    });
+  });
+
+  test('appends the token parameter for query mode, keeping the hash', async () => {
+    setCredentials(QUERY_API, { type: 'bearer', token: 'a b&c' });
+
+    await expect(resolveAuthRequest('https://eu.tiles.example.org/{z}/{x}/{y}.png?style=rgb#map')).resolves.toEqual({
+      url: 'https://eu.tiles.example.org/{z}/{x}/{y}.png?style=rgb&token=a%20b%26c#map',
+      headers: {},
+      endpointUrl: QUERY_API,
+    });
+    await expect(resolveAuthRequest(`${QUERY_API}/tiles/1/2/3.png`))
+      .resolves.toMatchObject({ url: `${QUERY_API}/tiles/1/2/3.png?token=a%20b%26c` });
+  });
+
+  test('returns null for URLs of other origins', async () => {
+    setCredentials(STAC_API, { type: 'bearer', token: 'secret' });
+    setCredentials(QUERY_API, { type: 'bearer', token: 'secret' });
+
+    await expect(resolveAuthRequest('https://tiles.example.org/1/2/3.png')).resolves.toBeNull();
+    await expect(resolveAuthRequest('https://cdn.example.com/stac.example.org/api/1/2/3.png')).resolves.toBeNull();
+  });
+
+  test('signs URLs with the signing service of the API', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({
+      data: { href: 'https://account.blob.core.windows.net/scene/%7Bz%7D.tif?sv=2024&sig=abc', 'msft:expiry': '2999-01-01T00:00:00Z' },
+    });
+    const href = 'https://account.blob.core.windows.net/scene/{z}.tif';
+
+    await expect(resolveAuthRequest(href)).resolves.toEqual({
+      url: 'https://account.blob.core.windows.net/scene/{z}.tif?sv=2024&sig=abc',
+      headers: {},
+      endpointUrl: SIGNED_API,
+    });
+    expect(get).toHaveBeenCalledWith(`${SIGNED_API}/sign?href=${encodeURIComponent(href)}`, { headers: {} });
+
+    // Signed URLs are reused until they expire
+    await resolveAuthRequest(href);
+    expect(get).toHaveBeenCalledTimes(1);
+    get.mockRestore();
+  });
+});
+
+describe('setCredentials', () => {
+  test('purges the cached responses of the API', () => {
+    setCredentials(STAC_API, { type: 'bearer', token: 'secret' });
+    clearCredentials(STAC_API);
+
+    expect(deleteCachedResponses.mock.calls).toEqual([[STAC_API], [STAC_API]]);
+  });
+});
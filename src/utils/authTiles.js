@@ -0,0 +1,77 @@
+/**
+ * Authenticated map tiles
+ * Tile layer for tile servers behind the login of a STAC API. Depending on
+ * the endpoint's tile settings (see utils/auth.js) tiles are loaded with the
+ * credentials in request headers (fetched into blob URLs), with a token query
+ * parameter, or from a signed URL template.
+ */
+import L from 'leaflet';
+import { needsRequestAuth, notifyAuthRequired, resolveAuthRequest } from './auth';
+import { matchOfflineTile } from './offline';
+import { fillTileUrl } from './tileUrl';
+
+const AuthTileLayer = L.TileLayer.extend({
+  initialize(url, options) {
+    L.TileLayer.prototype.initialize.call(this, url, options);
+    // Stop requests for tiles that scrolled out of view and free their images
+    this.on('tileunload', ({ tile }) => {
+      if (tile.abortController) tile.abortController.abort();
+      if (tile.objectUrl) URL.revokeObjectURL(tile.objectUrl);
+    });
+  },
+
+  createTile(coords, done) {
+    const tile = document.createElement('img');
+    L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+    if (this.options.crossOrigin || this.options.crossOrigin === '') {
+      tile.crossOrigin = this.options.crossOrigin === true ? '' : this.options.crossOrigin;
+    }
+    tile.alt = '';
+    tile.setAttribute('role', 'presentation');
+    tile.abortController = new AbortController();
+
+    this.loadTile(tile, coords).catch((err) => {
+      if (err.name !== 'AbortError') {
+        console.warn('Authenticated tile request failed:', err);
+        done(err, tile);
+      }
+    });
+    return tile;
+  },
+
+  async loadTile(tile, coords) {
+    // Downloaded areas first; they are stored under the unsigned URL (see utils/offline.js)
+    const downloaded = await matchOfflineTile(fillTileUrl(this._url, coords, this.options.tms));
+    if (downloaded) {
+      tile.objectUrl = URL.createObjectURL(await downloaded.blob());
+      tile.src = tile.objectUrl;
+      return;
+    }
+    const auth = await resolveAuthRequest(this._url);
+    const url = fillTileUrl(auth ? auth.url : this._url, coords, this.options.tms);
+    if (!auth || Object.keys(auth.headers).length === 0) {
+      tile.src = url;
+      return;
+    }
+    const response = await fetch(url, { headers: auth.headers, signal: tile.abortController.signal });
+    if (response.status === 401) {
+      notifyAuthRequired(auth.endpointUrl);
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    tile.objectUrl = URL.createObjectURL(await response.blob());
+    tile.src = tile.objectUrl;
+  },
+});
+
+/**
+ * Create a tile layer, authenticated when its tile server needs credentials or signed URLs
+ * @param {string} tileUrl - URL template with {z}/{x}/{y}
+ * @param {Object} options - L.TileLayer options
+ * @returns {L.TileLayer}
+ */
+export const createAuthTileLayer = (tileUrl, options = {}) => (
+  needsRequestAuth(tileUrl) ? new AuthTileLayer(tileUrl, options) : L.tileLayer(tileUrl, options)
+);
@@ -0,0 +1,511 @@
+/**
+ * Cloud-Optimized GeoTIFF rendering
+ * Read COG assets with HTTP range requests (geotiff.js), reproject them to
+ * Web Mercator (proj4) and draw them as Leaflet canvas tiles as band
+ * combinations (min/max stretch, contrast, gamma) or spectral indices.
+ * Raw values can also be read at a point or inside a polygon.
+ */
+import L from 'leaflet';
+import { fromUrl } from 'geotiff';
+import proj4 from 'proj4';
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import { upgradeProtocol } from './tileUrl';
+import { resolveAuthRequest } from './auth';
+import {
+  BAND_PRESETS,
+  SPECTRAL_INDICES,
+  getBandScaling,
+  getItemBands,
+  getRampColor,
+  parseBandRef,
+  resolveBands,
+  toBandRef,
+} from './spectral';
+
+const TILE_SIZE = 256;
+// Source coordinates are computed on a coarse grid and interpolated in between
+const GRID_STEPS = 16;
+// GeoKey value for user-defined projections
+const USER_DEFINED = 32767;
+// Largest number of pixels read for area statistics
+const MAX_AREA_PIXELS = 512 * 512;
+
+const cogCache = new Map(); // href -> Promise<cog>
+
+/**
+ * proj4 definition name for an EPSG code, registering it when needed
+ * WGS84 / Web Mercator / UTM are built in; other codes are looked up on epsg.io.
+ * @param {number} epsg - EPSG code
+ * @returns {Promise<string>} Definition name
+ */
+const getProjection = async (epsg) => {
+  const name = `EPSG:${epsg}`;
+  if (proj4.defs(name)) {
+    return name;
+  }
+  if ((epsg > 32600 && epsg <= 32660) || (epsg > 32700 && epsg <= 32760)) {
+    const south = epsg > 32700 ? ' +south' : '';
+    proj4.defs(name, `+proj=utm +zone=${epsg % 100}${south} +datum=WGS84 +units=m +no_defs`);
+    return name;
+  }
+  const response = await fetch(`https://epsg.io/${epsg}.proj4`);
+  if (!response.ok) {
+    throw new Error(`Unknown projection EPSG:${epsg}`);
+  }
+  proj4.defs(name, await response.text());
+  return name;
+};
+
+const getEpsgCode = (geoKeys, fallback) => {
+  const code = geoKeys?.ProjectedCSTypeGeoKey || geoKeys?.GeographicTypeGeoKey;
+  if (code && code !== USER_DEFINED) {
+    return code;
+  }
+  if (fallback) {
+    return fallback;
+  }
+  throw new Error('The GeoTIFF has no EPSG projection code');
+};
+
+const loadCog = async (href, epsgHint) => {
+  // Protected assets are read with the credentials (or a signed URL) of their STAC API
+  const auth = await resolveAuthRequest(href);
+  const tiff = await fromUrl(auth ? auth.url : href, auth ? { headers: auth.headers } : {});
+  const imageCount = await tiff.getImageCount();
+  const images = [];
+  for (let index = 0; index < imageCount; index += 1) {
+    const image = await tiff.getImage(index);
+    // Skip internal transparency masks
+    if (!((image.fileDirectory.NewSubfileType || 0) & 4)) {
+      images.push(image);
+    }
+  }
+
+  const [base] = images;
+  const projection = await getProjection(getEpsgCode(base.geoKeys, epsgHint));
+  const [originX, originY] = base.getOrigin();
+  const [resolutionX, resolutionY] = base.getResolution();
+
+  return {
+    href,
+    // Full resolution first, then overviews from fine to coarse
+    levels: images
+      .map((image) => ({ image, scale: base.getWidth() / image.getWidth() }))
+      .sort((a, b) => a.scale - b.scale),
+    bandCount: base.getSamplesPerPixel(),
+    bitsPerSample: base.getBitsPerSample(),
+    noData: base.getGDALNoData(),
+    toSource: proj4('EPSG:4326', projection).forward,
+    originX,
+    originY,
+    resolutionX,
+    resolutionY,
+  };
+};
+
+/**
+ * Open the COG of an item asset (cached per URL)
+ * proj:epsg / proj:code of the asset or item is used when the file doesn't declare a projection.
+ * @param {Object} item - STAC Item
+ * @param {string} assetKey - Key of a GeoTIFF asset
+ * @returns {Promise<Object>} COG description used by the renderer
+ */
+export const openCogAsset = (item, assetKey) => {
+  const asset = item.assets[assetKey];
+  const code = asset['proj:epsg'] ?? item.properties?.['proj:epsg']
+    ?? asset['proj:code'] ?? item.properties?.['proj:code'];
+  const epsgHint = code ? Number(String(code).replace(/^EPSG:/i, '')) || null : null;
+
+  const url = upgradeProtocol(asset.href);
+  if (!cogCache.has(url)) {
+    cogCache.set(url, loadCog(url, epsgHint).catch((err) => {
+      cogCache.delete(url);
+      throw err;
+    }));
+  }
+  return cogCache.get(url);
+};
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+
+/**
+ * Open all GeoTIFF assets of an item
+ * @param {Object} item - STAC Item
+ * @param {Array<string>} assetKeys - GeoTIFF asset keys
+ * @returns {Promise<Object>} Asset key -> opened COG
+ */
+export const openCogAssets = async (item, assetKeys) => {
+  const cogs = await Promise.all(assetKeys.map((assetKey) => openCogAsset(item, assetKey)));
+  return Object.fromEntries(assetKeys.map((assetKey, index) => [assetKey, cogs[index]]));
+};
+
+/**
+ * Min/max stretch for some bands: the STAC raster:bands statistics, 0-255 for
+ * 8-bit data, or the 2-98% percentiles of the smallest overviews
+ * @param {Object} item - STAC Item
+ * @param {Object} cogs - Asset key -> opened COG
+ * @param {Array<string>} refs - Band references (see utils/spectral.js)
+ * @returns {Promise<Object>} { min, max }
+ */
+export const getStretch = async (item, cogs, refs) => {
+  const bands = refs.map(parseBandRef);
+
+  const statistics = bands.map(({ assetKey, band }) => item.assets[assetKey]?.['raster:bands']?.[band]?.statistics);
+  if (statistics.every((stats) => stats && stats.minimum !== undefined && stats.maximum !== undefined)) {
+    return {
+      min: Math.min(...statistics.map((stats) => stats.minimum)),
+      max: Math.max(...statistics.map((stats) => stats.maximum)),
+    };
+  }
+
+  if (bands.every(({ assetKey }) => cogs[assetKey].bitsPerSample === 8)) {
+    return { min: 0, max: 255 };
+  }
+
+  const values = [];
+  for (const { assetKey, band } of bands) {
+    const cog = cogs[assetKey];
+    const { image } = cog.levels[cog.levels.length - 1];
+    const [raster] = await image.readRasters({ samples: [band] });
+    raster.forEach((value) => {
+      if (value !== cog.noData && Number.isFinite(value)) values.push(value);
+    });
+  }
+  if (values.length === 0) {
+    return { min: 0, max: 1 };
+  }
+  values.sort((a, b) => a - b);
+  return { min: percentile(values, 0.02), max: percentile(values, 0.98) };
+};
+
+/**
+ * Default rendering of an item's GeoTIFF bands: the first band combination
+ * whose bands are known (true color first), otherwise the first three bands
+ * of the first asset, or its first band in grey
+ * @param {Object} item - STAC Item
+ * @param {Object} cogs - Asset key -> opened COG
+ * @returns {Promise<Object>} Rendering (see renderCogTile)
+ */
+export const getDefaultRendering = async (item, cogs) => {
+  const bandCounts = Object.fromEntries(Object.entries(cogs).map(([key, cog]) => [key, cog.bandCount]));
+  const itemBands = getItemBands(item, bandCounts);
+  const [firstAsset] = Object.keys(cogs);
+
+  const bands = BAND_PRESETS.map((preset) => resolveBands(itemBands, preset.bands)).find(Boolean)
+    || (cogs[firstAsset].bandCount >= 3 ? [0, 1, 2] : [0]).map((band) => toBandRef(firstAsset, band));
+  const index = SPECTRAL_INDICES[0];
+
+  return {
+    mode: 'bands',
+    bands,
+    ...(await getStretch(item, cogs, bands)),
+    gamma: 1,
+    contrast: 1,
+    index: index.key,
+    indexBands: resolveBands(itemBands, index.bands) || [bands[0], bands[0]],
+    indexMin: -1,
+    indexMax: 1,
+  };
+};
+
+// Base image pixel position (fractional column/row) of a longitude/latitude
+const toImagePixel = (cog, position) => {
+  const [x, y] = cog.toSource(position);
+  return [(x - cog.originX) / cog.resolutionX, (y - cog.originY) / cog.resolutionY];
+};
+
+/**
+ * Raw values of all bands of a COG at a point (full resolution)
+ * @param {Object} cog - Opened COG
+ * @param {Array<number>} position - [lng, lat]
+ * @param {AbortSignal} signal - Cancels the range requests
+ * @returns {Promise<Array<number>|null>} One value per band (NaN for no-data),
+ *   or null when the point is outside the image
+ */
+export const readPointValues = async (cog, position, signal) => {
+  const [{ image }] = cog.levels;
+  const [column, row] = toImagePixel(cog, position).map(Math.floor);
+  if (!(column >= 0 && row >= 0 && column < image.getWidth() && row < image.getHeight())) {
+    return null;
+  }
+  const rasters = await image.readRasters({ window: [column, row, column + 1, row + 1], signal });
+  return Array.from(rasters, (raster) => (raster[0] === cog.noData ? NaN : raster[0]));
+};
+
+/**
+ * Raw values of all bands of a COG inside a polygon
+ * Large areas are read from the finest overview that keeps the read under
+ * MAX_AREA_PIXELS; a pixel belongs to the area when its center is inside.
+ * @param {Object} cog - Opened COG
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon (WGS84)
+ * @param {AbortSignal} signal - Cancels the range requests
+ * @returns {Promise<Object|null>} { bands: Array<Array<number>> (no-data excluded),
+ *   scale: overview factor used }, or null when the area doesn't overlap the image
+ */
+export const readAreaValues = async (cog, geometry, signal) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  // The polygon in base image pixels, so pixel centers can be tested directly
+  const pixelGeometry = {
+    type: 'MultiPolygon',
+    coordinates: polygons.map((rings) => rings.map((ring) => ring.map((position) => toImagePixel(cog, position)))),
+  };
+  const positions = pixelGeometry.coordinates.flat(2);
+  const [{ image: base }] = cog.levels;
+  const minColumn = Math.max(0, Math.min(...positions.map((position) => position[0])));
+  const maxColumn = Math.min(base.getWidth(), Math.max(...positions.map((position) => position[0])));
+  const minRow = Math.max(0, Math.min(...positions.map((position) => position[1])));
+  const maxRow = Math.min(base.getHeight(), Math.max(...positions.map((position) => position[1])));
+  if (!(minColumn < maxColumn && minRow < maxRow)) {
+    return null;
+  }
+
+  const area = (maxColumn - minColumn) * (maxRow - minRow);
+  const { image, scale } = cog.levels.find((candidate) => area / candidate.scale ** 2 <= MAX_AREA_PIXELS)
+    || cog.levels[cog.levels.length - 1];
+  const window = [
+    Math.floor(minColumn / scale),
+    Math.floor(minRow / scale),
+    Math.min(image.getWidth(), Math.ceil(maxColumn / scale)),
+    Math.min(image.getHeight(), Math.ceil(maxRow / scale)),
+  ];
+  const rasters = await image.readRasters({ window, signal });
+  const windowWidth = window[2] - window[0];
+
+  const bands = rasters.map(() => []);
+  for (let index = 0; index < windowWidth * (window[3] - window[1]); index += 1) {
+    const center = [
+      (window[0] + (index % windowWidth) + 0.5) * scale,
+      (window[1] + Math.floor(index / windowWidth) + 0.5) * scale,
+    ];
+    if (!booleanPointInPolygon(center, pixelGeometry)) continue;
+    rasters.forEach((raster, band) => {
+      const value = raster[index];
+      if (value !== cog.noData && Number.isFinite(value)) bands[band].push(value);
+    });
+  }
+  return { bands, scale };
+};
+
+// Longitude/latitude of a global Web Mercator pixel at a zoom level
+const pixelToLngLat = (x, y, zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  const lng = (x / size) * 360 - 180;
+  const lat = (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / size))) * 180) / Math.PI;
+  return [lng, lat];
+};
+
+/**
+ * Resample bands of one COG onto a Web Mercator tile
+ * @param {Object} cog - Opened COG
+ * @param {Object} coords - Tile coordinates { x, y, z }
+ * @param {Array<number>} bands - 0-based band indices
+ * @param {AbortSignal} signal - Cancels the range requests
+ * @returns {Promise<Array<Float32Array>|null>} One array per band (NaN outside the image
+ *   or for no-data), or null when the tile doesn't overlap the image
+ */
+const readTileBands = async (cog, coords, bands, signal) => {
+  // Base image pixel position of each grid node
+  const cellSize = TILE_SIZE / GRID_STEPS;
+  const grid = [];
+  for (let row = 0; row <= GRID_STEPS; row += 1) {
+    for (let col = 0; col <= GRID_STEPS; col += 1) {
+      const [lng, lat] = pixelToLngLat(
+        coords.x * TILE_SIZE + col * cellSize,
+        coords.y * TILE_SIZE + row * cellSize,
+        coords.z
+      );
+      grid.push(toImagePixel(cog, [lng, lat]));
+    }
+  }
+
+  const columns = grid.map((point) => point[0]);
+  const rows = grid.map((point) => point[1]);
+  const minColumn = Math.min(...columns);
+  const maxColumn = Math.max(...columns);
+  const minRow = Math.min(...rows);
+  const maxRow = Math.max(...rows);
+  if (![minColumn, maxColumn, minRow, maxRow].every(Number.isFinite)) {
+    return null; // Tile outside the valid area of the projection
+  }
+
+  // Coarsest level that still has at least one source pixel per screen pixel
+  const pixelsPerScreenPixel = Math.max(maxColumn - minColumn, maxRow - minRow) / TILE_SIZE;
+  const level = [...cog.levels].reverse().find((candidate) => candidate.scale <= pixelsPerScreenPixel)
+    || cog.levels[0];
+  const { image, scale } = level;
+
+  const window = [
+    Math.max(0, Math.floor(minColumn / scale)),
+    Math.max(0, Math.floor(minRow / scale)),
+    Math.min(image.getWidth(), Math.ceil(maxColumn / scale) + 1),
+    Math.min(image.getHeight(), Math.ceil(maxRow / scale) + 1),
+  ];
+  if (window[0] >= window[2] || window[1] >= window[3]) {
+    return null; // Tile outside the image
+  }
+
+  const rasters = await image.readRasters({ window, samples: bands, signal });
+  const windowWidth = window[2] - window[0];
+  const windowHeight = window[3] - window[1];
+  const output = bands.map(() => new Float32Array(TILE_SIZE * TILE_SIZE).fill(NaN));
+
+  for (let py = 0; py < TILE_SIZE; py += 1) {
+    const gridRow = Math.min(GRID_STEPS - 1, Math.floor(py / cellSize));
+    const fy = (py - gridRow * cellSize) / cellSize;
+    for (let px = 0; px < TILE_SIZE; px += 1) {
+      const gridColumn = Math.min(GRID_STEPS - 1, Math.floor(px / cellSize));
+      const fx = (px - gridColumn * cellSize) / cellSize;
+
+      // Bilinear interpolation of the source position between grid nodes
+      const topLeft = grid[gridRow * (GRID_STEPS + 1) + gridColumn];
+      const topRight = grid[gridRow * (GRID_STEPS + 1) + gridColumn + 1];
+      const bottomLeft = grid[(gridRow + 1) * (GRID_STEPS + 1) + gridColumn];
+      const bottomRight = grid[(gridRow + 1) * (GRID_STEPS + 1) + gridColumn + 1];
+      const sourceX = (topLeft[0] * (1 - fx) + topRight[0] * fx) * (1 - fy)
+        + (bottomLeft[0] * (1 - fx) + bottomRight[0] * fx) * fy;
+      const sourceY = (topLeft[1] * (1 - fx) + topRight[1] * fx) * (1 - fy)
+        + (bottomLeft[1] * (1 - fx) + bottomRight[1] * fx) * fy;
+
+      const column = Math.floor(sourceX / scale) - window[0];
+      const row = Math.floor(sourceY / scale) - window[1];
+      if (column < 0 || row < 0 || column >= windowWidth || row >= windowHeight) {
+        continue;
+      }
+
+      const sourceIndex = row * windowWidth + column;
+      const outputIndex = py * TILE_SIZE + px;
+      rasters.forEach((raster, band) => {
+        const value = raster[sourceIndex];
+        if (value !== cog.noData) {
+          output[band][outputIndex] = value;
+        }
+      });
+    }
+  }
+  return output;
+};
+
+/**
+ * Draw one Web Mercator tile of an item's GeoTIFF bands onto a canvas
+ * Rendering:
+ * - mode 'bands': bands (3 refs for RGB, 1 for grey) stretched from min to max,
+ *   then contrast (around mid-grey) and gamma
+ * - mode 'index': normalized difference of indexBands [a, b] using raster:bands
+ *   scale/offset, colored with the index ramp from indexMin to indexMax
+ * @param {Object} item - STAC Item
+ * @param {Object} cogs - Asset key -> opened COG
+ * @param {Object} coords - Tile coordinates { x, y, z }
+ * @param {HTMLCanvasElement} canvas - Tile canvas (TILE_SIZE square)
+ * @param {Object} rendering - Rendering settings
+ * @param {AbortSignal} signal - Cancels the range requests
+ */
+const renderCogTile = async (item, cogs, coords, canvas, rendering, signal) => {
+  const refs = rendering.mode === 'index' ? rendering.indexBands : rendering.bands;
+  const bands = refs.map(parseBandRef);
+
+  // Read each asset once with all of its bands that are needed
+  const assetKeys = [...new Set(bands.map(({ assetKey }) => assetKey))];
+  const assetBands = assetKeys.map((assetKey) => [
+    ...new Set(bands.filter((entry) => entry.assetKey === assetKey).map((entry) => entry.band)),
+  ]);
+  const results = await Promise.all(assetKeys.map((assetKey, index) => (
+    readTileBands(cogs[assetKey], coords, assetBands[index], signal)
+  )));
+  if (results.some((result) => result === null)) {
+    return;
+  }
+  const values = bands.map(({ assetKey, band }) => {
+    const index = assetKeys.indexOf(assetKey);
+    return results[index][assetBands[index].indexOf(band)];
+  });
+
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(TILE_SIZE, TILE_SIZE);
+  const pixelCount = TILE_SIZE * TILE_SIZE;
+
+  if (rendering.mode === 'index') {
+    const { ramp } = SPECTRAL_INDICES.find((index) => index.key === rendering.index) || SPECTRAL_INDICES[0];
+    const [scaleA, scaleB] = refs.map((ref) => getBandScaling(item, ref));
+    const range = rendering.indexMax - rendering.indexMin || 1;
+    for (let index = 0; index < pixelCount; index += 1) {
+      const a = values[0][index] * scaleA.scale + scaleA.offset;
+      const b = values[1][index] * scaleB.scale + scaleB.offset;
+      const ratio = (a - b) / (a + b);
+      if (!Number.isFinite(ratio)) continue;
+      const [red, green, blue] = getRampColor(ramp, (ratio - rendering.indexMin) / range);
+      output.data[index * 4] = red;
+      output.data[index * 4 + 1] = green;
+      output.data[index * 4 + 2] = blue;
+      output.data[index * 4 + 3] = 255;
+    }
+  } else {
+    const range = rendering.max - rendering.min || 1;
+    const contrast = rendering.contrast ?? 1;
+    const inverseGamma = 1 / (rendering.gamma || 1);
+    const channels = values.length >= 3 ? values : [values[0], values[0], values[0]];
+    for (let index = 0; index < pixelCount; index += 1) {
+      if (channels.every((channel) => Number.isNaN(channel[index]))) continue;
+      for (let channel = 0; channel < 3; channel += 1) {
+        const value = channels[channel][index];
+        let level = Number.isNaN(value) ? 0 : (value - rendering.min) / range;
+        level = Math.max(0, Math.min(1, (level - 0.5) * contrast + 0.5));
+        output.data[index * 4 + channel] = Math.round(level ** inverseGamma * 255);
+      }
+      output.data[index * 4 + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(output, 0, 0);
+};
+
+/**
+ * Leaflet layer rendering an item's GeoTIFF assets in the browser
+ * Tiles are drawn on canvases; setRendering() redraws them with new settings.
+ */
+const CogLayer = L.GridLayer.extend({
+  initialize(item, cogs, rendering, options) {
+    L.GridLayer.prototype.initialize.call(this, options);
+    this.item = item;
+    this.cogs = cogs;
+    this.rendering = rendering;
+    // Stop range requests for tiles that scrolled out of view
+    this.on('tileunload', ({ tile }) => {
+      if (tile.abortController) tile.abortController.abort();
+    });
+  },
+
+  createTile(coords, done) {
+    const tile = L.DomUtil.create('canvas', 'cog-tile');
+    tile.width = TILE_SIZE;
+    tile.height = TILE_SIZE;
+    tile.abortController = new AbortController();
+    renderCogTile(this.item, this.cogs, coords, tile, this.rendering, tile.abortController.signal)
+      .then(() => done(null, tile))
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.warn('COG tile rendering failed:', err);
+        }
+        done(err, tile);
+      });
+    return tile;
+  },
+
+  setRendering(rendering) {
+    this.rendering = rendering;
+    this.redraw();
+    return this;
+  },
+});
+
+/**
+ * Create a Leaflet layer for an item's opened GeoTIFF assets
+ * @param {Object} item - STAC Item
+ * @param {Object} cogs - Asset key -> opened COG (see openCogAssets)
+ * @param {Object} rendering - Rendering settings (see renderCogTile)
+ * @param {Object} options - L.GridLayer options (bounds, zIndex, opacity, ...)
+ * @returns {L.GridLayer}
+ */
+export const createCogLayer = (item, cogs, rendering, options = {}) => new CogLayer(item, cogs, rendering, {
+  tileSize: TILE_SIZE,
+  ...options,
+});
@@ -0,0 +1,200 @@
+import { fromUrl } from 'geotiff';
+import {
+  getStretch,
+  openCogAsset,
+  readAreaValues,
+  readPointValues,
+} from './cog';
+
+// No range requests: the GeoTIFF reader is replaced by in-memory images
+jest.mock('geotiff', () => ({ fromUrl: jest.fn() }));
+
+// In-memory image whose bands are flat arrays of width x height values
+const fakeImage = (width, height, bands, options = {}) => ({
+  fileDirectory: { NewSubfileType: options.mask ? 4 : 0 },
+  geoKeys: options.geoKeys,
+  getWidth: () => width,
+  getHeight: () => height,
+  getOrigin: () => options.origin || [0, 0],
+  getResolution: () => options.resolution || [1, -1],
+  getSamplesPerPixel: () => bands.length,
+  getBitsPerSample: () => options.bitsPerSample || 16,
+  getGDALNoData: () => (options.noData === undefined ? null : options.noData),
+  readRasters: jest.fn(async ({ window = [0, 0, width, height], samples } = {}) => {
+    const [left, top, right, bottom] = window;
+    const read = (band) => {
+      const values = [];
+      for (let row = top; row < bottom; row += 1) {
+        values.push(...band.slice(row * width + left, row * width + right));
+      }
+      return values;
+    };
+    return (samples || bands.map((_, index) => index)).map((index) => read(bands[index]));
+  }),
+});
+
+// Opened COG in a plain grid: longitude/latitude are the pixel column/row
+const fakeCog = (levels, noData = null) => ({
+  levels,
+  bandCount: 1,
+  bitsPerSample: 16,
+  noData,
+  toSource: ([lng, lat]) => [lng, lat],
+  originX: 0,
+  originY: 0,
+  resolutionX: 1,
+  resolutionY: 1,
+});
+
+const fakeTiff = (images) => ({
+  getImageCount: async () => images.length,
+  getImage: async (index) => images[index],
+});
+
+describe('openCogAsset', () => {
+  const item = (href, properties = {}, asset = {}) => ({
+    id: 'scene',
+    properties,
+    assets: { data: { href, type: 'image/tiff; application=geotiff', ...asset } },
+  });
+
+  test('reads UTM projections without looking them up', async () => {
+    fromUrl.mockResolvedValue(fakeTiff([
+      fakeImage(4, 4, [[]], { geoKeys: { ProjectedCSTypeGeoKey: 32748 }, origin: [500000, 9400000] }),
+    ]));
+
+    const cog = await openCogAsset(item('https://data.example.org/utm-south.tif'), 'data');
+    const [x, y] = cog.toSource([105, -6]);
+
+    // The central meridian of zone 48 is 105°E; southern northings are offset by 10,000 km
+    expect(x).toBeCloseTo(500000, 0);
+    expect(y).toBeGreaterThan(9300000);
+    expect(y).toBeLessThan(9400000);
+    expect(cog.originX).toBe(500000);
+  });
+
+  test('leaves out transparency masks and sorts overviews from fine to coarse', async () => {
+    const geoKeys = { GeographicTypeGeoKey: 4326 };
+    const base = fakeImage(400, 400, [[]], { geoKeys });
+    const overview = fakeImage(100, 100, [[]], { geoKeys });
+    fromUrl.mockResolvedValue(fakeTiff([base, fakeImage(400, 400, [[]], { geoKeys, mask: true }), overview]));
+
+    const cog = await openCogAsset(item('https://data.example.org/overviews.tif'), 'data');
+
+    expect(cog.levels).toEqual([{ image: base, scale: 1 }, { image: overview, scale: 4 }]);
+    const [lng, lat] = cog.toSource([105, -6]);
+    expect(lng).toBeCloseTo(105);
+    expect(lat).toBeCloseTo(-6);
+  });
+
+  test('falls back to the projection of the STAC metadata', async () => {
+    fromUrl.mockImplementation(async () => fakeTiff([
+      fakeImage(4, 4, [[]], { geoKeys: { ProjectedCSTypeGeoKey: 32767 } }),
+    ]));
+
+    const fromCode = await openCogAsset(item('https://data.example.org/code.tif', { 'proj:code': 'EPSG:32648' }), 'data');
+    expect(fromCode.toSource([105, 0])[0]).toBeCloseTo(500000, 0);
+
+    const fromAsset = await openCogAsset(item('https://data.example.org/epsg.tif', {}, { 'proj:epsg': 32649 }), 'data');
+    // 105°E lies 6° west of the central meridian of zone 49
+    expect(fromAsset.toSource([105, 0])[0]).toBeLessThan(0);
+  });
+
+  test('fails without a projection and retries later', async () => {
+    fromUrl.mockResolvedValue(fakeTiff([fakeImage(4, 4, [[]], { geoKeys: {} })]));
+    const unprojected = item('https://data.example.org/unprojected.tif');
+
+    await expect(openCogAsset(unprojected, 'data')).rejects.toThrow('The GeoTIFF has no EPSG projection code');
+    await expect(openCogAsset(unprojected, 'data')).rejects.toThrow();
+    expect(fromUrl).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('getStretch', () => {
+  const item = {
+    assets: {
+      red: { 'raster:bands': [{ statistics: { minimum: 10, maximum: 3000 } }] },
+      green: { 'raster:bands': [{ statistics: { minimum: 5, maximum: 2500 } }] },
+      blue: { 'raster:bands': [{}] },
+    },
+  };
+
+  test('uses the raster:bands statistics of all bands', async () => {
+    await expect(getStretch(item, {}, ['red:0', 'green:0'])).resolves.toEqual({ min: 5, max: 3000 });
+  });
+
+  test('uses the full range of 8-bit data', async () => {
+    const cogs = { red: { bitsPerSample: 8 }, blue: { bitsPerSample: 8 } };
+    await expect(getStretch(item, cogs, ['red:0', 'blue:0'])).resolves.toEqual({ min: 0, max: 255 });
+  });
+
+  test('computes the 2-98% percentiles of the smallest overview without no-data', async () => {
+    const base = fakeImage(10, 10, [[]]);
+    // 0-99 and a no-data value
+    const overview = fakeImage(101, 1, [[...Array.from({ length: 100 }, (_, index) => index), -9999]]);
+    const cogs = { blue: fakeCog([{ image: base, scale: 1 }, { image: overview, scale: 10 }], -9999) };
+
+    await expect(getStretch(item, cogs, ['blue:0'])).resolves.toEqual({ min: 2, max: 98 });
+    expect(base.readRasters).not.toHaveBeenCalled();
+    expect(overview.readRasters).toHaveBeenCalledWith({ samples: [0] });
+  });
+
+  test('falls back to 0-1 without valid values', async () => {
+    const cogs = { blue: fakeCog([{ image: fakeImage(2, 1, [[NaN, -1]]), scale: 1 }], -1) };
+    await expect(getStretch(item, cogs, ['blue:0'])).resolves.toEqual({ min: 0, max: 1 });
+  });
+});
+
+describe('readPointValues', () => {
+  // 3 x 2 pixels, two bands
+  const pointCog = () => fakeCog([{ image: fakeImage(3, 2, [[1, 2, 3, 4, 5, 6], [10, 20, 30, 0, 50, 60]]), scale: 1 }], 0);
+
+  test('reads all bands of the pixel, with NaN for no-data', async () => {
+    const cog = pointCog();
+    await expect(readPointValues(cog, [0.5, 1.5])).resolves.toEqual([4, NaN]);
+    await expect(readPointValues(cog, [2.9, 0.1])).resolves.toEqual([3, 30]);
+  });
+
+  test('returns null outside the image', async () => {
+    const cog = pointCog();
+    await expect(readPointValues(cog, [3, 0])).resolves.toBeNull();
+    await expect(readPointValues(cog, [-0.1, 0])).resolves.toBeNull();
+  });
+});
+
+describe('readAreaValues', () => {
+  const polygon = (west, south, east, north) => ({
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+  });
+
+  test('keeps pixels whose center is inside the polygon', async () => {
+    // 4 x 4 pixels numbered row by row
+    const image = fakeImage(4, 4, [Array.from({ length: 16 }, (_, index) => index)]);
+    const cog = fakeCog([{ image, scale: 1 }], 5);
+
+    const triangle = { type: 'Polygon', coordinates: [[[0, 0], [3.2, 0], [0, 3.2], [0, 0]]] };
+    const { bands, scale } = await readAreaValues(cog, triangle);
+
+    // Pixel 5 is no-data
+    expect(bands).toEqual([[0, 1, 2, 4, 8]]);
+    expect(scale).toBe(1);
+  });
+
+  test('reads large areas from a coarser overview', async () => {
+    const base = fakeImage(2048, 2048, [[]]);
+    const overview = fakeImage(512, 512, [new Array(512 * 512).fill(1)]);
+    const cog = fakeCog([{ image: base, scale: 1 }, { image: overview, scale: 4 }]);
+
+    const { bands, scale } = await readAreaValues(cog, polygon(0, 0, 2048, 2048));
+
+    expect(scale).toBe(4);
+    expect(bands[0]).toHaveLength(512 * 512);
+    expect(base.readRasters).not.toHaveBeenCalled();
+  });
+
+  test('returns null when the area doesn\'t overlap the image', async () => {
+    const cog = fakeCog([{ image: fakeImage(4, 4, [[]]), scale: 1 }]);
+    await expect(readAreaValues(cog, polygon(10, 10, 12, 12))).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * STAC API capabilities
+ * Reads what a server supports from its landing page (conformance classes and
+ * "search" links) and converts the catalog's CQL2-JSON filters for servers
+ * that only accept CQL2 text (GET requests) or the older Query extension.
+ */
+
+// Assumed when the landing page can't be read or lists no conformance classes
+export const DEFAULT_CAPABILITIES = {
+  known: false,
+  itemSearch: true,
+  searchPost: true,
+  searchGet: true,
+  filter: true,
+  cql2Json: true,
+  cql2Text: false,
+  sort: true,
+  fields: true,
+  query: false,
+  aggregation: false,
+  collections: true,
+  features: true,
+  browseOnly: false,
+};
+
+// Versioned STAC API conformance URIs, e.g. https://api.stacspec.org/v1.0.0/item-search#sort
+const STAC_CONFORMANCE = /^https?:\/\/api\.stacspec\.org\/v[^/]+\/(.+)$/;
+
+const OGC_FEATURES_CORE = /\/ogcapi-features-1\/[^/]+\/conf\/core$/;
+const OGC_FEATURES_FILTER = /\/ogcapi-features-3\/[^/]+\/conf\/(features-)?filter$/;
+
+/**
+ * Capabilities of a STAC API
+ * @param {Object} landingPage - Landing page JSON (with conformsTo)
+ * @returns {Object} Capabilities (see DEFAULT_CAPABILITIES)
+ */
+export const getCapabilities = (landingPage) => {
+  const conformsTo = Array.isArray(landingPage?.conformsTo) ? landingPage.conformsTo : [];
+  if (conformsTo.length === 0) {
+    return DEFAULT_CAPABILITIES;
+  }
+
+  const stacClasses = new Set(conformsTo
+    .map((uri) => uri.match(STAC_CONFORMANCE)?.[1])
+    .filter(Boolean));
+  const conforms = (pattern) => conformsTo.some((uri) => pattern.test(uri));
+
+  const itemSearch = stacClasses.has('item-search');
+  const features = stacClasses.has('ogcapi-features') || conforms(OGC_FEATURES_CORE);
+  const filter = (itemSearch && stacClasses.has('item-search#filter')) || conforms(OGC_FEATURES_FILTER);
+
+  // Servers list the methods of their search endpoint as links; assume both when they don't
+  const searchMethods = (landingPage.links || [])
+    .filter((link) => link.rel === 'search')
+    .map((link) => (link.method || 'GET').toUpperCase());
+  const hasSearchLinks = searchMethods.length > 0;
+  const hasAggregateLink = (landingPage.links || []).some((link) => link.rel === 'aggregate');
+
+  return {
+    known: true,
+    itemSearch,
+    searchPost: itemSearch && (!hasSearchLinks || searchMethods.includes('POST')),
+    searchGet: itemSearch && (!hasSearchLinks || searchMethods.includes('GET')),
+    filter,
+    cql2Json: filter && conforms(/cql2-json$/),
+    cql2Text: filter && conforms(/cql2-text$/),
+    sort: itemSearch && stacClasses.has('item-search#sort'),
+    fields: itemSearch && stacClasses.has('item-search#fields'),
+    query: itemSearch && stacClasses.has('item-search#query'),
+    aggregation: stacClasses.has('aggregation') || hasAggregateLink,
+    collections: stacClasses.has('collections') || features,
+    features,
+    browseOnly: !itemSearch && features,
+  };
+};
+
+const toLiteral = (value) => {
+  if (value && typeof value === 'object' && value.timestamp) {
+    return `TIMESTAMP('${value.timestamp}')`;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+  return String(value);
+};
+
+/**
+ * Convert a CQL2-JSON filter of the filter builder to CQL2 text
+ * @param {Object} filter - CQL2-JSON expression (comparisons, "like", "in", combined with "and")
+ * @returns {string} CQL2 text
+ */
+export const cql2ToText = (filter) => {
+  const { op, args } = filter;
+  if (op === 'and') {
+    return args.map((arg) => `(${cql2ToText(arg)})`).join(' AND ');
+  }
+  const property = `"${args[0].property}"`;
+  if (op === 'in') {
+    return `${property} IN (${args[1].map(toLiteral).join(', ')})`;
+  }
+  if (op === 'like') {
+    return `${property} LIKE ${toLiteral(args[1])}`;
+  }
+  return `${property} ${op} ${toLiteral(args[1])}`;
+};
+
+const QUERY_OPERATORS = {
+  '=': 'eq',
+  '<>': 'neq',
+  '<': 'lt',
+  '<=': 'lte',
+  '>': 'gt',
+  '>=': 'gte',
+};
+
+// "like" patterns the Query extension can express
+const toQueryLike = (pattern) => {
+  const text = String(pattern);
+  const leading = text.startsWith('%');
+  const trailing = text.endsWith('%') && text.length > 1;
+  const inner = text.slice(leading ? 1 : 0, trailing ? -1 : undefined);
+  if (/[%_]/.test(inner)) {
+    return null;
+  }
+  if (leading && trailing) return { contains: inner };
+  if (leading) return { endsWith: inner };
+  if (trailing) return { startsWith: inner };
+  return { eq: inner };
+};
+
+/**
+ * Convert a CQL2-JSON filter of the filter builder to the Query extension
+ * @param {Object} filter - CQL2-JSON expression
+ * @returns {Object|null} Query object ({ property: { operator: value } }) or null if it can't be expressed
+ */
+export const cql2ToQuery = (filter) => {
+  const conditions = filter.op === 'and' ? filter.args : [filter];
+  const query = {};
+  for (const { op, args } of conditions) {
+    const property = args[0]?.property;
+    const value = args[1]?.timestamp || args[1];
+    let condition = null;
+    if (op === 'in') {
+      condition = { in: args[1] };
+    } else if (op === 'like') {
+      condition = toQueryLike(value);
+    } else if (QUERY_OPERATORS[op]) {
+      condition = { [QUERY_OPERATORS[op]]: value };
+    }
+    if (!property || !condition) {
+      return null;
+    }
+    query[property] = { ...query[property], ...condition };
+  }
+  return query;
+};
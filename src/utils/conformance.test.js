@@ -0,0 +1,104 @@
+import {
+  DEFAULT_CAPABILITIES,
+  cql2ToQuery,
+  cql2ToText,
+  getCapabilities,
+} from './conformance';
+
+describe('getCapabilities', () => {
+  test('assumes the defaults without conformance classes', () => {
+    expect(getCapabilities({})).toBe(DEFAULT_CAPABILITIES);
+    expect(getCapabilities(null)).toBe(DEFAULT_CAPABILITIES);
+  });
+
+  test('reads item search, filter and sort support', () => {
+    const capabilities = getCapabilities({
+      conformsTo: [
+        'https://api.stacspec.org/v1.0.0/core',
+        'https://api.stacspec.org/v1.0.0/item-search',
+        'https://api.stacspec.org/v1.0.0/item-search#sort',
+        'https://api.stacspec.org/v1.0.0-rc.2/item-search#filter',
+        'http://www.opengis.net/spec/cql2/1.0/conf/cql2-text',
+      ],
+      links: [{ rel: 'search', href: '/search', method: 'GET' }],
+    });
+
+    expect(capabilities).toMatchObject({
+      known: true,
+      itemSearch: true,
+      searchGet: true,
+      searchPost: false,
+      filter: true,
+      cql2Json: false,
+      cql2Text: true,
+      sort: true,
+      fields: false,
+      browseOnly: false,
+    });
+  });
+
+  test('reads Aggregation extension support from conformance classes or links', () => {
+    expect(getCapabilities({
+      conformsTo: ['https://api.stacspec.org/v1.0.0/item-search', 'https://api.stacspec.org/v0.3.0/aggregation'],
+    }).aggregation).toBe(true);
+    expect(getCapabilities({
+      conformsTo: ['https://api.stacspec.org/v1.0.0/item-search'],
+      links: [{ rel: 'aggregate', href: '/aggregate' }],
+    }).aggregation).toBe(true);
+    expect(getCapabilities({ conformsTo: ['https://api.stacspec.org/v1.0.0/item-search'] }).aggregation).toBe(false);
+    expect(DEFAULT_CAPABILITIES.aggregation).toBe(false);
+  });
+
+  test('marks OGC API Features servers without item search as browse only', () => {
+    const capabilities = getCapabilities({
+      conformsTo: ['http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core'],
+    });
+
+    expect(capabilities).toMatchObject({
+      itemSearch: false,
+      searchPost: false,
+      searchGet: false,
+      collections: true,
+      browseOnly: true,
+    });
+  });
+});
+
+describe('cql2ToText', () => {
+  test('converts comparisons, "in", "like" and timestamps', () => {
+    expect(cql2ToText({
+      op: 'and',
+      args: [
+        { op: '<=', args: [{ property: 'eo:cloud_cover' }, 20] },
+        { op: 'in', args: [{ property: 'platform' }, ['a', "b'c"]] },
+        { op: 'like', args: [{ property: 'title' }, 'S2%'] },
+        { op: '>', args: [{ property: 'created' }, { timestamp: '2024-01-01T00:00:00.000Z' }] },
+      ],
+    })).toBe(
+      '("eo:cloud_cover" <= 20) AND ("platform" IN (\'a\', \'b\'\'c\')) AND ("title" LIKE \'S2%\')'
+      + ' AND ("created" > TIMESTAMP(\'2024-01-01T00:00:00.000Z\'))'
+    );
+  });
+});
+
+describe('cql2ToQuery', () => {
+  test('converts conditions and merges them per property', () => {
+    expect(cql2ToQuery({
+      op: 'and',
+      args: [
+        { op: '>=', args: [{ property: 'eo:cloud_cover' }, 5] },
+        { op: '<', args: [{ property: 'eo:cloud_cover' }, 20] },
+        { op: 'like', args: [{ property: 'title' }, '%S2%'] },
+        { op: 'in', args: [{ property: 'platform' }, ['a', 'b']] },
+      ],
+    })).toEqual({
+      'eo:cloud_cover': { gte: 5, lt: 20 },
+      title: { contains: 'S2' },
+      platform: { in: ['a', 'b'] },
+    });
+  });
+
+  test('returns null for patterns the Query extension can\'t express', () => {
+    expect(cql2ToQuery({ op: 'like', args: [{ property: 'title' }, 'S_2%'] })).toBeNull();
+  });
+});
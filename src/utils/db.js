@@ -0,0 +1,109 @@
+/**
+ * IndexedDB storage
+ * A single browser database for data that is too large or too structured for
+ * localStorage. Object stores are listed in STORES and created on upgrade;
+ * bump DB_VERSION when adding one.
+ */
+
+const DB_NAME = 'spectra-catalog';
+const DB_VERSION = 3;
+
+// Object store name -> key path
+const STORES = {
+  savedSearches: 'id',
+  watches: 'id',
+  responses: 'key',
+  offlineAreas: 'id',
+};
+
+let databasePromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the database (once per page)
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser does not support local storage of searches (IndexedDB)'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      Object.entries(STORES).forEach(([name, keyPath]) => {
+        if (!database.objectStoreNames.contains(name)) {
+          database.createObjectStore(name, { keyPath });
+        }
+      });
+    };
+    databasePromise = promisifyRequest(request).catch((err) => {
+      databasePromise = null;
+      throw err;
+    });
+  }
+  return databasePromise;
+};
+
+const runTransaction = async (storeName, mode, operation) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeName, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const request = operation(transaction.objectStore(storeName));
+  // Written data is only durable once the transaction completes
+  await completed;
+  return request.result;
+};
+
+/**
+ * All records of a store
+ * @param {string} storeName - Object store (key of STORES)
+ * @returns {Promise<Array>}
+ */
+export const getAllRecords = (storeName) => runTransaction(storeName, 'readonly', (store) => store.getAll());
+
+/**
+ * A single record
+ * @param {string} storeName - Object store
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export const getRecord = (storeName, key) => runTransaction(storeName, 'readonly', (store) => store.get(key));
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store
+ * @param {Object} record - Record including its key
+ * @returns {Promise<*>} Key of the record
+ */
+export const putRecord = (storeName, record) => runTransaction(storeName, 'readwrite', (store) => store.put(record));
+
+/**
+ * Delete a record
+ * @param {string} storeName - Object store
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = (storeName, key) => runTransaction(storeName, 'readwrite', (store) => store.delete(key));
+
+/**
+ * Delete all records of a store
+ * @param {string} storeName - Object store
+ * @returns {Promise<void>}
+ */
+export const clearRecords = (storeName) => runTransaction(storeName, 'readwrite', (store) => store.clear());
+
+/**
+ * Number of records in a store
+ * @param {string} storeName - Object store
+ * @returns {Promise<number>}
+ */
+export const countRecords = (storeName) => runTransaction(storeName, 'readonly', (store) => store.count());
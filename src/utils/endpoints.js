@@ -0,0 +1,128 @@
+/**
+ * STAC endpoint registry
+ * The STAC APIs the catalog can browse: the ones listed in stac-endpoints.json,
+ * served next to the app so a deployment can change them without a rebuild,
+ * plus the ones a user adds in the browser. User entries and the active
+ * endpoint are kept in localStorage.
+ *
+ * stac-endpoints.json:
+ * { "default": "spectra", "endpoints": [{ "id": "spectra", "title": "SPECTRA BRIN", "url": "https://..." }] }
+ * Endpoints that need a login or signed tile URLs add an "auth" object (see utils/auth.js).
+ */
+import { DEFAULT_STAC_API_URL } from '../api/axios';
+import { createId } from './id';
+
+export const ENDPOINTS_CONFIG_URL = `${process.env.PUBLIC_URL}/stac-endpoints.json`;
+
+// localStorage key of the user endpoints and the active endpoint
+export const ENDPOINTS_STORAGE_KEY = 'spectra-catalog-endpoints';
+
+// Used when the config file is missing or empty
+export const FALLBACK_ENDPOINT = {
+  id: 'spectra',
+  title: 'SPECTRA BRIN',
+  url: DEFAULT_STAC_API_URL,
+  source: 'config',
+};
+
+/**
+ * Normalize a STAC API root URL (no trailing slash)
+ * @param {string} url - URL as entered
+ * @returns {string|null} URL or null when it isn't an absolute http(s) URL
+ */
+export const normalizeEndpointUrl = (url) => {
+  try {
+    const parsed = new URL(String(url || '').trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    return parsed.href.replace(/\/+$/, '');
+  } catch (e) {
+    return null;
+  }
+};
+
+const normalizeEndpoint = (endpoint, source) => {
+  const url = normalizeEndpointUrl(endpoint?.url);
+  if (!url) {
+    return null;
+  }
+  return {
+    id: String(endpoint.id || url),
+    title: String(endpoint.title || url),
+    url,
+    source,
+    // Login and tile auth settings, see utils/auth.js
+    ...(endpoint.auth && typeof endpoint.auth === 'object' ? { auth: endpoint.auth } : {}),
+  };
+};
+
+/**
+ * Endpoints listed in stac-endpoints.json
+ * @returns {Promise<Object>} { endpoints, defaultId }; the fallback endpoint when the file can't be read
+ */
+export const loadEndpointConfig = async () => {
+  try {
+    const response = await fetch(ENDPOINTS_CONFIG_URL, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const config = await response.json();
+    const endpoints = (Array.isArray(config?.endpoints) ? config.endpoints : [])
+      .map((endpoint) => normalizeEndpoint(endpoint, 'config'))
+      .filter(Boolean);
+    if (endpoints.length > 0) {
+      const defaultId = endpoints.some((endpoint) => endpoint.id === config.default)
+        ? config.default
+        : endpoints[0].id;
+      return { endpoints, defaultId };
+    }
+  } catch (e) {
+    console.warn('STAC endpoint config not loaded:', e);
+  }
+  return { endpoints: [FALLBACK_ENDPOINT], defaultId: FALLBACK_ENDPOINT.id };
+};
+
+/**
+ * Read the user endpoints and the last active endpoint
+ * @returns {Object} { userEndpoints, activeEndpoint (null when never switched) }
+ */
+export const loadEndpointSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ENDPOINTS_STORAGE_KEY)) || {};
+    return {
+      userEndpoints: (Array.isArray(stored.userEndpoints) ? stored.userEndpoints : [])
+        .map((endpoint) => normalizeEndpoint(endpoint, 'user'))
+        .filter(Boolean),
+      activeEndpoint: stored.activeEndpoint
+        ? normalizeEndpoint(stored.activeEndpoint, stored.activeEndpoint.source || 'config')
+        : null,
+    };
+  } catch (e) {
+    return { userEndpoints: [], activeEndpoint: null };
+  }
+};
+
+/**
+ * Persist the user endpoints and the active endpoint
+ * @param {Object} settings - { userEndpoints, activeEndpoint }
+ */
+export const saveEndpointSettings = ({ userEndpoints, activeEndpoint }) => {
+  try {
+    window.localStorage.setItem(ENDPOINTS_STORAGE_KEY, JSON.stringify({ userEndpoints, activeEndpoint }));
+  } catch (e) {
+    console.warn('Failed to save STAC endpoints:', e);
+  }
+};
+
+/**
+ * New user endpoint
+ * @param {Object} values - { title, url }
+ * @returns {Object} Endpoint
+ */
+export const createUserEndpoint = ({ title, url }) => ({
+  id: `user-${createId()}`,
+  title: title.trim() || url,
+  url,
+  source: 'user',
+});
@@ -0,0 +1,285 @@
+/**
+ * Search result export helpers
+ * Convert STAC items to downloadable GeoJSON, CSV, KML and STAC ItemCollection
+ * files, and to QGIS / WMTS / KML layer files for their tile assets.
+ */
+import { getTileAssetKeys, formatXYZUrl, formatQGISArcGISUrl } from './tileUrl';
+import { escapeXml } from './format';
+import { MAX_OVERLAY_TILES, toKmlTileOverlays, toQgisLayerDefinition, toWmtsCapabilities } from './gisLayers';
+
+export const EXPORT_FORMATS = [
+  { key: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', group: 'data' },
+  { key: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv', group: 'data' },
+  { key: 'kml', label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', group: 'data' },
+  { key: 'stac', label: 'STAC ItemCollection', extension: 'json', mimeType: 'application/json', group: 'data' },
+  { key: 'qlr', label: 'QGIS layer file (.qlr)', extension: 'qlr', mimeType: 'application/xml', group: 'layers' },
+  { key: 'wmts', label: 'WMTS capabilities (ArcGIS)', extension: 'xml', mimeType: 'application/xml', group: 'layers' },
+  {
+    key: 'tile-kml',
+    label: 'Tile overlay KML (ArcGIS, TMS tiles)',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+    group: 'layers',
+  },
+];
+
+// Item properties written as CSV columns (when present on any item)
+const CSV_PROPERTIES = [
+  'platform',
+  'constellation',
+  'instruments',
+  'gsd',
+  'eo:cloud_cover',
+  'view:off_nadir',
+  'view:sun_elevation',
+  'proj:epsg',
+];
+
+/**
+ * GeoJSON FeatureCollection of item footprints with flat properties
+ * Assets and links are left out so the file opens cleanly in GIS tools.
+ * @param {Array} items - STAC Items
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const toGeoJson = (items) => ({
+  type: 'FeatureCollection',
+  features: items.map((item) => ({
+    type: 'Feature',
+    id: item.id,
+    bbox: item.bbox,
+    geometry: item.geometry,
+    properties: {
+      id: item.id,
+      collection: item.collection || null,
+      ...(item.properties || {}),
+    },
+  })),
+});
+
+/**
+ * STAC ItemCollection (STAC API search response shape) that can be imported again
+ * @param {Array} items - STAC Items
+ * @returns {Object} STAC ItemCollection
+ */
+export const toItemCollection = (items) => ({
+  type: 'FeatureCollection',
+  features: items,
+  links: [],
+  numberReturned: items.length,
+});
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with one row per item: id, collection, datetime, common properties and XYZ URLs
+ * @param {Array} items - STAC Items
+ * @returns {string} CSV text
+ */
+export const toCsv = (items) => {
+  const properties = CSV_PROPERTIES.filter((name) => (
+    items.some((item) => item.properties?.[name] !== undefined)
+  ));
+  const assetKeys = [...new Set(items.flatMap(getTileAssetKeys))];
+
+  const header = [
+    'id',
+    'collection',
+    'datetime',
+    ...properties,
+    'bbox',
+    ...assetKeys.map((assetKey) => `xyz_${assetKey}`),
+  ];
+
+  const rows = items.map((item) => [
+    item.id,
+    item.collection,
+    item.properties?.datetime || item.properties?.start_datetime,
+    ...properties.map((name) => item.properties?.[name]),
+    Array.isArray(item.bbox) ? item.bbox.join(' ') : '',
+    ...assetKeys.map((assetKey) => (
+      item.assets?.[assetKey]?.href ? formatXYZUrl(item.assets[assetKey].href) : ''
+    )),
+  ]);
+
+  return [header, ...rows]
+    .map((row) => row.map(toCsvValue).join(','))
+    .join('\r\n');
+};
+
+/**
+ * CSV of the XYZ URLs of items: one row per tile asset, with the TMS ({-y}) variant for QGIS/ArcGIS
+ * @param {Array} items - STAC Items
+ * @returns {string} CSV text
+ */
+export const toXyzUrlCsv = (items) => {
+  const header = ['id', 'collection', 'datetime', 'asset', 'xyz_url', 'qgis_arcgis_url'];
+  const rows = items.flatMap((item) => getTileAssetKeys(item).map((assetKey) => [
+    item.id,
+    item.collection,
+    item.properties?.datetime || item.properties?.start_datetime,
+    assetKey,
+    formatXYZUrl(item.assets[assetKey].href),
+    formatQGISArcGISUrl(item.assets[assetKey].href),
+  ]));
+
+  return [header, ...rows]
+    .map((row) => row.map(toCsvValue).join(','))
+    .join('\r\n');
+};
+
+const toKmlCoordinates = (ring) => ring.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+const toKmlPolygon = (rings) => {
+  const [outer, ...inner] = rings;
+  return [
+    '<Polygon>',
+    `<outerBoundaryIs><LinearRing><coordinates>${toKmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>`,
+    ...inner.map((ring) => (
+      `<innerBoundaryIs><LinearRing><coordinates>${toKmlCoordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`
+    )),
+    '</Polygon>',
+  ].join('');
+};
+
+const toKmlGeometry = (geometry) => {
+  if (!geometry) {
+    return '';
+  }
+  switch (geometry.type) {
+    case 'Polygon':
+      return toKmlPolygon(geometry.coordinates);
+    case 'MultiPolygon':
+      return `<MultiGeometry>${geometry.coordinates.map(toKmlPolygon).join('')}</MultiGeometry>`;
+    case 'Point':
+      return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * KML document with one footprint placemark per item (for Google Earth)
+ * @param {Array} items - STAC Items
+ * @param {string} name - Document name
+ * @returns {string} KML text
+ */
+export const toKml = (items, name = 'STAC search results') => {
+  const placemarks = items.map((item) => {
+    const data = [
+      ['collection', item.collection],
+      ['datetime', item.properties?.datetime],
+      ...CSV_PROPERTIES.map((property) => [property, item.properties?.[property]]),
+    ].filter(([, value]) => value !== undefined && value !== null);
+    const tiles = getTileAssetKeys(item).map((assetKey) => (
+      `${assetKey}: ${formatXYZUrl(item.assets[assetKey].href)}`
+    ));
+
+    return [
+      '<Placemark>',
+      `<name>${escapeXml(item.id)}</name>`,
+      tiles.length > 0 ? `<description>${escapeXml(tiles.join('\n'))}</description>` : '',
+      '<styleUrl>#footprint</styleUrl>',
+      '<ExtendedData>',
+      ...data.map(([key, value]) => (
+        `<Data name="${escapeXml(key)}"><value>${escapeXml(Array.isArray(value) ? value.join(', ') : value)}</value></Data>`
+      )),
+      '</ExtendedData>',
+      toKmlGeometry(item.geometry),
+      '</Placemark>',
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(name)}</name>`,
+    '<Style id="footprint"><LineStyle><color>ffff8833</color><width>2</width></LineStyle><PolyStyle><fill>0</fill></PolyStyle></Style>',
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+  ].join('\n');
+};
+
+// WMTS rows count from the top, so TMS tile layers can't be part of the capabilities document
+const buildWmtsExport = (items) => {
+  const { xml, layerCount, skippedCount } = toWmtsCapabilities(items);
+  if (layerCount === 0) {
+    throw new Error(skippedCount > 0
+      ? `All ${skippedCount} tile layers are TMS, which WMTS can't describe; use the tile overlay KML or the QGIS layer file`
+      : 'None of the results has tile assets');
+  }
+  return {
+    content: xml,
+    notice: skippedCount > 0
+      ? `${skippedCount} TMS tile layer${skippedCount > 1 ? 's were' : ' was'} left out; use the tile overlay KML or the QGIS layer file for ${skippedCount > 1 ? 'them' : 'it'}`
+      : null,
+  };
+};
+
+// Layers whose lowest zoom needs too many tiles for their bbox are left out of the tile overlay KML
+const buildTileKmlExport = (items) => {
+  const { kml, layerCount, skippedCount } = toKmlTileOverlays(items);
+  if (layerCount === 0) {
+    throw new Error(skippedCount > 0
+      ? `All ${skippedCount} tile layers need more than ${MAX_OVERLAY_TILES} tiles at their lowest zoom; use the QGIS layer file`
+      : 'None of the results has tile assets');
+  }
+  return {
+    content: kml,
+    notice: skippedCount > 0
+      ? `${skippedCount} tile layer${skippedCount > 1 ? 's' : ''} without a small enough zoom level ${skippedCount > 1 ? 'were' : 'was'} left out`
+      : null,
+  };
+};
+
+/**
+ * Build the file content for an export format
+ * @param {string} formatKey - One of EXPORT_FORMATS keys
+ * @param {Array} items - STAC Items
+ * @returns {Object} { content, notice } notice says what the file leaves out (null when nothing)
+ */
+export const buildExport = (formatKey, items) => {
+  switch (formatKey) {
+    case 'geojson':
+      return { content: JSON.stringify(toGeoJson(items), null, 2), notice: null };
+    case 'csv':
+      return { content: toCsv(items), notice: null };
+    case 'kml':
+      return { content: toKml(items), notice: null };
+    case 'stac':
+      return { content: JSON.stringify(toItemCollection(items), null, 2), notice: null };
+    case 'qlr':
+      return { content: toQgisLayerDefinition(items), notice: null };
+    case 'wmts':
+      return buildWmtsExport(items);
+    case 'tile-kml':
+      return buildTileKmlExport(items);
+    default:
+      throw new Error(`Unknown export format "${formatKey}"`);
+  }
+};
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File content
+ * @param {string} fileName - Download file name
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke after the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,69 @@
+import { buildExport, toCsv, toKml, toXyzUrlCsv } from './export';
+
+const items = [
+  {
+    id: 'scene-1',
+    collection: 'sentinel-2',
+    bbox: [106, -7, 107, -6],
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[106, -7], [107, -7], [107, -6], [106, -7]]],
+    },
+    properties: { datetime: '2024-01-05T03:00:00Z', platform: 'sentinel-2a', 'eo:cloud_cover': 12 },
+    assets: {
+      visual: { href: 'https://tiles.example.org/scene-1/{z}/{x}/{y}.png', roles: ['tiles'] },
+      thumbnail: { href: 'https://example.org/scene-1.jpg', roles: ['thumbnail'] },
+    },
+  },
+  {
+    id: 'scene "2", east',
+    collection: 'sentinel-2',
+    geometry: null,
+    properties: { start_datetime: '2024-02-01T00:00:00Z' },
+    assets: {},
+  },
+];
+
+describe('toCsv', () => {
+  test('writes present properties, bbox and XYZ URLs and quotes special values', () => {
+    expect(toCsv(items).split('\r\n')).toEqual([
+      'id,collection,datetime,platform,eo:cloud_cover,bbox,xyz_visual',
+      'scene-1,sentinel-2,2024-01-05T03:00:00Z,sentinel-2a,12,106 -7 107 -6,https://tiles.example.org/scene-1/{z}/{x}/{y}.png',
+      '"scene ""2"", east",sentinel-2,2024-02-01T00:00:00Z,,,,',
+    ]);
+  });
+});
+
+describe('toXyzUrlCsv', () => {
+  test('writes one row per tile asset with the {-y} variant', () => {
+    expect(toXyzUrlCsv(items).split('\r\n')).toEqual([
+      'id,collection,datetime,asset,xyz_url,qgis_arcgis_url',
+      'scene-1,sentinel-2,2024-01-05T03:00:00Z,visual,https://tiles.example.org/scene-1/{z}/{x}/{y}.png,https://tiles.example.org/scene-1/{z}/{x}/{-y}.png',
+    ]);
+  });
+});
+
+describe('toKml', () => {
+  test('writes an escaped placemark per item with its footprint', () => {
+    const kml = toKml(items, 'Results & more');
+
+    expect(kml).toContain('<name>Results &amp; more</name>');
+    expect(kml.match(/<Placemark>/g)).toHaveLength(2);
+    expect(kml).toContain('<name>scene &quot;2&quot;, east</name>');
+    expect(kml).toContain('<Data name="platform"><value>sentinel-2a</value></Data>');
+    expect(kml).toContain('<outerBoundaryIs><LinearRing><coordinates>106,-7 107,-7 107,-6 106,-7</coordinates>');
+    expect(kml).toContain('<description>visual: https://tiles.example.org/scene-1/{z}/{x}/{y}.png</description>');
+  });
+});
+
+describe('buildExport', () => {
+  test('returns the content without notice for data formats', () => {
+    const { content, notice } = buildExport('geojson', items);
+    expect(notice).toBeNull();
+    expect(JSON.parse(content).features.map((feature) => feature.id)).toEqual(['scene-1', 'scene "2", east']);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => buildExport('shp', items)).toThrow('Unknown export format "shp"');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Footprint clustering
+ * Zoom-dependent aggregation of search result footprints: footprints too
+ * small on screen to see or click are grouped by a pixel grid into clusters
+ * with an item count; larger ones are drawn as they are.
+ */
+
+// Footprints smaller than this (pixels, both sides) are clustered
+export const MIN_FOOTPRINT_SIZE = 12;
+
+// Grid cell size (pixels) of clusters
+export const CLUSTER_CELL_SIZE = 60;
+
+/**
+ * Bounding box of an item ([west, south, east, north]) from its bbox or geometry
+ * @param {Object} item - STAC Item
+ * @returns {Array|null}
+ */
+export const getItemBounds = (item) => {
+  if (Array.isArray(item.bbox) && item.bbox.length >= 4) {
+    // 3D bboxes are [west, south, min z, east, north, max z]
+    return item.bbox.length === 6
+      ? [item.bbox[0], item.bbox[1], item.bbox[3], item.bbox[4]]
+      : item.bbox.slice(0, 4);
+  }
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const collect = (coords) => {
+    if (typeof coords[0] === 'number') {
+      bounds[0] = Math.min(bounds[0], coords[0]);
+      bounds[1] = Math.min(bounds[1], coords[1]);
+      bounds[2] = Math.max(bounds[2], coords[0]);
+      bounds[3] = Math.max(bounds[3], coords[1]);
+    } else {
+      coords.forEach(collect);
+    }
+  };
+  const collectGeometry = (geometry) => {
+    if (!geometry) return;
+    if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach(collectGeometry);
+    } else if (geometry.coordinates) {
+      collect(geometry.coordinates);
+    }
+  };
+  collectGeometry(item.geometry);
+  return bounds[0] === Infinity ? null : bounds;
+};
+
+/**
+ * Split footprints into ones to draw and clusters at a zoom level
+ * @param {Array} entries - [{ id, bounds: [west, south, east, north] }]
+ * @param {Function} project - (lng, lat) => { x, y } pixel position at the zoom level
+ * @param {Object} options - { minSize, cellSize, keepIds: Set of ids never clustered (e.g. the selected item) }
+ * @returns {Object} { footprints: [id], clusters: [{ ids, center: [lng, lat], bounds: [west, south, east, north] }] }
+ */
+export const clusterFootprints = (entries, project, {
+  minSize = MIN_FOOTPRINT_SIZE,
+  cellSize = CLUSTER_CELL_SIZE,
+  keepIds = null,
+} = {}) => {
+  const footprints = [];
+  const cells = new Map(); // "col:row" -> entries
+
+  entries.forEach((entry) => {
+    const [west, south, east, north] = entry.bounds;
+    const topLeft = project(west, north);
+    const bottomRight = project(east, south);
+    const width = Math.abs(bottomRight.x - topLeft.x);
+    const height = Math.abs(bottomRight.y - topLeft.y);
+    if (keepIds?.has(entry.id) || width >= minSize || height >= minSize) {
+      footprints.push(entry.id);
+      return;
+    }
+    const x = (topLeft.x + bottomRight.x) / 2;
+    const y = (topLeft.y + bottomRight.y) / 2;
+    const cellKey = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(cellKey)) {
+      cells.set(cellKey, []);
+    }
+    cells.get(cellKey).push(entry);
+  });
+
+  const clusters = [];
+  cells.forEach((cellEntries) => {
+    // A footprint alone in its cell is drawn (as small as it is)
+    if (cellEntries.length === 1) {
+      footprints.push(cellEntries[0].id);
+      return;
+    }
+    const bounds = [
+      Math.min(...cellEntries.map((entry) => entry.bounds[0])),
+      Math.min(...cellEntries.map((entry) => entry.bounds[1])),
+      Math.max(...cellEntries.map((entry) => entry.bounds[2])),
+      Math.max(...cellEntries.map((entry) => entry.bounds[3])),
+    ];
+    clusters.push({
+      ids: cellEntries.map((entry) => entry.id),
+      center: [
+        cellEntries.reduce((sum, entry) => sum + (entry.bounds[0] + entry.bounds[2]) / 2, 0) / cellEntries.length,
+        cellEntries.reduce((sum, entry) => sum + (entry.bounds[1] + entry.bounds[3]) / 2, 0) / cellEntries.length,
+      ],
+      bounds,
+    });
+  });
+
+  return { footprints, clusters };
+};
@@ -0,0 +1,55 @@
+import { clusterFootprints, getItemBounds } from './footprints';
+
+// 1 degree = 10 pixels, y grows southwards as on screen
+const project = (lng, lat) => ({ x: lng * 10, y: -lat * 10 });
+
+const entry = (id, west, south, size = 0.1) => ({ id, bounds: [west, south, west + size, south + size] });
+
+describe('getItemBounds', () => {
+  test('reads 2D and 3D bboxes', () => {
+    expect(getItemBounds({ bbox: [1, 2, 3, 4] })).toEqual([1, 2, 3, 4]);
+    expect(getItemBounds({ bbox: [1, 2, 0, 3, 4, 100] })).toEqual([1, 2, 3, 4]);
+  });
+
+  test('falls back to the geometry', () => {
+    expect(getItemBounds({
+      geometry: {
+        type: 'GeometryCollection',
+        geometries: [
+          { type: 'Point', coordinates: [5, -1] },
+          { type: 'LineString', coordinates: [[2, 3], [4, 6]] },
+        ],
+      },
+    })).toEqual([2, -1, 5, 6]);
+    expect(getItemBounds({ geometry: null })).toBeNull();
+  });
+});
+
+describe('clusterFootprints', () => {
+  test('draws large footprints and clusters small ones per grid cell', () => {
+    const { footprints, clusters } = clusterFootprints([
+      entry('large', 0, 0, 5),
+      entry('a', 1, -1),
+      entry('b', 1.5, -1.5),
+      entry('alone', 50, -50),
+    ], project);
+
+    expect(footprints).toEqual(['large', 'alone']);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].ids).toEqual(['a', 'b']);
+    expect(clusters[0].bounds).toEqual([1, -1.5, 1.6, -0.9]);
+    expect(clusters[0].center[0]).toBeCloseTo(1.3);
+    expect(clusters[0].center[1]).toBeCloseTo(-1.2);
+  });
+
+  test('never clusters kept footprints', () => {
+    const { footprints, clusters } = clusterFootprints(
+      [entry('a', 1, -1), entry('b', 1.5, -1.5), entry('c', 1.2, -1.2)],
+      project,
+      { keepIds: new Set(['b']) }
+    );
+
+    expect(footprints).toEqual(['b']);
+    expect(clusters.map((cluster) => cluster.ids)).toEqual([['a', 'c']]);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Display formatting helpers shared by catalog pages
+ */
+
+/**
+ * Format a file size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size (e.g. "12.3 MB") or "-"
+ */
+export const formatBytes = (bytes) => {
+  if (typeof bytes !== 'number' || Number.isNaN(bytes)) {
+    return '-';
+  }
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+/**
+ * Format a STAC temporal interval [start, end] for display
+ * Open ends (null) are shown as "…" and "present".
+ * @param {Array} interval - [start, end] ISO 8601 strings or null
+ * @returns {string} Formatted interval
+ */
+export const formatInterval = (interval) => {
+  if (!Array.isArray(interval)) {
+    return '-';
+  }
+  const [start, end] = interval;
+  const format = (value) => (value ? new Date(value).toLocaleDateString() : null);
+  return `${format(start) || '…'} – ${format(end) || 'present'}`;
+};
+
+/**
+ * Escape text for use in XML element content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
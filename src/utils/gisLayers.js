@@ -0,0 +1,292 @@
+/**
+ * Desktop GIS layer files
+ * Build a QGIS layer definition (.qlr), a WMTS capabilities document and a KML
+ * of tile overlays for the tile assets of STAC items, so a result set can be
+ * added to QGIS or ArcGIS in one step.
+ */
+import {
+  fillTileUrl,
+  getTileAssetKeys,
+  getTileZoomRange,
+  isTmsTileUrl,
+  formatGisTileUrl,
+  formatXYZUrl,
+} from './tileUrl';
+import { escapeXml } from './format';
+
+// Web Mercator (EPSG:3857) constants
+const EARTH_HALF_CIRCUMFERENCE = 20037508.342789244;
+const MAX_LATITUDE = 85.0511287798;
+// Scale denominator of zoom level 0 for 256px tiles (GoogleMapsCompatible)
+const ZOOM_0_SCALE_DENOMINATOR = 559082264.0287178;
+
+// Largest number of tile overlays written per layer in the KML
+export const MAX_OVERLAY_TILES = 256;
+
+const clampLatitude = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+
+const toMercator = ([lng, lat]) => [
+  (lng * EARTH_HALF_CIRCUMFERENCE) / 180,
+  (Math.log(Math.tan(((90 + clampLatitude(lat)) * Math.PI) / 360)) * EARTH_HALF_CIRCUMFERENCE) / Math.PI,
+];
+
+const getImageFormat = (url) => (/\.jpe?g(\?|$)/i.test(url) ? 'image/jpeg' : 'image/png');
+
+/**
+ * One layer per tile asset of each item
+ * @param {Array} items - STAC Items
+ * @returns {Array} [{ id, name, href, tms, minZoom, maxZoom, bbox }]
+ */
+export const getTileLayers = (items) => items.flatMap((item) => {
+  const assetKeys = getTileAssetKeys(item).filter((assetKey) => item.assets[assetKey]?.href);
+  return assetKeys.map((assetKey) => {
+    const asset = item.assets[assetKey];
+    return {
+      id: `stac_${item.id}_${assetKey}`.replace(/[^\w-]/g, '_'),
+      name: assetKeys.length > 1 ? `${item.id} (${assetKey})` : item.id,
+      href: asset.href,
+      tms: isTmsTileUrl(formatXYZUrl(asset.href)),
+      ...getTileZoomRange(asset),
+      bbox: Array.isArray(item.bbox) && item.bbox.length >= 4 ? item.bbox : null,
+    };
+  });
+});
+
+/**
+ * QGIS XYZ data source string (the URL is percent-encoded as QGIS expects)
+ */
+const toQgisDataSource = (layer) => (
+  `type=xyz&url=${encodeURIComponent(formatGisTileUrl(layer.href))}&zmax=${layer.maxZoom}&zmin=${layer.minZoom}`
+);
+
+const toQgisExtent = (tag, [xmin, ymin, xmax, ymax]) => (
+  `<${tag}><xmin>${xmin}</xmin><ymin>${ymin}</ymin><xmax>${xmax}</xmax><ymax>${ymax}</ymax></${tag}>`
+);
+
+/**
+ * QGIS layer definition file (.qlr) with one XYZ layer per tile asset
+ * TMS sources use {-y} in the URL; zoom limits come from tiles:min_zoom/tiles:max_zoom.
+ * @param {Array} items - STAC Items
+ * @param {string} groupName - Layer group name in the QGIS layer tree
+ * @returns {string} QLR XML
+ */
+export const toQgisLayerDefinition = (items, groupName = 'STAC search results') => {
+  const layers = getTileLayers(items);
+
+  const treeLayers = layers.map((layer) => (
+    `      <layer-tree-layer checked="Qt::Checked" expanded="0" id="${escapeXml(layer.id)}" name="${escapeXml(layer.name)}" providerKey="wms" source="${escapeXml(toQgisDataSource(layer))}">
+        <customproperties/>
+      </layer-tree-layer>`
+  ));
+
+  const mapLayers = layers.map((layer) => {
+    const extents = layer.bbox
+      ? [
+        toQgisExtent('extent', [...toMercator([layer.bbox[0], layer.bbox[1]]), ...toMercator([layer.bbox[2], layer.bbox[3]])]),
+        toQgisExtent('wgs84extent', layer.bbox.slice(0, 4)),
+      ].join('\n      ')
+      : '';
+    return `    <maplayer type="raster" autoRefreshEnabled="0" autoRefreshTime="0" hasScaleBasedVisibilityFlag="0" refreshOnNotifyEnabled="0" styleCategories="AllStyleCategories">
+      ${extents}
+      <id>${escapeXml(layer.id)}</id>
+      <datasource>${escapeXml(toQgisDataSource(layer))}</datasource>
+      <layername>${escapeXml(layer.name)}</layername>
+      <srs>
+        <spatialrefsys>
+          <authid>EPSG:3857</authid>
+        </spatialrefsys>
+      </srs>
+      <provider>wms</provider>
+    </maplayer>`;
+  });
+
+  return `<!DOCTYPE qgis-layer-definition>
+<qlr>
+  <layer-tree-group checked="Qt::Checked" expanded="1" name="">
+    <customproperties/>
+    <layer-tree-group checked="Qt::Checked" expanded="1" name="${escapeXml(groupName)}">
+      <customproperties/>
+${treeLayers.join('\n')}
+    </layer-tree-group>
+  </layer-tree-group>
+  <maplayers>
+${mapLayers.join('\n')}
+  </maplayers>
+</qlr>
+`;
+};
+
+/**
+ * Tile column/row range covering a bbox at a zoom level (XYZ scheme)
+ */
+const getTileRange = (bbox, zoom) => {
+  const tiles = 2 ** zoom;
+  const toColumn = (lng) => Math.min(tiles - 1, Math.max(0, Math.floor(((lng + 180) / 360) * tiles)));
+  const toRow = (lat) => {
+    const rad = (clampLatitude(lat) * Math.PI) / 180;
+    const row = Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * tiles);
+    return Math.min(tiles - 1, Math.max(0, row));
+  };
+  return {
+    minCol: toColumn(bbox[0]),
+    maxCol: toColumn(bbox[2]),
+    minRow: toRow(bbox[3]),
+    maxRow: toRow(bbox[1]),
+  };
+};
+
+/**
+ * WMTS capabilities document (GoogleMapsCompatible tile matrix set)
+ * WMTS rows always count from the top, so TMS ({-y}) sources can't be described
+ * and are left out; the tile overlay KML and the QGIS layer file include them.
+ * @param {Array} items - STAC Items
+ * @param {string} title - Service title
+ * @returns {Object} { xml, layerCount, skippedCount }
+ */
+export const toWmtsCapabilities = (items, title = 'STAC search results') => {
+  const allLayers = getTileLayers(items);
+  const layers = allLayers.filter((layer) => !layer.tms);
+  const maxZoom = Math.max(0, ...layers.map((layer) => layer.maxZoom));
+
+  const layerXml = layers.map((layer) => {
+    const url = formatXYZUrl(layer.href);
+    const template = url
+      .replace('{z}', '{TileMatrix}')
+      .replace('{x}', '{TileCol}')
+      .replace('{y}', '{TileRow}');
+    const bbox = layer.bbox || [-180, -MAX_LATITUDE, 180, MAX_LATITUDE];
+    const limits = [];
+    for (let zoom = layer.minZoom; zoom <= layer.maxZoom; zoom++) {
+      const range = getTileRange(bbox, zoom);
+      limits.push(`          <TileMatrixLimits>
+            <TileMatrix>${zoom}</TileMatrix>
+            <MinTileRow>${range.minRow}</MinTileRow>
+            <MaxTileRow>${range.maxRow}</MaxTileRow>
+            <MinTileCol>${range.minCol}</MinTileCol>
+            <MaxTileCol>${range.maxCol}</MaxTileCol>
+          </TileMatrixLimits>`);
+    }
+
+    return `    <Layer>
+      <ows:Title>${escapeXml(layer.name)}</ows:Title>
+      <ows:WGS84BoundingBox>
+        <ows:LowerCorner>${bbox[0]} ${bbox[1]}</ows:LowerCorner>
+        <ows:UpperCorner>${bbox[2]} ${bbox[3]}</ows:UpperCorner>
+      </ows:WGS84BoundingBox>
+      <ows:Identifier>${escapeXml(layer.id)}</ows:Identifier>
+      <Style isDefault="true">
+        <ows:Identifier>default</ows:Identifier>
+      </Style>
+      <Format>${getImageFormat(url)}</Format>
+      <TileMatrixSetLink>
+        <TileMatrixSet>GoogleMapsCompatible</TileMatrixSet>
+        <TileMatrixSetLimits>
+${limits.join('\n')}
+        </TileMatrixSetLimits>
+      </TileMatrixSetLink>
+      <ResourceURL format="${getImageFormat(url)}" resourceType="tile" template="${escapeXml(template)}"/>
+    </Layer>`;
+  });
+
+  const tileMatrices = [];
+  for (let zoom = 0; zoom <= maxZoom; zoom++) {
+    tileMatrices.push(`      <TileMatrix>
+        <ows:Identifier>${zoom}</ows:Identifier>
+        <ScaleDenominator>${ZOOM_0_SCALE_DENOMINATOR / 2 ** zoom}</ScaleDenominator>
+        <TopLeftCorner>${-EARTH_HALF_CIRCUMFERENCE} ${EARTH_HALF_CIRCUMFERENCE}</TopLeftCorner>
+        <TileWidth>256</TileWidth>
+        <TileHeight>256</TileHeight>
+        <MatrixWidth>${2 ** zoom}</MatrixWidth>
+        <MatrixHeight>${2 ** zoom}</MatrixHeight>
+      </TileMatrix>`);
+  }
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Capabilities xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.0.0">
+  <ows:ServiceIdentification>
+    <ows:Title>${escapeXml(title)}</ows:Title>
+    <ows:ServiceType>OGC WMTS</ows:ServiceType>
+    <ows:ServiceTypeVersion>1.0.0</ows:ServiceTypeVersion>
+  </ows:ServiceIdentification>
+  <Contents>
+${layerXml.join('\n')}
+    <TileMatrixSet>
+      <ows:Identifier>GoogleMapsCompatible</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG::3857</ows:SupportedCRS>
+      <WellKnownScaleSet>urn:ogc:def:wkss:OGC:1.0:GoogleMapsCompatible</WellKnownScaleSet>
+${tileMatrices.join('\n')}
+    </TileMatrixSet>
+  </Contents>
+</Capabilities>
+`;
+
+  return { xml, layerCount: layers.length, skippedCount: allLayers.length - layers.length };
+};
+
+// Longitude/latitude bounds of an XYZ tile
+const getTileBounds = ({ x, y, z }) => {
+  const tiles = 2 ** z;
+  const toLatitude = (row) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / tiles))) * 180) / Math.PI;
+  return {
+    west: (x / tiles) * 360 - 180,
+    east: ((x + 1) / tiles) * 360 - 180,
+    north: toLatitude(y),
+    south: toLatitude(y + 1),
+  };
+};
+
+/**
+ * KML with one ground overlay per tile of each tile layer
+ * Every layer is written at the highest zoom level within its tiles:min_zoom/tiles:max_zoom
+ * whose tiles over the item bbox stay within MAX_OVERLAY_TILES. The tile URLs are filled in,
+ * so TMS rows are flipped in the file: ArcGIS and Google Earth show TMS sources this way.
+ * @param {Array} items - STAC Items
+ * @param {string} name - Document name
+ * @returns {Object} { kml, layerCount, skippedCount } skipped layers need too many tiles even at their lowest zoom
+ */
+export const toKmlTileOverlays = (items, name = 'STAC search results') => {
+  const allLayers = getTileLayers(items);
+
+  const folders = allLayers.map((layer) => {
+    const bbox = layer.bbox || [-180, -MAX_LATITUDE, 180, MAX_LATITUDE];
+    let zoom = null;
+    for (let candidate = layer.minZoom; candidate <= layer.maxZoom; candidate++) {
+      const range = getTileRange(bbox, candidate);
+      if ((range.maxCol - range.minCol + 1) * (range.maxRow - range.minRow + 1) > MAX_OVERLAY_TILES) break;
+      zoom = candidate;
+    }
+    if (zoom === null) {
+      return null;
+    }
+
+    const template = formatXYZUrl(layer.href);
+    const range = getTileRange(bbox, zoom);
+    const overlays = [];
+    for (let y = range.minRow; y <= range.maxRow; y++) {
+      for (let x = range.minCol; x <= range.maxCol; x++) {
+        const { north, south, east, west } = getTileBounds({ x, y, z: zoom });
+        overlays.push([
+          '<GroundOverlay>',
+          `<name>${zoom}/${x}/${y}</name>`,
+          `<Icon><href>${escapeXml(fillTileUrl(template, { x, y, z: zoom }, layer.tms))}</href></Icon>`,
+          `<LatLonBox><north>${north}</north><south>${south}</south><east>${east}</east><west>${west}</west></LatLonBox>`,
+          '</GroundOverlay>',
+        ].join(''));
+      }
+    }
+    return [`<Folder><name>${escapeXml(layer.name)}</name>`, ...overlays, '</Folder>'].join('\n');
+  }).filter(Boolean);
+
+  const kml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(name)}</name>`,
+    ...folders,
+    '</Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+
+  return { kml, layerCount: folders.length, skippedCount: allLayers.length - folders.length };
+};
@@ -0,0 +1,130 @@
+import { buildExport } from './export';
+import {
+  getTileLayers,
+  toKmlTileOverlays,
+  toQgisLayerDefinition,
+  toWmtsCapabilities,
+} from './gisLayers';
+
+const xyzItem = {
+  id: 'scene-1',
+  bbox: [106, -7, 107, -6],
+  assets: {
+    visual: {
+      href: 'https://tiles.example.org/scene-1/{z}/{x}/{y}.png',
+      roles: ['tiles'],
+      'tiles:min_zoom': 8,
+      'tiles:max_zoom': 9,
+    },
+  },
+};
+
+const tmsItem = {
+  id: 'scene-2',
+  bbox: [110, -8, 111, -7],
+  assets: {
+    visual: { href: 'https://spectra.brin.go.id/tiles/scene-2/', roles: ['tiles'] },
+  },
+};
+
+describe('getTileLayers', () => {
+  test('describes each tile asset with its scheme and zoom range', () => {
+    expect(getTileLayers([xyzItem, tmsItem])).toEqual([
+      {
+        id: 'stac_scene-1_visual',
+        name: 'scene-1',
+        href: xyzItem.assets.visual.href,
+        tms: false,
+        minZoom: 8,
+        maxZoom: 9,
+        bbox: [106, -7, 107, -6],
+      },
+      {
+        id: 'stac_scene-2_visual',
+        name: 'scene-2',
+        href: tmsItem.assets.visual.href,
+        tms: true,
+        minZoom: 0,
+        maxZoom: 18,
+        bbox: [110, -8, 111, -7],
+      },
+    ]);
+  });
+});
+
+describe('toQgisLayerDefinition', () => {
+  test('writes one XYZ layer per asset with {-y} for TMS sources', () => {
+    const qlr = toQgisLayerDefinition([xyzItem, tmsItem], 'My results');
+
+    expect(qlr).toContain('name="My results"');
+    expect(qlr.match(/<maplayer /g)).toHaveLength(2);
+    expect(qlr).toContain(
+      `type=xyz&amp;url=${encodeURIComponent('https://tiles.example.org/scene-1/{z}/{x}/{y}.png')}&amp;zmax=9&amp;zmin=8`
+    );
+    expect(qlr).toContain(encodeURIComponent('https://spectra.brin.go.id/tiles/scene-2/{z}/{x}/{-y}.png'));
+    expect(qlr).toContain('<wgs84extent><xmin>106</xmin><ymin>-7</ymin><xmax>107</xmax><ymax>-6</ymax></wgs84extent>');
+  });
+});
+
+describe('toWmtsCapabilities', () => {
+  test('describes XYZ layers with tile limits and leaves out TMS layers', () => {
+    const { xml, layerCount, skippedCount } = toWmtsCapabilities([xyzItem, tmsItem]);
+
+    expect(layerCount).toBe(1);
+    expect(skippedCount).toBe(1);
+    expect(xml.match(/<Layer>/g)).toHaveLength(1);
+    expect(xml).toContain('template="https://tiles.example.org/scene-1/{TileMatrix}/{TileCol}/{TileRow}.png"');
+    expect(xml).toContain(`<TileMatrixLimits>
+            <TileMatrix>8</TileMatrix>
+            <MinTileRow>132</MinTileRow>
+            <MaxTileRow>132</MaxTileRow>
+            <MinTileCol>203</MinTileCol>
+            <MaxTileCol>204</MaxTileCol>
+          </TileMatrixLimits>`);
+    // Tile matrices up to the highest zoom of the written layers
+    expect(xml.match(/<TileMatrix>\n/g)).toHaveLength(10);
+  });
+
+  test('reports skipped TMS layers in the WMTS export and refuses when none is left', () => {
+    expect(buildExport('wmts', [xyzItem, tmsItem]).notice)
+      .toBe('1 TMS tile layer was left out; use the tile overlay KML or the QGIS layer file for it');
+    expect(() => buildExport('wmts', [tmsItem])).toThrow(/All 1 tile layers are TMS/);
+    expect(() => buildExport('wmts', [])).toThrow('None of the results has tile assets');
+  });
+});
+
+describe('toKmlTileOverlays', () => {
+  test('writes TMS layers with flipped rows at the highest zoom within the tile limit', () => {
+    const { kml, layerCount, skippedCount } = toKmlTileOverlays([tmsItem]);
+
+    expect(layerCount).toBe(1);
+    expect(skippedCount).toBe(0);
+    // Zoom 12 has 12 x 13 tiles over the bbox, zoom 13 more than MAX_OVERLAY_TILES
+    expect(kml.match(/<GroundOverlay>/g)).toHaveLength(156);
+    // XYZ row 2127 is TMS row 2^12 - 1 - 2127
+    expect(kml).toContain('<name>12/3299/2127</name><Icon><href>https://spectra.brin.go.id/tiles/scene-2/12/3299/1968.png</href></Icon>');
+    expect(kml).toContain(
+      '<LatLonBox><north>-6.926426847059554</north><south>-7.01366792756663</south><east>110.0390625</east><west>109.951171875</west></LatLonBox>'
+    );
+  });
+
+  test('keeps XYZ rows and the zoom limits of the asset', () => {
+    const { kml } = toKmlTileOverlays([xyzItem]);
+
+    expect(kml).toContain('<Folder><name>scene-1</name>');
+    expect(kml).not.toContain('<name>8/');
+    expect(kml).toContain('https://tiles.example.org/scene-1/9/406/264.png');
+  });
+
+  test('leaves out layers that need too many tiles at their lowest zoom', () => {
+    const global = {
+      id: 'global',
+      assets: { visual: { href: 'https://tiles.example.org/global/{z}/{x}/{y}.png', roles: ['tiles'], 'tiles:min_zoom': 10 } },
+    };
+
+    expect(toKmlTileOverlays([xyzItem, global])).toMatchObject({ layerCount: 1, skippedCount: 1 });
+    expect(buildExport('tile-kml', [xyzItem, global]).notice)
+      .toBe('1 tile layer without a small enough zoom level was left out');
+    expect(() => buildExport('tile-kml', [global])).toThrow(/need more than 256 tiles/);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Result grouping
+ * Groups search results by collection, acquisition day, platform and orbit,
+ * or grid tile (MGRS, Landsat WRS path/row, grid extension codes) for the
+ * collapsible sections of the results panel.
+ */
+
+export const GROUP_OPTIONS = [
+  { key: 'none', label: 'No grouping' },
+  { key: 'collection', label: 'Collection' },
+  { key: 'day', label: 'Acquisition day' },
+  { key: 'orbit', label: 'Platform / orbit' },
+  { key: 'tile', label: 'Tile (MGRS, path/row)' },
+];
+
+// Key of the group of items without a value (listed last)
+const UNKNOWN_KEY = '';
+
+const UNKNOWN_LABELS = {
+  collection: 'No collection',
+  day: 'No date',
+  orbit: 'Unknown platform',
+  tile: 'No tile',
+};
+
+const getAcquisitionDay = (properties) => {
+  const datetime = properties.datetime || properties.start_datetime;
+  const date = datetime ? new Date(datetime) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : UNKNOWN_KEY;
+};
+
+const getOrbit = (properties) => {
+  const parts = [
+    properties.platform || properties.constellation,
+    properties['sat:relative_orbit'] !== undefined ? `relative orbit ${properties['sat:relative_orbit']}` : null,
+    properties['sat:orbit_state'],
+  ].filter((part) => part !== undefined && part !== null && part !== '');
+  return parts.length > 0 ? parts.join(' · ') : UNKNOWN_KEY;
+};
+
+const getTile = (properties) => {
+  const zone = properties['mgrs:utm_zone'];
+  if (zone !== undefined && properties['mgrs:latitude_band'] && properties['mgrs:grid_square']) {
+    return `MGRS ${String(zone).padStart(2, '0')}${properties['mgrs:latitude_band']}${properties['mgrs:grid_square']}`;
+  }
+  if (properties['s2:mgrs_tile']) {
+    return `MGRS ${properties['s2:mgrs_tile']}`;
+  }
+  if (properties['landsat:wrs_path'] !== undefined && properties['landsat:wrs_row'] !== undefined) {
+    const path = String(properties['landsat:wrs_path']).padStart(3, '0');
+    const row = String(properties['landsat:wrs_row']).padStart(3, '0');
+    return `WRS ${path}/${row}`;
+  }
+  return properties['grid:code'] || UNKNOWN_KEY;
+};
+
+/**
+ * Group key of an item
+ * @param {Object} item - STAC Item
+ * @param {string} groupBy - GROUP_OPTIONS key
+ * @returns {string} Key, also used as label ('' when the item has no value)
+ */
+export const getGroupKey = (item, groupBy) => {
+  const properties = item.properties || {};
+  switch (groupBy) {
+    case 'collection':
+      return item.collection || UNKNOWN_KEY;
+    case 'day':
+      return getAcquisitionDay(properties);
+    case 'orbit':
+      return getOrbit(properties);
+    case 'tile':
+      return getTile(properties);
+    default:
+      return UNKNOWN_KEY;
+  }
+};
+
+const formatLabel = (key, groupBy) => {
+  if (key === UNKNOWN_KEY) {
+    return UNKNOWN_LABELS[groupBy];
+  }
+  if (groupBy === 'day') {
+    return new Date(`${key}T00:00:00Z`).toLocaleDateString(undefined, {
+      timeZone: 'UTC',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      weekday: 'short',
+    });
+  }
+  return key;
+};
+
+/**
+ * Group items, keeping their order within each group
+ * Days are listed newest first, other groups alphabetically; items without a
+ * value come last.
+ * @param {Array} items - STAC Items
+ * @param {string} groupBy - GROUP_OPTIONS key
+ * @returns {Array} [{ key, label, items }], empty for 'none'
+ */
+export const groupItems = (items, groupBy) => {
+  if (!groupBy || groupBy === 'none') {
+    return [];
+  }
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = getGroupKey(item, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, { key, label: formatLabel(key, groupBy), items: [] });
+    }
+    groups.get(key).items.push(item);
+  });
+
+  return [...groups.values()].sort((a, b) => {
+    if (a.key === UNKNOWN_KEY || b.key === UNKNOWN_KEY) {
+      return a.key === UNKNOWN_KEY ? 1 : -1;
+    }
+    return groupBy === 'day'
+      ? b.key.localeCompare(a.key)
+      : a.key.localeCompare(b.key, undefined, { numeric: true });
+  });
+};
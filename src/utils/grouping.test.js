@@ -0,0 +1,54 @@
+import { getGroupKey, groupItems } from './grouping';
+
+const item = (id, collection, properties = {}) => ({ id, collection, properties });
+
+describe('getGroupKey', () => {
+  test('reads MGRS, Sentinel-2 and Landsat tiles', () => {
+    expect(getGroupKey(item('a', 'x', {
+      'mgrs:utm_zone': 8,
+      'mgrs:latitude_band': 'N',
+      'mgrs:grid_square': 'AB',
+    }), 'tile')).toBe('MGRS 08NAB');
+    expect(getGroupKey(item('b', 'x', { 's2:mgrs_tile': '48MYU' }), 'tile')).toBe('MGRS 48MYU');
+    expect(getGroupKey(item('c', 'x', { 'landsat:wrs_path': 122, 'landsat:wrs_row': 64 }), 'tile')).toBe('WRS 122/064');
+    expect(getGroupKey(item('d', 'x'), 'tile')).toBe('');
+  });
+
+  test('joins platform and orbit', () => {
+    expect(getGroupKey(item('a', 'x', {
+      platform: 'sentinel-1a',
+      'sat:relative_orbit': 0,
+      'sat:orbit_state': 'ascending',
+    }), 'orbit')).toBe('sentinel-1a · relative orbit 0 · ascending');
+  });
+});
+
+describe('groupItems', () => {
+  test('returns no groups without grouping', () => {
+    expect(groupItems([item('a', 'x')], 'none')).toEqual([]);
+  });
+
+  test('sorts collections naturally and lists items without a value last', () => {
+    const items = [item('a', 'landsat-9'), item('b', null), item('c', 'landsat-10'), item('d', 'landsat-9')];
+
+    expect(groupItems(items, 'collection').map(({ key, label, items: members }) => [
+      key,
+      label,
+      members.map(({ id }) => id),
+    ])).toEqual([
+      ['landsat-9', 'landsat-9', ['a', 'd']],
+      ['landsat-10', 'landsat-10', ['c']],
+      ['', 'No collection', ['b']],
+    ]);
+  });
+
+  test('lists days newest first by UTC date', () => {
+    const items = [
+      item('a', 'x', { datetime: '2024-01-01T23:59:00Z' }),
+      item('b', 'x', { start_datetime: '2024-01-03T00:00:00Z' }),
+      item('c', 'x', { datetime: 'invalid' }),
+    ];
+
+    expect(groupItems(items, 'day').map(({ key }) => key)).toEqual(['2024-01-03', '2024-01-01', '']);
+  });
+});
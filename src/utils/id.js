@@ -0,0 +1,9 @@
+/**
+ * Ids for records created in the browser (saved searches, watches, endpoints, offline areas)
+ */
+
+/**
+ * Create a short unique id
+ * @returns {string} Time-based id with a random suffix
+ */
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
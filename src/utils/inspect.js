@@ -0,0 +1,157 @@
+/**
+ * Pixel inspection helpers
+ * Band statistics of an area, and values of a band or spectral index at a
+ * point across the search results (time series).
+ */
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import { getCogAssetKeys } from './tileUrl';
+import { getItemDate } from './timeline';
+import { openCogAsset, readPointValues } from './cog';
+import {
+  SPECTRAL_INDICES,
+  findBand,
+  getBandScaling,
+  getItemBands,
+  parseBandRef,
+  resolveBands,
+} from './spectral';
+
+export const HISTOGRAM_BINS = 32;
+
+/**
+ * Count, min, max, mean and histogram of band values
+ * @param {Array<number>} values - Valid values (no-data excluded)
+ * @param {number} bins - Number of histogram bins
+ * @returns {Object|null} { count, min, max, mean, histogram }, or null without values
+ */
+export const getBandStatistics = (values, bins = HISTOGRAM_BINS) => {
+  if (values.length === 0) {
+    return null;
+  }
+  // Loops rather than Math.min(...values): areas can have hundreds of thousands of pixels
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  values.forEach((value) => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+  });
+
+  const histogram = new Array(bins).fill(0);
+  const binWidth = (max - min) / bins || 1;
+  values.forEach((value) => {
+    histogram[Math.min(bins - 1, Math.floor((value - min) / binWidth))] += 1;
+  });
+
+  return { count: values.length, min, max, mean: sum / values.length, histogram };
+};
+
+/**
+ * Whether an item's footprint contains a point (bbox when it has no geometry)
+ * @param {Object} item - STAC Item
+ * @param {Array<number>} position - [lng, lat]
+ * @returns {boolean}
+ */
+export const itemCoversPoint = (item, position) => {
+  if (item.geometry && ['Polygon', 'MultiPolygon'].includes(item.geometry.type)) {
+    return booleanPointInPolygon(position, item.geometry);
+  }
+  if (item.bbox && item.bbox.length === 4) {
+    const [minx, miny, maxx, maxy] = item.bbox;
+    return position[0] >= minx && position[0] <= maxx && position[1] >= miny && position[1] <= maxy;
+  }
+  return false;
+};
+
+/**
+ * Values that can be plotted over time: the spectral indices whose bands are
+ * known, then each band
+ * @param {Array} bands - Bands of the displayed item (see getItemBands)
+ * @returns {Array} [{ key, label, index } | { key, label, ref, commonName }]
+ */
+export const getSeriesMeasures = (bands) => [
+  ...SPECTRAL_INDICES
+    .filter((index) => resolveBands(bands, index.bands))
+    .map((index) => ({ key: `index:${index.key}`, label: index.label, index: index.key })),
+  ...bands.map((band) => ({ key: band.ref, label: band.label, ref: band.ref, commonName: band.commonName })),
+];
+
+/**
+ * Band references of a measure for another item, or null when it doesn't
+ * have the bands. Bands are matched by common name, otherwise by asset key
+ * and position, using the item metadata only (no files are opened).
+ */
+const resolveMeasure = (item, measure) => {
+  const bandCounts = Object.fromEntries(getCogAssetKeys(item).map((assetKey) => {
+    const asset = item.assets[assetKey];
+    return [assetKey, (asset['eo:bands'] || asset.bands || []).length || 1];
+  }));
+  const bands = getItemBands(item, bandCounts);
+
+  if (measure.index) {
+    const index = SPECTRAL_INDICES.find((candidate) => candidate.key === measure.index);
+    return resolveBands(bands, index.bands);
+  }
+  const ref = measure.commonName ? findBand(bands, measure.commonName) : null;
+  if (ref) {
+    return [ref];
+  }
+  return bandCounts[parseBandRef(measure.ref).assetKey] ? [measure.ref] : null;
+};
+
+/**
+ * Value of one band (scaled with raster:bands scale/offset), or the normalized
+ * difference of two bands, at a point
+ */
+const readMeasureValue = async (item, refs, position, signal) => {
+  const values = await Promise.all(refs.map(async (ref) => {
+    const { assetKey, band } = parseBandRef(ref);
+    const cog = await openCogAsset(item, assetKey);
+    const pixel = await readPointValues(cog, position, signal);
+    const value = pixel?.[band];
+    if (value === undefined || Number.isNaN(value)) {
+      return NaN;
+    }
+    const { scale, offset } = getBandScaling(item, ref);
+    return value * scale + offset;
+  }));
+
+  const value = values.length === 2 ? (values[0] - values[1]) / (values[0] + values[1]) : values[0];
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Value of a measure at a point for each item covering it, oldest first
+ * Items are read one after the other so progress can be reported; a
+ * cancelled read returns the values read so far.
+ * @param {Array} items - STAC Items (search results)
+ * @param {Array<number>} position - [lng, lat]
+ * @param {Object} measure - See getSeriesMeasures
+ * @param {Object} options - { signal, onProgress(done, total) }
+ * @returns {Promise<Array>} [{ item, date, value }] (value is null when it couldn't be read)
+ */
+export const readPointSeries = async (items, position, measure, { signal, onProgress } = {}) => {
+  const candidates = items
+    .map((item) => ({ item, date: getItemDate(item) }))
+    .filter(({ item, date }) => date && itemCoversPoint(item, position))
+    .map((candidate) => ({ ...candidate, refs: resolveMeasure(candidate.item, measure) }))
+    .filter(({ refs }) => refs)
+    .sort((a, b) => a.date - b.date);
+
+  const series = [];
+  onProgress?.(0, candidates.length);
+  for (const { item, date, refs } of candidates) {
+    if (signal?.aborted) break;
+    let value = null;
+    try {
+      value = await readMeasureValue(item, refs, position, signal);
+    } catch (err) {
+      if (err.name === 'AbortError') break;
+      console.warn(`Failed to read ${item.id}:`, err);
+    }
+    series.push({ item, date, value });
+    onProgress?.(series.length, candidates.length);
+  }
+  return series;
+};
@@ -0,0 +1,176 @@
+import { openCogAsset, readPointValues } from './cog';
+import {
+  getBandStatistics,
+  getSeriesMeasures,
+  itemCoversPoint,
+  readPointSeries,
+} from './inspect';
+import { getItemBands } from './spectral';
+
+// Files aren't opened: each asset reads the raw values listed in pixelValues
+jest.mock('./cog', () => ({
+  openCogAsset: jest.fn(),
+  readPointValues: jest.fn(),
+}));
+
+const square = (west, south, size) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [west, south],
+    [west + size, south],
+    [west + size, south + size],
+    [west, south + size],
+    [west, south],
+  ]],
+});
+
+const tiff = (commonName, extra = {}) => ({
+  href: 'https://data.example.org/band.tif',
+  type: 'image/tiff; application=geotiff; profile=cloud-optimized',
+  'eo:bands': commonName ? [{ common_name: commonName }] : [],
+  ...extra,
+});
+
+describe('getBandStatistics', () => {
+  test('returns null without values', () => {
+    expect(getBandStatistics([])).toBeNull();
+  });
+
+  test('computes count, range, mean and histogram', () => {
+    expect(getBandStatistics([1, 2, 3, 4], 4)).toEqual({
+      count: 4,
+      min: 1,
+      max: 4,
+      mean: 2.5,
+      histogram: [1, 1, 1, 1],
+    });
+  });
+
+  test('puts a single repeated value in the first bin', () => {
+    expect(getBandStatistics([7, 7, 7], 4)).toEqual({
+      count: 3,
+      min: 7,
+      max: 7,
+      mean: 7,
+      histogram: [3, 0, 0, 0],
+    });
+  });
+});
+
+describe('itemCoversPoint', () => {
+  test('tests the footprint polygon', () => {
+    const item = { geometry: square(0, 0, 1), bbox: [0, 0, 10, 10] };
+    expect(itemCoversPoint(item, [0.5, 0.5])).toBe(true);
+    expect(itemCoversPoint(item, [5, 5])).toBe(false);
+    expect(itemCoversPoint({
+      geometry: { type: 'MultiPolygon', coordinates: [square(0, 0, 1).coordinates, square(5, 5, 1).coordinates] },
+    }, [5.5, 5.5])).toBe(true);
+  });
+
+  test('falls back to the bbox', () => {
+    expect(itemCoversPoint({ geometry: null, bbox: [0, 0, 10, 10] }, [10, 5])).toBe(true);
+    expect(itemCoversPoint({ geometry: { type: 'Point', coordinates: [1, 1] }, bbox: [0, 0, 2, 2] }, [3, 1])).toBe(false);
+    expect(itemCoversPoint({ geometry: null }, [0, 0])).toBe(false);
+  });
+});
+
+describe('getSeriesMeasures', () => {
+  test('lists the computable indices, then each band', () => {
+    const item = { assets: { red: tiff('red'), nir: tiff('nir'), dem: tiff(null) } };
+    const measures = getSeriesMeasures(getItemBands(item, { red: 1, nir: 1, dem: 1 }));
+
+    expect(measures.map(({ key }) => key)).toEqual(['index:ndvi', 'red:0', 'nir:0', 'dem:0']);
+    expect(measures[2]).toEqual({ key: 'nir:0', label: 'nir', ref: 'nir:0', commonName: 'nir' });
+  });
+});
+
+describe('readPointSeries', () => {
+  const position = [0.5, 0.5];
+  const scaled = { 'raster:bands': [{ scale: 0.5, offset: 0 }] };
+
+  // Sentinel-2 style, scaled reflectances
+  const sentinel = {
+    id: 'sentinel',
+    geometry: square(0, 0, 1),
+    properties: { datetime: '2024-03-01T00:00:00Z' },
+    assets: { B04: tiff('red', scaled), B08: tiff('nir', scaled), visual: tiff(null) },
+  };
+  // Landsat style, with the "nir08" common name, two months older
+  const landsat = {
+    id: 'landsat',
+    geometry: square(0, 0, 1),
+    properties: { datetime: '2024-01-01T00:00:00Z' },
+    assets: { red: tiff('red'), nir08: tiff('nir08') },
+  };
+  const elsewhere = { ...landsat, id: 'elsewhere', geometry: square(5, 5, 1) };
+  const undated = { ...landsat, id: 'undated', properties: {} };
+  const noNir = { ...landsat, id: 'no-nir', assets: { red: tiff('red') } };
+
+  const pixelValues = {
+    'sentinel/B04': [1000],
+    'sentinel/B08': [3000],
+    'sentinel/visual': [42],
+    'landsat/red': [1000],
+    'landsat/nir08': [4000],
+    'no-nir/red': [1500],
+  };
+
+  beforeEach(() => {
+    openCogAsset.mockImplementation(async (item, assetKey) => ({ href: `${item.id}/${assetKey}` }));
+    readPointValues.mockImplementation(async (cog) => pixelValues[cog.href] || null);
+  });
+
+  test('computes an index for the dated items covering the point, oldest first', async () => {
+    const onProgress = jest.fn();
+    const series = await readPointSeries(
+      [sentinel, elsewhere, undated, noNir, landsat],
+      position,
+      { key: 'index:ndvi', index: 'ndvi' },
+      { onProgress }
+    );
+
+    expect(series.map(({ item, value }) => [item.id, value])).toEqual([['landsat', 0.6], ['sentinel', 0.5]]);
+    expect(series[0].date).toEqual(new Date('2024-01-01T00:00:00Z'));
+    expect(readPointValues).toHaveBeenCalledWith({ href: 'sentinel/B08' }, position, undefined);
+    expect(onProgress.mock.calls).toEqual([[0, 2], [1, 2], [2, 2]]);
+  });
+
+  test('matches bands by common name alias, scaled with raster:bands', async () => {
+    const series = await readPointSeries(
+      [sentinel, landsat],
+      position,
+      { key: 'B08:0', ref: 'B08:0', commonName: 'nir' }
+    );
+
+    expect(series.map(({ item, value }) => [item.id, value])).toEqual([['landsat', 4000], ['sentinel', 1500]]);
+  });
+
+  test('matches bands without common name by asset key and position', async () => {
+    const series = await readPointSeries([sentinel, landsat], position, { key: 'visual:0', ref: 'visual:0', commonName: null });
+
+    expect(series.map(({ item, value }) => [item.id, value])).toEqual([['sentinel', 42]]);
+  });
+
+  test('keeps items that can\'t be read without a value', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    readPointValues.mockImplementation(async (cog) => {
+      if (cog.href.startsWith('landsat/')) throw new Error('Range request failed');
+      return pixelValues[cog.href];
+    });
+
+    const series = await readPointSeries([sentinel, landsat], position, { key: 'index:ndvi', index: 'ndvi' });
+
+    expect(series.map(({ item, value }) => [item.id, value])).toEqual([['landsat', null], ['sentinel', 0.5]]);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    console.warn.mockRestore();
+  });
+
+  test('stops when the read is cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(readPointSeries([sentinel], position, { key: 'index:ndvi', index: 'ndvi' }, { signal: controller.signal }))
+      .resolves.toEqual([]);
+    expect(readPointValues).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Mosaic helpers
+ * Orders search results with tiles for a best-pixel mosaic and works out
+ * which part of the mosaic each scene contributes: its footprint minus the
+ * footprints of the scenes ranked above it.
+ */
+import difference from '@turf/difference';
+import union from '@turf/union';
+import { feature, featureCollection } from '@turf/helpers';
+import { getTileAssetKeys } from './tileUrl';
+
+export const MOSAIC_ORDERS = [
+  { key: 'newest', label: 'Newest first' },
+  { key: 'least-cloudy', label: 'Least cloudy first' },
+];
+
+// Scenes composited at most (the top-ranked ones)
+export const MAX_MOSAIC_SCENES = 100;
+
+// Footprint legend colors, cycled through by rank
+const SCENE_COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4',
+  '#42d4f4', '#f032e6', '#bfef45', '#469990', '#9a6324',
+];
+
+const getTime = (item) => {
+  const value = item.properties?.datetime || item.properties?.start_datetime;
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? -Infinity : time;
+};
+
+const getCloudCover = (item) => {
+  const value = item.properties?.['eo:cloud_cover'];
+  return typeof value === 'number' ? value : Infinity;
+};
+
+/**
+ * Scenes of a mosaic, top-ranked first
+ * Only items with XYZ tiles and a footprint take part. "least-cloudy" ranks
+ * by eo:cloud_cover (unknown last), then by date.
+ * @param {Array} items - STAC Items
+ * @param {string} order - MOSAIC_ORDERS key
+ * @returns {Array} STAC Items
+ */
+export const getMosaicItems = (items, order = 'newest') => {
+  const candidates = items.filter((item) => item.geometry && getTileAssetKeys(item).length > 0);
+  const byDate = (a, b) => getTime(b) - getTime(a);
+  const compare = order === 'least-cloudy'
+    ? (a, b) => (getCloudCover(a) - getCloudCover(b)) || byDate(a, b)
+    : byDate;
+  return [...candidates].sort((a, b) => compare(a, b) || 0).slice(0, MAX_MOSAIC_SCENES);
+};
+
+/**
+ * Legend color of the scene at a rank
+ * @param {number} rank - Position in the mosaic order
+ * @returns {string} CSS color
+ */
+export const getSceneColor = (rank) => SCENE_COLORS[rank % SCENE_COLORS.length];
+
+/**
+ * Part of the mosaic each scene contributes
+ * @param {Array} items - Mosaic scenes, top-ranked first (see getMosaicItems)
+ * @returns {Array} [{ item, color, geometry }] geometry is null when higher-ranked scenes cover the whole footprint
+ */
+export const getMosaicCoverage = (items) => {
+  let covered = null;
+  return items.map((item, rank) => {
+    const footprint = feature(item.geometry);
+    let visible = footprint;
+    try {
+      if (covered) {
+        visible = difference(featureCollection([footprint, covered]));
+        covered = union(featureCollection([covered, footprint])) || covered;
+      } else {
+        covered = footprint;
+      }
+    } catch (error) {
+      // Invalid footprints (self-intersections, antimeridian) are shown whole
+      console.warn(`Failed to clip the footprint of ${item.id}:`, error);
+    }
+    return { item, color: getSceneColor(rank), geometry: visible ? visible.geometry : null };
+  });
+};
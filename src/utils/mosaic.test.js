@@ -0,0 +1,60 @@
+import { getItemBounds } from './footprints';
+import { MAX_MOSAIC_SCENES, getMosaicCoverage, getMosaicItems } from './mosaic';
+
+const square = (west, south, size) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [west, south],
+    [west + size, south],
+    [west + size, south + size],
+    [west, south + size],
+    [west, south],
+  ]],
+});
+
+const scene = (id, datetime, cloudCover, geometry = square(0, 0, 1)) => ({
+  id,
+  geometry,
+  properties: { datetime, 'eo:cloud_cover': cloudCover },
+  assets: { visual: { href: `https://tiles.example.org/${id}/{z}/{x}/{y}.png`, roles: ['tiles'] } },
+});
+
+describe('getMosaicItems', () => {
+  const items = [
+    scene('old-clear', '2024-01-01T00:00:00Z', 2),
+    scene('new-cloudy', '2024-03-01T00:00:00Z', 40),
+    scene('mid-unknown', '2024-02-01T00:00:00Z', undefined),
+    { ...scene('no-tiles', '2024-04-01T00:00:00Z', 0), assets: {} },
+    { ...scene('no-footprint', '2024-04-01T00:00:00Z', 0), geometry: null },
+  ];
+
+  test('ranks scenes with tiles and a footprint newest first', () => {
+    expect(getMosaicItems(items).map(({ id }) => id)).toEqual(['new-cloudy', 'mid-unknown', 'old-clear']);
+  });
+
+  test('ranks by cloud cover with unknown values last', () => {
+    expect(getMosaicItems(items, 'least-cloudy').map(({ id }) => id)).toEqual(['old-clear', 'new-cloudy', 'mid-unknown']);
+  });
+
+  test('composites at most MAX_MOSAIC_SCENES scenes', () => {
+    const many = Array.from({ length: MAX_MOSAIC_SCENES + 5 }, (_, index) => scene(`s${index}`, null, index));
+    expect(getMosaicItems(many, 'least-cloudy')).toHaveLength(MAX_MOSAIC_SCENES);
+  });
+});
+
+describe('getMosaicCoverage', () => {
+  test('clips each footprint by the scenes ranked above it', () => {
+    const top = scene('top', null, 0, square(0, 0, 1));
+    const overlapping = scene('overlapping', null, 0, square(0.5, 0, 1));
+    const hidden = scene('hidden', null, 0, square(0.25, 0.25, 0.5));
+
+    const coverage = getMosaicCoverage([top, overlapping, hidden]);
+
+    expect(coverage.map(({ item }) => item.id)).toEqual(['top', 'overlapping', 'hidden']);
+    expect(coverage[0].geometry).toBe(top.geometry);
+    expect(coverage[1].color).not.toBe(coverage[0].color);
+    // The east half of the second footprint is left over
+    expect(getItemBounds({ geometry: coverage[1].geometry })).toEqual([1, 0, 1.5, 1]);
+    expect(coverage[2].geometry).toBeNull();
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Mosaic tile layer
+ * One virtual tile layer composited in the browser from the tiles of several
+ * scenes: for every map tile the tiles of the scenes that overlap it are drawn
+ * on a canvas, each clipped to its footprint, with higher-ranked scenes on top
+ * and lower-ranked ones filling what they leave empty (best pixel).
+ */
+import L from 'leaflet';
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import { notifyAuthRequired, resolveAuthRequest } from './auth';
+import { getItemBounds } from './footprints';
+import { fillTileUrl, formatXYZUrl, getTileZoomRange, isTileAsset, isTmsTileUrl } from './tileUrl';
+
+// Scenes drawn at most into one map tile
+const MAX_TILE_SCENES = 8;
+
+// Outer and inner rings of a (Multi)Polygon footprint
+const getRings = (geometry) => {
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return [];
+};
+
+const toScene = (item) => {
+  const asset = Object.values(item.assets || {}).find(isTileAsset);
+  const template = formatXYZUrl(asset.href);
+  return {
+    item,
+    template,
+    tms: isTmsTileUrl(template),
+    bounds: getItemBounds(item),
+    rings: getRings(item.geometry),
+    ...getTileZoomRange(asset),
+  };
+};
+
+const intersects = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+// Load one tile image of a scene; resolves with null when there is none
+const loadSceneTile = async (scene, coords, signal, objectUrls) => {
+  const auth = await resolveAuthRequest(scene.template);
+  const url = fillTileUrl(auth ? auth.url : scene.template, coords, scene.tms);
+  let src = url;
+  if (auth && Object.keys(auth.headers).length > 0) {
+    const response = await fetch(url, { headers: auth.headers, signal });
+    if (response.status === 401) {
+      notifyAuthRequired(auth.endpointUrl);
+    }
+    if (!response.ok) {
+      return null;
+    }
+    src = URL.createObjectURL(await response.blob());
+    objectUrls.push(src);
+  }
+  return new Promise((resolve) => {
+    // No CORS needed: the canvas is only displayed, never read
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    signal.addEventListener('abort', () => {
+      image.src = '';
+      resolve(null);
+    });
+    image.src = src;
+  });
+};
+
+const MosaicLayer = L.GridLayer.extend({
+  initialize(items, options) {
+    L.GridLayer.prototype.initialize.call(this, options);
+    this._scenes = items.map(toScene).filter((scene) => scene.bounds && scene.rings.length > 0);
+    // Stop loading tiles that scrolled out of view and free their images
+    this.on('tileunload', ({ tile }) => {
+      if (tile.abortController) tile.abortController.abort();
+      (tile.objectUrls || []).forEach((url) => URL.revokeObjectURL(url));
+    });
+  },
+
+  createTile(coords, done) {
+    const tileSize = this.getTileSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = tileSize.x;
+    canvas.height = tileSize.y;
+    canvas.abortController = new AbortController();
+    canvas.objectUrls = [];
+
+    this._drawTile(canvas, coords)
+      .then(() => done(null, canvas))
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          console.warn('Mosaic tile failed:', err);
+          done(err, canvas);
+        }
+      });
+    return canvas;
+  },
+
+  // Top-ranked scenes overlapping a tile, up to the first one covering it completely
+  _getTileScenes(coords) {
+    const tileSize = this.getTileSize();
+    const nwPoint = coords.scaleBy(tileSize);
+    const nw = this._map.unproject(nwPoint, coords.z);
+    const se = this._map.unproject(nwPoint.add(tileSize), coords.z);
+    const tileBounds = [nw.lng, se.lat, se.lng, nw.lat];
+    const corners = [[nw.lng, nw.lat], [se.lng, nw.lat], [se.lng, se.lat], [nw.lng, se.lat]];
+
+    const scenes = [];
+    for (const scene of this._scenes) {
+      if (coords.z < scene.minZoom || coords.z > scene.maxZoom || !intersects(scene.bounds, tileBounds)) {
+        continue;
+      }
+      scenes.push(scene);
+      const covers = corners.every((corner) => booleanPointInPolygon(corner, scene.item.geometry));
+      if (covers || scenes.length === MAX_TILE_SCENES) {
+        break;
+      }
+    }
+    return { scenes, nwPoint };
+  },
+
+  async _drawTile(canvas, coords) {
+    const { scenes, nwPoint } = this._getTileScenes(coords);
+    const { signal } = canvas.abortController;
+    const images = await Promise.all(scenes.map((scene) => (
+      loadSceneTile(scene, coords, signal, canvas.objectUrls).catch((err) => {
+        if (err.name === 'AbortError') throw err;
+        return null;
+      })
+    )));
+
+    const context = canvas.getContext('2d');
+    // Each scene only fills pixels not drawn by the scenes ranked above it
+    context.globalCompositeOperation = 'destination-over';
+    scenes.forEach((scene, index) => {
+      const image = images[index];
+      if (!image) return;
+      context.save();
+      context.beginPath();
+      scene.rings.forEach((ring) => {
+        ring.forEach(([lng, lat], i) => {
+          const point = this._map.project([lat, lng], coords.z).subtract(nwPoint);
+          if (i === 0) {
+            context.moveTo(point.x, point.y);
+          } else {
+            context.lineTo(point.x, point.y);
+          }
+        });
+        context.closePath();
+      });
+      context.clip('evenodd');
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      context.restore();
+    });
+  },
+});
+
+/**
+ * Create the mosaic layer of scenes with XYZ tiles
+ * @param {Array} items - STAC Items, top-ranked first (see utils/mosaic.js)
+ * @param {Object} options - L.GridLayer options
+ * @returns {L.GridLayer}
+ */
+export const createMosaicLayer = (items, options = {}) => new MosaicLayer(items, options);
@@ -0,0 +1,250 @@
+/**
+ * Offline map areas
+ * Downloads the map tiles of an item for an area and a zoom range into Cache
+ * Storage, which the service worker (src/service-worker.js) serves tile
+ * requests from. Downloaded areas are listed in IndexedDB so their size can
+ * be reported and they can be deleted.
+ */
+import { deleteRecord, getAllRecords, putRecord } from './db';
+import { createId } from './id';
+import { resolveAuthRequest } from './auth';
+import { fillTileUrl, formatXYZUrl, isTileAsset, isTmsTileUrl } from './tileUrl';
+
+// Cache Storage name of downloaded tiles (the service worker reads it too)
+export const OFFLINE_TILE_CACHE = 'spectra-offline-tiles';
+
+// Largest number of tiles of one download
+export const MAX_AREA_TILES = 5000;
+
+const STORE = 'offlineAreas';
+const CONCURRENCY = 4;
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Whether the browser can store tiles for offline use
+ * @returns {boolean}
+ */
+export const isOfflineSupported = () => typeof caches !== 'undefined' && typeof indexedDB !== 'undefined';
+
+const toTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+
+const toTileY = (lat, zoom) => {
+  const rad = (Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+// Tile column/row ranges covering a bbox at each zoom level
+const getTileRanges = ([west, south, east, north], minZoom, maxZoom) => {
+  const ranges = [];
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    const clamp = (value) => Math.max(0, Math.min(2 ** z - 1, value));
+    ranges.push({
+      z,
+      minX: clamp(toTileX(west, z)),
+      maxX: clamp(toTileX(east, z)),
+      minY: clamp(toTileY(north, z)),
+      maxY: clamp(toTileY(south, z)),
+    });
+  }
+  return ranges;
+};
+
+/**
+ * Number of tiles covering a bbox over a zoom range
+ * @param {Array} bbox - [west, south, east, north]
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {number}
+ */
+export const countAreaTiles = (bbox, minZoom, maxZoom) => getTileRanges(bbox, minZoom, maxZoom)
+  .reduce((sum, { minX, maxX, minY, maxY }) => sum + (maxX - minX + 1) * (maxY - minY + 1), 0);
+
+/**
+ * Tiles covering a bbox over a zoom range
+ * @param {Array} bbox - [west, south, east, north]
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {Array} [{ x, y, z }] (XYZ scheme)
+ */
+export const getAreaTiles = (bbox, minZoom, maxZoom) => getTileRanges(bbox, minZoom, maxZoom)
+  .flatMap(({ z, minX, maxX, minY, maxY }) => {
+    const tiles = [];
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let y = minY; y <= maxY; y += 1) {
+        tiles.push({ x, y, z });
+      }
+    }
+    return tiles;
+  });
+
+/**
+ * Downloaded areas, newest first
+ * @returns {Promise<Array>} [{ id, title, itemId, collection, bbox, minZoom, maxZoom, urls, bytes, missing, failed, complete, createdAt }]
+ */
+export const listOfflineAreas = async () => (await getAllRecords(STORE))
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * Delete a downloaded area and its tiles (unless another area uses them)
+ * @param {Object} area - Area record
+ * @returns {Promise<void>}
+ */
+export const deleteOfflineArea = async (area) => {
+  const otherUrls = new Set((await listOfflineAreas())
+    .filter((other) => other.id !== area.id)
+    .flatMap((other) => other.urls));
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  await Promise.all(area.urls.filter((url) => !otherUrls.has(url)).map((url) => cache.delete(url)));
+  await deleteRecord(STORE, area.id);
+};
+
+// Make room by deleting the oldest other area; false when there is none
+const evictOldestArea = async (keepId) => {
+  const oldest = (await listOfflineAreas()).filter((area) => area.id !== keepId).pop();
+  if (!oldest) {
+    return false;
+  }
+  console.warn(`Storage full, deleting the offline area "${oldest.title}"`);
+  await deleteOfflineArea(oldest);
+  return true;
+};
+
+const isQuotaError = (error) => error?.name === 'QuotaExceededError';
+
+/**
+ * Download the tiles of an item for an area into the offline cache
+ * Tiles the server doesn't have (outside the image) are skipped. When the
+ * storage is full the oldest other areas are deleted. A cancelled download
+ * keeps the tiles fetched so far.
+ * @param {Object} options
+ * @param {Object} options.item - STAC Item with a tile asset
+ * @param {Array} options.bbox - Area [west, south, east, north]
+ * @param {number} options.minZoom - Lowest zoom level
+ * @param {number} options.maxZoom - Highest zoom level
+ * @param {AbortSignal} options.signal - Cancels the download (optional)
+ * @param {Function} options.onProgress - Called with (done, total) (optional)
+ * @returns {Promise<Object>} Area record
+ */
+export const downloadOfflineArea = async ({ item, bbox, minZoom, maxZoom, signal, onProgress }) => {
+  const tilesAsset = Object.values(item.assets || {}).find(isTileAsset);
+  if (!tilesAsset?.href) {
+    throw new Error('The item has no map tiles');
+  }
+  const tiles = getAreaTiles(bbox, minZoom, maxZoom);
+  if (tiles.length > MAX_AREA_TILES) {
+    throw new Error(`The area needs ${tiles.length} tiles; at most ${MAX_AREA_TILES} can be downloaded at once`);
+  }
+
+  // Ask the browser not to clear the cache when space runs low
+  if (navigator.storage?.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+
+  const template = formatXYZUrl(tilesAsset.href);
+  const tms = isTmsTileUrl(template);
+  // Tiles are stored under their unsigned URL: signed URLs expire and query
+  // parameter credentials must not be persisted
+  const auth = await resolveAuthRequest(template);
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  const area = {
+    id: createId(),
+    title: item.id,
+    itemId: item.id,
+    collection: item.collection || null,
+    bbox,
+    minZoom,
+    maxZoom,
+    urls: [],
+    bytes: 0,
+    missing: 0,
+    failed: 0,
+    complete: false,
+    createdAt: new Date().toISOString(),
+  };
+
+  const storeTile = async (url, blob, headers) => {
+    try {
+      await cache.put(url, new Response(blob, { headers }));
+    } catch (error) {
+      if (!isQuotaError(error) || !(await evictOldestArea(area.id))) {
+        throw error;
+      }
+      await cache.put(url, new Response(blob, { headers }));
+    }
+  };
+
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < tiles.length && !signal?.aborted) {
+      const url = fillTileUrl(template, tiles[next], tms);
+      const requestUrl = auth ? fillTileUrl(auth.url, tiles[next], tms) : url;
+      next += 1;
+      try {
+        const response = await fetch(requestUrl, { headers: auth?.headers || {}, signal });
+        if (response.ok) {
+          const blob = await response.blob();
+          await storeTile(url, blob, { 'Content-Type': response.headers.get('Content-Type') || blob.type });
+          area.urls.push(url);
+          area.bytes += blob.size;
+        } else {
+          area.missing += 1;
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          break;
+        }
+        if (isQuotaError(error)) {
+          throw new Error('Not enough storage space for the area; delete downloaded areas and try again');
+        }
+        area.failed += 1;
+      }
+      done += 1;
+      if (onProgress) {
+        onProgress(done, tiles.length);
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    area.complete = !signal?.aborted;
+  } finally {
+    // Keep track of what was stored, also of an interrupted download
+    if (area.urls.length > 0) {
+      await putRecord(STORE, area);
+    }
+  }
+
+  if (area.urls.length === 0 && area.failed > 0) {
+    throw new Error('No tiles could be downloaded; the tile server may be unreachable or not allow downloads (CORS)');
+  }
+  return area;
+};
+
+/**
+ * Look up a downloaded tile (for tile requests the service worker doesn't see
+ * or can't match because they are signed or carry credentials)
+ * @param {string} url - Unsigned tile URL
+ * @returns {Promise<Response|undefined>}
+ */
+export const matchOfflineTile = async (url) => {
+  if (!isOfflineSupported()) {
+    return undefined;
+  }
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  return cache.match(url);
+};
+
+/**
+ * Storage used by the app and available to it
+ * @returns {Promise<Object|null>} { usage, quota, persisted } in bytes, null when the browser doesn't tell
+ */
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) {
+    return null;
+  }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  return { usage, quota, persisted };
+};
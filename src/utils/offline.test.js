@@ -0,0 +1,37 @@
+import { countAreaTiles, getAreaTiles } from './offline';
+
+// Around Jakarta
+const JAKARTA = [106.7, -6.3, 106.9, -6.1];
+
+describe('getAreaTiles', () => {
+  test('lists the XYZ tiles covering a bbox at each zoom level', () => {
+    expect(getAreaTiles(JAKARTA, 10, 11)).toEqual([
+      { x: 815, y: 529, z: 10 },
+      { x: 816, y: 529, z: 10 },
+      { x: 1631, y: 1058, z: 11 },
+      { x: 1631, y: 1059, z: 11 },
+      { x: 1632, y: 1058, z: 11 },
+      { x: 1632, y: 1059, z: 11 },
+    ]);
+  });
+
+  test('keeps tiles within the world at its edges', () => {
+    expect(getAreaTiles([-180, -90, 180, 90], 1, 1)).toEqual([
+      { x: 0, y: 0, z: 1 },
+      { x: 0, y: 1, z: 1 },
+      { x: 1, y: 0, z: 1 },
+      { x: 1, y: 1, z: 1 },
+    ]);
+  });
+});
+
+describe('countAreaTiles', () => {
+  test('counts the tiles of all zoom levels', () => {
+    expect(countAreaTiles([-180, -85, 180, 85], 0, 3)).toBe(1 + 4 + 16 + 64);
+    expect(countAreaTiles(JAKARTA, 10, 11)).toBe(6);
+  });
+
+  test('matches the listed tiles', () => {
+    expect(countAreaTiles(JAKARTA, 8, 14)).toBe(getAreaTiles(JAKARTA, 8, 14).length);
+  });
+});
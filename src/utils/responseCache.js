@@ -0,0 +1,111 @@
+/**
+ * STAC response cache
+ * Collections and first pages of searches are kept in IndexedDB and served
+ * stale-while-revalidate: a cached response is returned at once while the
+ * request runs in the background and replaces it when it arrives. On a poor
+ * or missing connection the cached response is all there is.
+ */
+import axios from 'axios';
+import { clearRecords, countRecords, deleteRecord, getAllRecords, getRecord, putRecord } from './db';
+
+const STORE = 'responses';
+
+// Oldest responses are evicted beyond this number (down to EVICT_TO)
+export const MAX_CACHED_RESPONSES = 60;
+const EVICT_TO = 45;
+
+/**
+ * Cache key of a request
+ * @param {string} kind - "collections" or "search"
+ * @param {string} apiUrl - STAC API root URL
+ * @param {*} request - What identifies the request (e.g. the search body)
+ * @returns {string}
+ */
+export const getCacheKey = (kind, apiUrl, request = null) => `${kind}:${apiUrl}:${JSON.stringify(request)}`;
+
+const evictOldest = async () => {
+  if (await countRecords(STORE) <= MAX_CACHED_RESPONSES) {
+    return;
+  }
+  const records = (await getAllRecords(STORE)).sort((a, b) => b.storedAt - a.storedAt);
+  await Promise.all(records.slice(EVICT_TO).map((record) => deleteRecord(STORE, record.key)));
+};
+
+const writeCache = async (key, kind, data) => {
+  try {
+    await putRecord(STORE, { key, kind, data, storedAt: Date.now() });
+    await evictOldest();
+  } catch (error) {
+    console.warn('Failed to cache STAC response:', error);
+  }
+};
+
+/**
+ * Serve a cached response at once and refresh it in the background
+ * Without a cached response this is a plain request whose result is cached.
+ * @param {string} key - Cache key (see getCacheKey)
+ * @param {string} kind - "collections" or "search"
+ * @param {Function} request - Sends the request, resolves with the response data
+ * @param {Function} onUpdate - Called with the fresh data after a cached response was served (optional)
+ * @returns {Promise<Object>} { data, cachedAt } cachedAt is the storage time of a cached response, null for a fresh one
+ */
+export const staleWhileRevalidate = async (key, kind, request, onUpdate) => {
+  const cached = await getRecord(STORE, key).catch(() => undefined);
+  if (!cached) {
+    const data = await request();
+    writeCache(key, kind, data);
+    return { data, cachedAt: null };
+  }
+
+  request()
+    .then((data) => {
+      writeCache(key, kind, data);
+      if (onUpdate) {
+        onUpdate(data);
+      }
+    })
+    .catch((error) => {
+      if (!axios.isCancel(error)) {
+        console.warn('Refreshing a cached STAC response failed:', error);
+      }
+    });
+  return { data: cached.data, cachedAt: cached.storedAt };
+};
+
+/**
+ * Number of cached responses
+ * @returns {Promise<number>}
+ */
+export const countCachedResponses = () => countRecords(STORE).catch(() => 0);
+
+// Whether a cache key ("kind:apiUrl:request", see getCacheKey) belongs to a STAC API.
+// The rest of the key must be the JSON request: for "https://host" it is "8443:..."
+// in a key of "https://host:8443".
+const isCacheKeyOf = (key, apiUrl) => {
+  const prefix = `${key.slice(0, key.indexOf(':'))}:${apiUrl}:`;
+  if (!key.startsWith(prefix)) {
+    return false;
+  }
+  try {
+    JSON.parse(key.slice(prefix.length));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Delete the cached responses of a STAC API
+ * @param {string} apiUrl - STAC API root URL
+ * @returns {Promise<void>}
+ */
+export const deleteCachedResponses = async (apiUrl) => {
+  const records = (await getAllRecords(STORE)).filter((record) => isCacheKeyOf(record.key, apiUrl));
+  await Promise.all(records.map((record) => deleteRecord(STORE, record.key)));
+};
+
+/**
+ * Delete all cached responses
+ * @returns {Promise<void>}
+ */
+export const clearResponseCache = () => clearRecords(STORE);
@@ -0,0 +1,41 @@
+import { deleteRecord, getAllRecords } from './db';
+import { deleteCachedResponses, getCacheKey } from './responseCache';
+
+jest.mock('./db', () => ({
+  clearRecords: jest.fn(),
+  countRecords: jest.fn(),
+  deleteRecord: jest.fn(),
+  getAllRecords: jest.fn(),
+  getRecord: jest.fn(),
+  putRecord: jest.fn(),
+}));
+
+describe('deleteCachedResponses', () => {
+  const keys = [
+    getCacheKey('collections', 'https://stac.example.org/api'),
+    getCacheKey('search', 'https://stac.example.org/api', { collections: ['a:b'], limit: 10 }),
+    getCacheKey('collections', 'https://stac.example.org/api/v2'),
+    getCacheKey('search', 'https://stac.example.org/api2', { limit: 10 }),
+    getCacheKey('collections', 'https://stac.example.org'),
+    getCacheKey('search', 'https://stac.example.org:8443', { limit: 10 }),
+  ];
+
+  beforeEach(() => {
+    getAllRecords.mockResolvedValue(keys.map((key) => ({ key, kind: key.split(':')[0], data: {}, storedAt: 0 })));
+    deleteRecord.mockResolvedValue();
+  });
+
+  const deletedKeys = () => deleteRecord.mock.calls.map(([store, key]) => [store, key]);
+
+  test('deletes the responses of one API', async () => {
+    await deleteCachedResponses('https://stac.example.org/api');
+
+    expect(deletedKeys()).toEqual([['responses', keys[0]], ['responses', keys[1]]]);
+  });
+
+  test('keeps the responses of APIs whose URL starts with the same text', async () => {
+    await deleteCachedResponses('https://stac.example.org');
+
+    expect(deletedKeys()).toEqual([['responses', keys[4]]]);
+  });
+});
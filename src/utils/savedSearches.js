@@ -0,0 +1,173 @@
+/**
+ * Saved searches
+ * Named combinations of collections, dates, AOI, property filters and sort
+ * stored in IndexedDB. Dates are either fixed or a window relative to the day
+ * the search is run ("last 30 days"). Searches can be exported to and
+ * imported from a JSON file to share them.
+ */
+import { deleteRecord, getAllRecords, putRecord } from './db';
+import { createId } from './id';
+import { toDateInputValue } from './timeline';
+
+const STORE_NAME = 'savedSearches';
+
+// "type" of exported files, checked on import
+const EXPORT_TYPE = 'spectra-saved-searches';
+const EXPORT_VERSION = 1;
+
+export const RELATIVE_DATE_WINDOWS = [7, 30, 90, 365];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Keep only the known fields of a saved search, with valid values
+ * @param {Object} search - Saved search or imported entry
+ * @returns {Object|null} Normalized search, or null when it has no name
+ */
+const normalizeSavedSearch = (search) => {
+  if (!search || typeof search.name !== 'string' || !search.name.trim()) {
+    return null;
+  }
+  const relativeDays = Number(search.relativeDays);
+  const geometry = search.geometry?.type === 'Feature' ? search.geometry.geometry : search.geometry;
+  return {
+    id: typeof search.id === 'string' ? search.id : createId(),
+    name: search.name.trim(),
+    collections: Array.isArray(search.collections)
+      ? search.collections.filter((collection) => typeof collection === 'string')
+      : [],
+    relativeDays: Number.isInteger(relativeDays) && relativeDays > 0 ? relativeDays : null,
+    startDate: DATE_PATTERN.test(search.startDate || '') ? search.startDate : null,
+    endDate: DATE_PATTERN.test(search.endDate || '') ? search.endDate : null,
+    geometry: geometry && geometry.type && Array.isArray(geometry.coordinates)
+      ? { type: geometry.type, coordinates: geometry.coordinates }
+      : null,
+    filters: Array.isArray(search.filters)
+      ? search.filters.filter((condition) => condition && condition.property && condition.operator)
+      : [],
+    sortBy: search.sortBy && search.sortBy.field
+      ? { field: search.sortBy.field, direction: search.sortBy.direction === 'desc' ? 'desc' : 'asc' }
+      : null,
+    updatedAt: search.updatedAt || new Date().toISOString(),
+  };
+};
+
+/**
+ * Saved searches, sorted by name
+ * @returns {Promise<Array>}
+ */
+export const loadSavedSearches = async () => {
+  const records = await getAllRecords(STORE_NAME);
+  return records
+    .map(normalizeSavedSearch)
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Store a search under a name, replacing a saved search with the same name
+ * @param {Object} search - { name, collections, startDate, endDate, relativeDays, geometry, filters, sortBy }
+ * @param {Array} existing - Currently saved searches
+ * @returns {Promise<Object>} The stored search
+ */
+export const saveSearch = async (search, existing = []) => {
+  const sameName = existing.find((saved) => saved.name === search.name.trim());
+  const record = normalizeSavedSearch({
+    ...search,
+    id: sameName ? sameName.id : createId(),
+    updatedAt: new Date().toISOString(),
+  });
+  if (!record) {
+    throw new Error('A saved search needs a name');
+  }
+  await putRecord(STORE_NAME, record);
+  return record;
+};
+
+/**
+ * Delete a saved search
+ * @param {string} id - Saved search ID
+ * @returns {Promise<void>}
+ */
+export const deleteSavedSearch = (id) => deleteRecord(STORE_NAME, id);
+
+/**
+ * Search parameters of a saved search, with relative date windows ending today
+ * @param {Object} search - Saved search
+ * @param {Date} today - Reference day
+ * @returns {Object} { collections, startDate, endDate, geometry, filters, sortBy }
+ */
+export const resolveSavedSearch = (search, today = new Date()) => {
+  let { startDate, endDate } = search;
+  if (search.relativeDays) {
+    const start = new Date(today);
+    start.setUTCDate(start.getUTCDate() - search.relativeDays);
+    startDate = toDateInputValue(start);
+    endDate = toDateInputValue(today);
+  }
+  return {
+    collections: search.collections,
+    startDate,
+    endDate,
+    geometry: search.geometry,
+    filters: search.filters,
+    sortBy: search.sortBy,
+  };
+};
+
+/**
+ * Short description of a saved search's date range
+ * @param {Object} search - Saved search
+ * @returns {string}
+ */
+export const formatSavedSearchDates = (search) => {
+  if (search.relativeDays) {
+    return `Last ${search.relativeDays} days`;
+  }
+  if (search.startDate || search.endDate) {
+    return `${search.startDate || '…'} – ${search.endDate || '…'}`;
+  }
+  return 'Any date';
+};
+
+/**
+ * JSON file content for sharing saved searches
+ * @param {Array} searches - Saved searches
+ * @returns {string}
+ */
+export const exportSavedSearches = (searches) => JSON.stringify({
+  type: EXPORT_TYPE,
+  version: EXPORT_VERSION,
+  searches: searches.map(({ id, ...search }) => search),
+}, null, 2);
+
+/**
+ * Store the searches of an exported file; searches with a name that is
+ * already saved replace it
+ * @param {string} text - File content (see exportSavedSearches)
+ * @param {Array} existing - Currently saved searches
+ * @returns {Promise<number>} Number of imported searches
+ */
+export const importSavedSearches = async (text, existing = []) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.searches;
+  if (!Array.isArray(entries) || (!Array.isArray(parsed) && parsed.type !== EXPORT_TYPE)) {
+    throw new Error('The file does not contain saved searches');
+  }
+
+  const searches = entries.map((entry) => normalizeSavedSearch({ ...entry, id: undefined })).filter(Boolean);
+  if (searches.length === 0) {
+    throw new Error('The file does not contain saved searches');
+  }
+  let saved = existing;
+  for (const search of searches) {
+    const record = await saveSearch(search, saved);
+    saved = [...saved.filter((other) => other.id !== record.id), record];
+  }
+  return searches.length;
+};
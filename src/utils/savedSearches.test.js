@@ -0,0 +1,107 @@
+import { putRecord } from './db';
+import {
+  exportSavedSearches,
+  formatSavedSearchDates,
+  importSavedSearches,
+  resolveSavedSearch,
+} from './savedSearches';
+
+jest.mock('./db', () => ({
+  deleteRecord: jest.fn(() => Promise.resolve()),
+  getAllRecords: jest.fn(() => Promise.resolve([])),
+  putRecord: jest.fn(() => Promise.resolve()),
+}));
+
+const polygon = { type: 'Polygon', coordinates: [[[106, -7], [107, -7], [107, -6], [106, -7]]] };
+
+beforeEach(() => {
+  putRecord.mockClear();
+});
+
+describe('resolveSavedSearch', () => {
+  test('ends relative date windows today', () => {
+    const search = {
+      collections: ['landsat'],
+      relativeDays: 30,
+      startDate: '2020-01-01',
+      endDate: '2020-12-31',
+      geometry: polygon,
+      filters: [],
+      sortBy: null,
+    };
+
+    expect(resolveSavedSearch(search, new Date('2024-03-15T10:00:00Z'))).toEqual({
+      collections: ['landsat'],
+      startDate: '2024-02-14',
+      endDate: '2024-03-15',
+      geometry: polygon,
+      filters: [],
+      sortBy: null,
+    });
+  });
+
+  test('keeps fixed dates', () => {
+    expect(resolveSavedSearch({ startDate: '2020-01-01', endDate: null, relativeDays: null }))
+      .toMatchObject({ startDate: '2020-01-01', endDate: null });
+  });
+});
+
+describe('formatSavedSearchDates', () => {
+  test('describes relative, fixed and open date ranges', () => {
+    expect(formatSavedSearchDates({ relativeDays: 7 })).toBe('Last 7 days');
+    expect(formatSavedSearchDates({ startDate: '2024-01-01', endDate: null })).toBe('2024-01-01 – …');
+    expect(formatSavedSearchDates({})).toBe('Any date');
+  });
+});
+
+describe('importSavedSearches', () => {
+  test('normalizes entries and replaces searches with the same name', async () => {
+    const existing = [{ id: 'kept-id', name: 'Jakarta' }];
+    const file = JSON.stringify({
+      type: 'spectra-saved-searches',
+      version: 1,
+      searches: [
+        {
+          id: 'ignored',
+          name: ' Jakarta ',
+          collections: ['landsat', 42],
+          relativeDays: '30',
+          startDate: 'last week',
+          geometry: { type: 'Feature', geometry: polygon, properties: {} },
+          filters: [{ property: 'eo:cloud_cover', operator: '<=', value: '20' }, { value: 'x' }],
+          sortBy: { field: 'datetime', direction: 'down' },
+          updatedAt: '2024-01-01T00:00:00.000Z',
+        },
+        { name: '' },
+      ],
+    });
+
+    await expect(importSavedSearches(file, existing)).resolves.toBe(1);
+    expect(putRecord).toHaveBeenCalledTimes(1);
+    expect(putRecord.mock.calls[0][0]).toBe('savedSearches');
+    expect(putRecord.mock.calls[0][1]).toMatchObject({
+      id: 'kept-id',
+      name: 'Jakarta',
+      collections: ['landsat'],
+      relativeDays: 30,
+      startDate: null,
+      endDate: null,
+      geometry: polygon,
+      filters: [{ property: 'eo:cloud_cover', operator: '<=', value: '20' }],
+      sortBy: { field: 'datetime', direction: 'asc' },
+    });
+  });
+
+  test('reads its own export format', async () => {
+    const text = exportSavedSearches([{ id: 'a', name: 'Bali', collections: [], filters: [] }]);
+    expect(JSON.parse(text).searches[0]).not.toHaveProperty('id');
+    await expect(importSavedSearches(text)).resolves.toBe(1);
+  });
+
+  test('rejects files without saved searches', async () => {
+    await expect(importSavedSearches('{')).rejects.toThrow('The file is not valid JSON');
+    await expect(importSavedSearches('{"searches": []}')).rejects.toThrow('The file does not contain saved searches');
+    await expect(importSavedSearches('[{"name": ""}]')).rejects.toThrow('The file does not contain saved searches');
+    expect(putRecord).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Search URL helpers
+ * Serialize the catalog search state to a URL query string and back, so a
+ * search (collections, dates, AOI, selected item, base map and viewport) can
+ * be shared as a link and stepped through with browser back/forward.
+ *
+ * Query parameters:
+ * - stac: root URL of the STAC API the search or item belongs to
+ * - collections: comma separated collection IDs
+ * - start, end: dates as YYYY-MM-DD
+ * - aoi: GeoJSON geometry (JSON, coordinates rounded to 6 decimals)
+ * - filter: property conditions as JSON [[property, operator, value, type], ...]
+ * - sort: sort field, prefixed with "-" for descending order
+ * - item: selected item ID
+ * - basemap: base map key
+ * - map: viewport as "zoom/lat/lng"
+ */
+import { normalizeEndpointUrl } from './endpoints';
+
+export const DEFAULT_BASE_MAP = 'carto';
+
+export const DEFAULT_MAP_VIEW = {
+  center: [-2.5, 118],
+  zoom: 5,
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundCoordinate = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Round all coordinates of a GeoJSON geometry to keep URLs short
+ * @param {Array} coordinates - GeoJSON coordinates (any nesting depth)
+ * @returns {Array} Rounded coordinates
+ */
+const roundCoordinates = (coordinates) => {
+  if (typeof coordinates === 'number') {
+    return roundCoordinate(coordinates, 6);
+  }
+  return coordinates.map(roundCoordinates);
+};
+
+/**
+ * Check whether two map views are the same after rounding
+ * @param {Object} a - Map view { center: [lat, lng], zoom }
+ * @param {Object} b - Map view { center: [lat, lng], zoom }
+ * @returns {boolean}
+ */
+export const isSameMapView = (a, b) => {
+  if (!a || !b) {
+    return a === b;
+  }
+  return a.zoom === b.zoom
+    && roundCoordinate(a.center[0], 5) === roundCoordinate(b.center[0], 5)
+    && roundCoordinate(a.center[1], 5) === roundCoordinate(b.center[1], 5);
+};
+
+/**
+ * Serialize the search state to a query string
+ * Default values are left out so an untouched catalog has a clean URL.
+ * @param {Object} state
+ * @param {Object|null} state.search - Executed search { collections, startDate, endDate, geometry, filters, sortBy }
+ * @param {string|null} state.selectedItemId - Selected item ID
+ * @param {string} state.baseMap - Base map key
+ * @param {Object|null} state.mapView - Map view { center: [lat, lng], zoom }
+ * @param {string|null} state.endpointUrl - STAC API root URL (written with a search or selected item)
+ * @returns {string} Query string including the leading "?" (or empty string)
+ */
+export const serializeSearchState = ({ search, selectedItemId, baseMap, mapView, endpointUrl }) => {
+  const query = new URLSearchParams();
+
+  if (endpointUrl && (search || selectedItemId)) {
+    query.set('stac', endpointUrl);
+  }
+
+  if (search) {
+    if (search.collections && search.collections.length > 0) {
+      query.set('collections', search.collections.join(','));
+    }
+    if (search.startDate) {
+      query.set('start', search.startDate);
+    }
+    if (search.endDate) {
+      query.set('end', search.endDate);
+    }
+    if (search.geometry && search.geometry.coordinates) {
+      query.set('aoi', JSON.stringify({
+        type: search.geometry.type,
+        coordinates: roundCoordinates(search.geometry.coordinates),
+      }));
+    }
+    if (search.filters && search.filters.length > 0) {
+      query.set('filter', JSON.stringify(
+        search.filters.map(({ property, operator, value, type }) => [property, operator, value, type])
+      ));
+    }
+    if (search.sortBy && search.sortBy.field) {
+      query.set('sort', `${search.sortBy.direction === 'desc' ? '-' : ''}${search.sortBy.field}`);
+    }
+  }
+
+  if (selectedItemId) {
+    query.set('item', selectedItemId);
+  }
+
+  if (baseMap && baseMap !== DEFAULT_BASE_MAP) {
+    query.set('basemap', baseMap);
+  }
+
+  if (mapView && !isSameMapView(mapView, DEFAULT_MAP_VIEW)) {
+    const [lat, lng] = mapView.center;
+    query.set('map', `${mapView.zoom}/${roundCoordinate(lat, 5)}/${roundCoordinate(lng, 5)}`);
+  }
+
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+/**
+ * Parse a query string into search state
+ * Invalid values are ignored rather than failing the whole URL.
+ * @param {string} queryString - URL query string (with or without leading "?")
+ * @returns {Object} { search, selectedItemId, baseMap, mapView, endpointUrl }
+ *   search is null when the URL contains no search parameters, endpointUrl when it names no STAC API
+ */
+export const parseSearchState = (queryString) => {
+  const query = new URLSearchParams(queryString);
+  const state = {
+    endpointUrl: normalizeEndpointUrl(query.get('stac')),
+    search: null,
+    selectedItemId: query.get('item') || null,
+    baseMap: query.get('basemap') || DEFAULT_BASE_MAP,
+    mapView: null,
+  };
+
+  const hasSearch = ['collections', 'start', 'end', 'aoi', 'filter', 'sort'].some((key) => query.has(key));
+  if (hasSearch) {
+    const startDate = query.get('start');
+    const endDate = query.get('end');
+    let geometry = null;
+
+    if (query.get('aoi')) {
+      try {
+        const parsed = JSON.parse(query.get('aoi'));
+        if (parsed && parsed.type && Array.isArray(parsed.coordinates)) {
+          geometry = { type: parsed.type, coordinates: parsed.coordinates };
+        }
+      } catch (e) {
+        console.warn('Invalid AOI in URL, ignoring it:', e);
+      }
+    }
+
+    let filters = [];
+    if (query.get('filter')) {
+      try {
+        const parsed = JSON.parse(query.get('filter'));
+        if (Array.isArray(parsed)) {
+          filters = parsed
+            .filter((condition) => Array.isArray(condition) && condition.length >= 3)
+            .map(([property, operator, value, type]) => ({
+              property,
+              operator,
+              value,
+              type: type || 'string',
+            }));
+        }
+      } catch (e) {
+        console.warn('Invalid filter in URL, ignoring it:', e);
+      }
+    }
+
+    const sort = query.get('sort');
+    const sortBy = sort
+      ? {
+        field: sort.replace(/^-/, ''),
+        direction: sort.startsWith('-') ? 'desc' : 'asc',
+      }
+      : null;
+
+    state.search = {
+      collections: (query.get('collections') || '').split(',').filter(Boolean),
+      startDate: startDate && DATE_PATTERN.test(startDate) ? startDate : null,
+      endDate: endDate && DATE_PATTERN.test(endDate) ? endDate : null,
+      geometry,
+      filters,
+      sortBy,
+    };
+  }
+
+  const mapParam = query.get('map');
+  if (mapParam) {
+    const [zoom, lat, lng] = mapParam.split('/').map(Number);
+    if ([zoom, lat, lng].every(Number.isFinite)) {
+      state.mapView = { center: [lat, lng], zoom };
+    }
+  }
+
+  return state;
+};
+
+/**
+ * Build a catalog route (path + query) that runs the given search
+ * @param {Object} search - { collections, startDate, endDate, geometry, filters, sortBy }
+ * @param {string|null} selectedItemId - Item to select once results load
+ * @param {string|null} endpointUrl - STAC API to run the search on
+ * @returns {string} Route such as "/?collections=..."
+ */
+export const buildCatalogLink = (search, selectedItemId = null, endpointUrl = null) => (
+  `/${serializeSearchState({ search, selectedItemId, endpointUrl })}`
+);
+
+const toEndpointQuery = (endpointUrl) => (
+  endpointUrl ? `?${new URLSearchParams({ stac: endpointUrl })}` : ''
+);
+
+/**
+ * Build the route of an item detail page
+ * @param {string} collectionId - Collection ID
+ * @param {string} itemId - Item ID
+ * @param {string|null} endpointUrl - STAC API the item belongs to
+ * @returns {string} Route such as "/items/{collection}/{item}?stac=..."
+ */
+export const buildItemLink = (collectionId, itemId, endpointUrl = null) => (
+  `/items/${encodeURIComponent(collectionId)}/${encodeURIComponent(itemId)}${toEndpointQuery(endpointUrl)}`
+);
+
+/**
+ * Build the route of a collection detail page
+ * @param {string} collectionId - Collection ID
+ * @param {string|null} endpointUrl - STAC API the collection belongs to
+ * @returns {string} Route such as "/collections/{collection}?stac=..."
+ */
+export const buildCollectionLink = (collectionId, endpointUrl = null) => (
+  `/collections/${encodeURIComponent(collectionId)}${toEndpointQuery(endpointUrl)}`
+);
@@ -0,0 +1,94 @@
+import {
+  DEFAULT_BASE_MAP,
+  buildCatalogLink,
+  buildItemLink,
+  parseSearchState,
+  serializeSearchState,
+} from './searchUrl';
+
+const search = {
+  collections: ['sentinel-2', 'landsat'],
+  startDate: '2024-01-01',
+  endDate: '2024-03-31',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[106.1, -6.2], [107.1234567, -6.2], [107.1234567, -5.2], [106.1, -6.2]]],
+  },
+  filters: [{ property: 'eo:cloud_cover', operator: '<=', value: '20', type: 'number' }],
+  sortBy: { field: 'datetime', direction: 'desc' },
+};
+
+describe('serializeSearchState / parseSearchState', () => {
+  test('round-trips a search with selection, base map, view and endpoint', () => {
+    const queryString = serializeSearchState({
+      search,
+      selectedItemId: 'S2A_20240105',
+      baseMap: 'esri',
+      mapView: { center: [-6.5, 107.25], zoom: 9 },
+      endpointUrl: 'https://stac.example.org/api',
+    });
+
+    expect(parseSearchState(queryString)).toEqual({
+      endpointUrl: 'https://stac.example.org/api',
+      search: {
+        ...search,
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[106.1, -6.2], [107.123457, -6.2], [107.123457, -5.2], [106.1, -6.2]]],
+        },
+      },
+      selectedItemId: 'S2A_20240105',
+      baseMap: 'esri',
+      mapView: { center: [-6.5, 107.25], zoom: 9 },
+    });
+  });
+
+  test('leaves out defaults and the endpoint when there is no search', () => {
+    expect(serializeSearchState({
+      search: null,
+      selectedItemId: null,
+      baseMap: DEFAULT_BASE_MAP,
+      mapView: { center: [-2.5, 118], zoom: 5 },
+      endpointUrl: 'https://stac.example.org/api',
+    })).toBe('');
+  });
+
+  test('ignores invalid values instead of failing', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const state = parseSearchState('?stac=ftp://x&start=yesterday&aoi=%7Bbroken&filter=[["a"]]&map=5/x/1');
+    console.warn.mockRestore();
+
+    expect(state.endpointUrl).toBeNull();
+    expect(state.mapView).toBeNull();
+    expect(state.search).toEqual({
+      collections: [],
+      startDate: null,
+      endDate: null,
+      geometry: null,
+      filters: [],
+      sortBy: null,
+    });
+  });
+
+  test('returns no search without search parameters', () => {
+    expect(parseSearchState('?item=abc').search).toBeNull();
+  });
+});
+
+describe('links', () => {
+  test('buildCatalogLink runs the search on the given endpoint', () => {
+    const link = buildCatalogLink({ collections: ['landsat'] }, 'item-1', 'https://stac.example.org');
+    expect(link.startsWith('/?')).toBe(true);
+    expect(parseSearchState(link.slice(1))).toMatchObject({
+      endpointUrl: 'https://stac.example.org',
+      selectedItemId: 'item-1',
+      search: { collections: ['landsat'] },
+    });
+  });
+
+  test('buildItemLink encodes ids and the endpoint', () => {
+    expect(buildItemLink('a/b', 'c d', 'https://stac.example.org'))
+      .toBe('/items/a%2Fb/c%20d?stac=https%3A%2F%2Fstac.example.org');
+    expect(buildItemLink('a', 'b')).toBe('/items/a/b');
+  });
+});
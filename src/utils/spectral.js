@@ -0,0 +1,141 @@
+/**
+ * Band combinations and spectral indices
+ * Bands are matched by their STAC eo:bands common_name.
+ */
+
+// Common names accepted for each role (STAC eo extension names first)
+const COMMON_NAME_ALIASES = {
+  blue: ['blue'],
+  green: ['green'],
+  red: ['red'],
+  nir: ['nir', 'nir08', 'nir09'],
+  swir16: ['swir16', 'swir1'],
+  swir22: ['swir22', 'swir2'],
+};
+
+export const BAND_PRESETS = [
+  { key: 'true-color', label: 'True color', bands: ['red', 'green', 'blue'] },
+  { key: 'color-infrared', label: 'Color infrared (vegetation)', bands: ['nir', 'red', 'green'] },
+  { key: 'swir', label: 'Short-wave infrared', bands: ['swir22', 'nir', 'red'] },
+  { key: 'agriculture', label: 'Agriculture', bands: ['swir16', 'nir', 'blue'] },
+];
+
+// Color ramps as [position 0-1, [r, g, b]] stops
+const RAMPS = {
+  vegetation: [[0, [165, 0, 38]], [0.5, [255, 255, 191]], [0.75, [166, 217, 106]], [1, [0, 104, 55]]],
+  water: [[0, [140, 81, 10]], [0.5, [245, 245, 245]], [1, [1, 102, 148]]],
+  burn: [[0, [103, 0, 13]], [0.4, [251, 106, 74]], [0.6, [255, 255, 204]], [1, [35, 132, 67]]],
+};
+
+// Normalized differences (a - b) / (a + b)
+export const SPECTRAL_INDICES = [
+  { key: 'ndvi', label: 'NDVI', title: 'Normalized Difference Vegetation Index', bands: ['nir', 'red'], ramp: RAMPS.vegetation },
+  { key: 'ndwi', label: 'NDWI', title: 'Normalized Difference Water Index', bands: ['green', 'nir'], ramp: RAMPS.water },
+  { key: 'nbr', label: 'NBR', title: 'Normalized Burn Ratio', bands: ['nir', 'swir22'], ramp: RAMPS.burn },
+];
+
+/**
+ * Reference to one band of one asset (used as select value)
+ * @param {string} assetKey - Asset key
+ * @param {number} band - 0-based band index within the asset
+ * @returns {string}
+ */
+export const toBandRef = (assetKey, band) => `${assetKey}:${band}`;
+
+/**
+ * Split a band reference into asset key and band index
+ * @param {string} ref - Band reference
+ * @returns {Object} { assetKey, band }
+ */
+export const parseBandRef = (ref) => {
+  const separator = ref.lastIndexOf(':');
+  return { assetKey: ref.slice(0, separator), band: Number(ref.slice(separator + 1)) };
+};
+
+/**
+ * Bands of the given assets with their eo:bands metadata
+ * @param {Object} item - STAC Item
+ * @param {Object} bandCounts - Asset key -> number of bands in the file
+ * @returns {Array} [{ ref, assetKey, band, commonName, label }]
+ */
+export const getItemBands = (item, bandCounts) => Object.entries(bandCounts).flatMap(([assetKey, count]) => {
+  const asset = item.assets[assetKey];
+  const metadata = asset['eo:bands'] || asset.bands || [];
+  return Array.from({ length: count }, (_, band) => {
+    const commonName = metadata[band]?.common_name || metadata[band]?.['eo:common_name'] || null;
+    const name = metadata[band]?.name || (count === 1 ? assetKey : `${assetKey} ${band + 1}`);
+    return {
+      ref: toBandRef(assetKey, band),
+      assetKey,
+      band,
+      commonName,
+      label: commonName && commonName !== name ? `${name} (${commonName})` : name,
+    };
+  });
+});
+
+/**
+ * raster:bands scale and offset of a band (physical value = raw * scale + offset)
+ * @param {Object} item - STAC Item
+ * @param {string} ref - Band reference
+ * @returns {Object} { scale, offset }
+ */
+export const getBandScaling = (item, ref) => {
+  const { assetKey, band } = parseBandRef(ref);
+  const metadata = item.assets[assetKey]?.['raster:bands']?.[band] || {};
+  return { scale: metadata.scale ?? 1, offset: metadata.offset ?? 0 };
+};
+
+/**
+ * Band for a common name role (e.g. "nir"), or null
+ * @param {Array} bands - Item bands (see getItemBands)
+ * @param {string} role - Key of COMMON_NAME_ALIASES
+ * @returns {string|null} Band reference
+ */
+export const findBand = (bands, role) => {
+  const aliases = COMMON_NAME_ALIASES[role] || [role];
+  for (const alias of aliases) {
+    const match = bands.find((band) => band.commonName === alias);
+    if (match) return match.ref;
+  }
+  return null;
+};
+
+/**
+ * Band references for a list of roles, or null when one is missing
+ * @param {Array} bands - Item bands
+ * @param {Array<string>} roles - Common name roles
+ * @returns {Array<string>|null}
+ */
+export const resolveBands = (bands, roles) => {
+  const refs = roles.map((role) => findBand(bands, role));
+  return refs.every(Boolean) ? refs : null;
+};
+
+/**
+ * Color of a ramp at a position
+ * @param {Array} ramp - Ramp stops
+ * @param {number} t - Position (clamped to 0-1)
+ * @returns {Array<number>} [r, g, b]
+ */
+export const getRampColor = (ramp, t) => {
+  const position = Math.max(0, Math.min(1, t));
+  for (let index = 1; index < ramp.length; index += 1) {
+    const [end, endColor] = ramp[index];
+    if (position <= end) {
+      const [start, startColor] = ramp[index - 1];
+      const f = end > start ? (position - start) / (end - start) : 0;
+      return startColor.map((channel, i) => Math.round(channel + (endColor[i] - channel) * f));
+    }
+  }
+  return ramp[ramp.length - 1][1];
+};
+
+/**
+ * CSS gradient of a ramp (for legends)
+ * @param {Array} ramp - Ramp stops
+ * @returns {string}
+ */
+export const getRampGradient = (ramp) => `linear-gradient(to right, ${ramp
+  .map(([position, [r, g, b]]) => `rgb(${r}, ${g}, ${b}) ${position * 100}%`)
+  .join(', ')})`;
@@ -0,0 +1,98 @@
+import {
+  SPECTRAL_INDICES,
+  findBand,
+  getBandScaling,
+  getItemBands,
+  getRampColor,
+  parseBandRef,
+  resolveBands,
+  toBandRef,
+} from './spectral';
+
+const item = {
+  assets: {
+    // Landsat-style band per asset with STAC 1.1 bands and older common names
+    'sr:nir': { bands: [{ name: 'B5', 'eo:common_name': 'nir08' }], 'raster:bands': [{ scale: 0.0000275, offset: -0.2 }] },
+    swir: { 'eo:bands': [{ name: 'B6', common_name: 'swir1' }, { name: 'B7', common_name: 'swir2' }] },
+    visual: { 'eo:bands': [{ name: 'red', common_name: 'red' }, { name: 'B3', common_name: 'green' }, {}] },
+  },
+};
+
+describe('band references', () => {
+  test('keep asset keys that contain colons', () => {
+    expect(toBandRef('sr:nir', 0)).toBe('sr:nir:0');
+    expect(parseBandRef('sr:nir:0')).toEqual({ assetKey: 'sr:nir', band: 0 });
+  });
+});
+
+describe('getItemBands', () => {
+  test('labels bands by name and common name', () => {
+    expect(getItemBands(item, { 'sr:nir': 1, swir: 2, visual: 3 })).toEqual([
+      { ref: 'sr:nir:0', assetKey: 'sr:nir', band: 0, commonName: 'nir08', label: 'B5 (nir08)' },
+      { ref: 'swir:0', assetKey: 'swir', band: 0, commonName: 'swir1', label: 'B6 (swir1)' },
+      { ref: 'swir:1', assetKey: 'swir', band: 1, commonName: 'swir2', label: 'B7 (swir2)' },
+      { ref: 'visual:0', assetKey: 'visual', band: 0, commonName: 'red', label: 'red' },
+      { ref: 'visual:1', assetKey: 'visual', band: 1, commonName: 'green', label: 'B3 (green)' },
+      { ref: 'visual:2', assetKey: 'visual', band: 2, commonName: null, label: 'visual 3' },
+    ]);
+  });
+
+  test('names single bands without metadata after their asset', () => {
+    expect(getItemBands({ assets: { dem: {} } }, { dem: 1 })[0].label).toBe('dem');
+  });
+});
+
+describe('findBand and resolveBands', () => {
+  const bands = getItemBands(item, { 'sr:nir': 1, swir: 2, visual: 3 });
+
+  test('match common name aliases', () => {
+    expect(findBand(bands, 'nir')).toBe('sr:nir:0');
+    expect(findBand(bands, 'swir16')).toBe('swir:0');
+    expect(findBand(bands, 'swir22')).toBe('swir:1');
+    expect(findBand(bands, 'red')).toBe('visual:0');
+    expect(findBand(bands, 'blue')).toBeNull();
+  });
+
+  test('prefer the STAC common name over older aliases', () => {
+    const both = [
+      { ref: 'a:0', commonName: 'swir1' },
+      { ref: 'b:0', commonName: 'swir16' },
+    ];
+    expect(findBand(both, 'swir16')).toBe('b:0');
+  });
+
+  test('resolve all roles or none', () => {
+    expect(resolveBands(bands, ['nir', 'red', 'green'])).toEqual(['sr:nir:0', 'visual:0', 'visual:1']);
+    expect(resolveBands(bands, ['red', 'green', 'blue'])).toBeNull();
+  });
+});
+
+describe('getBandScaling', () => {
+  test('reads raster:bands scale and offset', () => {
+    expect(getBandScaling(item, 'sr:nir:0')).toEqual({ scale: 0.0000275, offset: -0.2 });
+  });
+
+  test('defaults to raw values', () => {
+    expect(getBandScaling(item, 'swir:1')).toEqual({ scale: 1, offset: 0 });
+    expect(getBandScaling(item, 'missing:0')).toEqual({ scale: 1, offset: 0 });
+  });
+});
+
+describe('getRampColor', () => {
+  const { ramp } = SPECTRAL_INDICES.find(({ key }) => key === 'ndvi');
+
+  test('returns the stop colors', () => {
+    expect(getRampColor(ramp, 0)).toEqual([165, 0, 38]);
+    expect(getRampColor(ramp, 0.5)).toEqual([255, 255, 191]);
+    expect(getRampColor(ramp, 1)).toEqual([0, 104, 55]);
+  });
+
+  test('interpolates between stops', () => {
+    expect(getRampColor(ramp, 0.25)).toEqual([210, 128, 115]);
+  });
+
+  test('clamps positions outside 0-1', () => {
+    expect(getRampColor(ramp, -3)).toEqual([165, 0, 38]);
+    expect(getRampColor(ramp, 2)).toEqual([0, 104, 55]);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Runtime tile cache
+ * Recently viewed map tiles are kept by the service worker (src/service-worker.js)
+ * in Cache Storage. Tile URLs carrying credentials (a token query parameter)
+ * or signatures (SAS, S3, GCS, CloudFront) are never stored there: Cache Storage
+ * would keep them after the credentials in sessionStorage are gone, and signed
+ * URLs change with every signature.
+ * No window APIs here: the service worker imports this module.
+ */
+
+// Cache Storage name of recently viewed tiles
+export const RUNTIME_TILE_CACHE = 'spectra-tiles';
+
+// Query parameters (lower case) that carry credentials or signatures
+const CREDENTIAL_PARAMS = [
+  'access_token',
+  'token',
+  'api_key',
+  'apikey',
+  'sig', // Azure SAS
+  'signature', // CloudFront
+  'key-pair-id',
+  'x-amz-signature',
+  'x-amz-credential',
+  'x-amz-security-token',
+  'x-goog-signature',
+  'x-goog-credential',
+];
+
+/**
+ * Whether a URL carries credentials or a signature in its query string
+ * @param {string} url - Tile URL
+ * @param {Array<string>} extraParams - Further parameter names, e.g. the `tiles.param` of configured APIs
+ * @returns {boolean}
+ */
+export const hasCredentialParams = (url, extraParams = []) => {
+  let searchParams;
+  try {
+    searchParams = new URL(url).searchParams;
+  } catch (e) {
+    return false;
+  }
+  const names = new Set([...CREDENTIAL_PARAMS, ...extraParams.map((name) => name.toLowerCase())]);
+  return [...searchParams.keys()].some((name) => names.has(name.toLowerCase()));
+};
+
+/**
+ * Token parameter names configured for the tile servers of STAC APIs
+ * @param {Object} config - Content of stac-endpoints.json
+ * @returns {Array<string>}
+ */
+export const getConfiguredTileParams = (config) => (
+  (Array.isArray(config?.endpoints) ? config.endpoints : [])
+    .map((endpoint) => endpoint?.auth?.tiles?.param)
+    .filter((param) => typeof param === 'string' && param)
+);
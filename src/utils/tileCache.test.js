@@ -0,0 +1,33 @@
+import { getConfiguredTileParams, hasCredentialParams } from './tileCache';
+
+describe('hasCredentialParams', () => {
+  test('finds tokens and signatures in any case', () => {
+    expect(hasCredentialParams('https://tiles.example.org/1/2/3.png?access_token=abc')).toBe(true);
+    expect(hasCredentialParams('https://a.blob.core.windows.net/c/1/2/3.png?sv=2021&se=2024&sig=xyz')).toBe(true);
+    expect(hasCredentialParams('https://bucket.s3.amazonaws.com/1/2/3.png?X-Amz-Signature=abc')).toBe(true);
+  });
+
+  test('accepts the configured token parameters', () => {
+    expect(hasCredentialParams('https://tiles.example.org/1/2/3.png?auth=abc')).toBe(false);
+    expect(hasCredentialParams('https://tiles.example.org/1/2/3.png?auth=abc', ['Auth'])).toBe(true);
+  });
+
+  test('lets plain tile URLs be cached', () => {
+    expect(hasCredentialParams('https://tiles.example.org/1/2/3.png')).toBe(false);
+    expect(hasCredentialParams('https://tiles.example.org/1/2/3.png?tms=false&format=png')).toBe(false);
+    expect(hasCredentialParams('not a url')).toBe(false);
+  });
+});
+
+describe('getConfiguredTileParams', () => {
+  test('lists the tile token parameters of the endpoint registry', () => {
+    expect(getConfiguredTileParams({
+      endpoints: [
+        { id: 'a', url: 'https://a.example.org' },
+        { id: 'b', url: 'https://b.example.org', auth: { tiles: { mode: 'query', param: 'key' } } },
+        { id: 'c', url: 'https://c.example.org', auth: { tiles: { mode: 'sign', signUrl: 'https://sign' } } },
+      ],
+    })).toEqual(['key']);
+    expect(getConfiguredTileParams(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tile URL helpers
+ * Build XYZ / TMS tile URL templates from STAC item assets.
+ */
+
+/**
+ * Whether an asset is a (Cloud-Optimized) GeoTIFF rather than a tile directory
+ * @param {Object} asset - STAC Asset
+ * @returns {boolean}
+ */
+export const isCogAsset = (asset) => {
+  const type = (asset?.type || '').toLowerCase();
+  if (type) {
+    return type.startsWith('image/tiff');
+  }
+  return /\.tiff?(\?|$)/i.test(asset?.href || '');
+};
+
+/**
+ * Whether an asset can be displayed as map tiles ("tiles" or "data" role)
+ * GeoTIFF data assets are rendered in the browser instead (see utils/cog.js).
+ * @param {Object} asset - STAC Asset
+ * @returns {boolean}
+ */
+export const isTileAsset = (asset) => {
+  const roles = asset?.roles || [];
+  return (roles.includes('tiles') || roles.includes('data')) && !isCogAsset(asset);
+};
+
+/**
+ * Keys of the assets of an item that can be displayed as map tiles
+ * @param {Object} item - STAC Item
+ * @returns {Array<string>} Asset keys
+ */
+export const getTileAssetKeys = (item) => (
+  Object.keys(item.assets || {}).filter((assetKey) => isTileAsset(item.assets[assetKey]))
+);
+
+/**
+ * Keys of the GeoTIFF assets of an item (excluding thumbnails and overviews)
+ * @param {Object} item - STAC Item
+ * @returns {Array<string>} Asset keys
+ */
+export const getCogAssetKeys = (item) => (
+  Object.keys(item.assets || {}).filter((assetKey) => {
+    const asset = item.assets[assetKey];
+    const roles = asset.roles || [];
+    return isCogAsset(asset) && !roles.includes('thumbnail') && !roles.includes('overview');
+  })
+);
+
+/**
+ * Upgrade an http URL to https when the app is served over https
+ * @param {string} url - URL
+ * @returns {string}
+ */
+export const upgradeProtocol = (url) => (
+  // Fix HTTP to HTTPS if needed
+  url.startsWith('http://') && window.location.protocol === 'https:'
+    ? url.replace('http://', 'https://')
+    : url
+);
+
+/**
+ * Format an asset href as an XYZ tile URL template
+ * @param {string} assetHref - Asset href
+ * @returns {string} URL with {z}/{x}/{y}
+ */
+export const formatXYZUrl = (assetHref) => {
+  let xyzUrl = upgradeProtocol(assetHref);
+
+  // Ensure URL has {z}/{x}/{y} template
+  if (!xyzUrl.includes('{z}')) {
+    xyzUrl = xyzUrl.endsWith('/') ? xyzUrl : xyzUrl + '/';
+    xyzUrl = `${xyzUrl}{z}/{x}/{y}.png`;
+  }
+
+  return xyzUrl;
+};
+
+/**
+ * Whether a tile URL serves TMS tiles (Y axis flipped, origin bottom-left)
+ * gdal2tiles output under spectra.brin.go.id/tiles is TMS unless "tms=false" is set.
+ * @param {string} tileUrl - Tile URL (template)
+ * @returns {boolean}
+ */
+export const isTmsTileUrl = (tileUrl) => (
+  tileUrl.includes('spectra.brin.go.id/tiles') ||
+  (tileUrl.includes('/tiles/') && !tileUrl.includes('tms=false'))
+);
+
+/**
+ * Zoom range of a tile asset from the STAC tiles extension fields
+ * @param {Object} asset - STAC Asset
+ * @returns {Object} { minZoom, maxZoom }
+ */
+export const getTileZoomRange = (asset) => ({
+  minZoom: asset?.['tiles:min_zoom'] ?? 0,
+  maxZoom: asset?.['tiles:max_zoom'] ?? 18,
+});
+
+/**
+ * Tile URL template for desktop GIS: {-y} for TMS sources, {y} otherwise
+ * @param {string} assetHref - Asset href
+ * @returns {string} URL template
+ */
+export const formatGisTileUrl = (assetHref) => {
+  const xyzUrl = formatXYZUrl(assetHref);
+  return isTmsTileUrl(xyzUrl) ? xyzUrl.replace('{y}', '{-y}') : xyzUrl;
+};
+
+/**
+ * Format an asset href as a QGIS/ArcGIS TMS tile URL template (uses {-y})
+ * @param {string} assetHref - Asset href
+ * @returns {string} URL with {z}/{x}/{-y}
+ */
+export const formatQGISArcGISUrl = (assetHref) => {
+  let xyzUrl = upgradeProtocol(assetHref);
+
+  // Ensure URL has {z}/{x}/{-y} template for QGIS/ArcGIS (TMS format)
+  if (!xyzUrl.includes('{z}')) {
+    xyzUrl = xyzUrl.endsWith('/') ? xyzUrl : xyzUrl + '/';
+    xyzUrl = `${xyzUrl}{z}/{x}/{-y}.png`;
+  } else {
+    // Replace {y} with {-y} for TMS format
+    xyzUrl = xyzUrl.replace('{y}', '{-y}');
+  }
+
+  return xyzUrl;
+};
+
+/**
+ * Concrete tile URL from a template (as Leaflet would request it)
+ * @param {string} template - URL template with {z}/{x}/{y} (and optionally {s}, {r}, {-y})
+ * @param {Object} coords - { x, y, z } tile coordinates (XYZ scheme)
+ * @param {boolean} tms - Whether the source uses the TMS (flipped Y) scheme
+ * @returns {string} Tile URL
+ */
+export const fillTileUrl = (template, { x, y, z }, tms = false) => {
+  const invertedY = 2 ** z - 1 - y;
+  return template
+    .replace('{s}', 'a')
+    .replace('{r}', '')
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{-y}', invertedY)
+    .replace('{y}', tms ? invertedY : y);
+};
@@ -0,0 +1,177 @@
+/**
+ * Timeline histogram helpers
+ * Bucket search results by acquisition date (UTC day, month or year).
+ */
+
+export const TIMELINE_INTERVALS = ['day', 'month', 'year'];
+
+// Above this many buckets the next coarser interval is used
+const MAX_BUCKETS = 400;
+
+/**
+ * Acquisition date of an item (datetime, or start_datetime for ranges)
+ * @param {Object} item - STAC Item
+ * @returns {Date|null}
+ */
+export const getItemDate = (item) => {
+  const value = item.properties?.datetime || item.properties?.start_datetime;
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const getBucketStart = (date, interval) => {
+  if (interval === 'year') {
+    return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  }
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const getNextBucketStart = (start, interval) => {
+  if (interval === 'year') {
+    return new Date(Date.UTC(start.getUTCFullYear() + 1, 0, 1));
+  }
+  if (interval === 'month') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 1));
+};
+
+const countBuckets = (minDate, maxDate, interval) => {
+  if (interval === 'year') {
+    return maxDate.getUTCFullYear() - minDate.getUTCFullYear() + 1;
+  }
+  if (interval === 'month') {
+    return (maxDate.getUTCFullYear() - minDate.getUTCFullYear()) * 12
+      + maxDate.getUTCMonth() - minDate.getUTCMonth() + 1;
+  }
+  return Math.round((getBucketStart(maxDate, 'day') - getBucketStart(minDate, 'day')) / 86400000) + 1;
+};
+
+/**
+ * Pick a bucket interval for a date span
+ * The requested interval is kept unless it would produce too many buckets.
+ * @param {Date} minDate - Earliest date
+ * @param {Date} maxDate - Latest date
+ * @param {string} preferred - 'auto', 'day', 'month' or 'year'
+ * @returns {string} 'day', 'month' or 'year'
+ */
+export const chooseInterval = (minDate, maxDate, preferred = 'auto') => {
+  const start = preferred === 'auto' ? 0 : TIMELINE_INTERVALS.indexOf(preferred);
+  const candidates = TIMELINE_INTERVALS.slice(Math.max(0, start));
+  if (preferred === 'auto') {
+    // Aim for a readable number of bars rather than the finest resolution
+    return candidates.find((interval) => countBuckets(minDate, maxDate, interval) <= 120) || 'year';
+  }
+  return candidates.find((interval) => countBuckets(minDate, maxDate, interval) <= MAX_BUCKETS) || 'year';
+};
+
+/**
+ * Continuous list of buckets between two dates with the given counts
+ * @param {Date} minDate - Earliest date
+ * @param {Date} maxDate - Latest date
+ * @param {string} interval - 'day', 'month' or 'year'
+ * @param {Map} counts - Bucket start time (ms) -> count
+ * @returns {Array} [{ start, end, count }]
+ */
+const fillBuckets = (minDate, maxDate, interval, counts) => {
+  const buckets = [];
+  let start = getBucketStart(minDate, interval);
+  const last = getBucketStart(maxDate, interval).getTime();
+  while (start.getTime() <= last) {
+    const end = getNextBucketStart(start, interval);
+    buckets.push({ start, end, count: counts.get(start.getTime()) || 0 });
+    start = end;
+  }
+  return buckets;
+};
+
+/**
+ * Histogram of items per bucket
+ * @param {Array} items - STAC Items
+ * @param {string} preferred - 'auto', 'day', 'month' or 'year'
+ * @returns {Object} { interval, buckets: [{ start, end, count }] }
+ */
+export const buildHistogram = (items, preferred = 'auto') => {
+  const dates = items.map(getItemDate).filter(Boolean);
+  if (dates.length === 0) {
+    return { interval: null, buckets: [] };
+  }
+
+  const times = dates.map((date) => date.getTime());
+  const minDate = new Date(Math.min(...times));
+  const maxDate = new Date(Math.max(...times));
+  const interval = chooseInterval(minDate, maxDate, preferred);
+
+  const counts = new Map();
+  dates.forEach((date) => {
+    const key = getBucketStart(date, interval).getTime();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return { interval, buckets: fillBuckets(minDate, maxDate, interval, counts) };
+};
+
+/**
+ * Histogram from STAC aggregation buckets ({ key, frequency })
+ * @param {Array} aggregationBuckets - datetime_frequency buckets
+ * @param {string} interval - Interval the buckets were requested with
+ * @returns {Object} { interval, buckets: [{ start, end, count }] }
+ */
+export const buildHistogramFromAggregation = (aggregationBuckets, interval) => {
+  const counts = new Map();
+  aggregationBuckets.forEach((bucket) => {
+    const date = new Date(bucket.key);
+    if (!Number.isNaN(date.getTime())) {
+      const key = getBucketStart(date, interval).getTime();
+      counts.set(key, (counts.get(key) || 0) + (bucket.frequency || 0));
+    }
+  });
+  if (counts.size === 0) {
+    return { interval, buckets: [] };
+  }
+  const keys = [...counts.keys()];
+  return {
+    interval,
+    buckets: fillBuckets(new Date(Math.min(...keys)), new Date(Math.max(...keys)), interval, counts),
+  };
+};
+
+/**
+ * IDs of the items acquired within [start, end)
+ * @param {Array} items - STAC Items
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Array<string>} Item IDs
+ */
+export const getItemIdsInRange = (items, start, end) => items
+  .filter((item) => {
+    const date = getItemDate(item);
+    return date && date >= start && date < end;
+  })
+  .map((item) => item.id);
+
+/**
+ * Label of a bucket for display
+ * @param {Date} start - Bucket start
+ * @param {string} interval - 'day', 'month' or 'year'
+ * @returns {string}
+ */
+export const formatBucketLabel = (start, interval) => {
+  if (interval === 'year') {
+    return String(start.getUTCFullYear());
+  }
+  if (interval === 'month') {
+    return start.toLocaleDateString(undefined, { year: 'numeric', month: 'short', timeZone: 'UTC' });
+  }
+  return start.toLocaleDateString(undefined, { timeZone: 'UTC' });
+};
+
+/**
+ * Bucket date as YYYY-MM-DD (for the date inputs)
+ * @param {Date} date - UTC date
+ * @returns {string}
+ */
+export const toDateInputValue = (date) => date.toISOString().slice(0, 10);
@@ -0,0 +1,75 @@
+import {
+  buildHistogram,
+  buildHistogramFromAggregation,
+  chooseInterval,
+  getItemIdsInRange,
+} from './timeline';
+
+const item = (id, datetime) => ({ id, properties: { datetime } });
+
+const toCounts = ({ interval, buckets }) => ({
+  interval,
+  buckets: buckets.map(({ start, count }) => [start.toISOString().slice(0, 10), count]),
+});
+
+describe('buildHistogram', () => {
+  test('returns no buckets without dated items', () => {
+    expect(buildHistogram([{ id: 'a', properties: {} }])).toEqual({ interval: null, buckets: [] });
+  });
+
+  test('counts items per UTC day and fills the gaps', () => {
+    const items = [
+      item('a', '2024-01-01T23:30:00Z'),
+      item('b', '2024-01-01T01:00:00Z'),
+      item('c', '2024-01-03T12:00:00Z'),
+      { id: 'd', properties: { start_datetime: '2024-01-03T00:00:00Z' } },
+    ];
+
+    expect(toCounts(buildHistogram(items))).toEqual({
+      interval: 'day',
+      buckets: [['2024-01-01', 2], ['2024-01-02', 0], ['2024-01-03', 2]],
+    });
+  });
+
+  test('keeps the requested interval unless it gives too many buckets', () => {
+    const items = [item('a', '2020-01-15T00:00:00Z'), item('b', '2024-06-15T00:00:00Z')];
+
+    expect(buildHistogram(items, 'year').buckets).toHaveLength(5);
+    expect(buildHistogram(items, 'month').interval).toBe('month');
+    expect(buildHistogram(items, 'day').interval).toBe('month');
+  });
+});
+
+describe('chooseInterval', () => {
+  test('aims for a readable number of bars in auto mode', () => {
+    const start = new Date('2024-01-01T00:00:00Z');
+    expect(chooseInterval(start, new Date('2024-03-01T00:00:00Z'))).toBe('day');
+    expect(chooseInterval(start, new Date('2025-01-01T00:00:00Z'))).toBe('month');
+    expect(chooseInterval(start, new Date('2040-01-01T00:00:00Z'))).toBe('year');
+  });
+});
+
+describe('buildHistogramFromAggregation', () => {
+  test('sums aggregation buckets per interval', () => {
+    expect(toCounts(buildHistogramFromAggregation([
+      { key: '2024-01-01T00:00:00Z', frequency: 3 },
+      { key: '2024-03-01T00:00:00Z', frequency: 1 },
+      { key: 'not a date', frequency: 9 },
+    ], 'month'))).toEqual({
+      interval: 'month',
+      buckets: [['2024-01-01', 3], ['2024-02-01', 0], ['2024-03-01', 1]],
+    });
+  });
+});
+
+describe('getItemIdsInRange', () => {
+  test('includes the start and excludes the end', () => {
+    const items = [
+      item('a', '2024-01-01T00:00:00Z'),
+      item('b', '2024-01-02T00:00:00Z'),
+      item('c', 'invalid'),
+    ];
+    expect(getItemIdsInRange(items, new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z')))
+      .toEqual(['a']);
+  });
+});
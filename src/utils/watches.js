@@ -0,0 +1,179 @@
+/**
+ * New-imagery watches
+ * A watch re-runs an AOI + collections (+ property filters) search over the
+ * last WATCH_WINDOW_DAYS and reports the items it hasn't returned before.
+ * Watches are stored in IndexedDB and checked while the app is open.
+ */
+import { DEFAULT_STAC_API_URL } from '../api/axios';
+import {
+  buildCql2Filter,
+  buildSearchBody,
+  fetchRemainingPages,
+  getNextLink,
+  searchItems,
+} from '../services/stac.service';
+import { createId } from './id';
+
+export const WATCH_INTERVALS = [
+  { minutes: 15, label: 'Every 15 minutes' },
+  { minutes: 60, label: 'Every hour' },
+  { minutes: 360, label: 'Every 6 hours' },
+  { minutes: 1440, label: 'Once a day' },
+];
+
+// Acquisitions older than this are not looked for
+export const WATCH_WINDOW_DAYS = 30;
+// Upper bound on items fetched per check
+const MAX_WATCH_ITEMS = 500;
+// IDs remembered and unread items kept per watch
+const MAX_SEEN_IDS = 5000;
+const MAX_NEW_ITEMS = 100;
+
+/**
+ * New watch record (not checked yet)
+ * @param {Object} values - { name, endpointUrl, collections, geometry, filters, intervalMinutes, notify }
+ * @returns {Object} Watch
+ */
+export const createWatch = ({ name, endpointUrl, collections, geometry, filters, intervalMinutes, notify }) => ({
+  id: createId(),
+  name: name.trim(),
+  endpointUrl, // STAC API the watch searches
+  collections: collections || [],
+  geometry: geometry?.type === 'Feature' ? geometry.geometry : geometry,
+  filters: filters || [],
+  intervalMinutes,
+  notify: Boolean(notify),
+  seenIds: [],
+  newItems: [], // Unread new items, newest first
+  lastChecked: null,
+  lastError: null,
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * Whether a watch should be checked again
+ * @param {Object} watch - Watch
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+export const isWatchDue = (watch, now = Date.now()) => (
+  !watch.lastChecked || now - new Date(watch.lastChecked).getTime() >= watch.intervalMinutes * 60 * 1000
+);
+
+/**
+ * STAC API of a watch (watches created before endpoints were configurable used the default one)
+ * @param {Object} watch - Watch
+ * @returns {string} STAC API root URL
+ */
+export const getWatchEndpointUrl = (watch) => watch.endpointUrl || DEFAULT_STAC_API_URL;
+
+/**
+ * Items currently matching a watch (all pages, up to MAX_WATCH_ITEMS)
+ * @param {Object} watch - Watch
+ * @returns {Promise<Array>} STAC Items
+ */
+export const fetchWatchItems = async (watch) => {
+  const since = new Date(Date.now() - WATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const params = {
+    intersects: watch.geometry,
+    collections: watch.collections,
+    datetime: `${since.toISOString()}/..`,
+  };
+  const filter = buildCql2Filter(watch.filters);
+  if (filter) {
+    params.filter = filter;
+    params['filter-lang'] = 'cql2-json';
+  }
+
+  const apiUrl = getWatchEndpointUrl(watch);
+  const response = await searchItems(params, apiUrl);
+  const features = response.features || [];
+  const nextLink = getNextLink(response);
+  if (nextLink && features.length < MAX_WATCH_ITEMS) {
+    features.push(...await fetchRemainingPages(nextLink, buildSearchBody(params), {
+      maxItems: MAX_WATCH_ITEMS - features.length,
+      apiUrl,
+    }));
+  }
+  return features;
+};
+
+/**
+ * Compare the items of a check with the IDs a watch has seen
+ * The first check only records the IDs so existing imagery isn't reported as new.
+ * @param {Object} watch - Watch
+ * @param {Array} features - Items returned by the check
+ * @param {string} checkedAt - ISO time of the check
+ * @returns {Object} { watch: updated watch, newItems: items first seen in this check }
+ */
+export const applyWatchResults = (watch, features, checkedAt) => {
+  const seen = new Set(watch.seenIds);
+  const unseen = [...new Map(features.filter((item) => !seen.has(item.id)).map((item) => [item.id, item])).values()];
+  const newItems = watch.lastChecked
+    ? unseen.map((item) => ({
+      id: item.id,
+      collection: item.collection || null,
+      datetime: item.properties?.datetime || item.properties?.start_datetime || null,
+      foundAt: checkedAt,
+    }))
+    : [];
+
+  return {
+    watch: {
+      ...watch,
+      seenIds: [...unseen.map((item) => item.id), ...watch.seenIds].slice(0, MAX_SEEN_IDS),
+      newItems: [...newItems, ...watch.newItems].slice(0, MAX_NEW_ITEMS),
+      lastChecked: checkedAt,
+      lastError: null,
+    },
+    newItems,
+  };
+};
+
+/**
+ * Whether the browser can show system notifications
+ * @returns {boolean}
+ */
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Ask for permission to show notifications (must follow a user action)
+ * @returns {Promise<string>} "granted", "denied", "default" or "unsupported"
+ */
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) {
+    return 'unsupported';
+  }
+  if (window.Notification.permission !== 'default') {
+    return window.Notification.permission;
+  }
+  return window.Notification.requestPermission();
+};
+
+/**
+ * Show a system notification for the new items of a watch (when permitted)
+ * @param {Object} watch - Watch
+ * @param {Array} newItems - New items of the check
+ */
+export const showWatchNotification = (watch, newItems) => {
+  if (!isNotificationSupported() || window.Notification.permission !== 'granted') {
+    return;
+  }
+  try {
+    // One notification per watch; a later check replaces it
+    const notification = new window.Notification(`New imagery: ${watch.name}`, {
+      body: newItems.length === 1
+        ? newItems[0].id
+        : `${newItems.length} new items, e.g. ${newItems[0].id}`,
+      tag: `watch-${watch.id}`,
+    });
+    // Bring the app to the front, where the watch menu lists the items
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (e) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Notification not shown:', e);
+  }
+};
@@ -0,0 +1,71 @@
+import { applyWatchResults, createWatch, isWatchDue } from './watches';
+
+const item = (id, datetime = '2024-01-05T03:00:00Z') => ({
+  id,
+  collection: 'sentinel-2',
+  properties: { datetime },
+});
+
+const watch = {
+  ...createWatch({
+    name: ' Jakarta ',
+    endpointUrl: 'https://stac.example.org',
+    collections: ['sentinel-2'],
+    geometry: null,
+    filters: [],
+    intervalMinutes: 60,
+    notify: true,
+  }),
+  seenIds: ['old'],
+};
+
+describe('createWatch', () => {
+  test('starts unchecked with a trimmed name', () => {
+    expect(watch).toMatchObject({ name: 'Jakarta', lastChecked: null, newItems: [], notify: true });
+  });
+});
+
+describe('applyWatchResults', () => {
+  test('only records the IDs on the first check', () => {
+    const result = applyWatchResults(watch, [item('old'), item('a')], '2024-01-06T00:00:00.000Z');
+
+    expect(result.newItems).toEqual([]);
+    expect(result.watch).toMatchObject({
+      seenIds: ['a', 'old'],
+      newItems: [],
+      lastChecked: '2024-01-06T00:00:00.000Z',
+      lastError: null,
+    });
+  });
+
+  test('reports items not seen before, once each, newest check first', () => {
+    const checked = {
+      ...watch,
+      lastChecked: '2024-01-06T00:00:00.000Z',
+      lastError: 'Network error',
+      newItems: [{ id: 'earlier', collection: 'sentinel-2', datetime: null, foundAt: '2024-01-05T00:00:00.000Z' }],
+    };
+    const result = applyWatchResults(
+      checked,
+      [item('old'), item('b'), item('b'), { id: 'c', properties: { start_datetime: '2024-01-04T00:00:00Z' } }],
+      '2024-01-07T00:00:00.000Z'
+    );
+
+    expect(result.newItems).toEqual([
+      { id: 'b', collection: 'sentinel-2', datetime: '2024-01-05T03:00:00Z', foundAt: '2024-01-07T00:00:00.000Z' },
+      { id: 'c', collection: null, datetime: '2024-01-04T00:00:00Z', foundAt: '2024-01-07T00:00:00.000Z' },
+    ]);
+    expect(result.watch.seenIds).toEqual(['b', 'c', 'old']);
+    expect(result.watch.newItems.map(({ id }) => id)).toEqual(['b', 'c', 'earlier']);
+    expect(result.watch.lastError).toBeNull();
+  });
+});
+
+describe('isWatchDue', () => {
+  test('is due before the first check and after its interval', () => {
+    const now = Date.parse('2024-01-06T01:00:00Z');
+    expect(isWatchDue(watch, now)).toBe(true);
+    expect(isWatchDue({ ...watch, lastChecked: '2024-01-06T00:30:00Z' }, now)).toBe(false);
+    expect(isWatchDue({ ...watch, lastChecked: '2024-01-06T00:00:00Z' }, now)).toBe(true);
+  });
+});